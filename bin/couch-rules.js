@@ -0,0 +1,637 @@
+#!/usr/bin/env node
+/**
+ * Command line tool for the CouchDB Rules Engine
+ * Wraps the loader, unloader, backup, restore and sandbox scripts and the evaluation engine in one set of subcommands
+ *
+ * Usage: couch-rules <command> [options]
+ * Or: npm run cli -- <command> [options]
+ */
+
+const fs = require('fs').promises;
+const path = require('path');
+const { createOptions } = require('../config');
+const { createAuthenticatedFetch } = require('../utils/couch-auth');
+const { EXIT_CODES, parseCommandLine, formatHelp, usesCouchDB } = require('../utils/cli');
+const { sortRulesByPriority, getRulePriority } = require('../utils/rule-metadata');
+const { evaluateDocument } = require('../utils/rule-engine');
+const { getHistoryDatabaseName, fetchRuleHistory, planRollback, recordRuleVersion } = require('../utils/rule-history');
+const { getProposalDatabaseName, reviewProposal, fetchProposals, saveProposal, publishProposal } = require('../utils/rule-review');
+const { AUDIT_ACTIONS, getAuditDatabaseName, ensureAuditDatabase, fetchSessionUser, createAuditEntry, recordAuditEntry, fetchAuditEntries } = require('../utils/rule-audit');
+const { loadValidators } = require('../couchLoader');
+const { unloadValidators } = require('../couchUnloader');
+const { backupValidators } = require('../couchBackup');
+const { restoreValidators } = require('../couchRestore');
+const { startSandboxServer } = require('../couchSandbox');
+const { BATCH_FORMATS, BATCH_OUTCOMES, parseBatchDocuments, evaluateBatch, evaluateDeployedBatch, filterBatchRows, formatBatchCsv } = require('../utils/rule-batch');
+
+/**
+ * Fetches a path under a database, returning the parsed body
+ */
+async function fetchFromDatabase(connection, dbName, docPath) {
+    const fetch = createAuthenticatedFetch((await import('node-fetch')).default, connection);
+    const response = await fetch(`${connection.couchdb_url}${dbName}/${docPath}`);
+
+    if (!response.ok) {
+        const error = new Error(`Request for ${dbName}/${docPath} failed: HTTP ${response.status}`);
+        error.status = response.status;
+        throw error;
+    }
+
+    return response.json();
+}
+
+/**
+ * Reviews a proposal and, when it is approved, publishes it
+ * @returns {Promise<number>} Exit code
+ */
+async function reviewAndPublish({ positionals, options }, connection, decision) {
+    const proposalId = positionals[0];
+    const dbName = options.db || positionals[1] || connection.database;
+    if (decision === 'reject' && !(options.comment || '').trim()) {
+        console.error('❌ reject needs --comment explaining why the change is rejected');
+        return EXIT_CODES.USAGE;
+    }
+
+    const fetch = createAuthenticatedFetch((await import('node-fetch')).default, connection);
+    const proposalsUrl = `${connection.couchdb_url}${getProposalDatabaseName(dbName)}`;
+    const response = await fetch(`${proposalsUrl}/${encodeURIComponent(proposalId)}`);
+    if (!response.ok) {
+        console.error(`❌ No proposal '${proposalId}' in '${getProposalDatabaseName(dbName)}' (HTTP ${response.status})`);
+        return EXIT_CODES.FAILURE;
+    }
+
+    const reviewer = await fetchSessionUser(fetch, connection);
+    let proposal = await response.json();
+    // An approved proposal whose publishing failed is published again without a second review
+    if (proposal.status !== 'approved' || decision !== 'approve') {
+        proposal = await saveProposal(fetch, proposalsUrl, reviewProposal(proposal, decision, reviewer, options.comment));
+    }
+
+    if (decision === 'reject') {
+        if (options.json) {
+            printJson(options, { database: dbName, proposal: proposal });
+        } else {
+            console.log(`✅ Rejected ${proposalId}: ${proposal.review_comment}`);
+        }
+        return EXIT_CODES.OK;
+    }
+
+    let result;
+    try {
+        result = await publishProposal(fetch, connection.couchdb_url, dbName, proposal, { publishedBy: reviewer });
+    } catch (error) {
+        console.error(`❌ Approved ${proposalId}, but ${error.message}`);
+        return EXIT_CODES.FAILURE;
+    }
+
+    if (options.json) {
+        printJson(options, { database: dbName, rule_id: proposal.rule_id, rev: result.doc._rev, proposal: result.proposal, entry: result.entry });
+    } else {
+        console.log(`✅ Approved ${proposalId} and published ${proposal.rule_id} v${result.doc.rule_metadata.version}; new rev ${result.doc._rev}`);
+        [result.historyError, result.auditError].filter(Boolean).forEach(message => console.log(`   ⚠️  ${message}`));
+        console.log('   Make the same change in validators/ - the loader leaves the rule alone until it matches this or another approved proposal');
+    }
+    return EXIT_CODES.OK;
+}
+
+/**
+ * Prints a result as JSON when --json was given
+ */
+function printJson(options, result) {
+    if (options.json) {
+        console.log(JSON.stringify(result, null, 2));
+    }
+}
+
+/**
+ * Gets the user to evaluate as from --as-user and --roles; undefined evaluates as a server admin
+ */
+function getSimulatedUser(options) {
+    if (options.asUser === undefined && options.roles === undefined) {
+        return undefined;
+    }
+    return {
+        db: null,
+        name: options.asUser || null,
+        roles: (options.roles || '').split(',').map(role => role.trim()).filter(Boolean)
+    };
+}
+
+/**
+ * Prints a batch matrix: a row per document with each rule's outcome, the failures and the counts per rule
+ */
+function printBatchMatrix(matrix, rows, description) {
+    const labelWidth = Math.min(24, Math.max(8, ...rows.map(row => row.label.length)));
+    const widths = matrix.rules.map(rule => Math.max(rule.rule_id.length, 4));
+    const outcomeLabels = { pass: 'pass', fail: 'FAIL', skipped: '-' };
+
+    console.log(`📋 ${description}: ${matrix.summary.documents} documents, ${matrix.summary.valid} valid, ${matrix.summary.invalid} invalid`);
+    if (rows.length < matrix.rows.length) {
+        console.log(`   Showing ${rows.length} of ${matrix.rows.length}`);
+    }
+    console.log(`   ${'#'.padStart(4)}  ${'Document'.padEnd(labelWidth)}  ${matrix.rules.map((rule, i) => rule.rule_id.padEnd(widths[i])).join('  ')}`.trimEnd());
+    rows.forEach(row => {
+        const cells = matrix.rules.map((rule, i) => outcomeLabels[row.results[rule.rule_id].outcome].padEnd(widths[i]));
+        console.log(`   ${String(row.index).padStart(4)}  ${row.label.slice(0, labelWidth).padEnd(labelWidth)}  ${cells.join('  ')}`.trimEnd());
+    });
+
+    const failed = rows.filter(row => !row.valid);
+    if (failed.length > 0) {
+        console.log('\n❌ Failures:');
+        failed.forEach(row => {
+            console.log(`   #${row.index} ${row.label}`);
+            matrix.rules
+                .filter(rule => row.results[rule.rule_id].outcome === 'fail')
+                .forEach(rule => console.log(`      - ${rule.rule_id}: ${row.results[rule.rule_id].message}`));
+        });
+    }
+
+    console.log('\n📊 Per rule:');
+    matrix.rules.forEach(rule => {
+        console.log(`   ${rule.rule_id}: ${rule.pass} pass, ${rule.fail} fail, ${rule.skipped} skipped`);
+    });
+}
+
+/**
+ * Subcommand implementations. Each takes the parsed command line and connection options (null for the
+ * commands usesCouchDB reports as local) and returns an exit code.
+ */
+const handlers = {
+    async load({ positionals, options }, connection, overrides = {}) {
+        const result = await loadValidators({
+            dbName: options.db || positionals[0] || process.env.DB_NAME,
+            ruleSetName: options.ruleSet,
+            allRuleSets: options.allRuleSets,
+            includeDrafts: options.includeDrafts,
+            dryRun: options.dryRun,
+            overrideReview: options.overrideReview,
+            json: options.json,
+            connection: connection,
+            ...overrides
+        });
+        printJson(options, result);
+        return result.databases.some(report => report.errors.length > 0) ? EXIT_CODES.FAILURE : EXIT_CODES.OK;
+    },
+
+    async diff(commandLine, connection) {
+        return handlers.load(commandLine, connection, { dryRun: true });
+    },
+
+    async unload({ positionals, options }, connection) {
+        const result = await unloadValidators({
+            dbName: options.db || positionals[0] || process.env.DB_NAME,
+            rule: options.rule,
+            tag: options.tag,
+            orphaned: options.orphaned,
+            yes: options.yes,
+            json: options.json,
+            connection: connection
+        });
+        printJson(options, result);
+        return result.failed.length > 0 || result.audit_errors.length > 0 ? EXIT_CODES.FAILURE : EXIT_CODES.OK;
+    },
+
+    async list({ positionals, options }, connection) {
+        const dbName = options.db || positionals[0] || connection.database;
+        const designDocs = await fetchFromDatabase(connection, dbName, '_design_docs?include_docs=true');
+        const rules = sortRulesByPriority(designDocs.rows
+            .filter(row => row.doc.rule_metadata)
+            .map(row => ({ id: row.id.replace('_design/', ''), rev: row.doc._rev, metadata: row.doc.rule_metadata })));
+
+        if (options.json) {
+            printJson(options, { database: dbName, rules: rules });
+        } else if (rules.length === 0) {
+            console.log(`No rules deployed to '${dbName}'`);
+        } else {
+            console.log(`Rules deployed to '${dbName}' (evaluation order):`);
+            rules.forEach(rule => {
+                console.log(`  ${String(getRulePriority(rule.metadata)).padStart(4)}  ${rule.id.padEnd(24)} v${(rule.metadata.version || '?').padEnd(8)} ${(rule.metadata.status || 'active').padEnd(9)} ${rule.metadata.name || ''}`);
+            });
+        }
+        return EXIT_CODES.OK;
+    },
+
+    async show({ positionals, options }, connection) {
+        const ruleId = positionals[0].replace(/^_design\//, '');
+        const dbName = options.db || positionals[1] || connection.database;
+
+        let doc;
+        try {
+            doc = await fetchFromDatabase(connection, dbName, `_design/${encodeURIComponent(ruleId)}`);
+        } catch (error) {
+            if (error.status === 404) {
+                console.error(`❌ Rule '${ruleId}' is not deployed to '${dbName}'`);
+                return EXIT_CODES.FAILURE;
+            }
+            throw error;
+        }
+
+        if (options.json) {
+            printJson(options, doc);
+            return EXIT_CODES.OK;
+        }
+
+        const metadata = doc.rule_metadata || {};
+        console.log(`${metadata.name || ruleId} (${doc._id}, rev ${doc._rev})`);
+        ['description', 'version', 'status', 'priority', 'rule_type', 'field', 'author', 'modified_date', 'change_notes'].forEach(field => {
+            if (metadata[field] !== undefined && metadata[field] !== null) {
+                console.log(`  ${(field + ':').padEnd(15)} ${metadata[field]}`);
+            }
+        });
+        if (metadata.tags && metadata.tags.length > 0) {
+            console.log(`  ${'tags:'.padEnd(15)} ${metadata.tags.join(', ')}`);
+        }
+        if (doc.rule_parameters) {
+            console.log('\nParameters:');
+            Object.keys(doc.rule_parameters).forEach(name => {
+                const declared = (metadata.parameters || {})[name] || {};
+                const value = JSON.stringify(doc.rule_parameters[name]);
+                const isDefault = declared.default === undefined || JSON.stringify(declared.default) === value;
+                console.log(`  ${(name + ':').padEnd(15)} ${value}${isDefault ? '' : ` (default ${JSON.stringify(declared.default)})`}`);
+            });
+        }
+        if (doc.rule_definition) {
+            console.log(`\nDefinition:\n${JSON.stringify(doc.rule_definition, null, 2)}`);
+        }
+        if (doc.validate_doc_update) {
+            console.log(`\nvalidate_doc_update:\n${doc.validate_doc_update}`);
+        }
+        if (doc.updates) {
+            Object.keys(doc.updates).forEach(name => console.log(`\nupdates.${name}:\n${doc.updates[name]}`));
+        }
+        return EXIT_CODES.OK;
+    },
+
+    async history({ positionals, options }, connection) {
+        const ruleId = positionals[0].replace(/^_design\//, '');
+        const dbName = options.db || positionals[1] || connection.database;
+        const fetch = createAuthenticatedFetch((await import('node-fetch')).default, connection);
+        const entries = await fetchRuleHistory(fetch, `${connection.couchdb_url}${getHistoryDatabaseName(dbName)}`, ruleId);
+
+        if (options.json) {
+            printJson(options, { database: dbName, rule_id: ruleId, entries: entries });
+        } else if (entries.length === 0) {
+            console.log(`No history recorded for '${ruleId}' in '${dbName}'`);
+        } else {
+            console.log(`History of ${ruleId} in '${dbName}' (oldest first):`);
+            entries.forEach(entry => {
+                const action = entry.action === 'rollback' ? `rollback to #${entry.rolled_back_from}` : entry.action;
+                console.log(`  #${String(entry.sequence).padEnd(4)} v${(entry.version || '?').padEnd(8)} ${entry.published_at}  ${(entry.published_by || 'unknown').padEnd(12)} ${action.padEnd(16)} ${entry.change_notes || ''}`);
+            });
+        }
+        return EXIT_CODES.OK;
+    },
+
+    async rollback({ positionals, options }, connection) {
+        const ruleId = positionals[0].replace(/^_design\//, '');
+        const sequence = Number(positionals[1].replace(/^#/, ''));
+        const dbName = options.db || positionals[2] || connection.database;
+        if (!Number.isInteger(sequence) || sequence < 1) {
+            console.error(`❌ <entry> must be a history entry number as shown by history, got '${positionals[1]}'`);
+            return EXIT_CODES.USAGE;
+        }
+
+        const fetch = createAuthenticatedFetch((await import('node-fetch')).default, connection);
+        const historyUrl = `${connection.couchdb_url}${getHistoryDatabaseName(dbName)}`;
+        const entry = (await fetchRuleHistory(fetch, historyUrl, ruleId)).find(candidate => candidate.sequence === sequence);
+        if (!entry) {
+            console.error(`❌ '${ruleId}' has no history entry ${sequence} in '${dbName}'`);
+            return EXIT_CODES.FAILURE;
+        }
+
+        let currentDoc = null;
+        try {
+            currentDoc = await fetchFromDatabase(connection, dbName, `_design/${encodeURIComponent(ruleId)}`);
+        } catch (error) {
+            if (error.status !== 404) {
+                throw error;
+            }
+        }
+
+        const doc = planRollback(entry, currentDoc);
+        const response = await fetch(`${connection.couchdb_url}${dbName}/${doc._id}`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(doc)
+        });
+        if (!response.ok) {
+            console.error(`❌ Could not roll back ${ruleId}: HTTP ${response.status} - ${await response.text()}`);
+            return EXIT_CODES.FAILURE;
+        }
+
+        doc._rev = (await response.json()).rev;
+        const actor = await fetchSessionUser(fetch, connection);
+        let recorded;
+        try {
+            recorded = await recordRuleVersion(fetch, historyUrl, doc, {
+                action: 'rollback',
+                rolledBackFrom: sequence,
+                publishedBy: actor
+            });
+            await recordAuditEntry(fetch, await ensureAuditDatabase(fetch, connection.couchdb_url, dbName), createAuditEntry({
+                database: dbName,
+                action: currentDoc ? 'update' : 'create',
+                doc: doc,
+                oldRev: currentDoc ? currentDoc._rev : null,
+                newRev: doc._rev
+            }, { actor: actor, tool: 'couch-rules', detail: `Rolled back to history entry ${sequence}` }));
+        } catch (error) {
+            console.error(`❌ Rolled ${ruleId} back (new rev ${doc._rev}), but ${error.message}`);
+            return EXIT_CODES.FAILURE;
+        }
+
+        if (options.json) {
+            printJson(options, { database: dbName, rule_id: ruleId, rev: doc._rev, entry: recorded });
+        } else {
+            console.log(`✅ Rolled ${ruleId} back to version ${entry.version || '?'} (history entry ${sequence}); new rev ${doc._rev}, recorded as entry ${recorded.sequence}`);
+            console.log('   Revert validators/ too, or the next load deploys it again (for a reviewed rule, once it matches an approved proposal or with --override-review)');
+        }
+        return EXIT_CODES.OK;
+    },
+
+    async proposals({ positionals, options }, connection) {
+        const dbName = options.db || positionals[0] || connection.database;
+        const fetch = createAuthenticatedFetch((await import('node-fetch')).default, connection);
+        const proposals = await fetchProposals(fetch, `${connection.couchdb_url}${getProposalDatabaseName(dbName)}`, {
+            statuses: options.all ? undefined : ['pending', 'approved']
+        });
+
+        if (options.json) {
+            printJson(options, { database: dbName, proposals: proposals });
+        } else if (proposals.length === 0) {
+            console.log(`No proposals ${options.all ? '' : 'waiting '}in '${dbName}'`);
+        } else {
+            console.log(`Proposals in '${dbName}':`);
+            proposals.forEach(proposal => {
+                const versions = `v${proposal.base_version || '?'} → v${proposal.rule_metadata.version}`;
+                const reviewed = proposal.reviewed_by ? ` ${proposal.status} by ${proposal.reviewed_by}` : '';
+                console.log(`  ${proposal._id.padEnd(28)} ${proposal.status.padEnd(10)} ${versions.padEnd(20)} ${proposal.proposed_by}${reviewed}  ${proposal.rule_metadata.change_notes}`);
+            });
+        }
+        return EXIT_CODES.OK;
+    },
+
+    async approve(commandLine, connection) {
+        return reviewAndPublish(commandLine, connection, 'approve');
+    },
+
+    async reject(commandLine, connection) {
+        return reviewAndPublish(commandLine, connection, 'reject');
+    },
+
+    async audit({ positionals, options }, connection) {
+        const dbName = options.db || positionals[0] || connection.database;
+        const limit = options.limit === undefined ? null : Number(options.limit);
+        if (limit !== null && !(Number.isInteger(limit) && limit > 0)) {
+            console.error(`❌ --limit must be a positive whole number, got '${options.limit}'`);
+            return EXIT_CODES.USAGE;
+        }
+        if (options.action && !AUDIT_ACTIONS.includes(options.action)) {
+            console.error(`❌ --action must be one of ${AUDIT_ACTIONS.join(', ')}, got '${options.action}'`);
+            return EXIT_CODES.USAGE;
+        }
+
+        const fetch = createAuthenticatedFetch((await import('node-fetch')).default, connection);
+        const entries = await fetchAuditEntries(fetch, `${connection.couchdb_url}${getAuditDatabaseName(dbName)}`, {
+            ruleId: options.rule && options.rule.replace(/^_design\//, ''),
+            actor: options.actor,
+            action: options.action,
+            tool: options.tool,
+            since: options.since,
+            until: options.until,
+            limit: limit
+        });
+
+        if (options.json) {
+            printJson(options, { database: dbName, entries: entries });
+        } else if (entries.length === 0) {
+            console.log(`No matching changes in the audit log of '${dbName}'`);
+        } else {
+            console.log(`Audit log of '${dbName}' (newest first):`);
+            entries.forEach(entry => {
+                console.log(`  ${entry.timestamp}  ${(entry.actor || 'unknown').padEnd(12)} ${entry.action.padEnd(7)} ${entry.rule_id.padEnd(24)} ${(entry.old_rev || '-').padEnd(8)} → ${entry.new_rev}  ${entry.tool}${entry.detail ? `  ${entry.detail}` : ''}`);
+            });
+        }
+        return EXIT_CODES.OK;
+    },
+
+    async batch({ positionals, options }, connection) {
+        if (options.format && !BATCH_FORMATS.includes(options.format)) {
+            console.error(`❌ --format must be one of ${BATCH_FORMATS.join(', ')}, got '${options.format}'`);
+            return EXIT_CODES.USAGE;
+        }
+        if (options.outcome && !BATCH_OUTCOMES.includes(options.outcome)) {
+            console.error(`❌ --outcome must be one of ${BATCH_OUTCOMES.join(', ')}, got '${options.outcome}'`);
+            return EXIT_CODES.USAGE;
+        }
+        if (options.date !== undefined && isNaN(Date.parse(options.date))) {
+            console.error(`❌ --date must be a date such as 2025-10-01, got '${options.date}'`);
+            return EXIT_CODES.USAGE;
+        }
+        if (options.deployed && (options.ruleSet || options.includeInactive || options.parameters || options.date)) {
+            console.error('❌ --rule-set, --include-inactive, --parameters and --date apply to the local validators, not --deployed');
+            return EXIT_CODES.USAGE;
+        }
+
+        const documents = parseBatchDocuments(await fs.readFile(positionals[0], 'utf8'), options.format, positionals[0]);
+        const userCtx = getSimulatedUser(options);
+        let matrix;
+        let description;
+        if (options.deployed) {
+            const dbName = options.db || positionals[1] || connection.database;
+            const fetch = createAuthenticatedFetch((await import('node-fetch')).default, connection);
+            matrix = await evaluateDeployedBatch(fetch, connection.couchdb_url, dbName, { documents: documents, userCtx: userCtx });
+            description = `${path.basename(positionals[0])} against the rules deployed to '${dbName}'`;
+        } else {
+            matrix = evaluateBatch(documents, {
+                ruleSet: options.ruleSet,
+                includeInactive: options.includeInactive,
+                parameters: options.parameters ? JSON.parse(await fs.readFile(options.parameters, 'utf8')) : undefined,
+                date: options.date,
+                userCtx: userCtx
+            });
+            description = `${path.basename(positionals[0])}${matrix.rule_set ? ` (rule set ${matrix.rule_set})` : ''}`;
+        }
+        if (userCtx) {
+            description += ` as ${userCtx.name || 'anonymous'}`;
+        }
+
+        if (options.rule && !matrix.rules.some(rule => rule.rule_id === options.rule)) {
+            console.error(`❌ --rule '${options.rule}' was not evaluated; the rules are ${matrix.rules.map(rule => rule.rule_id).join(', ')}`);
+            return EXIT_CODES.USAGE;
+        }
+        const rows = filterBatchRows(matrix.rows, {
+            result: options.invalid ? 'invalid' : null,
+            ruleId: options.rule,
+            outcome: options.outcome
+        });
+
+        if (options.output) {
+            await fs.writeFile(options.output, options.output.toLowerCase().endsWith('.csv')
+                ? formatBatchCsv(matrix, rows)
+                : JSON.stringify({ ...matrix, rows: rows }, null, 2) + '\n');
+        }
+        if (options.json) {
+            printJson(options, { ...matrix, rows: rows });
+        } else {
+            printBatchMatrix(matrix, rows, description);
+            if (options.output) {
+                console.log(`\n📄 Exported to ${options.output}`);
+            }
+        }
+        return matrix.summary.invalid > 0 ? EXIT_CODES.FAILURE : EXIT_CODES.OK;
+    },
+
+    async serve({ positionals, options }, connection) {
+        const port = options.port === undefined ? undefined : Number(options.port);
+        if (port !== undefined && !(Number.isInteger(port) && port >= 0 && port <= 65535)) {
+            console.error(`❌ --port must be a port number, got '${options.port}'`);
+            return EXIT_CODES.USAGE;
+        }
+
+        const server = await startSandboxServer({
+            database: options.db || positionals[0],
+            host: options.host,
+            port: port,
+            allowOrigin: options.allowOrigin,
+            connection: connection
+        });
+        console.log('   Press Ctrl+C to stop');
+        process.once('SIGINT', () => {
+            server.close();
+            server.closeAllConnections();
+        });
+        await new Promise(resolve => server.once('close', resolve));
+        return EXIT_CODES.OK;
+    },
+
+    async test({ positionals, options }) {
+        if (options.date !== undefined && isNaN(Date.parse(options.date))) {
+            console.error(`❌ --date must be a date such as 2025-10-01, got '${options.date}'`);
+            return EXIT_CODES.USAGE;
+        }
+
+        const document = JSON.parse(await fs.readFile(positionals[0], 'utf8'));
+        const oldDoc = options.oldDoc ? JSON.parse(await fs.readFile(options.oldDoc, 'utf8')) : null;
+        const parameters = options.parameters ? JSON.parse(await fs.readFile(options.parameters, 'utf8')) : undefined;
+        // Rules with required roles are checked against a server admin unless another user is simulated
+        const userCtx = getSimulatedUser(options);
+        const simulated = userCtx !== undefined;
+        const report = evaluateDocument(document, {
+            ruleSet: options.ruleSet,
+            includeInactive: options.includeInactive,
+            oldDoc: oldDoc,
+            parameters: parameters,
+            date: options.date,
+            userCtx: userCtx
+        });
+
+        if (options.json) {
+            printJson(options, report);
+        } else {
+            console.log(`${report.valid ? '✅ Valid' : '❌ Invalid'}: ${path.basename(positionals[0])}${report.rule_set ? ` (rule set ${report.rule_set})` : ''}${oldDoc ? ` as an update of ${path.basename(options.oldDoc)}` : ''}${simulated ? ` as ${report.user || 'anonymous'}` : ''}`);
+            report.violations.forEach(violation => {
+                console.log(`   - ${violation.rule_id}${violation.field ? ` [${violation.field}]` : ''}: ${violation.message}`);
+            });
+            report.determinations.forEach(determination => {
+                console.log(`   🏷️  ${determination.rule_id}: ${determination.tier} (${determination.points}/${determination.max_points} points)`);
+            });
+            if (report.skipped.length > 0) {
+                console.log(`   ⏭️  Skipped: ${report.skipped.map(rule => `${rule.rule_id} (${rule.reason})`).join(', ')}`);
+            }
+        }
+        return report.valid ? EXIT_CODES.OK : EXIT_CODES.FAILURE;
+    },
+
+    async export({ positionals, options }, connection) {
+        const result = await backupValidators({
+            dbName: options.db || positionals[0] || process.env.DB_NAME,
+            output: options.output,
+            json: options.json,
+            connection: connection
+        });
+        printJson(options, result);
+        return EXIT_CODES.OK;
+    },
+
+    async import({ positionals, options }, connection) {
+        const result = await restoreValidators({
+            archive: positionals[0],
+            dbName: options.db || positionals[1] || process.env.DB_NAME,
+            onConflict: options.onConflict,
+            json: options.json,
+            connection: connection
+        });
+        printJson(options, result);
+        return result.failed.length > 0 || result.audit_errors.length > 0 ? EXIT_CODES.FAILURE : EXIT_CODES.OK;
+    },
+
+    async create() {
+        const RuleGenerator = require('../generators/rule-generator');
+        await new RuleGenerator().run();
+        console.log('\n✅ Rule created successfully!');
+        console.log('\nNext steps:');
+        console.log('1. Review the generated files');
+        console.log('2. Run: npm test');
+        console.log('3. Load to CouchDB: couch-rules load <db>');
+        return EXIT_CODES.OK;
+    }
+};
+
+/**
+ * Runs the tool
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Promise<number>} Exit code
+ */
+async function main(argv) {
+    let commandLine;
+    try {
+        commandLine = parseCommandLine(argv);
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        return EXIT_CODES.USAGE;
+    }
+
+    if (commandLine.options.help) {
+        console.log(formatHelp(commandLine.command));
+        return EXIT_CODES.OK;
+    }
+
+    // Local commands run without connection settings, so a missing or invalid profile does not stop them
+    let connection = null;
+    if (usesCouchDB(commandLine)) {
+        try {
+            connection = createOptions({
+                profile: commandLine.options.profile,
+                url: commandLine.options.url,
+                username: commandLine.options.user,
+                password: commandLine.options.password,
+                passwordFile: commandLine.options.passwordFile,
+                auth: commandLine.options.auth,
+                tokenFile: commandLine.options.tokenFile
+            });
+        } catch (error) {
+            console.error(`❌ ${error.message}`);
+            return EXIT_CODES.USAGE;
+        }
+    }
+
+    try {
+        return await handlers[commandLine.command](commandLine, connection);
+    } catch (error) {
+        console.error(`❌ ${commandLine.command} failed: ${error.message}`);
+        return EXIT_CODES.FAILURE;
+    }
+}
+
+module.exports = {
+    main
+};
+
+if (require.main === module) {
+    main(process.argv.slice(2)).then(code => {
+        process.exitCode = code;
+    });
+}
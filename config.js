@@ -1,5 +1,69 @@
-exports.options = {
-    couchdb_url: process.env.COUCHDB_URL ? `${process.env.COUCHDB_URL}/` : `http://localhost:5984/`,
-    username: process.env.COUCHDB_USER || process.argv[3] || 'admin',
-    password: process.env.COUCHDB_PASSWORD || process.argv[4] || 'password'
-}
\ No newline at end of file
+const path = require('path');
+const {
+    DEFAULT_CONFIG_FILE,
+    loadEnvFile,
+    readConfigFile,
+    selectProfile,
+    resolveConnectionSettings,
+    validateConnectionSettings
+} = require('./utils/config-loader');
+
+let envFileLoaded = false;
+
+/**
+ * Builds CouchDB connection options. Explicit overrides win, then environment variables (a .env file in the
+ * working directory fills in any that are unset), then positional arguments, then the selected profile in
+ * couch-rules.config.json, then defaults.
+ * @param {Object} [overrides] - url, username, password, passwordFile, database, profile, auth and tokenFile
+ * @param {Object} [positional] - username and password given as positional arguments
+ * @returns {Object} Connection options with couchdb_url (ending in /), username, password, database, profile,
+ *   auth (basic, session, jwt or proxy), the token, roles and proxy_secret those methods use, and the
+ *   rule parameter values (by rule name) configured for the profile
+ * @throws {Error} If the config file or profile is invalid, or the resulting settings fail validation
+ */
+function createOptions(overrides = {}, positional = {}) {
+    if (!envFileLoaded) {
+        loadEnvFile(path.join(process.cwd(), '.env'));
+        envFileLoaded = true;
+    }
+
+    const configFile = process.env.COUCH_RULES_CONFIG || path.join(process.cwd(), DEFAULT_CONFIG_FILE);
+    const profile = selectProfile(readConfigFile(configFile), overrides.profile || process.env.COUCH_RULES_PROFILE);
+    const settings = resolveConnectionSettings({ overrides: overrides, env: process.env, positional: positional, profile: profile });
+
+    const validation = validateConnectionSettings(settings);
+    if (!validation.isValid) {
+        throw new Error(`Invalid configuration${settings.profile ? ` (profile ${settings.profile})` : ''}: ${validation.errors.join('; ')}`);
+    }
+
+    return {
+        couchdb_url: `${settings.url}/`,
+        username: settings.username,
+        password: settings.password,
+        database: settings.database,
+        profile: settings.profile,
+        auth: settings.auth,
+        token: settings.token,
+        roles: settings.roles,
+        proxy_secret: settings.proxy_secret,
+        parameters: settings.parameters
+    };
+}
+
+let options = null;
+
+exports.createOptions = createOptions;
+
+// Resolved on first use so that requiring a script never fails on configuration it does not need.
+// Positional arguments (database, username, password) are still honoured below the environment, as they always
+// have been; --flags are handled by each script
+Object.defineProperty(exports, 'options', {
+    enumerable: true,
+    get() {
+        if (!options) {
+            const args = process.argv.slice(2).filter(arg => !arg.startsWith('--'));
+            options = createOptions({}, { username: args[1], password: args[2] });
+        }
+        return options;
+    }
+});
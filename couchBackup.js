@@ -0,0 +1,97 @@
+const fs = require('fs').promises;
+const path = require('path');
+const config = require('./config');
+const { createAuthenticatedFetch } = require('./utils/couch-auth');
+const { RULE_SET_DOC_ID } = require('./utils/rule-sets');
+const { createBackupArchive } = require('./utils/rule-backup');
+
+// With --json the result is written to stdout, so progress messages go to stderr
+let log = console.log;
+
+/**
+ * Reads the --output=FILE flag
+ */
+function parseBackupArguments(argv) {
+    const outputFlag = argv.find(arg => arg.startsWith('--output='));
+
+    return {
+        output: outputFlag ? outputFlag.slice('--output='.length) : null
+    };
+}
+
+/**
+ * Exports the rules in a database to a backup archive file
+ * @param {Object} [options] - Backup options
+ * @param {string} [options.dbName] - Database to back up; defaults to the configured database
+ * @param {string} [options.output] - Archive path; defaults to backups/<database>-<timestamp>.json
+ * @param {boolean} [options.json=false] - Send progress messages to stderr
+ * @param {Object} [options.connection] - CouchDB connection options; defaults to config.js (profile, environment and .env)
+ * @returns {Object} Result with the archive path and the number of rules archived
+ */
+async function backupValidators(options = {}) {
+    const connection = options.connection || config.options;
+    // Dynamic import for node-fetch (ES module), wrapped to send the configured credentials
+    const fetch = createAuthenticatedFetch((await import('node-fetch')).default, connection);
+    log = options.json ? console.error : console.log;
+
+    // Create URL to CouchDB instance and DB
+    let dbName = options.dbName || connection.database;
+    let url = `${connection.couchdb_url}${dbName}`;
+    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+    const output = options.output || path.join(__dirname, 'backups', `${dbName}-${timestamp}.json`);
+
+    log(`💾 Backing up rules from: ${url}`);
+
+    const designDocsResponse = await fetch(`${url}/_design_docs?include_docs=true`);
+
+    if (!designDocsResponse.ok) {
+        throw new Error(`Unable to fetch design documents from '${dbName}'. Response code: ${designDocsResponse.status}`);
+    }
+
+    const designDocs = (await designDocsResponse.json()).rows.map(row => row.doc);
+
+    // Rule set databases describe themselves in a local document; keep it with the rules
+    let ruleSet = null;
+    const ruleSetResponse = await fetch(`${url}/${RULE_SET_DOC_ID}`);
+    if (ruleSetResponse.ok) {
+        ruleSet = await ruleSetResponse.json();
+    }
+
+    const archive = createBackupArchive(dbName, designDocs, ruleSet);
+
+    await fs.mkdir(path.dirname(output), { recursive: true });
+    await fs.writeFile(output, JSON.stringify(archive, null, 2) + '\n');
+
+    archive.rules.forEach(rule => log(`   ✅ ${rule._id} (v${rule.rule_metadata.version || '?'}, rev ${rule._rev})`));
+    log(`\n📊 Backup completed:`);
+    log(`   📦 Rules archived: ${archive.rules.length}`);
+    if (archive.rule_set) {
+        log(`   📋 Rule set: ${archive.rule_set.name}`);
+    }
+    log(`   📄 Archive: ${output}`);
+
+    return {
+        database: dbName,
+        archive: output,
+        rules: archive.rules.map(rule => rule._id.replace('_design/', '')),
+        rule_set: archive.rule_set ? archive.rule_set.name : null
+    };
+}
+
+module.exports = {
+    backupValidators
+};
+
+// Execute the backup when run directly
+if (require.main === module) {
+    const argv = process.argv.slice(2);
+
+    console.log('💾 Starting rule backup...');
+    backupValidators({
+        ...parseBackupArguments(argv),
+        dbName: process.env.DB_NAME || argv.filter(arg => !arg.startsWith('--'))[0]
+    }).catch(error => {
+        console.error('❌ Fatal error during rule backup:', error.message);
+        process.exit(1);
+    });
+}
@@ -1,43 +1,308 @@
 const fs = require('fs').promises;
 const path = require('path');
-const config = require('./config').options;
+const config = require('./config');
+const { createAuthenticatedFetch } = require('./utils/couch-auth');
+const { getRulePriority, sortRulesByPriority } = require('./utils/rule-metadata');
+const { isStagingDatabase, getDeploymentAction, buildDesignDocument, diffDesignDocument, findOrphanedRules } = require('./utils/rule-deployment');
+const { RULE_SET_DOC_ID, listRuleSets, getRuleSet, createRuleSetDocument } = require('./utils/rule-sets');
+const { getScheduleState } = require('./utils/rule-schedule');
+const { ensureHistoryDatabase, recordRuleVersion } = require('./utils/rule-history');
+const { checkRuleVersion } = require('./utils/rule-versioning');
+const { getProposalDatabaseName, ensureProposalDatabase, fetchProposals, saveProposal, checkLoaderChange } = require('./utils/rule-review');
+const { ensureAuditDatabase, fetchSessionUser, createAuditEntry, recordAuditEntry } = require('./utils/rule-audit');
 
-// Dynamic import for node-fetch (ES module)
-async function loadValidators() {
-    const fetch = (await import('node-fetch')).default;
+// With --json the report is written to stdout, so progress messages go to stderr
+let log = console.log;
+
+/**
+ * Reads a validator's metadata without failing the whole load if the module is broken
+ */
+function readValidatorMetadata(filePath) {
+    try {
+        return require(filePath).metadata || {};
+    } catch (error) {
+        return {};
+    }
+}
+
+/**
+ * Reads the --rule-set=NAME and --all-rule-sets flags from the command line
+ */
+function parseRuleSetArguments(argv) {
+    const ruleSetFlag = argv.find(arg => arg.startsWith('--rule-set='));
+
+    return {
+        ruleSetName: ruleSetFlag ? ruleSetFlag.split('=')[1] : process.env.RULE_SET || null,
+        allRuleSets: argv.includes('--all-rule-sets')
+    };
+}
+
+/**
+ * Reads the deployment flags from the command line:
+ * --include-drafts deploys draft rules to staging databases,
+ * --dry-run reports what would change without writing anything,
+ * --override-review changes rules that went through review without an approved proposal,
+ * --json prints the report as JSON (for CI)
+ */
+function parseDeploymentArguments(argv) {
+    return {
+        includeDrafts: argv.includes('--include-drafts'),
+        dryRun: argv.includes('--dry-run'),
+        overrideReview: argv.includes('--override-review'),
+        json: argv.includes('--json')
+    };
+}
+
+/**
+ * Records which rule set a database holds so the web interface can find it
+ */
+async function writeRuleSetDocument(fetch, url, ruleSet) {
+    const docUrl = `${url}/${RULE_SET_DOC_ID}`;
+    const doc = createRuleSetDocument(ruleSet);
+
+    const existingResponse = await fetch(docUrl, {
+        method: 'GET'
+    });
+    if (existingResponse.ok) {
+        doc._rev = (await existingResponse.json())._rev;
+    }
+
+    const response = await fetch(docUrl, {
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(doc)
+    });
+
+    if (!response.ok) {
+        throw new Error(`Could not record rule set ${ruleSet.name}: HTTP ${response.status}`);
+    }
+    log(`   ✓ Recorded rule set ${ruleSet.name} in ${RULE_SET_DOC_ID}`);
+}
+
+/**
+ * Fetches the design documents already deployed to a database, keyed by document ID
+ */
+async function fetchDeployedDesignDocuments(fetch, url) {
+    const response = await fetch(`${url}/_design_docs?include_docs=true`, {
+        method: 'GET'
+    });
+
+    if (!response.ok) {
+        throw new Error(`Could not list design documents: HTTP ${response.status}`);
+    }
+
+    const deployed = {};
+    (await response.json()).rows.forEach(row => {
+        deployed[row.id] = row.doc;
+    });
+    return deployed;
+}
+
+/**
+ * Records a deployed rule in the version history. The rule is already deployed, so a failure
+ * is reported as an error of the load rather than undoing the deployment.
+ */
+async function recordHistory(fetch, historyUrl, doc, deploymentOptions, report) {
+    if (!historyUrl) {
+        return;
+    }
+
+    const ruleId = doc._id.replace('_design/', '');
+    try {
+        const entry = await recordRuleVersion(fetch, historyUrl, doc, { publishedBy: deploymentOptions.connection.username });
+        if (entry) {
+            log(`   📚 Recorded version ${entry.version || '?'} as history entry ${entry.sequence}`);
+        }
+    } catch (error) {
+        log(`   ❌ ${ruleId} was deployed but ${error.message}`);
+        report.errors.push({ rule_id: ruleId, message: `Deployed, but ${error.message}` });
+    }
+}
+
+/**
+ * Records a created or updated rule in the audit log. Like the history, a failure is reported
+ * as an error of the load rather than undoing the deployment.
+ */
+async function recordAudit(fetch, audit, change, report) {
+    if (!audit) {
+        return;
+    }
+
+    const ruleId = change.doc._id.replace('_design/', '');
+    try {
+        await recordAuditEntry(fetch, audit.url, createAuditEntry(change, { actor: audit.actor, tool: 'couchLoader', detail: change.detail }));
+    } catch (error) {
+        log(`   ❌ ${ruleId} was deployed but ${error.message}`);
+        report.errors.push({ rule_id: ruleId, message: `Deployed, but ${error.message}` });
+    }
+}
+
+/**
+ * Marks an approved proposal published once the loader deployed the version it approved. Like the
+ * history, a failure is reported as an error of the load rather than undoing the deployment.
+ */
+async function markProposalPublished(fetch, proposalsUrl, proposal, doc, report) {
+    try {
+        await saveProposal(fetch, proposalsUrl, {
+            ...proposal,
+            status: 'published',
+            published_rev: doc._rev,
+            published_at: new Date().toISOString()
+        });
+        log(`   📨 Marked ${proposal._id} published`);
+    } catch (error) {
+        log(`   ❌ ${proposal.rule_id} was deployed but ${error.message}`);
+        report.errors.push({ rule_id: proposal.rule_id, message: `Deployed, but ${error.message}` });
+    }
+}
+
+/**
+ * Describes a rule's effective period for the load log
+ */
+function describeSchedule(metadata, state) {
+    if (state === 'upcoming') {
+        return `upcoming - takes effect ${metadata.effective_from}`;
+    }
+    if (state === 'expired') {
+        return `expired - ended ${metadata.effective_until}`;
+    }
+    return `current - in effect${metadata.effective_from ? ` from ${metadata.effective_from}` : ''}${metadata.effective_until ? ` until ${metadata.effective_until}` : ''}`;
+}
+
+/**
+ * Describes a created or changed rule for its audit log entry, naming the approved proposal it
+ * publishes or the review it overrides
+ */
+function describeChange(diff, review) {
+    if (diff.status !== 'changed') {
+        return null;
+    }
+    if (review.proposal) {
+        return `Changed ${diff.changes.join(', ')}; published ${review.proposal._id} from validators/, approved by ${review.proposal.reviewed_by}`;
+    }
+    if (review.override) {
+        return `Changed ${diff.changes.join(', ')} with --override-review: ${review.reason}`;
+    }
+    return `Changed ${diff.changes.join(', ')}`;
+}
+
+/**
+ * Loads validators into a single database. When a rule set is given, only its rules are loaded.
+ * With dryRun set nothing is written; the report describes what a load would do.
+ * Returns a report of created, changed, unchanged, orphaned and skipped rules, of the
+ * deployed rules whose effective period is upcoming or has expired, and of the rules changed
+ * with --override-review.
+ * A rule that went through review is only changed to a version an approved proposal publishes,
+ * unless deploymentOptions.overrideReview is set; each override is recorded in the audit log.
+ * Each version written is recorded in the database's rule history (see utils/rule-history.js) and
+ * audit log (see utils/rule-audit.js), and the proposals database for the review workflow is set
+ * up (see utils/rule-review.js).
+ */
+async function loadIntoDatabase(fetch, dbName, ruleSet, deploymentOptions = {}) {
+    const connection = deploymentOptions.connection;
 
     // Create URL to CouchDB instance and DB
-    let dbName = process.env.DB_NAME || process.argv[2] || 'rules_db';
-    let url = `${config.couchdb_url}${dbName}`;
+    let url = `${connection.couchdb_url}${dbName}`;
 
-    console.log(`🚀 Loading validators to: ${url}`);
+    const report = {
+        database: dbName,
+        rule_set: ruleSet ? ruleSet.name : null,
+        created: [],
+        changed: [],
+        unchanged: [],
+        orphaned: [],
+        skipped: [],
+        upcoming: [],
+        expired: [],
+        overridden: [],
+        errors: []
+    };
 
-    // Create Basic Auth header
-    const auth = Buffer.from(`${config.username}:${config.password}`).toString('base64');
+    log(`🚀 Loading ${ruleSet ? `rule set ${ruleSet.name}` : 'validators'} to: ${url}`);
+    if (deploymentOptions.dryRun) {
+        log(`📝 Dry run - comparing with deployed rules, nothing will be written`);
+    }
+
+    // Drafts must never reach a database that handles real applications
+    if (deploymentOptions.includeDrafts && !isStagingDatabase(dbName)) {
+        log(`❌ --include-drafts can only be used with a staging database (name containing 'staging'), not '${dbName}'`);
+        report.errors.push({ rule_id: null, message: 'Drafts can only be deployed to a staging database' });
+        return report;
+    }
 
     try {
         // First verify database exists
         const dbResponse = await fetch(url, {
-            method: 'HEAD',
-            headers: { 'Authorization': `Basic ${auth}` }
+            method: 'HEAD'
         });
 
         if (!dbResponse.ok) {
-            console.log(`❌ Database '${dbName}' does not exist or is not accessible`);
-            console.log(`   Create it first or check your connection settings`);
-            process.exit(1);
+            log(`❌ Database '${dbName}' does not exist or is not accessible`);
+            log(`   Create it first or check your connection settings`);
+            report.errors.push({ rule_id: null, message: `Database '${dbName}' does not exist or is not accessible` });
+            return report;
         }
 
         // Scan validators directory for .js files
         const validatorsDir = path.join(__dirname, 'validators');
         const files = await fs.readdir(validatorsDir);
-        const validatorFiles = files.filter(file => file.endsWith('.js'));
+        // Deploy in priority order (lowest number first, ties broken by rule name) so runs are reproducible
+        const validatorFiles = sortRulesByPriority(files.filter(file => file.endsWith('.js')).map(file => ({
+            id: path.basename(file, '.js'),
+            file: file,
+            metadata: readValidatorMetadata(path.join(validatorsDir, file))
+        }))).filter(rule => !ruleSet || ruleSet.rules.includes(rule.id)).map(rule => rule.file);
+
+        log(`📋 Found ${validatorFiles.length} validator files: ${validatorFiles.join(', ')}`);
+        Object.keys(deploymentOptions.parameters || {})
+            .filter(ruleId => !validatorFiles.includes(`${ruleId}.js`))
+            .forEach(ruleId => log(`⚠️  Warning: parameters are configured for ${ruleId}, which is not being loaded`));
+
+        const deployed = await fetchDeployedDesignDocuments(fetch, url);
+        report.orphaned = findOrphanedRules(Object.values(deployed), validatorFiles.map(file => path.basename(file, '.js')));
+
+        // Every version written is kept in <database>_rule_history so it can be rolled back to
+        let historyUrl = null;
+        let audit = null;
+        if (!deploymentOptions.dryRun) {
+            try {
+                historyUrl = await ensureHistoryDatabase(fetch, connection.couchdb_url, dbName);
+            } catch (error) {
+                log(`❌ ${error.message} - rules will be loaded without recording their history`);
+                report.errors.push({ rule_id: null, message: error.message });
+            }
+
+            // Who created, changed or deleted each rule, and with which tool, is kept in <database>_rule_audit
+            try {
+                audit = {
+                    url: await ensureAuditDatabase(fetch, connection.couchdb_url, dbName),
+                    actor: await fetchSessionUser(fetch, connection)
+                };
+            } catch (error) {
+                log(`❌ ${error.message} - rules will be loaded without recording them in the audit log`);
+                report.errors.push({ rule_id: null, message: error.message });
+            }
 
-        console.log(`📋 Found ${validatorFiles.length} validator files: ${validatorFiles.join(', ')}`);
+            // Changes made in the web interface wait in <database>_rule_proposals until a second user approves them
+            try {
+                await ensureProposalDatabase(fetch, connection.couchdb_url, dbName);
+            } catch (error) {
+                log(`❌ ${error.message} - rule changes cannot be proposed in the web interface`);
+                report.errors.push({ rule_id: null, message: error.message });
+            }
+        }
 
-        let successCount = 0;
-        let updateCount = 0;
-        let errorCount = 0;
+        // Rules that went through review are only changed to a version a reviewer approved
+        const proposalsUrl = `${connection.couchdb_url}${getProposalDatabaseName(dbName)}`;
+        let proposals = null;
+        try {
+            proposals = await fetchProposals(fetch, proposalsUrl);
+        } catch (error) {
+            log(`❌ ${error.message} - deployed rules are only changed with --override-review`);
+            report.errors.push({ rule_id: null, message: error.message });
+        }
 
         // Load each validator file dynamically
         for (const file of validatorFiles) {
@@ -51,122 +316,280 @@ async function loadValidators() {
 
                 // Check if the module exports a function with the expected name
                 if (typeof validatorModule[validatorName] !== 'function') {
-                    console.log(`⚠️  Warning: ${file} does not export a function named '${validatorName}' - skipping`);
+                    log(`⚠️  Warning: ${file} does not export a function named '${validatorName}' - skipping`);
+                    report.skipped.push({ rule_id: validatorName, reason: `does not export a function named '${validatorName}'` });
                     continue;
                 }
 
-                console.log(`\n� Processing validator: ${validatorName}`);
+                log(`\n🔍 Processing validator: ${validatorName} (priority ${getRulePriority(validatorModule.metadata)})`);
 
-                // Check if design document already exists
-                const docId = `_design/${validatorName}`;
-                const docUrl = `${url}/${docId}`;
-                
-                let existingDoc = null;
-                const checkResponse = await fetch(docUrl, {
-                    method: 'GET',
-                    headers: { 'Authorization': `Basic ${auth}` }
-                });
+                const deployment = getDeploymentAction(validatorModule.metadata, { ...deploymentOptions, dbName });
+                if (deployment.action === 'skip') {
+                    log(`   ⏭️  Skipping ${validatorName}: ${deployment.reason} (any deployed version is left unchanged)`);
+                    report.skipped.push({ rule_id: validatorName, reason: deployment.reason });
+                    continue;
+                }
 
-                if (checkResponse.ok) {
-                    existingDoc = await checkResponse.json();
-                    console.log(`   📄 Found existing document (rev: ${existingDoc._rev})`);
-                } else if (checkResponse.status === 404) {
-                    console.log(`   ✨ Creating new design document`);
-                } else {
-                    console.log(`   ⚠️  Could not check existing document: HTTP ${checkResponse.status}`);
+                // Create design document with metadata, rule logic and the parameter values for this environment
+                const parameters = (deploymentOptions.parameters || {})[validatorName];
+                const doc = buildDesignDocument(validatorName, validatorModule, deployment, parameters);
+                if (parameters) {
+                    log(`   🎛️  Parameters: ${Object.keys(doc.rule_parameters || {}).map(name => `${name}=${JSON.stringify(doc.rule_parameters[name])}`).join(', ')}`);
+                }
+                if (deployment.action === 'disable') {
+                    log(`   💤 Deploying ${validatorName} as a no-op: ${deployment.reason}`);
+                } else if (doc.updates) {
+                    log(`   ✓ Compiled scoring rule into _update/determine handler for ${validatorName}`);
+                } else if (doc.rule_definition) {
+                    log(`   ✓ Compiled declarative definition for ${validatorName} validator`);
+                }
+                if (!validatorModule.metadata) {
+                    log(`   ⚠️  Generated basic metadata for ${validatorName}`);
                 }
 
-                // Create design document with metadata and validation function
-                let doc = {};
-                doc._id = docId;
-                
-                // Include revision if updating existing document
-                if (existingDoc && existingDoc._rev) {
-                    doc._rev = existingDoc._rev;
+                // Rules outside their effective period are still deployed: they apply to applications dated within it
+                const metadata = validatorModule.metadata || {};
+                if (deployment.action !== 'disable' && (metadata.effective_from || metadata.effective_until)) {
+                    const state = getScheduleState(metadata);
+                    log(`   📅 Effective period: ${describeSchedule(metadata, state)}`);
+                    if (state !== 'current') {
+                        report[state].push(validatorName);
+                    }
                 }
-                
-                doc.validate_doc_update = validatorModule[validatorName].toString();
-                
-                // Include metadata if available
-                if (validatorModule.metadata) {
-                    doc.rule_metadata = validatorModule.metadata;
-                    console.log(`   ✓ Including metadata for ${validatorName} validator`);
+
+                const existingDoc = deployed[doc._id] || null;
+                const diff = diffDesignDocument(doc, existingDoc);
+
+                if (existingDoc) {
+                    log(`   📄 Found existing document (rev: ${existingDoc._rev})`);
                 } else {
-                    // Create basic metadata if none provided
-                    doc.rule_metadata = {
-                        name: validatorName.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase()),
-                        description: `Auto-generated from ${file}`,
-                        version: "1.0.0",
-                        author: "system",
-                        tags: ["auto-generated"],
-                        status: "active",
-                        created_date: new Date().toISOString(),
-                        modified_date: new Date().toISOString()
-                    };
-                    console.log(`   ⚠️  Generated basic metadata for ${validatorName}`);
-                }
-
-                // Always update the modified_date for existing documents
+                    log(`   ✨ Creating new design document`);
+                }
+                if (diff.status === 'changed') {
+                    log(`   📝 Changed: ${diff.changes.join(', ')}`);
+                }
+
+                // A change to the rule's logic must come with a higher version and new change notes
+                const versionCheck = diff.status === 'changed'
+                    ? checkRuleVersion(validatorName, validatorModule, deployment, existingDoc)
+                    : { required: false, errors: [], warnings: [] };
+                if (versionCheck.required) {
+                    log(`   🔢 Version ${existingDoc.rule_metadata.version} → ${metadata.version} (${versionCheck.bump}; suggested ${versionCheck.suggested}: ${versionCheck.changes.map(change => change.description).join('; ')})`);
+                }
+                versionCheck.warnings.forEach(warning => log(`   ⚠️  ${warning}`));
+                if (versionCheck.errors.length > 0) {
+                    versionCheck.errors.forEach(error => log(`   ❌ ${error}`));
+                    log(`   ⏭️  Not deploying ${validatorName} - the deployed version is left unchanged`);
+                    report.errors.push({ rule_id: validatorName, message: versionCheck.errors.join('; '), suggested_bump: versionCheck.suggested, suggested_version: versionCheck.next_version });
+                    continue;
+                }
+
+                const review = diff.status === 'changed'
+                    ? checkLoaderChange(doc, proposals && proposals.filter(proposal => proposal.rule_id === validatorName), deploymentOptions.overrideReview)
+                    : { allowed: true, proposal: null, override: false, reason: null };
+                if (review.override && !deploymentOptions.dryRun && !audit) {
+                    review.allowed = false;
+                    review.reason = `${review.reason}, and the override cannot be recorded in the audit log`;
+                }
+                if (!review.allowed) {
+                    log(`   ❌ ${review.reason} - publish an approved proposal, or load with --override-review`);
+                    log(`   ⏭️  Not deploying ${validatorName} - the deployed version is left unchanged`);
+                    report.errors.push({ rule_id: validatorName, message: review.reason });
+                    continue;
+                }
+                if (review.proposal) {
+                    log(`   🧾 Matches ${review.proposal._id}, approved by ${review.proposal.reviewed_by}`);
+                }
+                if (review.override) {
+                    log(`   ⚠️  ${review.reason} - ${deploymentOptions.dryRun ? 'would deploy' : 'deploying'} anyway because of --override-review`);
+                    report.overridden.push(validatorName);
+                }
+
+                if (deploymentOptions.dryRun) {
+                    if (diff.status === 'changed') {
+                        report.changed.push({ rule_id: validatorName, changes: diff.changes });
+                    } else {
+                        report[diff.status].push(validatorName);
+                    }
+                    continue;
+                }
+
+                // Leave unchanged rules alone so CouchDB's revision history only records real changes
+                if (diff.status === 'unchanged') {
+                    log(`   ✔️  Unchanged (content hash ${doc.content_hash.slice(0, 12)}) - not rewriting`);
+                    report.unchanged.push(validatorName);
+                    // Rules deployed before history was kept, or changed outside the loader, are recorded as they are
+                    await recordHistory(fetch, historyUrl, existingDoc, deploymentOptions, report);
+                    continue;
+                }
+
+                // Include revision if updating existing document
                 if (existingDoc) {
+                    doc._rev = existingDoc._rev;
+                    doc.rule_metadata.created_date = (existingDoc.rule_metadata && existingDoc.rule_metadata.created_date) || doc.rule_metadata.created_date;
                     doc.rule_metadata.modified_date = new Date().toISOString();
                 }
 
                 // Insert or update the design document
                 const method = existingDoc ? 'PUT' : 'POST';
-                const targetUrl = existingDoc ? docUrl : url;
+                const targetUrl = existingDoc ? `${url}/${doc._id}` : url;
                 
-                console.log(`   🔄 ${existingDoc ? 'Updating' : 'Creating'} design document...`);
+                log(`   🔄 ${existingDoc ? 'Updating' : 'Creating'} design document...`);
                 
                 const response = await fetch(targetUrl, {
                     method: method,
                     headers: {
-                        'Content-Type': 'application/json',
-                        'Authorization': `Basic ${auth}`
+                        'Content-Type': 'application/json'
                     },
                     body: JSON.stringify(doc)
                 });
 
                 if (response.ok) {
                     const responseData = await response.json();
+                    doc._rev = responseData.rev;
                     if (existingDoc) {
-                        console.log(`   ✅ Successfully updated ${validatorName} validator (new rev: ${responseData.rev})`);
-                        updateCount++;
+                        log(`   ✅ Successfully updated ${validatorName} validator (new rev: ${responseData.rev})`);
+                        report.changed.push({ rule_id: validatorName, changes: diff.changes });
                     } else {
-                        console.log(`   ✅ Successfully created ${validatorName} validator (rev: ${responseData.rev})`);
-                        successCount++;
+                        log(`   ✅ Successfully created ${validatorName} validator (rev: ${responseData.rev})`);
+                        report.created.push(validatorName);
+                    }
+                    await recordHistory(fetch, historyUrl, doc, deploymentOptions, report);
+                    await recordAudit(fetch, audit, {
+                        database: dbName,
+                        action: existingDoc ? 'update' : 'create',
+                        doc: doc,
+                        oldRev: existingDoc ? existingDoc._rev : null,
+                        newRev: doc._rev,
+                        detail: describeChange(diff, review)
+                    }, report);
+                    if (review.proposal && review.proposal.status === 'approved') {
+                        await markProposalPublished(fetch, proposalsUrl, review.proposal, doc, report);
                     }
                 } else {
                     const errorData = await response.text();
-                    console.log(`   ❌ Failed to ${existingDoc ? 'update' : 'create'} ${validatorName}: HTTP ${response.status} - ${errorData}`);
-                    errorCount++;
+                    log(`   ❌ Failed to ${existingDoc ? 'update' : 'create'} ${validatorName}: HTTP ${response.status} - ${errorData}`);
+                    report.errors.push({ rule_id: validatorName, message: `HTTP ${response.status} - ${errorData}` });
                 }
 
             } catch (moduleError) {
-                console.log(`❌ Error loading validator module ${file}: ${moduleError.message}`);
-                errorCount++;
+                log(`❌ Error loading validator module ${file}: ${moduleError.message}`);
+                report.errors.push({ rule_id: validatorName, message: moduleError.message });
             }
         }
 
-        // Summary
-        console.log(`\n📊 Validation rule loading completed:`);
-        console.log(`   ✅ New rules created: ${successCount}`);
-        console.log(`   🔄 Rules updated: ${updateCount}`);
-        console.log(`   ❌ Errors: ${errorCount}`);
-        console.log(`   📋 Total processed: ${successCount + updateCount + errorCount}`);
-
-        if (errorCount > 0) {
-            process.exit(1);
+        if (ruleSet && !deploymentOptions.dryRun) {
+            await writeRuleSetDocument(fetch, url, ruleSet);
         }
 
     } catch (dirError) {
-        console.error(`❌ Error during validator loading: ${dirError.message}`);
-        process.exit(1);
+        log(`❌ Error during validator loading: ${dirError.message}`);
+        report.errors.push({ rule_id: null, message: dirError.message });
+    }
+
+    return report;
+}
+
+/**
+ * Prints the summary of a database report
+ */
+function printSummary(report, dryRun) {
+    log(`\n📊 ${dryRun ? 'Dry run' : 'Validation rule loading'} completed for ${report.database}:`);
+    log(`   ✨ ${dryRun ? 'Would create' : 'Created'}: ${report.created.length}`);
+    report.created.forEach(ruleId => log(`      - ${ruleId}`));
+    log(`   🔄 ${dryRun ? 'Would change' : 'Changed'}: ${report.changed.length}`);
+    report.changed.forEach(rule => log(`      - ${rule.rule_id} (${rule.changes.join(', ')})`));
+    log(`   ✔️  Unchanged: ${report.unchanged.length}`);
+    log(`   🗑️  Orphaned (deployed but no local validator): ${report.orphaned.length}`);
+    report.orphaned.forEach(ruleId => log(`      - ${ruleId}`));
+    if (report.upcoming.length > 0 || report.expired.length > 0) {
+        log(`   📅 Upcoming (not yet in effect): ${report.upcoming.length}`);
+        report.upcoming.forEach(ruleId => log(`      - ${ruleId}`));
+        log(`   📅 Expired (applies to earlier applications only): ${report.expired.length}`);
+        report.expired.forEach(ruleId => log(`      - ${ruleId}`));
+    }
+    if (report.overridden.length > 0) {
+        log(`   ⚠️  ${dryRun ? 'Would change' : 'Changed'} without an approved proposal (--override-review): ${report.overridden.length}`);
+        report.overridden.forEach(ruleId => log(`      - ${ruleId}`));
     }
+    log(`   ⏭️  Skipped: ${report.skipped.length}`);
+    report.skipped.forEach(rule => log(`      - ${rule.rule_id} (${rule.reason})`));
+    log(`   ❌ Errors: ${report.errors.length}`);
 }
 
-// Execute the loader
-console.log('🚀 Starting automatic validator discovery and loading...');
-loadValidators().catch(error => {
-    console.error('❌ Fatal error during validator loading:', error);
-    process.exit(1);
-});
\ No newline at end of file
+/**
+ * Loads validators into CouchDB
+ * @param {Object} [options] - Load options
+ * @param {string} [options.dbName] - Target database; defaults to the rule set's database, or the configured database
+ * @param {string} [options.ruleSetName] - Only load this rule set
+ * @param {boolean} [options.allRuleSets=false] - Load every rule set into its own database
+ * @param {boolean} [options.includeDrafts=false] - Deploy draft rules (staging databases only)
+ * @param {boolean} [options.dryRun=false] - Report what would change without writing anything
+ * @param {boolean} [options.overrideReview=false] - Change rules that went through review without an approved proposal, recording each override in the audit log
+ * @param {boolean} [options.json=false] - Send progress messages to stderr, leaving stdout for the JSON report
+ * @param {Object} [options.connection] - CouchDB connection options; defaults to config.js (profile, environment and .env)
+ * @param {Object} [options.parameters] - Rule parameter values by rule and parameter name; defaults to the profile's parameters
+ * @returns {Object} Report with dry_run and one entry per database
+ */
+async function loadValidators(options = {}) {
+    log = options.json ? console.error : console.log;
+
+    const connection = options.connection || config.options;
+    const deploymentOptions = {
+        includeDrafts: Boolean(options.includeDrafts),
+        dryRun: Boolean(options.dryRun),
+        overrideReview: Boolean(options.overrideReview),
+        connection: connection,
+        parameters: options.parameters || connection.parameters || {}
+    };
+
+    // Dynamic import for node-fetch (ES module), wrapped to send the configured credentials
+    const fetch = createAuthenticatedFetch((await import('node-fetch')).default, deploymentOptions.connection);
+    const reports = [];
+
+    if (options.allRuleSets) {
+        // Each program gets its own database so its documents only see its own rules
+        for (const name of listRuleSets()) {
+            const ruleSet = getRuleSet(name);
+            reports.push(await loadIntoDatabase(fetch, ruleSet.database, ruleSet, deploymentOptions));
+        }
+    } else if (options.ruleSetName) {
+        const ruleSet = getRuleSet(options.ruleSetName);
+        reports.push(await loadIntoDatabase(fetch, options.dbName || ruleSet.database, ruleSet, deploymentOptions));
+    } else {
+        reports.push(await loadIntoDatabase(fetch, options.dbName || deploymentOptions.connection.database, null, deploymentOptions));
+    }
+
+    reports.forEach(report => printSummary(report, deploymentOptions.dryRun));
+
+    return { dry_run: deploymentOptions.dryRun, databases: reports };
+}
+
+module.exports = {
+    loadValidators
+};
+
+// Execute the loader when run directly
+if (require.main === module) {
+    const argv = process.argv.slice(2);
+    const { ruleSetName, allRuleSets } = parseRuleSetArguments(argv);
+    const deploymentOptions = parseDeploymentArguments(argv);
+
+    (deploymentOptions.json ? console.error : console.log)('🚀 Starting automatic validator discovery and loading...');
+    loadValidators({
+        ...deploymentOptions,
+        ruleSetName,
+        allRuleSets,
+        dbName: process.env.DB_NAME || argv.filter(arg => !arg.startsWith('--'))[0]
+    }).then(result => {
+        if (deploymentOptions.json) {
+            console.log(JSON.stringify(result, null, 2));
+        }
+        if (result.databases.some(report => report.errors.length > 0)) {
+            process.exit(1);
+        }
+    }).catch(error => {
+        console.error('❌ Fatal error during validator loading:', error);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,187 @@
+const fs = require('fs').promises;
+const config = require('./config');
+const { createAuthenticatedFetch } = require('./utils/couch-auth');
+const { RULE_SET_DOC_ID } = require('./utils/rule-sets');
+const { validateBackupArchive, planRestore } = require('./utils/rule-backup');
+const { ensureAuditDatabase, fetchSessionUser, createAuditEntry, recordAuditEntry } = require('./utils/rule-audit');
+
+// With --json the result is written to stdout, so progress messages go to stderr
+let log = console.log;
+
+/**
+ * Reads the restore flags: --archive=FILE (required) and --on-conflict=fail|skip|overwrite (default fail)
+ */
+function parseRestoreArguments(argv) {
+    const valueOf = flag => {
+        const arg = argv.find(value => value.startsWith(`${flag}=`));
+        return arg ? arg.slice(flag.length + 1) : null;
+    };
+
+    return {
+        archive: valueOf('--archive'),
+        onConflict: valueOf('--on-conflict') || 'fail'
+    };
+}
+
+/**
+ * Restores a backup archive into a database. Each rule written is recorded in the database's
+ * audit log (see utils/rule-audit.js).
+ * @param {Object} options - Restore options
+ * @param {string} options.archive - Path of the archive to restore
+ * @param {string} [options.dbName] - Target database; defaults to the database the archive was taken from
+ * @param {string} [options.onConflict='fail'] - What to do with rules that already exist (fail|skip|overwrite)
+ * @param {boolean} [options.json=false] - Send progress messages to stderr
+ * @param {Object} [options.connection] - CouchDB connection options; defaults to config.js (profile, environment and .env)
+ * @returns {Object} Result with the restored, skipped and failed rule ids, and audit_errors for
+ *   rules restored without an audit entry
+ * @throws {Error} If the archive is invalid, or rules already exist and the conflict strategy is fail
+ */
+async function restoreValidators(options = {}) {
+    const connection = options.connection || config.options;
+    // Dynamic import for node-fetch (ES module), wrapped to send the configured credentials
+    const fetch = createAuthenticatedFetch((await import('node-fetch')).default, connection);
+    log = options.json ? console.error : console.log;
+
+    if (!options.archive) {
+        throw new Error('Specify the archive to restore with --archive=FILE');
+    }
+
+    const archive = JSON.parse(await fs.readFile(options.archive, 'utf8'));
+    const validation = validateBackupArchive(archive);
+    if (!validation.isValid) {
+        throw new Error(`Invalid archive ${options.archive}: ${validation.errors.join(', ')}`);
+    }
+
+    // Restore into any database; defaults to the one the archive was taken from
+    let dbName = options.dbName || archive.database;
+    let url = `${connection.couchdb_url}${dbName}`;
+
+    log(`♻️  Restoring ${archive.rules.length} rule(s) from ${options.archive} (taken ${archive.created_at} from '${archive.database}') to: ${url}`);
+
+    const designDocsResponse = await fetch(`${url}/_design_docs?include_docs=true`);
+
+    if (!designDocsResponse.ok) {
+        throw new Error(`Unable to fetch design documents from '${dbName}'. Response code: ${designDocsResponse.status}`);
+    }
+
+    const existingDocs = (await designDocsResponse.json()).rows.map(row => row.doc);
+    const plan = planRestore(archive, existingDocs, options.onConflict || 'fail');
+
+    if (plan.conflicts.length > 0) {
+        log(`⚠️  ${plan.conflicts.length} rule(s) already exist: ${plan.conflicts.join(', ')}`);
+        if (plan.strategy === 'fail') {
+            throw new Error('Nothing restored - re-run with --on-conflict=skip or --on-conflict=overwrite');
+        }
+    }
+
+    const result = { database: dbName, restored: [], skipped: [], failed: [], audit_errors: [] };
+
+    // Record who restored each rule in <database>_rule_audit
+    let audit = null;
+    if (plan.actions.some(step => step.action !== 'skip')) {
+        try {
+            audit = {
+                url: await ensureAuditDatabase(fetch, connection.couchdb_url, dbName),
+                actor: await fetchSessionUser(fetch, connection)
+            };
+        } catch (error) {
+            log(`❌ ${error.message} - rules will be restored without recording them in the audit log`);
+            result.audit_errors.push({ rule_id: null, message: error.message });
+        }
+    }
+
+    for (const step of plan.actions) {
+        if (step.action === 'skip') {
+            log(`   ⏭️  Skipped ${step.doc._id} (already exists)`);
+            result.skipped.push(step.rule_id);
+            continue;
+        }
+
+        const response = await fetch(`${url}/${step.doc._id}`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(step.doc)
+        });
+
+        if (response.ok) {
+            const responseData = await response.json();
+            log(`   ✅ ${step.action === 'overwrite' ? 'Overwrote' : 'Created'} ${step.doc._id} (rev: ${responseData.rev})`);
+            result.restored.push(step.rule_id);
+
+            if (audit) {
+                const existing = existingDocs.find(doc => doc._id === step.doc._id);
+                try {
+                    await recordAuditEntry(fetch, audit.url, createAuditEntry({
+                        database: dbName,
+                        action: existing ? 'update' : 'create',
+                        doc: step.doc,
+                        oldRev: existing ? existing._rev : null,
+                        newRev: responseData.rev
+                    }, { actor: audit.actor, tool: 'couchRestore', detail: `Restored from ${options.archive}` }));
+                } catch (error) {
+                    log(`   ❌ ${step.doc._id} was restored but ${error.message}`);
+                    result.audit_errors.push({ rule_id: step.rule_id, message: error.message });
+                }
+            }
+        } else {
+            log(`   ❌ Failed to restore ${step.doc._id}: HTTP ${response.status} - ${await response.text()}`);
+            result.failed.push(step.rule_id);
+        }
+    }
+
+    if (archive.rule_set) {
+        const ruleSet = { ...archive.rule_set };
+        const existingResponse = await fetch(`${url}/${RULE_SET_DOC_ID}`);
+        if (existingResponse.ok) {
+            ruleSet._rev = (await existingResponse.json())._rev;
+        }
+
+        const response = await fetch(`${url}/${RULE_SET_DOC_ID}`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(ruleSet)
+        });
+        if (response.ok) {
+            log(`   ✓ Restored rule set ${ruleSet.name} in ${RULE_SET_DOC_ID}`);
+        } else {
+            log(`   ❌ Failed to restore rule set ${ruleSet.name}: HTTP ${response.status}`);
+            result.failed.push(RULE_SET_DOC_ID);
+        }
+    }
+
+    log(`\n📊 Restore completed:`);
+    log(`   ✅ Rules restored: ${result.restored.length}`);
+    log(`   ⏭️  Rules skipped: ${result.skipped.length}`);
+    log(`   ❌ Errors: ${result.failed.length}`);
+    if (result.audit_errors.length > 0) {
+        log(`   ❌ Not recorded in the audit log: ${result.audit_errors.length}`);
+    }
+
+    return result;
+}
+
+module.exports = {
+    restoreValidators
+};
+
+// Execute the restore when run directly
+if (require.main === module) {
+    const argv = process.argv.slice(2);
+
+    console.log('♻️  Starting rule restore...');
+    restoreValidators({
+        ...parseRestoreArguments(argv),
+        dbName: process.env.DB_NAME || argv.filter(arg => !arg.startsWith('--'))[0]
+    }).then(result => {
+        if (result.failed.length > 0 || result.audit_errors.length > 0) {
+            process.exit(1);
+        }
+    }).catch(error => {
+        console.error('❌ Fatal error during rule restore:', error.message);
+        process.exit(1);
+    });
+}
@@ -0,0 +1,205 @@
+const http = require('http');
+const config = require('./config');
+const { createAuthenticatedFetch } = require('./utils/couch-auth');
+const { SANDBOX_TIMEOUT_MS, evaluateDeployedRules } = require('./utils/rule-sandbox');
+const { evaluateDeployedBatch } = require('./utils/rule-batch');
+
+/**
+ * Where the sandbox listens unless told otherwise. It only answers this machine by default.
+ */
+const DEFAULT_HOST = '127.0.0.1';
+const DEFAULT_PORT = 5990;
+
+/**
+ * Page allowed to call the sandbox from a browser by default: the web interface served by npm run serve:web
+ */
+const DEFAULT_ALLOW_ORIGIN = 'http://localhost:8080';
+
+/**
+ * Largest request accepted, in bytes (CouchDB's default max_document_size)
+ */
+const MAX_REQUEST_BYTES = 8000000;
+
+/**
+ * CouchDB-style error names for the statuses the sandbox answers with
+ */
+const ERROR_NAMES = {
+    400: 'bad_request',
+    403: 'forbidden',
+    404: 'not_found',
+    413: 'too_large',
+    500: 'sandbox_error',
+    502: 'couchdb_error'
+};
+
+/**
+ * Reads the --host=HOST, --port=PORT and --allow-origin=ORIGIN flags
+ */
+function parseSandboxArguments(argv) {
+    const valueOf = name => {
+        const flag = argv.find(arg => arg.startsWith(`--${name}=`));
+        return flag ? flag.slice(name.length + 3) : undefined;
+    };
+
+    return {
+        host: valueOf('host'),
+        port: valueOf('port') === undefined ? undefined : Number(valueOf('port')),
+        allowOrigin: valueOf('allow-origin')
+    };
+}
+
+/**
+ * Reads and parses a JSON request body
+ * @throws {Error} If the body is too large or not JSON; status holds the HTTP status to report
+ */
+function readJsonBody(request) {
+    return new Promise((resolve, reject) => {
+        const chunks = [];
+        let size = 0;
+
+        request.on('data', chunk => {
+            size += chunk.length;
+            if (size > MAX_REQUEST_BYTES) {
+                const error = new Error(`Request is larger than ${MAX_REQUEST_BYTES} bytes`);
+                error.status = 413;
+                reject(error);
+                request.destroy();
+                return;
+            }
+            chunks.push(chunk);
+        });
+        request.on('end', () => {
+            try {
+                resolve(JSON.parse(Buffer.concat(chunks).toString('utf8')));
+            } catch (error) {
+                const invalid = new Error(`Request body is not valid JSON: ${error.message}`);
+                invalid.status = 400;
+                reject(invalid);
+            }
+        });
+        request.on('error', reject);
+    });
+}
+
+/**
+ * Checks a request body names something to evaluate
+ * @returns {string|null} What is wrong with the body, or null
+ */
+function checkEvaluateBody(url, body) {
+    const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+
+    if (url === '/evaluate') {
+        return isObject(body) && isObject(body.document) ? null : 'document must be a JSON object';
+    }
+    return isObject(body) && Array.isArray(body.documents) && body.documents.every(isObject)
+        ? null
+        : 'documents must be an array of JSON objects';
+}
+
+/**
+ * Creates the HTTP server that evaluates documents against a database's deployed rules in the rule sandbox.
+ * GET / describes the sandbox; POST /evaluate takes { database, document, oldDoc, userCtx, rule }
+ * and answers with the report from evaluateDeployedRules; POST /evaluate-batch takes { database, documents,
+ * userCtx } and answers with the matrix from evaluateDeployedBatch. Only deployed design documents
+ * are run - never source sent with a request.
+ * The sandbox reads CouchDB with its own credentials, so it only evaluates the database it was started
+ * for - a request naming another is refused - and always with that database's own security object.
+ * @param {Object} [options] - Server options
+ * @param {string} [options.database] - Database evaluated; defaults to the configured database
+ * @param {string} [options.allowOrigin] - Page allowed to call the sandbox from a browser (CORS), or * for any
+ * @param {Object} [options.connection] - CouchDB connection options; defaults to config.js (profile, environment and .env)
+ * @param {Function} [options.fetch] - Authenticated fetch; defaults to node-fetch with the connection's credentials
+ * @returns {http.Server} Server, not yet listening
+ */
+function createSandboxServer(options = {}) {
+    const connection = options.connection || config.options;
+    const database = options.database || connection.database;
+    const headers = {
+        'Content-Type': 'application/json',
+        'Access-Control-Allow-Origin': options.allowOrigin || DEFAULT_ALLOW_ORIGIN,
+        'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+        'Access-Control-Allow-Headers': 'Content-Type'
+    };
+    let fetch = options.fetch || null;
+
+    return http.createServer(async (request, response) => {
+        const send = (status, body) => {
+            response.writeHead(status, headers);
+            response.end(body === undefined ? undefined : JSON.stringify(body));
+        };
+
+        if (request.method === 'OPTIONS') {
+            return send(204);
+        }
+        if (request.url === '/' && request.method === 'GET') {
+            return send(200, { sandbox: 'couch-rules', database: database, timeout_ms: SANDBOX_TIMEOUT_MS });
+        }
+        if (request.url !== '/evaluate' && request.url !== '/evaluate-batch') {
+            return send(404, { error: 'not_found', reason: `No such endpoint: ${request.url}` });
+        }
+        if (request.method !== 'POST') {
+            return send(405, { error: 'method_not_allowed', reason: `POST to ${request.url}` });
+        }
+
+        try {
+            const body = await readJsonBody(request);
+            const problem = checkEvaluateBody(request.url, body);
+            if (problem) {
+                return send(400, { error: 'bad_request', reason: problem });
+            }
+
+            if (body.database && body.database !== database) {
+                return send(403, { error: 'forbidden', reason: `This sandbox only evaluates the rules deployed to '${database}'` });
+            }
+
+            // Dynamic import for node-fetch (ES module), wrapped to send the configured credentials
+            fetch = fetch || createAuthenticatedFetch((await import('node-fetch')).default, connection);
+            const evaluate = request.url === '/evaluate' ? evaluateDeployedRules : evaluateDeployedBatch;
+            send(200, await evaluate(fetch, connection.couchdb_url, database, { ...body, secObj: undefined }));
+        } catch (error) {
+            const status = ERROR_NAMES[error.status] ? error.status : 500;
+            send(status, { error: ERROR_NAMES[status], reason: error.message });
+        }
+    });
+}
+
+/**
+ * Starts the sandbox server
+ * @param {Object} [options] - createSandboxServer options, plus host and port
+ * @returns {Promise<http.Server>} Server, once it is listening
+ */
+function startSandboxServer(options = {}) {
+    const connection = options.connection || config.options;
+    const server = createSandboxServer({ ...options, connection: connection });
+    const host = options.host || DEFAULT_HOST;
+    const port = options.port === undefined ? DEFAULT_PORT : options.port;
+
+    return new Promise((resolve, reject) => {
+        server.once('error', reject);
+        server.listen(port, host, () => {
+            console.log(`🧪 Rule sandbox listening on http://${host}:${server.address().port}`);
+            console.log(`   Evaluating the rules deployed to ${connection.couchdb_url}${options.database || connection.database}`);
+            console.log(`   Browser requests allowed from ${options.allowOrigin || DEFAULT_ALLOW_ORIGIN}`);
+            resolve(server);
+        });
+    });
+}
+
+module.exports = {
+    DEFAULT_PORT,
+    createSandboxServer,
+    startSandboxServer
+};
+
+// Start the sandbox when run directly
+if (require.main === module) {
+    const argv = process.argv.slice(2);
+
+    startSandboxServer({
+        ...parseSandboxArguments(argv),
+        database: process.env.DB_NAME || argv.filter(arg => !arg.startsWith('--'))[0]
+    }).catch(error => {
+        console.error('❌ Could not start the rule sandbox:', error.message);
+        process.exit(1);
+    });
+}
@@ -1,109 +1,259 @@
-const config = require('./config').options;
+const fs = require('fs').promises;
+const path = require('path');
+const readline = require('readline');
+const { parseArgs } = require('util');
+const config = require('./config');
+const { createAuthenticatedFetch } = require('./utils/couch-auth');
+const { selectRulesForRemoval } = require('./utils/rule-deployment');
+const { ensureAuditDatabase, fetchSessionUser, createAuditEntry, recordAuditEntry } = require('./utils/rule-audit');
 
-// Dynamic import for node-fetch (ES module)
-async function unloadValidators() {
-    const fetch = (await import('node-fetch')).default;
+// With --json the result is written to stdout, so progress messages go to stderr
+let log = console.log;
 
-    // Create URL to CouchDB instance and DB
-    let dbName = process.env.DB_NAME || process.argv[2] || 'rules_db';
-    let url = `${config.couchdb_url}${dbName}`;
+/**
+ * Reads the unloading flags and the database from the command line:
+ * --rule=NAME (or --rule NAME) removes one rule, --tag=TAG removes rules with that tag,
+ * --orphaned removes rules with no validator in validators/, --yes skips the confirmation prompt.
+ * Unknown flags are refused rather than ignored, since ignoring a misspelt filter would remove every rule.
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} rule, tag, orphaned and yes, and dbName (the first argument that is not a flag)
+ * @throws {Error} If a flag is unknown or --rule or --tag has no value
+ */
+function parseUnloadArguments(argv) {
+    const { values, positionals } = parseArgs({
+        args: argv,
+        options: {
+            rule: { type: 'string' },
+            tag: { type: 'string' },
+            orphaned: { type: 'boolean' },
+            yes: { type: 'boolean' }
+        },
+        allowPositionals: true,
+        strict: true
+    });
 
-    console.log(`Using URL: ${url}`);
+    return {
+        rule: values.rule !== undefined ? values.rule : null,
+        tag: values.tag !== undefined ? values.tag : null,
+        orphaned: Boolean(values.orphaned),
+        yes: Boolean(values.yes),
+        dbName: positionals[0]
+    };
+}
 
-    // Create Basic Auth header
-    const auth = Buffer.from(`${config.username}:${config.password}`).toString('base64');
+/**
+ * Lists the rule identifiers that have a validator in validators/
+ */
+async function listLocalRuleIds() {
+    const files = await fs.readdir(path.join(__dirname, 'validators'));
+    return files.filter(file => file.endsWith('.js')).map(file => path.basename(file, '.js'));
+}
 
-    try {
-        // First check if database exists
-        const dbResponse = await fetch(url, {
-            headers: {
-                'Authorization': `Basic ${auth}`
-            }
+/**
+ * Asks the user to confirm on the terminal
+ */
+function confirm(question) {
+    const rl = readline.createInterface({ input: process.stdin, output: process.stdout });
+
+    return new Promise(resolve => {
+        rl.question(`${question} (y/N): `, answer => {
+            rl.close();
+            resolve(/^y(es)?$/i.test(answer.trim()));
         });
+    });
+}
 
-        if (!dbResponse.ok) {
-            if (dbResponse.status === 404) {
-                console.log(`❌ Database '${dbName}' does not exist`);
-                console.log(`💡 Available options:`);
-                console.log(`   - Create the database first using couchLoader.js`);
-                console.log(`   - Check if the database name is correct`);
-                console.log(`   - Verify CouchDB is running and accessible`);
-                return;
-            } else {
-                throw new Error(`Unable to access database '${dbName}'. Response code: ${dbResponse.status}`);
-            }
+/**
+ * Removes rules from a database. Only design documents with rule_metadata are removed.
+ * Each rule removed is recorded in the database's audit log (see utils/rule-audit.js).
+ * @param {Object} [options] - Unload options
+ * @param {string} [options.dbName] - Database to remove rules from; defaults to the configured database
+ * @param {string} [options.rule] - Only remove this rule
+ * @param {string} [options.tag] - Only remove rules with this tag
+ * @param {boolean} [options.orphaned=false] - Only remove rules with no validator in validators/
+ * @param {boolean} [options.yes=false] - Delete without asking for confirmation
+ * @param {boolean} [options.json=false] - Send progress messages to stderr
+ * @param {Object} [options.connection] - CouchDB connection options; defaults to config.js (profile, environment and .env)
+ * @returns {Object} Result with the database, the removed and failed rule ids, whether the user cancelled,
+ *   and audit_errors for rules removed without an audit entry
+ * @throws {Error} If rule or tag is empty, the database cannot be read, or confirmation is needed but there is
+ *   no terminal to ask on
+ */
+async function unloadValidators(options = {}) {
+    // An empty filter would match every rule, so it is an error rather than no filter
+    ['rule', 'tag'].forEach(name => {
+        if (options[name] === '') {
+            throw new Error(`--${name} needs a value; leave it out to remove every rule`);
         }
+    });
 
-        console.log(`✅ Database '${dbName}' found, fetching design documents...`);
+    const connection = options.connection || config.options;
+    // Dynamic import for node-fetch (ES module), wrapped to send the configured credentials
+    const fetch = createAuthenticatedFetch((await import('node-fetch')).default, connection);
+    log = options.json ? console.error : console.log;
 
-        // Get all design documents
-        const designDocsResponse = await fetch(url + '/_design_docs', {
-            headers: {
-                'Authorization': `Basic ${auth}`
-            }
-        });
+    // Create URL to CouchDB instance and DB
+    let dbName = options.dbName || connection.database;
+    let url = `${connection.couchdb_url}${dbName}`;
+    const result = { database: dbName, removed: [], failed: [], cancelled: false, audit_errors: [] };
+
+    log(`Using URL: ${url}`);
+
+    // First check if database exists
+    const dbResponse = await fetch(url);
+
+    if (!dbResponse.ok) {
+        if (dbResponse.status === 404) {
+            log(`❌ Database '${dbName}' does not exist`);
+            log(`💡 Available options:`);
+            log(`   - Create the database first using couchLoader.js`);
+            log(`   - Check if the database name is correct`);
+            log(`   - Verify CouchDB is running and accessible`);
+            return result;
+        } else {
+            throw new Error(`Unable to access database '${dbName}'. Response code: ${dbResponse.status}`);
+        }
+    }
+
+    log(`✅ Database '${dbName}' found, fetching design documents...`);
+
+    // Get all design documents, with their contents so rules can be told apart from other design documents
+    const designDocsResponse = await fetch(url + '/_design_docs?include_docs=true');
+
+    if (!designDocsResponse.ok) {
+        throw new Error(`Unable to fetch design documents. Response code: ${designDocsResponse.status}`);
+    }
+
+    const docs = await designDocsResponse.json();
+    const existingDocs = docs.rows.map(row => row.doc);
+
+    const rulesToRemove = selectRulesForRemoval(existingDocs, {
+        rule: options.rule,
+        tag: options.tag,
+        keepRuleIds: options.orphaned ? await listLocalRuleIds() : null
+    });
+
+    const otherDocs = existingDocs.filter(doc => !doc.rule_metadata).length;
+    if (otherDocs > 0) {
+        log(`ℹ️  Leaving ${otherDocs} design document(s) without rule_metadata untouched`);
+    }
+
+    if (rulesToRemove.length === 0) {
+        log(`📋 No matching rules found in '${dbName}' database`);
+        return result;
+    }
 
-        if (!designDocsResponse.ok) {
-            throw new Error(`Unable to fetch design documents. Response code: ${designDocsResponse.status}`);
+    log(`📋 Found ${rulesToRemove.length} rule(s) to remove:`);
+    rulesToRemove.forEach(doc => log(`   - ${doc._id} (${doc.rule_metadata.name || 'unnamed'})`));
+
+    if (!options.yes) {
+        if (!process.stdin.isTTY) {
+            throw new Error('Refusing to delete without confirmation - re-run with --yes');
+        }
+
+        if (!await confirm(`Delete ${rulesToRemove.length} rule(s) from '${dbName}'?`)) {
+            log(`🚫 Unloading cancelled - nothing was deleted`);
+            result.cancelled = true;
+            return result;
         }
+    }
 
-        const docs = await designDocsResponse.json();
-        const rows = docs.rows;
+    // Record who removed each rule in <database>_rule_audit
+    let audit = null;
+    try {
+        audit = {
+            url: await ensureAuditDatabase(fetch, connection.couchdb_url, dbName),
+            actor: await fetchSessionUser(fetch, connection)
+        };
+    } catch (error) {
+        log(`❌ ${error.message} - rules will be removed without recording them in the audit log`);
+        result.audit_errors.push({ rule_id: null, message: error.message });
+    }
 
-        if (rows.length === 0) {
-            console.log(`📋 No design documents found in '${dbName}' database`);
+    const recordDeletion = async (doc, rev) => {
+        if (!audit) {
             return;
         }
+        try {
+            await recordAuditEntry(fetch, audit.url, createAuditEntry({
+                database: dbName,
+                action: 'delete',
+                doc: doc,
+                oldRev: doc._rev,
+                newRev: rev
+            }, { actor: audit.actor, tool: 'couchUnloader' }));
+        } catch (error) {
+            log(`   ❌ ${doc._id} was deleted but ${error.message}`);
+            result.audit_errors.push({ rule_id: doc._id.replace('_design/', ''), message: error.message });
+        }
+    };
 
-        console.log(`📋 Found ${rows.length} design document(s) to remove:`);
-        
-        // Delete each design document
-        const deletePromises = rows.map(async (row) => {
-            const deleteUrl = `${url}/${row.id}?rev=${row.value.rev}`;
-            
-            try {
-                const deleteResponse = await fetch(deleteUrl, { 
-                    method: 'DELETE',
-                    headers: {
-                        'Authorization': `Basic ${auth}`
-                    }
-                });
-
-                if (deleteResponse.ok) {
-                    console.log(`   ✅ Deleted ${row.id}`);
-                    return { success: true, id: row.id };
-                } else {
-                    console.log(`   ❌ Failed to delete ${row.id}: HTTP ${deleteResponse.status}`);
-                    return { success: false, id: row.id, status: deleteResponse.status };
-                }
-            } catch (error) {
-                console.log(`   ❌ Error deleting ${row.id}: ${error.message}`);
-                return { success: false, id: row.id, error: error.message };
-            }
-        });
+    // Delete each design document
+    const deletePromises = rulesToRemove.map(async (doc) => {
+        const deleteUrl = `${url}/${doc._id}?rev=${doc._rev}`;
+
+        try {
+            const deleteResponse = await fetch(deleteUrl, {
+                method: 'DELETE'
+            });
 
-        // Wait for all deletions to complete
-        const results = await Promise.all(deletePromises);
-        
-        // Summary
-        const successful = results.filter(r => r.success).length;
-        const failed = results.filter(r => !r.success).length;
-        
-        console.log(`\n📊 Unloading completed:`);
-        console.log(`   ✅ Successfully removed: ${successful}`);
-        if (failed > 0) {
-            console.log(`   ❌ Failed to remove: ${failed}`);
+            if (deleteResponse.ok) {
+                log(`   ✅ Deleted ${doc._id}`);
+                await recordDeletion(doc, (await deleteResponse.json()).rev);
+                return { success: true, id: doc._id };
+            } else {
+                log(`   ❌ Failed to delete ${doc._id}: HTTP ${deleteResponse.status}`);
+                return { success: false, id: doc._id, status: deleteResponse.status };
+            }
+        } catch (error) {
+            log(`   ❌ Error deleting ${doc._id}: ${error.message}`);
+            return { success: false, id: doc._id, error: error.message };
         }
+    });
+
+    // Wait for all deletions to complete
+    const results = await Promise.all(deletePromises);
+    result.removed = results.filter(r => r.success).map(r => r.id.replace('_design/', ''));
+    result.failed = results.filter(r => !r.success).map(r => r.id.replace('_design/', ''));
 
+    // Summary
+    log(`\n📊 Unloading completed:`);
+    log(`   ✅ Successfully removed: ${result.removed.length}`);
+    if (result.failed.length > 0) {
+        log(`   ❌ Failed to remove: ${result.failed.length}`);
+    }
+    if (result.audit_errors.length > 0) {
+        log(`   ❌ Not recorded in the audit log: ${result.audit_errors.length}`);
+    }
+
+    return result;
+}
+
+module.exports = {
+    parseUnloadArguments,
+    unloadValidators
+};
+
+// Execute the unloader when run directly
+if (require.main === module) {
+    let unloadArguments;
+    try {
+        unloadArguments = parseUnloadArguments(process.argv.slice(2));
     } catch (error) {
-        console.error(`❌ Fatal error during validator unloading: ${error.message}`);
+        console.error(`❌ ${error.message}`);
         process.exit(1);
     }
-}
 
-// Execute the unloader
-console.log('🗑️  Starting validator unloading...');
-unloadValidators().catch(error => {
-    console.error('❌ Fatal error during validator unloading:', error);
-    process.exit(1);
-});
\ No newline at end of file
+    console.log('🗑️  Starting validator unloading...');
+    unloadValidators({
+        ...unloadArguments,
+        dbName: process.env.DB_NAME || unloadArguments.dbName
+    }).then(result => {
+        if (result.failed.length > 0 || result.audit_errors.length > 0) {
+            process.exit(1);
+        }
+    }).catch(error => {
+        console.error(`❌ Fatal error during validator unloading: ${error.message}`);
+        process.exit(1);
+    });
+}
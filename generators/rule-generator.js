@@ -15,8 +15,14 @@ class RuleGenerator {
             description: '',
             author: '',
             tags: [],
+            requiredRoles: [],
+            documentType: '',
+            effectiveFrom: '',
+            effectiveUntil: '',
+            comparesOldDoc: false,
             validationLogic: '',
             testCases: {
+                oldDoc: null,
                 valid: [],
                 invalid: []
             }
@@ -85,20 +91,40 @@ class RuleGenerator {
         const tagsInput = await this.prompt('Tags (comma-separated): ');
         this.ruleData.tags = tagsInput.split(',').map(t => t.trim()).filter(t => t);
         
+        // Document type the rule applies to
+        this.ruleData.documentType = await this.prompt('Document type this rule applies to (e.g., "person", blank for all documents): ');
+        
+        // Effective period
+        this.ruleData.effectiveFrom = await this.prompt('Date the rule takes effect (YYYY-MM-DD, blank for immediately): ');
+        this.ruleData.effectiveUntil = await this.prompt('Date the rule stops applying (YYYY-MM-DD, blank for never): ');
+        
         // Field name and requirement
         console.log('\nField validation:');
         this.ruleData.fieldName = await this.prompt('Field name to validate (e.g., "age", "income"): ');
         const isRequired = await this.prompt('Is this field required on all documents? (y/n): ');
         this.ruleData.isFieldRequired = isRequired.toLowerCase() === 'y';
         
+        // Transition rules compare the document with the stored version CouchDB passes as oldDoc
+        const comparesOldDoc = await this.prompt('Does this rule compare the document with its stored version (oldDoc), e.g. to restrict changes? (y/n): ');
+        this.ruleData.comparesOldDoc = comparesOldDoc.toLowerCase() === 'y';
+        
         // Validation logic
         console.log('\nEnter validation logic (JavaScript expression):');
-        console.log(`Example: doc.${this.ruleData.fieldName} >= 18 && doc.${this.ruleData.fieldName} <= 65`);
+        if (this.ruleData.comparesOldDoc) {
+            console.log('The rule only runs on updates, so oldDoc is always set.');
+            console.log(`Example: oldDoc.status !== 'approved' || doc.${this.ruleData.fieldName} === oldDoc.${this.ruleData.fieldName}`);
+        } else {
+            console.log(`Example: doc.${this.ruleData.fieldName} >= 18 && doc.${this.ruleData.fieldName} <= 65`);
+        }
         this.ruleData.validationLogic = await this.prompt('Logic: ');
         
         // Error message
         this.ruleData.errorMessage = await this.prompt('Error message: ');
         
+        // Roles allowed to set the field
+        const rolesInput = await this.prompt('Roles allowed to set this field (comma-separated, blank for anyone): ');
+        this.ruleData.requiredRoles = rolesInput.split(',').map(r => r.trim()).filter(r => r);
+        
         // Test cases
         console.log('\nDefine test cases:');
         await this.gatherTestCases();
@@ -125,6 +151,18 @@ class RuleGenerator {
      * Collect test case examples
      */
     async gatherTestCases() {
+        // Stored version the test cases update
+        if (this.ruleData.comparesOldDoc) {
+            console.log('\nStored document the test cases update:');
+            const oldDoc = await this.prompt('Stored document (oldDoc JSON): ');
+            try {
+                this.ruleData.testCases.oldDoc = JSON.parse(oldDoc);
+            } catch (e) {
+                console.log('⚠️  Invalid JSON, using as string');
+                this.ruleData.testCases.oldDoc = { raw: oldDoc };
+            }
+        }
+        
         // Valid case
         console.log('\nValid test case example:');
         const validCase = await this.prompt('Valid document (JSON): ');
@@ -155,24 +193,24 @@ class RuleGenerator {
             'utf8'
         );
         
-        // Build validation logic with optional field check
-        let validationCode;
-        if (this.ruleData.isFieldRequired) {
-            // Required field - always validate
-            validationCode = `if (!(${this.ruleData.validationLogic})) {
-        throw ({
-            forbidden: '${this.ruleData.errorMessage}'
-        });
-    }`;
-        } else {
-            // Optional field - only validate if present
-            validationCode = `// Only validate if ${this.ruleData.fieldName} field exists
-    if (doc.${this.ruleData.fieldName} !== undefined && !(${this.ruleData.validationLogic})) {
+        // Build validation logic with optional field and update checks
+        const guards = [];
+        const comments = [];
+        if (this.ruleData.comparesOldDoc) {
+            // New documents have no stored version to compare with
+            guards.push('oldDoc');
+            comments.push('// Only validate updates; new documents have no oldDoc');
+        }
+        if (!this.ruleData.isFieldRequired) {
+            guards.push(`doc.${this.ruleData.fieldName} !== undefined`);
+            comments.push(`// Only validate if ${this.ruleData.fieldName} field exists`);
+        }
+        
+        const validationCode = `${comments.map(comment => `${comment}\n    `).join('')}if (${[...guards, `!(${this.ruleData.validationLogic})`].join(' && ')}) {
         throw ({
             forbidden: '${this.ruleData.errorMessage}'
         });
     }`;
-        }
         
         const content = template
             .replace(/{{functionName}}/g, this.ruleData.functionName)
@@ -199,8 +237,10 @@ class RuleGenerator {
         const content = template
             .replace(/{{functionName}}/g, this.ruleData.functionName)
             .replace(/{{ruleName}}/g, this.ruleData.name)
+            .replace(/{{oldDoc}}/g, JSON.stringify(this.ruleData.testCases.oldDoc, null, 8))
             .replace(/{{validTestCases}}/g, JSON.stringify(this.ruleData.testCases.valid, null, 8))
             .replace(/{{invalidTestCases}}/g, JSON.stringify(this.ruleData.testCases.invalid, null, 8))
+            .replace(/{{roleTests}}/g, this.buildRoleTests())
             .replace(/{{errorMessage}}/g, this.ruleData.errorMessage);
         
         const testDir = path.join(__dirname, '../test/unit/validators');
@@ -290,6 +330,34 @@ class RuleGenerator {
         console.log(`✅ Updated: test/helpers/mock-data-generator.js`);
     }
     
+    /**
+     * Build tests for the role check, or nothing when anyone may set the field
+     */
+    buildRoleTests() {
+        const roles = this.ruleData.requiredRoles;
+        if (roles.length === 0) {
+            return '';
+        }
+        
+        const validCase = JSON.stringify(this.ruleData.testCases.valid[0] || {});
+        return `
+    
+    describe('Required roles', function() {
+        const guarded = guardValidationFunction(validator.${this.ruleData.functionName}, validator.metadata);
+        const validCase = ${validCase};
+        
+        it('should allow users with a required role to set ${this.ruleData.fieldName}', function() {
+            assert.strictEqual(guarded(validCase, oldDoc, { name: 'user', roles: ${JSON.stringify([roles[0]])} }, {}), true);
+        });
+        
+        it('should reject users without a required role', function() {
+            assert.throws(() => {
+                guarded(validCase, oldDoc, { name: 'user', roles: [] }, {});
+            }, (err) => err.unauthorized && err.unauthorized.includes('${this.ruleData.fieldName}'));
+        });
+    });`;
+    }
+    
     /**
      * Build metadata object
      */
@@ -302,6 +370,11 @@ class RuleGenerator {
             author: this.ruleData.author,
             tags: this.ruleData.tags,
             status: "draft",
+            field: this.ruleData.fieldName,
+            required_roles: this.ruleData.requiredRoles,
+            applies_to: this.ruleData.documentType ? { type: this.ruleData.documentType } : null,
+            effective_from: this.ruleData.effectiveFrom || null,
+            effective_until: this.ruleData.effectiveUntil || null,
             created_date: now,
             modified_date: now
         };
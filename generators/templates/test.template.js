@@ -1,7 +1,11 @@
 const assert = require('assert');
 const validator = require('../../../validators/{{functionName}}');
+const { guardValidationFunction } = require('../../../utils/rule-roles');
 
 describe('{{ruleName}} Validator', function() {
+    // Stored version the test cases update (null tests them as new documents)
+    const oldDoc = {{oldDoc}};
+    
     describe('Metadata', function() {
         it('should have valid metadata structure', function() {
             assert.strictEqual(typeof validator.metadata, 'object');
@@ -16,7 +20,7 @@ describe('{{ruleName}} Validator', function() {
         
         validCases.forEach((testDoc, index) => {
             it(`should accept valid case ${index + 1}`, function() {
-                assert.strictEqual(validator.{{functionName}}(testDoc), true);
+                assert.strictEqual(validator.{{functionName}}(testDoc, oldDoc), true);
             });
         });
     });
@@ -27,12 +31,12 @@ describe('{{ruleName}} Validator', function() {
         invalidCases.forEach((testDoc, index) => {
             it(`should reject invalid case ${index + 1}`, function() {
                 assert.throws(() => {
-                    validator.{{functionName}}(testDoc);
+                    validator.{{functionName}}(testDoc, oldDoc);
                 }, (err) => {
                     // CouchDB validation functions throw objects with a 'forbidden' property
                     return err.forbidden && err.forbidden.includes('{{errorMessage}}');
                 });
             });
         });
-    });
+    });{{roleTests}}
 });
\ No newline at end of file
@@ -14,10 +14,13 @@ exports.metadata = {{metadata}};
  * Validation function for {{functionName}}
  * 
  * @param {Object} doc - The document to validate
+ * @param {Object} oldDoc - The stored version of the document, or null
+ * @param {Object} userCtx - The user writing the document (name, roles)
+ * @param {Object} secObj - The database security object
  * @returns {boolean} Returns true if valid
- * @throws {Object} Throws forbidden error if invalid
+ * @throws {Object} Throws forbidden error if invalid; the loader adds the check for metadata.required_roles
  */
-exports.{{functionName}} = function (doc) {
+exports.{{functionName}} = function (doc, oldDoc, userCtx, secObj) {
     {{validationCode}}
     
     return true;
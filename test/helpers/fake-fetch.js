@@ -0,0 +1,32 @@
+/**
+ * Fake fetch for unit tests
+ * Stands in for node-fetch so CouchDB requests can be checked without a server
+ */
+
+/**
+ * Records requests and answers them from a list of responses
+ * @param {Object[]} responses - Responses in the order requests are made, each with status and
+ *   optionally body (returned by json() and, as JSON, text()) and cookie (the Set-Cookie header);
+ *   once they run out every request gets an empty 200
+ * @returns {Function} fetch, with the requests made so far in fetch.requests
+ */
+function createFakeFetch(responses) {
+    const requests = [];
+    const fetch = async (url, options = {}) => {
+        requests.push({ url: url, ...options });
+        const response = responses.shift() || { status: 200 };
+        return {
+            status: response.status,
+            ok: response.status >= 200 && response.status < 300,
+            headers: { get: name => (name === 'set-cookie' ? response.cookie || null : null) },
+            json: async () => response.body,
+            text: async () => JSON.stringify(response.body)
+        };
+    };
+    fetch.requests = requests;
+    return fetch;
+}
+
+module.exports = {
+    createFakeFetch
+};
@@ -76,6 +76,21 @@ class MockDataGenerator {
         });
     }
 
+    /**
+     * Generate an update to a stored person document, for rules that compare with oldDoc
+     * Returns the new revision (doc) and the stored revision (oldDoc) it replaces
+     */
+    static generateUpdate(changes = {}, stored = {}) {
+        const oldDoc = this.generateValidPerson({
+            _id: "person_update",
+            _rev: "1-stored",
+            ...stored
+        });
+        const doc = { ...oldDoc, ...changes };
+        
+        return { doc, oldDoc };
+    }
+
     /**
      * Generate edge case documents for boundary testing
      */
@@ -94,6 +94,11 @@ class TestSetup {
         const validators = require('../../index');
         
         for (const [validatorName, validatorModule] of Object.entries(validators)) {
+            // Scoring rules record determinations instead of validating writes
+            if (validatorModule.metadata && validatorModule.metadata.rule_type === 'scoring') {
+                continue;
+            }
+            
             const validationFunction = validatorModule[validatorName];
             await this.couchHelper.loadDesignDocument(validatorName, validationFunction);
         }
@@ -0,0 +1,95 @@
+const assert = require('assert');
+const path = require('path');
+const { COMMANDS, EXIT_CODES, usesCouchDB, parseCommandLine, formatHelp } = require('../../../utils/cli');
+
+describe('Command Line Parsing', function() {
+    describe('parseCommandLine', function() {
+        it('should treat no arguments as a request for help', function() {
+            assert.deepStrictEqual(parseCommandLine([]), { command: null, positionals: [], options: { help: true } });
+            assert.strictEqual(parseCommandLine(['--help']).options.help, true);
+        });
+
+        it('should parse a command with positionals and camelCased options', function() {
+            const commandLine = parseCommandLine(['load', 'snap_db', '--rule-set=SNAP', '--dry-run', '--json']);
+
+            assert.strictEqual(commandLine.command, 'load');
+            assert.deepStrictEqual(commandLine.positionals, ['snap_db']);
+            assert.deepStrictEqual(commandLine.options, { ruleSet: 'SNAP', dryRun: true, json: true });
+        });
+
+        it('should accept option values as separate arguments and short flags', function() {
+            const commandLine = parseCommandLine(['unload', '--tag', 'income', '-y', '--db', 'rules_db']);
+
+            assert.deepStrictEqual(commandLine.options, { tag: 'income', yes: true, db: 'rules_db' });
+        });
+
+        it('should reject unknown commands', function() {
+            assert.throws(() => parseCommandLine(['deploy']), /Unknown command: deploy/);
+        });
+
+        it('should reject options that belong to another command', function() {
+            assert.throws(() => parseCommandLine(['list', '--dry-run']), /Unknown option '--dry-run'/);
+        });
+
+        it('should require mandatory arguments', function() {
+            assert.throws(() => parseCommandLine(['show']), /Missing argument <rule> for show/);
+            assert.throws(() => parseCommandLine(['import']), /Missing argument <archive> for import/);
+            assert.throws(() => parseCommandLine(['rollback', 'householdIncome']), /Missing argument <entry> for rollback/);
+            assert.throws(() => parseCommandLine(['approve']), /Missing argument <proposal> for approve/);
+        });
+
+        it('should reject extra arguments', function() {
+            assert.throws(() => parseCommandLine(['list', 'a', 'b']), /Too many arguments for list: b/);
+        });
+
+        it('should allow help without the mandatory arguments', function() {
+            assert.strictEqual(parseCommandLine(['show', '--help']).options.help, true);
+        });
+    });
+
+    describe('usesCouchDB', function() {
+        it('should only connect for commands that talk to CouchDB', function() {
+            assert.strictEqual(usesCouchDB(parseCommandLine(['list'])), true);
+            assert.strictEqual(usesCouchDB(parseCommandLine(['load', '--dry-run'])), true);
+            assert.strictEqual(usesCouchDB(parseCommandLine(['test', 'doc.json'])), false);
+            assert.strictEqual(usesCouchDB(parseCommandLine(['create'])), false);
+            assert.strictEqual(usesCouchDB(parseCommandLine(['batch', 'people.csv'])), false);
+            assert.strictEqual(usesCouchDB(parseCommandLine(['batch', 'people.csv', 'rules_db', '--deployed'])), true);
+        });
+
+        it('should run local commands without valid connection settings', async function() {
+            const { main } = require('../../../bin/couch-rules');
+            const sample = path.join(__dirname, '../../../samples/sample_person_valid.json');
+            const output = [];
+            const log = console.log;
+            const error = console.error;
+            console.log = console.error = (...args) => output.push(args.join(' '));
+            try {
+                assert.strictEqual(await main(['test', sample, '--profile=missing', '--json']), EXIT_CODES.OK);
+                assert.strictEqual(await main(['list', '--profile=missing']), EXIT_CODES.USAGE);
+            } finally {
+                console.log = log;
+                console.error = error;
+            }
+            assert.strictEqual(JSON.parse(output[0]).valid, true);
+            assert.match(output[1], /Unknown profile: missing/);
+        });
+    });
+
+    describe('formatHelp', function() {
+        it('should list every command', function() {
+            const help = formatHelp();
+            Object.keys(COMMANDS).forEach(command => {
+                assert.ok(help.includes(`  ${command} `), `help lists ${command}`);
+            });
+        });
+
+        it('should describe a command\'s usage and options', function() {
+            const help = formatHelp('import');
+
+            assert.ok(help.startsWith('Usage: couch-rules import <archive> [database] [options]'));
+            assert.ok(help.includes('--on-conflict=VALUE'));
+            assert.ok(help.includes('--json'));
+        });
+    });
+});
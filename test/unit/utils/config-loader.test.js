@@ -0,0 +1,287 @@
+const assert = require('assert');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const {
+    DEFAULTS,
+    parseEnvFile,
+    loadEnvFile,
+    readConfigFile,
+    selectProfile,
+    readSecretFile,
+    isLocalHost,
+    resolveConnectionSettings,
+    validateConnectionSettings
+} = require('../../../utils/config-loader');
+
+describe('Configuration Loading', function() {
+    let tempDir;
+
+    beforeEach(function() {
+        tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 'couch-rules-config-'));
+    });
+
+    afterEach(function() {
+        fs.rmSync(tempDir, { recursive: true, force: true });
+    });
+
+    const writeFile = (name, contents) => {
+        const filePath = path.join(tempDir, name);
+        fs.writeFileSync(filePath, contents);
+        return filePath;
+    };
+
+    describe('parseEnvFile', function() {
+        it('should parse assignments, comments, export prefixes and quotes', function() {
+            const variables = parseEnvFile([
+                '# CouchDB settings',
+                'COUCHDB_URL=https://couch.example.org',
+                'export COUCHDB_USER = deployer',
+                'COUCHDB_PASSWORD="s3cret # not a comment"',
+                'DB_NAME=rules_db # trailing comment',
+                'EMPTY=',
+                'not an assignment'
+            ].join('\n'));
+
+            assert.deepStrictEqual(variables, {
+                COUCHDB_URL: 'https://couch.example.org',
+                COUCHDB_USER: 'deployer',
+                COUCHDB_PASSWORD: 's3cret # not a comment',
+                DB_NAME: 'rules_db',
+                EMPTY: ''
+            });
+        });
+    });
+
+    describe('loadEnvFile', function() {
+        it('should set unset variables without overriding existing ones', function() {
+            const env = { COUCHDB_USER: 'from-shell' };
+            const loaded = loadEnvFile(writeFile('.env', 'COUCHDB_USER=from-file\nDB_NAME=snap_rules_db\n'), env);
+
+            assert.deepStrictEqual(loaded, ['DB_NAME']);
+            assert.deepStrictEqual(env, { COUCHDB_USER: 'from-shell', DB_NAME: 'snap_rules_db' });
+        });
+
+        it('should ignore a missing file', function() {
+            assert.deepStrictEqual(loadEnvFile(path.join(tempDir, '.env'), {}), []);
+        });
+    });
+
+    describe('readConfigFile and selectProfile', function() {
+        const config = {
+            default_profile: 'dev',
+            profiles: {
+                dev: { url: 'http://localhost:5984' },
+                prod: { url: 'https://couch.example.org', password_file: '/run/secrets/couchdb_password' }
+            }
+        };
+
+        it('should return null when the file does not exist', function() {
+            assert.strictEqual(readConfigFile(path.join(tempDir, 'missing.json')), null);
+        });
+
+        it('should reject invalid JSON and files without profiles', function() {
+            assert.throws(() => readConfigFile(writeFile('bad.json', '{')), /Unable to parse config file/);
+            assert.throws(() => readConfigFile(writeFile('empty.json', '{}')), /must contain a "profiles" object/);
+        });
+
+        it('should select the named profile or the default profile', function() {
+            const parsed = readConfigFile(writeFile('config.json', JSON.stringify(config)));
+
+            assert.strictEqual(selectProfile(parsed, 'prod').name, 'prod');
+            assert.strictEqual(selectProfile(parsed, 'prod').password_file, '/run/secrets/couchdb_password');
+            assert.strictEqual(selectProfile(parsed).name, 'dev');
+        });
+
+        it('should use no profile when none is named', function() {
+            assert.deepStrictEqual(selectProfile(null), {});
+            assert.deepStrictEqual(selectProfile({ profiles: {} }), {});
+        });
+
+        it('should reject unknown profiles', function() {
+            assert.throws(() => selectProfile(config, 'qa'), /Unknown profile: qa. Available profiles: dev, prod/);
+            assert.throws(() => selectProfile(null, 'qa'), /No profiles are defined/);
+        });
+    });
+
+    describe('readSecretFile', function() {
+        it('should drop the trailing newline', function() {
+            assert.strictEqual(readSecretFile(writeFile('password', 'from-secret\n')), 'from-secret');
+        });
+
+        it('should report unreadable files', function() {
+            assert.throws(() => readSecretFile(path.join(tempDir, 'missing')), /Unable to read password file/);
+            assert.throws(() => readSecretFile(path.join(tempDir, 'missing'), 'token'), /Unable to read token file/);
+        });
+    });
+
+    describe('isLocalHost', function() {
+        it('should recognise localhost and loopback addresses', function() {
+            assert.strictEqual(isLocalHost('http://localhost:5984'), true);
+            assert.strictEqual(isLocalHost('http://127.0.0.1:5984/'), true);
+            assert.strictEqual(isLocalHost('http://[::1]:5984'), true);
+            assert.strictEqual(isLocalHost('https://couch.example.org'), false);
+            assert.strictEqual(isLocalHost('not a url'), false);
+        });
+    });
+
+    describe('resolveConnectionSettings', function() {
+        it('should fall back to the defaults', function() {
+            const settings = resolveConnectionSettings();
+
+            assert.strictEqual(settings.url, DEFAULTS.url);
+            assert.strictEqual(settings.username, DEFAULTS.username);
+            assert.strictEqual(settings.password, DEFAULTS.password);
+            assert.strictEqual(settings.database, DEFAULTS.database);
+            assert.strictEqual(settings.password_source, 'default');
+            assert.strictEqual(settings.profile, null);
+        });
+
+        it('should prefer overrides, then the environment, then the profile', function() {
+            const settings = resolveConnectionSettings({
+                overrides: { username: 'cli-user' },
+                env: { COUCHDB_USER: 'env-user', COUCHDB_URL: 'https://env.example.org/', DB_NAME: 'env_db' },
+                profile: { name: 'staging', username: 'profile-user', url: 'https://staging.example.org', database: 'staging_db', password: 'profile-pass' }
+            });
+
+            assert.strictEqual(settings.username, 'cli-user');
+            assert.strictEqual(settings.url, 'https://env.example.org');
+            assert.strictEqual(settings.database, 'env_db');
+            assert.strictEqual(settings.password, 'profile-pass');
+            assert.strictEqual(settings.password_source, 'profile staging');
+            assert.strictEqual(settings.profile, 'staging');
+        });
+
+        it('should rank positional arguments below the environment and above the profile', function() {
+            const positional = { username: 'arg-user', password: 'arg-pass' };
+            const profile = { name: 'dev', username: 'profile-user', password: 'profile-pass' };
+
+            const fromEnv = resolveConnectionSettings({ env: { COUCHDB_USER: 'env-user', COUCHDB_PASSWORD: 'env-pass' }, positional: positional, profile: profile });
+            assert.strictEqual(fromEnv.username, 'env-user');
+            assert.strictEqual(fromEnv.password, 'env-pass');
+
+            const fromArgs = resolveConnectionSettings({ positional: positional, profile: profile });
+            assert.strictEqual(fromArgs.username, 'arg-user');
+            assert.strictEqual(fromArgs.password, 'arg-pass');
+            assert.strictEqual(fromArgs.password_source, 'argument');
+            assert.strictEqual(resolveConnectionSettings({ overrides: { username: 'cli-user' }, positional: positional }).username, 'cli-user');
+        });
+
+        it('should read passwords from files', function() {
+            const secret = writeFile('secret', 'from-file\n');
+
+            assert.strictEqual(resolveConnectionSettings({ env: { COUCHDB_PASSWORD_FILE: secret } }).password, 'from-file');
+            assert.strictEqual(resolveConnectionSettings({ profile: { password_file: secret } }).password, 'from-file');
+            assert.strictEqual(resolveConnectionSettings({ overrides: { passwordFile: secret }, env: { COUCHDB_PASSWORD: 'env' } }).password, 'from-file');
+        });
+
+        it('should default to basic authentication', function() {
+            const settings = resolveConnectionSettings();
+
+            assert.strictEqual(settings.auth, 'basic');
+            assert.strictEqual(settings.token, null);
+            assert.deepStrictEqual(settings.roles, []);
+        });
+
+        it('should read the JWT only for jwt authentication', function() {
+            const tokenFile = writeFile('token', 'header.payload.signature\n');
+
+            assert.strictEqual(resolveConnectionSettings({ env: { COUCHDB_JWT_FILE: tokenFile } }).token, null);
+            assert.strictEqual(resolveConnectionSettings({ env: { COUCHDB_AUTH: 'jwt', COUCHDB_JWT_FILE: tokenFile } }).token, 'header.payload.signature');
+            assert.strictEqual(resolveConnectionSettings({ overrides: { auth: 'jwt', tokenFile: tokenFile }, env: { COUCHDB_JWT: 'env' } }).token, 'header.payload.signature');
+        });
+
+        it('should read proxy roles and the proxy secret', function() {
+            const settings = resolveConnectionSettings({
+                env: { COUCHDB_ROLES: 'caseworker, reviewer', COUCHDB_PROXY_SECRET: 'shared' },
+                profile: { auth: 'proxy' }
+            });
+
+            assert.strictEqual(settings.auth, 'proxy');
+            assert.deepStrictEqual(settings.roles, ['caseworker', 'reviewer']);
+            assert.strictEqual(settings.proxy_secret, 'shared');
+            assert.deepStrictEqual(resolveConnectionSettings({ profile: { auth: 'proxy', roles: ['caseworker'] } }).roles, ['caseworker']);
+        });
+
+        it('should take rule parameter values from the profile', function() {
+            const parameters = { householdIncome: { maximumIncome: 30000 } };
+
+            assert.deepStrictEqual(resolveConnectionSettings().parameters, {});
+            assert.deepStrictEqual(resolveConnectionSettings({ profile: { parameters: parameters } }).parameters, parameters);
+        });
+
+        it('should prefer a password to a password file in the same layer', function() {
+            const settings = resolveConnectionSettings({ env: { COUCHDB_PASSWORD: 'env', COUCHDB_PASSWORD_FILE: path.join(tempDir, 'missing') } });
+
+            assert.strictEqual(settings.password, 'env');
+            assert.strictEqual(settings.password_source, 'COUCHDB_PASSWORD');
+        });
+    });
+
+    describe('validateConnectionSettings', function() {
+        const jwt = payload => ['{"alg":"HS256"}', JSON.stringify(payload), 'signature']
+            .map(part => Buffer.from(part).toString('base64url')).join('.');
+        const valid = { url: 'https://couch.example.org', username: 'deployer', password: 'long-secret', database: 'rules_db' };
+
+        it('should accept complete settings', function() {
+            assert.deepStrictEqual(validateConnectionSettings(valid), { isValid: true, errors: [] });
+        });
+
+        it('should require a valid http URL, a username, a password and a database', function() {
+            const result = validateConnectionSettings({ url: 'ftp://couch', username: '', password: '', database: '' });
+
+            assert.strictEqual(result.isValid, false);
+            assert.deepStrictEqual(result.errors, [
+                'CouchDB URL must use http or https: ftp://couch',
+                'CouchDB username is required',
+                'Database name is required',
+                'CouchDB password is required'
+            ]);
+            assert.match(validateConnectionSettings({ ...valid, url: 'couch' }).errors[0], /not a valid URL/);
+        });
+
+        it('should allow the default password against localhost', function() {
+            assert.strictEqual(validateConnectionSettings({ ...valid, url: 'http://localhost:5984', password: DEFAULTS.password }).isValid, true);
+        });
+
+        it('should refuse the default password against other hosts', function() {
+            const result = validateConnectionSettings({ ...valid, password: DEFAULTS.password });
+
+            assert.strictEqual(result.isValid, false);
+            assert.match(result.errors[0], /Refusing to use the default password against couch.example.org/);
+        });
+
+        it('should reject unknown authentication methods', function() {
+            assert.match(validateConnectionSettings({ ...valid, auth: 'kerberos' }).errors[0], /Unknown authentication method: kerberos/);
+        });
+
+        it('should only check the password for methods that send it', function() {
+            const token = jwt({ sub: 'caseworker' });
+
+            assert.strictEqual(validateConnectionSettings({ ...valid, auth: 'session', password: DEFAULTS.password }).isValid, false);
+            assert.strictEqual(validateConnectionSettings({ ...valid, auth: 'jwt', token: token, password: DEFAULTS.password }).isValid, true);
+            assert.strictEqual(validateConnectionSettings({ ...valid, auth: 'proxy', password: null }).isValid, true);
+        });
+
+        it('should require a current JWT for jwt authentication', function() {
+            const expired = jwt({ sub: 'caseworker', exp: Math.floor(Date.now() / 1000) - 60 });
+
+            assert.match(validateConnectionSettings({ ...valid, auth: 'jwt' }).errors[0], /needs a token/);
+            assert.match(validateConnectionSettings({ ...valid, auth: 'jwt', token: 'opaque' }).errors[0], /not a JWT/);
+            assert.match(validateConnectionSettings({ ...valid, auth: 'jwt', token: expired }).errors[0], /JWT expired at/);
+        });
+
+        it('should require parameters to be grouped by rule', function() {
+            assert.strictEqual(validateConnectionSettings({ ...valid, parameters: { householdIncome: { maximumIncome: 30000 } } }).isValid, true);
+            assert.match(validateConnectionSettings({ ...valid, parameters: { maximumIncome: 30000 } }).errors[0], /map each rule name/);
+        });
+
+        it('should allow the default password when explicitly permitted', function() {
+            const settings = resolveConnectionSettings({
+                env: { COUCHDB_URL: 'http://couchdb:5984', COUCH_RULES_ALLOW_DEFAULT_PASSWORD: 'true' }
+            });
+
+            assert.strictEqual(validateConnectionSettings(settings).isValid, true);
+        });
+    });
+});
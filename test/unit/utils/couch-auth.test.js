@@ -0,0 +1,156 @@
+const assert = require('assert');
+const {
+    decodeJwtPayload,
+    getJwtExpiry,
+    isJwtExpired,
+    createProxyToken,
+    buildAuthHeaders,
+    parseSessionCookie,
+    createAuthenticatedFetch
+} = require('../../../utils/couch-auth');
+const { createFakeFetch } = require('../../helpers/fake-fetch');
+
+const jwt = payload => ['{"alg":"HS256"}', JSON.stringify(payload), 'signature']
+    .map(part => Buffer.from(part).toString('base64url')).join('.');
+
+describe('CouchDB Authentication', function() {
+    const connection = { couchdb_url: 'http://localhost:5984/', username: 'caseworker', password: 's3cret' };
+
+    describe('JWT helpers', function() {
+        it('should decode the payload of a JWT', function() {
+            assert.deepStrictEqual(decodeJwtPayload(jwt({ sub: 'caseworker', _couchdb: { roles: ['caseworker'] } })), {
+                sub: 'caseworker',
+                _couchdb: { roles: ['caseworker'] }
+            });
+            assert.strictEqual(decodeJwtPayload('not-a-token'), null);
+            assert.strictEqual(decodeJwtPayload('a.!!!.c'), null);
+        });
+
+        it('should read the expiry and report expired tokens', function() {
+            const token = jwt({ sub: 'caseworker', exp: 1700000000 });
+
+            assert.strictEqual(getJwtExpiry(token).toISOString(), '2023-11-14T22:13:20.000Z');
+            assert.strictEqual(isJwtExpired(token, 1700000000 * 1000 - 1), false);
+            assert.strictEqual(isJwtExpired(token, 1700000000 * 1000), true);
+            assert.strictEqual(isJwtExpired(jwt({ sub: 'caseworker' })), false);
+        });
+    });
+
+    describe('buildAuthHeaders', function() {
+        it('should send Basic credentials by default', function() {
+            assert.deepStrictEqual(buildAuthHeaders(connection), {
+                'Authorization': `Basic ${Buffer.from('caseworker:s3cret').toString('base64')}`
+            });
+        });
+
+        it('should send a bearer token for jwt', function() {
+            const token = jwt({ sub: 'caseworker' });
+            assert.deepStrictEqual(buildAuthHeaders({ ...connection, auth: 'jwt', token: token }), { 'Authorization': `Bearer ${token}` });
+        });
+
+        it('should refuse an expired JWT', function() {
+            const token = jwt({ sub: 'caseworker', exp: 1700000000 });
+            assert.throws(() => buildAuthHeaders({ ...connection, auth: 'jwt', token: token }), /JWT expired at 2023-11-14T22:13:20.000Z/);
+        });
+
+        it('should send signed proxy headers', function() {
+            const headers = buildAuthHeaders({ ...connection, auth: 'proxy', roles: ['caseworker', 'reviewer'], proxy_secret: 'shared' });
+
+            assert.strictEqual(headers['X-Auth-CouchDB-UserName'], 'caseworker');
+            assert.strictEqual(headers['X-Auth-CouchDB-Roles'], 'caseworker,reviewer');
+            assert.strictEqual(headers['X-Auth-CouchDB-Token'], createProxyToken('caseworker', 'shared'));
+            assert.match(headers['X-Auth-CouchDB-Token'], /^[0-9a-f]{64}$/);
+        });
+
+        it('should leave the proxy token out without a secret', function() {
+            const headers = buildAuthHeaders({ ...connection, auth: 'proxy' });
+            assert.strictEqual(headers['X-Auth-CouchDB-Token'], undefined);
+            assert.strictEqual(headers['X-Auth-CouchDB-Roles'], '');
+        });
+
+        it('should reject session and unknown methods', function() {
+            assert.throws(() => buildAuthHeaders({ ...connection, auth: 'session' }), /needs a login/);
+            assert.throws(() => buildAuthHeaders({ ...connection, auth: 'kerberos' }), /Unknown authentication method/);
+        });
+    });
+
+    describe('parseSessionCookie', function() {
+        it('should extract the AuthSession cookie', function() {
+            assert.strictEqual(parseSessionCookie('AuthSession=abc123; Version=1; Path=/; HttpOnly'), 'AuthSession=abc123');
+            assert.strictEqual(parseSessionCookie(null), null);
+        });
+    });
+
+    describe('createAuthenticatedFetch', function() {
+        it('should add the headers to every request and keep the caller\'s', async function() {
+            const fetch = createFakeFetch([]);
+            await createAuthenticatedFetch(fetch, connection)('http://localhost:5984/rules_db', {
+                method: 'PUT',
+                headers: { 'Content-Type': 'application/json' }
+            });
+
+            assert.strictEqual(fetch.requests[0].method, 'PUT');
+            assert.strictEqual(fetch.requests[0].headers['Content-Type'], 'application/json');
+            assert.match(fetch.requests[0].headers['Authorization'], /^Basic /);
+        });
+
+        it('should log in once and send the session cookie', async function() {
+            const fetch = createFakeFetch([{ status: 200, cookie: 'AuthSession=first; Path=/' }]);
+            const authenticatedFetch = createAuthenticatedFetch(fetch, { ...connection, auth: 'session' });
+
+            await authenticatedFetch('http://localhost:5984/rules_db');
+            await authenticatedFetch('http://localhost:5984/rules_db/_design_docs');
+
+            assert.strictEqual(fetch.requests.length, 3);
+            assert.strictEqual(fetch.requests[0].url, 'http://localhost:5984/_session');
+            assert.deepStrictEqual(JSON.parse(fetch.requests[0].body), { name: 'caseworker', password: 's3cret' });
+            assert.strictEqual(fetch.requests[1].headers['Cookie'], 'AuthSession=first');
+            assert.strictEqual(fetch.requests[2].headers['Cookie'], 'AuthSession=first');
+            assert.strictEqual(fetch.requests[1].headers['Authorization'], undefined);
+        });
+
+        it('should share one login between parallel requests', async function() {
+            const fetch = createFakeFetch([{ status: 200, cookie: 'AuthSession=first' }]);
+            const authenticatedFetch = createAuthenticatedFetch(fetch, { ...connection, auth: 'session' });
+
+            await Promise.all([authenticatedFetch('http://localhost:5984/a'), authenticatedFetch('http://localhost:5984/b')]);
+
+            assert.strictEqual(fetch.requests.filter(request => request.url.endsWith('/_session')).length, 1);
+        });
+
+        it('should keep cookies CouchDB refreshes', async function() {
+            const fetch = createFakeFetch([
+                { status: 200, cookie: 'AuthSession=first' },
+                { status: 200, cookie: 'AuthSession=refreshed; Path=/' }
+            ]);
+            const authenticatedFetch = createAuthenticatedFetch(fetch, { ...connection, auth: 'session' });
+
+            await authenticatedFetch('http://localhost:5984/rules_db');
+            await authenticatedFetch('http://localhost:5984/rules_db');
+
+            assert.strictEqual(fetch.requests[2].headers['Cookie'], 'AuthSession=refreshed');
+        });
+
+        it('should log in again when the session expires', async function() {
+            const fetch = createFakeFetch([
+                { status: 200, cookie: 'AuthSession=first' },
+                { status: 401 },
+                { status: 200, cookie: 'AuthSession=second' },
+                { status: 200 }
+            ]);
+            const response = await createAuthenticatedFetch(fetch, { ...connection, auth: 'session' })('http://localhost:5984/rules_db');
+
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(fetch.requests[2].url, 'http://localhost:5984/_session');
+            assert.strictEqual(fetch.requests[3].headers['Cookie'], 'AuthSession=second');
+        });
+
+        it('should report a failed login', async function() {
+            const fetch = createFakeFetch([{ status: 401 }]);
+            await assert.rejects(
+                createAuthenticatedFetch(fetch, { ...connection, auth: 'session' })('http://localhost:5984/rules_db'),
+                /Login as caseworker failed: HTTP 401/
+            );
+        });
+    });
+});
@@ -0,0 +1,36 @@
+const assert = require('assert');
+const { parseUnloadArguments, unloadValidators } = require('../../../couchUnloader');
+
+describe('Rule Unloader', function() {
+    describe('parseUnloadArguments', function() {
+        it('should read the filters and the database', function() {
+            assert.deepStrictEqual(parseUnloadArguments(['rules_db', '--rule=householdSize', '--yes']), {
+                rule: 'householdSize',
+                tag: null,
+                orphaned: false,
+                yes: true,
+                dbName: 'rules_db'
+            });
+        });
+
+        it('should take a value from the next argument, not as the database', function() {
+            const unloadArguments = parseUnloadArguments(['--rule', 'householdSize', '--tag', 'income', 'rules_db']);
+
+            assert.strictEqual(unloadArguments.rule, 'householdSize');
+            assert.strictEqual(unloadArguments.tag, 'income');
+            assert.strictEqual(unloadArguments.dbName, 'rules_db');
+        });
+
+        it('should refuse unknown flags and a filter without a value', function() {
+            assert.throws(() => parseUnloadArguments(['rules_db', '--rules=householdSize']), /Unknown option '--rules'/);
+            assert.throws(() => parseUnloadArguments(['rules_db', '--rule']), /argument missing/);
+        });
+    });
+
+    describe('unloadValidators', function() {
+        it('should refuse an empty rule or tag rather than remove every rule', async function() {
+            await assert.rejects(unloadValidators({ dbName: 'rules_db', rule: '' }), /--rule needs a value; leave it out to remove every rule/);
+            await assert.rejects(unloadValidators({ dbName: 'rules_db', tag: '' }), /--tag needs a value/);
+        });
+    });
+});
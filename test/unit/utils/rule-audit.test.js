@@ -0,0 +1,137 @@
+const assert = require('assert');
+const crypto = require('crypto');
+const {
+    getAuditDatabaseName,
+    computeSourceHash,
+    createAuditEntry,
+    checkAuditWrite,
+    compileAuditGuard,
+    ensureAuditDatabase,
+    fetchSessionUser,
+    recordAuditEntry,
+    filterAuditEntries,
+    getDistinctValues,
+    fetchAuditEntries
+} = require('../../../utils/rule-audit');
+const { buildDesignDocument } = require('../../../utils/rule-deployment');
+const householdIncome = require('../../../validators/householdIncome');
+const { createFakeFetch } = require('../../helpers/fake-fetch');
+
+describe('Rule Audit', function() {
+    const doc = { ...buildDesignDocument('householdIncome', householdIncome, { action: 'deploy' }), _rev: '4-def' };
+    const entry = createAuditEntry(
+        { database: 'rules_db', action: 'update', doc: doc, oldRev: '3-abc', newRev: '4-def' },
+        { actor: 'pat', tool: 'couchLoader', detail: 'Changed validate_doc_update' }
+    );
+
+    describe('createAuditEntry', function() {
+        it('should record who changed which rule, how and when', function() {
+            assert.strictEqual(getAuditDatabaseName('rules_db'), 'rules_db_rule_audit');
+            assert.strictEqual(entry._id, `${entry.timestamp}:householdIncome:4-def`);
+            assert.strictEqual(entry.type, 'rule_audit');
+            assert.strictEqual(entry.actor, 'pat');
+            assert.strictEqual(entry.action, 'update');
+            assert.strictEqual(entry.old_rev, '3-abc');
+            assert.strictEqual(entry.new_rev, '4-def');
+            assert.strictEqual(entry.version, householdIncome.metadata.version);
+            assert.strictEqual(entry.tool, 'couchLoader');
+        });
+
+        it('should hash the source the rule runs', function() {
+            assert.strictEqual(entry.source_hash, crypto.createHash('sha256').update(doc.validate_doc_update).digest('hex'));
+            assert.notStrictEqual(computeSourceHash({ ...doc, validate_doc_update: 'function () {}' }), entry.source_hash);
+            assert.strictEqual(computeSourceHash({ _id: '_design/empty' }), null);
+        });
+
+        it('should only record known actions', function() {
+            assert.throws(() => createAuditEntry({ action: 'rename', doc: doc, newRev: '4-def' }, { tool: 'web' }), /Unknown audit action: rename/);
+        });
+    });
+
+    describe('checkAuditWrite', function() {
+        const pat = { name: 'pat', roles: [] };
+
+        it('should only add entries, never change or delete them', function() {
+            assert.strictEqual(checkAuditWrite(entry, null, pat), true);
+            assert.throws(() => checkAuditWrite({ ...entry, actor: 'sam' }, entry, pat), { forbidden: 'Audit entries cannot be changed or deleted' });
+            assert.throws(() => checkAuditWrite({ ...entry, _deleted: true }, entry, pat), { forbidden: 'Audit entries cannot be changed or deleted' });
+        });
+
+        it('should record changes under the user making them', function() {
+            assert.throws(() => checkAuditWrite(entry, null, { name: 'sam', roles: [] }), { forbidden: 'actor must be the user making the change' });
+            assert.throws(() => checkAuditWrite({ ...entry, tool: null }, null, pat),
+                { forbidden: 'An audit entry must name the rule, the revision, the time and the tool used' });
+            assert.throws(() => checkAuditWrite({ _id: 'note', type: 'note' }, null, pat), { forbidden: 'Only rule audit entries can be stored in this database' });
+        });
+
+        it('should enforce the same checks when compiled for CouchDB', function() {
+            const guard = new Function(`return (${compileAuditGuard()});`)();
+
+            assert.strictEqual(guard(entry, null, { name: 'pat', roles: [] }, {}), true);
+            assert.throws(() => guard(entry, entry, { name: 'pat', roles: [] }, {}), { forbidden: 'Audit entries cannot be changed or deleted' });
+        });
+    });
+
+    describe('ensureAuditDatabase', function() {
+        it('should create the audit database and install its check', async function() {
+            const fetch = createFakeFetch([{ status: 404 }, { status: 201 }, { status: 200, body: { admins: {}, members: { roles: ['caseworker'] } } }, { status: 200 }, { status: 404 }, { status: 201 }]);
+
+            assert.strictEqual(await ensureAuditDatabase(fetch, 'http://localhost:5984/', 'rules_db'), 'http://localhost:5984/rules_db_rule_audit');
+            assert.strictEqual(fetch.requests[3].url, 'http://localhost:5984/rules_db_rule_audit/_security');
+            assert.strictEqual(fetch.requests[5].url, 'http://localhost:5984/rules_db_rule_audit/_design/audit_log');
+            assert.strictEqual(JSON.parse(fetch.requests[5].body).validate_doc_update, compileAuditGuard());
+        });
+    });
+
+    describe('fetchSessionUser', function() {
+        it('should prefer the name CouchDB knows the user by', async function() {
+            const connection = { couchdb_url: 'http://localhost:5984/', username: 'admin' };
+
+            assert.strictEqual(await fetchSessionUser(createFakeFetch([{ status: 200, body: { userCtx: { name: 'pat' } } }]), connection), 'pat');
+            assert.strictEqual(await fetchSessionUser(createFakeFetch([{ status: 200, body: { userCtx: { name: null } } }]), connection), 'admin');
+        });
+    });
+
+    describe('recordAuditEntry', function() {
+        it('should report why CouchDB refused an entry', async function() {
+            const fetch = createFakeFetch([{ status: 403, body: { reason: 'actor must be the user making the change' } }]);
+
+            await assert.rejects(recordAuditEntry(fetch, 'http://localhost:5984/rules_db_rule_audit', entry),
+                /Could not record the update of householdIncome in the audit log: actor must be the user making the change/);
+        });
+    });
+
+    describe('filterAuditEntries and fetchAuditEntries', function() {
+        const entries = [
+            { type: 'rule_audit', timestamp: '2024-06-02T09:00:00.000Z', actor: 'sam', action: 'delete', rule_id: 'householdSize', tool: 'couchUnloader' },
+            { type: 'rule_audit', timestamp: '2024-05-31T17:30:00.000Z', actor: 'pat', action: 'update', rule_id: 'householdIncome', tool: 'web' },
+            { type: 'rule_audit', timestamp: '2024-05-01T08:00:00.000Z', actor: 'pat', action: 'create', rule_id: 'householdIncome', tool: 'couchLoader' }
+        ];
+
+        it('should filter by rule, user, action, tool and dates', function() {
+            assert.deepStrictEqual(filterAuditEntries(entries, { actor: 'pat', action: 'update' }), [entries[1]]);
+            assert.deepStrictEqual(filterAuditEntries(entries, { ruleId: 'householdIncome', tool: 'couchLoader' }), [entries[2]]);
+            assert.deepStrictEqual(filterAuditEntries(entries, { since: '2024-05-02', until: '2024-05-31' }), [entries[1]]);
+            assert.strictEqual(filterAuditEntries(entries).length, 3);
+        });
+
+        it('should list each user and tool once, for the filter choices', function() {
+            assert.deepStrictEqual(getDistinctValues(entries, 'actor'), ['pat', 'sam']);
+            assert.deepStrictEqual(getDistinctValues(entries, 'tool'), ['couchLoader', 'couchUnloader', 'web']);
+        });
+
+        it('should read the date range newest first and skip the design document', async function() {
+            const fetch = createFakeFetch([{ status: 200, body: { rows: [{ doc: { _id: '_design/audit_log' } }].concat(entries.map(doc => ({ doc: doc }))) } }]);
+
+            const found = await fetchAuditEntries(fetch, 'http://localhost:5984/rules_db_rule_audit', { actor: 'pat', until: '2024-05-31', limit: 1 });
+
+            assert.deepStrictEqual(found, [entries[1]]);
+            assert.ok(fetch.requests[0].url.includes('descending=true'));
+            assert.ok(fetch.requests[0].url.includes(`startkey=${encodeURIComponent(JSON.stringify('2024-05-31\ufff0'))}`));
+        });
+
+        it('should find nothing before the first change was recorded', async function() {
+            assert.deepStrictEqual(await fetchAuditEntries(createFakeFetch([{ status: 404 }]), 'http://localhost:5984/rules_db_rule_audit'), []);
+        });
+    });
+});
@@ -0,0 +1,96 @@
+const assert = require('assert');
+const {
+    BACKUP_FORMAT,
+    BACKUP_FORMAT_VERSION,
+    createBackupArchive,
+    validateBackupArchive,
+    planRestore
+} = require('../../../utils/rule-backup');
+
+describe('Rule Backup Archives', function() {
+    const deployed = [
+        { _id: '_design/householdSize', _rev: '2-b', validate_doc_update: 'function (doc) {}', rule_metadata: { name: 'Size', version: '1.0.0' }, content_hash: 'abc' },
+        { _id: '_design/householdIncome', _rev: '4-a', validate_doc_update: 'function (doc) {}', rule_definition: { field: 'income' }, rule_metadata: { name: 'Income', version: '1.1.0' } },
+        { _id: '_design/reports', _rev: '1-c', views: {} }
+    ];
+
+    describe('createBackupArchive', function() {
+        it('should archive rule design documents with their source, metadata and revision', function() {
+            const archive = createBackupArchive('rules_db', deployed);
+
+            assert.strictEqual(archive.format, BACKUP_FORMAT);
+            assert.strictEqual(archive.format_version, BACKUP_FORMAT_VERSION);
+            assert.strictEqual(archive.database, 'rules_db');
+            assert.deepStrictEqual(archive.rules.map(rule => rule._id), ['_design/householdIncome', '_design/householdSize']);
+            assert.deepStrictEqual(archive.rules[0], deployed[1]);
+            assert.strictEqual(archive.rules[1].content_hash, 'abc');
+        });
+
+        it('should keep the rule set descriptor without its revision', function() {
+            const archive = createBackupArchive('snap_rules_db', deployed, { _id: '_local/rule_set', _rev: '0-3', name: 'SNAP', rules: [] });
+
+            assert.deepStrictEqual(archive.rule_set, { _id: '_local/rule_set', name: 'SNAP', rules: [] });
+        });
+
+        it('should produce an archive that validates', function() {
+            assert.strictEqual(validateBackupArchive(createBackupArchive('rules_db', deployed)).isValid, true);
+        });
+    });
+
+    describe('validateBackupArchive', function() {
+        it('should reject files that are not archives', function() {
+            assert.strictEqual(validateBackupArchive(null).isValid, false);
+            assert.strictEqual(validateBackupArchive({ rules: [] }).isValid, false);
+        });
+
+        it('should reject archives from an unsupported version', function() {
+            const archive = { ...createBackupArchive('rules_db', deployed), format_version: 99 };
+            const result = validateBackupArchive(archive);
+
+            assert.strictEqual(result.isValid, false);
+            assert.match(result.errors[0], /Unsupported archive version 99/);
+        });
+
+        it('should reject rules that are not rule design documents', function() {
+            const archive = { ...createBackupArchive('rules_db', []), rules: [{ _id: 'person-1' }, { _id: '_design/x' }] };
+
+            assert.deepStrictEqual(validateBackupArchive(archive).errors, [
+                'Rule 1 is not a design document',
+                '_design/x is missing rule_metadata'
+            ]);
+        });
+    });
+
+    describe('planRestore', function() {
+        const archive = createBackupArchive('rules_db', deployed);
+        const target = [{ _id: '_design/householdSize', _rev: '7-z', rule_metadata: {} }];
+
+        it('should create rules that do not exist, without the archived revision', function() {
+            const plan = planRestore(archive, [], 'fail');
+
+            assert.deepStrictEqual(plan.conflicts, []);
+            assert.deepStrictEqual(plan.actions.map(step => step.action), ['create', 'create']);
+            assert.strictEqual(plan.actions[0].doc._rev, undefined);
+        });
+
+        it('should report conflicts', function() {
+            assert.deepStrictEqual(planRestore(archive, target).conflicts, ['householdSize']);
+        });
+
+        it('should skip existing rules with the skip strategy', function() {
+            const plan = planRestore(archive, target, 'skip');
+            assert.deepStrictEqual(plan.actions.map(step => step.action), ['create', 'skip']);
+        });
+
+        it('should overwrite existing rules using the target revision', function() {
+            const plan = planRestore(archive, target, 'overwrite');
+
+            assert.strictEqual(plan.actions[1].action, 'overwrite');
+            assert.strictEqual(plan.actions[1].doc._rev, '7-z');
+        });
+
+        it('should reject unknown strategies', function() {
+            assert.throws(() => planRestore(archive, target, 'merge'), /Unknown conflict strategy: merge/);
+        });
+    });
+});
@@ -0,0 +1,109 @@
+const assert = require('assert');
+const {
+    detectBatchFormat,
+    parseBatchDocuments,
+    evaluateBatch,
+    evaluateDeployedBatch,
+    filterBatchRows,
+    formatBatchCsv
+} = require('../../../utils/rule-batch');
+const sampleBulk = require('../../../samples/sample_bulk.json');
+const { createFakeFetch } = require('../../helpers/fake-fetch');
+
+describe('Rule Batch', function() {
+    describe('detectBatchFormat', function() {
+        it('should go by the file name, then the content', function() {
+            assert.strictEqual(detectBatchFormat('', 'people.jsonl'), 'ndjson');
+            assert.strictEqual(detectBatchFormat('', 'people.CSV'), 'csv');
+            assert.strictEqual(detectBatchFormat('[{}]'), 'json');
+            assert.strictEqual(detectBatchFormat('{"docs": []}'), 'json');
+            assert.strictEqual(detectBatchFormat('{"a": 1}\n{"a": 2}'), 'ndjson');
+            assert.strictEqual(detectBatchFormat('name,income\nPat,100'), 'csv');
+        });
+    });
+
+    describe('parseBatchDocuments', function() {
+        it('should read a JSON array, a { docs } file and a single document', function() {
+            assert.deepStrictEqual(parseBatchDocuments('[{"a": 1}, {"a": 2}]'), [{ a: 1 }, { a: 2 }]);
+            assert.strictEqual(parseBatchDocuments(JSON.stringify(sampleBulk), null, 'sample_bulk.json').length, 2);
+            assert.deepStrictEqual(parseBatchDocuments('{"a": 1}', 'json'), [{ a: 1 }]);
+        });
+
+        it('should read NDJSON and name the line that is not JSON', function() {
+            assert.deepStrictEqual(parseBatchDocuments('{"a": 1}\r\n\n{"a": 2}\n', 'ndjson'), [{ a: 1 }, { a: 2 }]);
+            assert.throws(() => parseBatchDocuments('{"a": 1}\n{"a": }', 'ndjson'), /Line 2 is not valid JSON/);
+            assert.throws(() => parseBatchDocuments('{"a": 1}\n[1]', 'ndjson'), /Document 2 is not a JSON object/);
+        });
+
+        it('should read CSV with quoting, typed values and nested fields', function() {
+            const csv = 'name,income,interviewComplete,zip,personalInfo.firstName,notes\r\n' +
+                '"Smith, Sally",17500,true,02134,Sally,"She said ""yes""\nlater"\r\n' +
+                'Joe,"15000",,null,Joe\r\n';
+
+            assert.deepStrictEqual(parseBatchDocuments(csv, 'csv'), [
+                { name: 'Smith, Sally', income: 17500, interviewComplete: true, zip: '02134', personalInfo: { firstName: 'Sally' }, notes: 'She said "yes"\nlater' },
+                { name: 'Joe', income: '15000', interviewComplete: '', zip: null, personalInfo: { firstName: 'Joe' } }
+            ]);
+            assert.throws(() => parseBatchDocuments('a\n1,2', 'csv'), /CSV row 2 has 2 values but the header names 1/);
+            assert.throws(() => parseBatchDocuments('a\n"1', 'csv'), /CSV ends inside a quoted value/);
+        });
+    });
+
+    describe('evaluateBatch', function() {
+        it('should lay the sample documents out as a document × rule matrix', function() {
+            const matrix = evaluateBatch(sampleBulk.docs);
+
+            assert.deepStrictEqual(matrix.summary, { documents: 2, valid: 1, invalid: 1 });
+            assert.deepStrictEqual(matrix.rows.map(row => [row.label, row.valid]), [['Joe johnson', false], ['Sally Smith', true]]);
+            assert.deepStrictEqual(matrix.rows[0].results.interviewComplete, { outcome: 'fail', message: 'Interview must be completed.' });
+            assert.deepStrictEqual(matrix.rows[1].results.benefitTier, { outcome: 'pass', message: 'partial (1/5 points)' });
+
+            const dependents = matrix.rules.find(rule => rule.rule_id === 'numberOfDependents');
+            assert.deepStrictEqual([dependents.pass, dependents.fail, dependents.skipped], [1, 1, 0]);
+        });
+    });
+
+    describe('evaluateDeployedBatch', function() {
+        it('should fetch the deployed rules once and evaluate every document in the sandbox', async function() {
+            const fetch = createFakeFetch([
+                { status: 200, body: { rows: [
+                    { doc: { _id: '_design/income', validate_doc_update: 'function (newDoc) { if (newDoc.income > 25000) { throw ({ forbidden: "Income too high" }); } }', rule_metadata: { name: 'Income Limit', version: '1.0.0' } } },
+                    { doc: { _id: '_design/scoring', updates: {} } }
+                ] } },
+                { status: 200, body: {} }
+            ]);
+
+            const matrix = await evaluateDeployedBatch(fetch, 'http://localhost:5984/', 'rules_db', {
+                documents: [{ _id: 'low', income: 100 }, { _id: 'high', income: 30000 }]
+            });
+
+            assert.strictEqual(fetch.requests.length, 2);
+            assert.strictEqual(matrix.database, 'rules_db');
+            assert.deepStrictEqual(matrix.rules, [{ rule_id: 'income', rule_name: 'Income Limit', rule_version: '1.0.0', pass: 1, fail: 1, skipped: 0 }]);
+            assert.deepStrictEqual(matrix.rows.map(row => row.results.income.outcome), ['pass', 'fail']);
+        });
+    });
+
+    describe('filterBatchRows and formatBatchCsv', function() {
+        const matrix = evaluateBatch(sampleBulk.docs);
+
+        it('should filter by result, a rule\'s outcome and search text', function() {
+            const labels = filters => filterBatchRows(matrix.rows, filters).map(row => row.label);
+
+            assert.deepStrictEqual(labels({}), ['Joe johnson', 'Sally Smith']);
+            assert.deepStrictEqual(labels({ result: 'valid' }), ['Sally Smith']);
+            assert.deepStrictEqual(labels({ ruleId: 'interviewComplete', outcome: 'fail' }), ['Joe johnson']);
+            assert.deepStrictEqual(labels({ ruleId: 'householdSize', outcome: 'fail' }), []);
+            assert.deepStrictEqual(labels({ search: 'INTERVIEW' }), ['Joe johnson']);
+        });
+
+        it('should export a column per rule, quoting messages with commas', function() {
+            const lines = formatBatchCsv({ rules: [{ rule_id: 'a' }], rows: [
+                { index: 1, label: 'Pat', valid: false, results: { a: { outcome: 'fail', message: 'Too high, sorry' } } }
+            ] }).split('\n');
+
+            assert.deepStrictEqual(lines, ['#,document,valid,a', '1,Pat,false,"fail: Too high, sorry"', '']);
+            assert.strictEqual(formatBatchCsv(matrix, []).split('\n')[0].split(',').length, 3 + matrix.rules.length);
+        });
+    });
+});
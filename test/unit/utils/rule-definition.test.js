@@ -0,0 +1,177 @@
+const assert = require('assert');
+const {
+    OPERATORS,
+    validateRuleDefinition,
+    applyRuleDefinition,
+    compileRuleDefinition,
+    compileRuleFunction
+} = require('../../../utils/rule-definition');
+
+describe('Declarative Rule Definitions', function() {
+    const incomeDefinition = {
+        field: 'income',
+        operator: 'lte',
+        value: 25000,
+        message: 'Income must be lower than $25,000',
+        conditions: [{ field: 'income', operator: 'exists' }]
+    };
+
+    describe('validateRuleDefinition', function() {
+        it('should accept a complete definition', function() {
+            const result = validateRuleDefinition(incomeDefinition);
+            assert.strictEqual(result.isValid, true, result.errors.join(', '));
+        });
+
+        it('should require field, operator and message', function() {
+            const result = validateRuleDefinition({});
+            assert.strictEqual(result.isValid, false);
+            assert(result.errors.some(error => error.includes('field')));
+            assert(result.errors.some(error => error.includes('operator')));
+            assert(result.errors.some(error => error.includes('message')));
+        });
+
+        it('should reject unknown operators', function() {
+            const result = validateRuleDefinition({ ...incomeDefinition, operator: 'between' });
+            assert.strictEqual(result.isValid, false);
+            assert(result.errors[0].includes('invalid operator'));
+        });
+
+        it('should require a value for comparison operators', function() {
+            const result = validateRuleDefinition({ field: 'age', operator: 'gte', message: 'Too young' });
+            assert.strictEqual(result.isValid, false);
+            assert(result.errors[0].includes('missing a value'));
+        });
+
+        it('should require an array value for membership operators', function() {
+            const result = validateRuleDefinition({ field: 'state', operator: 'in', value: 'PA', message: 'Bad state' });
+            assert.strictEqual(result.isValid, false);
+            assert(result.errors[0].includes('array value'));
+        });
+
+        it('should validate each condition', function() {
+            const result = validateRuleDefinition({ ...incomeDefinition, conditions: [{ field: 'income' }] });
+            assert.strictEqual(result.isValid, false);
+            assert(result.errors[0].startsWith('Condition 1'));
+        });
+
+        it('should require a map of allowed next values for transitions', function() {
+            const result = validateRuleDefinition({ field: 'status', operator: 'transition', value: ['draft'], message: 'Bad status' });
+            assert.strictEqual(result.isValid, false);
+            assert(result.errors[0].includes('operator transition'));
+        });
+
+        it('should reject oldDoc fields for operators that already compare with oldDoc', function() {
+            const result = validateRuleDefinition({ field: 'oldDoc.income', operator: 'unchanged', message: 'Locked' });
+            assert.strictEqual(result.isValid, false);
+            assert(result.errors[0].includes('already compares with oldDoc'));
+        });
+
+        it('should not require a value for unary operators', function() {
+            OPERATORS.filter(op => ['exists', 'not_empty', 'unchanged'].includes(op)).forEach(operator => {
+                const result = validateRuleDefinition({ field: 'name', operator, message: 'Name required' });
+                assert.strictEqual(result.isValid, true, result.errors.join(', '));
+            });
+        });
+    });
+
+    describe('applyRuleDefinition', function() {
+        it('should pass documents that satisfy the rule', function() {
+            assert.strictEqual(applyRuleDefinition({ income: 25000 }, incomeDefinition), true);
+        });
+
+        it('should throw forbidden with the rule message on failure', function() {
+            assert.throws(() => applyRuleDefinition({ income: 25001 }, incomeDefinition), {
+                forbidden: 'Income must be lower than $25,000'
+            });
+        });
+
+        it('should skip the rule when a condition does not hold', function() {
+            assert.strictEqual(applyRuleDefinition({ name: 'No income' }, incomeDefinition), true);
+        });
+
+        it('should resolve nested field paths', function() {
+            const rule = { field: 'address.state', operator: 'in', value: ['PA', 'NJ'], message: 'Out of area' };
+            assert.strictEqual(applyRuleDefinition({ address: { state: 'PA' } }, rule), true);
+            assert.throws(() => applyRuleDefinition({ address: { state: 'NY' } }, rule), { forbidden: 'Out of area' });
+            assert.throws(() => applyRuleDefinition({}, rule), { forbidden: 'Out of area' });
+        });
+
+        it('should treat empty strings as failing not_empty', function() {
+            const rule = { field: 'interviewComplete', operator: 'not_empty', message: 'Interview must be completed.' };
+            assert.strictEqual(applyRuleDefinition({ interviewComplete: 'yes' }, rule), true);
+            assert.throws(() => applyRuleDefinition({ interviewComplete: '' }, rule));
+        });
+    });
+
+    describe('transition rules', function() {
+        const incomeLocked = {
+            field: 'income',
+            operator: 'unchanged',
+            message: 'Income may not be changed after approval',
+            conditions: [{ field: 'oldDoc.status', operator: 'eq', value: 'approved' }]
+        };
+        const statusFlow = {
+            field: 'status',
+            operator: 'transition',
+            value: { draft: ['submitted'], submitted: ['approved'] },
+            message: 'Invalid status change'
+        };
+
+        it('should read oldDoc fields in conditions', function() {
+            const approved = { status: 'approved', income: 20000 };
+            assert.throws(() => applyRuleDefinition({ ...approved, income: 21000 }, incomeLocked, approved), {
+                forbidden: 'Income may not be changed after approval'
+            });
+            assert.strictEqual(applyRuleDefinition({ ...approved, income: 20000 }, incomeLocked, approved), true);
+            assert.strictEqual(applyRuleDefinition({ status: 'submitted', income: 21000 }, incomeLocked, { status: 'submitted', income: 20000 }), true);
+        });
+
+        it('should compare nested values for unchanged', function() {
+            const rule = { field: 'address', operator: 'unchanged', message: 'Address is locked' };
+            assert.strictEqual(applyRuleDefinition({ address: { state: 'PA' } }, rule, { address: { state: 'PA' } }), true);
+            assert.throws(() => applyRuleDefinition({ address: { state: 'NJ' } }, rule, { address: { state: 'PA' } }));
+        });
+
+        it('should only allow listed transitions', function() {
+            assert.strictEqual(applyRuleDefinition({ status: 'submitted' }, statusFlow, { status: 'draft' }), true);
+            assert.strictEqual(applyRuleDefinition({ status: 'draft' }, statusFlow, { status: 'draft' }), true);
+            assert.throws(() => applyRuleDefinition({ status: 'approved' }, statusFlow, { status: 'draft' }), { forbidden: 'Invalid status change' });
+            assert.throws(() => applyRuleDefinition({ status: 'draft' }, statusFlow, { status: 'approved' }), { forbidden: 'Invalid status change' });
+        });
+
+        it('should accept new documents', function() {
+            assert.strictEqual(applyRuleDefinition({ status: 'approved', income: 1 }, statusFlow, null), true);
+            assert.strictEqual(applyRuleDefinition({ status: 'approved', income: 1 }, incomeLocked, null), true);
+        });
+
+        it('should pass oldDoc through compiled functions', function() {
+            const validate = compileRuleFunction(statusFlow);
+            assert.throws(() => validate({ status: 'approved' }, { status: 'draft' }), { forbidden: 'Invalid status change' });
+        });
+    });
+
+    describe('compileRuleDefinition', function() {
+        it('should produce self-contained validate_doc_update source', function() {
+            const source = compileRuleDefinition(incomeDefinition);
+            assert(source.startsWith('function (doc, oldDoc) {'));
+            assert(source.includes('"value":25000'));
+        });
+
+        it('should refuse to compile an invalid definition', function() {
+            assert.throws(() => compileRuleDefinition({ field: 'income' }), /Invalid rule definition/);
+        });
+    });
+
+    describe('compileRuleFunction', function() {
+        it('should return a function whose source is the compiled definition', function() {
+            const validate = compileRuleFunction(incomeDefinition);
+            assert.strictEqual(validate.toString(), compileRuleDefinition(incomeDefinition));
+        });
+
+        it('should validate documents like a hand-written validator', function() {
+            const validate = compileRuleFunction(incomeDefinition);
+            assert.strictEqual(validate({ income: 100 }), true);
+            assert.throws(() => validate({ income: 30000 }), { forbidden: 'Income must be lower than $25,000' });
+        });
+    });
+});
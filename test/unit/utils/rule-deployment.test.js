@@ -0,0 +1,314 @@
+const assert = require('assert');
+const {
+    isStagingDatabase,
+    getDeploymentAction,
+    compileInactiveRule,
+    stableStringify,
+    computeContentHash,
+    guardRuleSource,
+    buildDesignDocument,
+    diffDesignDocument,
+    findOrphanedRules,
+    selectRulesForRemoval
+} = require('../../../utils/rule-deployment');
+const householdIncome = require('../../../validators/householdIncome');
+const householdSize = require('../../../validators/householdSize');
+const benefitTier = require('../../../validators/benefitTier');
+const interviewComplete = require('../../../validators/interviewComplete');
+const { createRuleMetadata } = require('../../../utils/rule-metadata');
+
+describe('Rule Deployment', function() {
+    const metadataWithStatus = status => createRuleMetadata({ name: 'Rule', description: 'Rule', status });
+
+    describe('isStagingDatabase', function() {
+        it('should recognise staging database names', function() {
+            assert.strictEqual(isStagingDatabase('staging'), true);
+            assert.strictEqual(isStagingDatabase('rules_db_staging'), true);
+            assert.strictEqual(isStagingDatabase('snap-staging-rules'), true);
+        });
+
+        it('should reject other database names', function() {
+            assert.strictEqual(isStagingDatabase('rules_db'), false);
+            assert.strictEqual(isStagingDatabase('snap_rules_db'), false);
+            assert.strictEqual(isStagingDatabase('unstaging_db'), false);
+            assert.strictEqual(isStagingDatabase(undefined), false);
+        });
+    });
+
+    describe('getDeploymentAction', function() {
+        it('should deploy active rules', function() {
+            assert.strictEqual(getDeploymentAction(metadataWithStatus('active')).action, 'deploy');
+        });
+
+        it('should treat rules without metadata as active', function() {
+            assert.strictEqual(getDeploymentAction(undefined).action, 'deploy');
+        });
+
+        it('should disable inactive rules', function() {
+            assert.deepStrictEqual(getDeploymentAction(metadataWithStatus('inactive')), {
+                action: 'disable',
+                reason: 'status is inactive'
+            });
+        });
+
+        it('should skip draft rules by default', function() {
+            assert.deepStrictEqual(getDeploymentAction(metadataWithStatus('draft'), { dbName: 'rules_db_staging' }), {
+                action: 'skip',
+                reason: 'status is draft'
+            });
+        });
+
+        it('should deploy drafts to a staging database when asked to', function() {
+            const deployment = getDeploymentAction(metadataWithStatus('draft'), { includeDrafts: true, dbName: 'rules_db_staging' });
+            assert.strictEqual(deployment.action, 'deploy');
+        });
+
+        it('should never deploy drafts to a non-staging database', function() {
+            const deployment = getDeploymentAction(metadataWithStatus('draft'), { includeDrafts: true, dbName: 'rules_db' });
+            assert.strictEqual(deployment.action, 'skip');
+        });
+    });
+
+    describe('compileInactiveRule', function() {
+        it('should compile a validation function that accepts every document', function() {
+            const source = compileInactiveRule('householdIncome');
+            const validate = new Function(`return (${source});`)();
+
+            assert.ok(source.includes('householdIncome is inactive'));
+            assert.strictEqual(validate({ income: 1000000 }), true);
+        });
+    });
+
+    describe('buildDesignDocument', function() {
+        const deploy = { action: 'deploy' };
+
+        it('should deploy a hand-written validator as its source', function() {
+            const doc = buildDesignDocument('householdSize', householdSize, deploy);
+
+            assert.strictEqual(doc._id, '_design/householdSize');
+            assert.strictEqual(doc.validate_doc_update, guardRuleSource(householdSize.householdSize.toString(), householdSize.metadata));
+            assert.ok(doc.validate_doc_update.includes(householdSize.householdSize.toString()));
+            assert.strictEqual(doc.rule_metadata.name, householdSize.metadata.name);
+            assert.strictEqual(doc.rule_definition, undefined);
+        });
+
+        it('should compile declarative validators and store their definition', function() {
+            const doc = buildDesignDocument('householdIncome', householdIncome, deploy);
+
+            assert.deepStrictEqual(doc.rule_definition, householdIncome.definition);
+            assert.ok(doc.validate_doc_update.includes('evaluateCheck'));
+        });
+
+        it('should compile the role check into rules with required roles', function() {
+            const doc = buildDesignDocument('interviewComplete', interviewComplete, deploy);
+            const validate = new Function(`return (${doc.validate_doc_update});`)();
+            const interviewDone = { type: 'person', interviewComplete: 'yes' };
+
+            assert.deepStrictEqual(doc.rule_metadata.required_roles, ['supervisor']);
+            assert.strictEqual(validate(interviewDone, null, { name: 'sam', roles: ['supervisor'] }, {}), true);
+            assert.throws(() => validate(interviewDone, null, { name: 'casey', roles: ['caseworker'] }, {}), {
+                unauthorized: 'Only users with role supervisor may set interviewComplete'
+            });
+        });
+
+        it('should compile the scope into rules that declare applies_to', function() {
+            const scoped = { ...householdSize, metadata: { ...householdSize.metadata, applies_to: { type: 'person' } } };
+            const doc = buildDesignDocument('householdSize', scoped, deploy);
+            const validate = new Function(`return (${doc.validate_doc_update});`)();
+
+            assert.deepStrictEqual(doc.rule_metadata.applies_to, { type: 'person' });
+            assert.throws(() => validate({ type: 'person', householdSize: 1 }, null, {}, {}), { forbidden: 'Household size must be at least 3.' });
+            assert.strictEqual(validate({ type: 'household', householdSize: 1 }, null, {}, {}), true);
+            assert.throws(() => validate({ type: 'household', householdSize: 1 }, { type: 'person', householdSize: 3 }, {}, {}), { forbidden: 'Household size must be at least 3.' });
+            assert.strictEqual(validate({ _id: 'person_1', _deleted: true }, { type: 'person', householdSize: 3 }, {}, {}), true);
+        });
+
+        it('should check documents of every type with the eligibility validators, but let deletions through', function() {
+            const doc = buildDesignDocument('householdSize', householdSize, deploy);
+            const validate = new Function(`return (${doc.validate_doc_update});`)();
+
+            assert.deepStrictEqual(doc.rule_metadata.applies_to, { deletions: 'allow' });
+            assert.throws(() => validate({ householdSize: 1 }, null, {}, {}), { forbidden: 'Household size must be at least 3.' });
+            assert.throws(() => validate({ type: 'household', householdSize: 1 }, null, {}, {}), { forbidden: 'Household size must be at least 3.' });
+            assert.strictEqual(validate({ _id: 'person_1', _deleted: true }, { householdSize: 3 }, {}, {}), true);
+        });
+
+        it('should compile the effective period into scheduled rules', function() {
+            const scheduled = { ...householdSize, metadata: { ...householdSize.metadata, effective_from: '2025-01-01' } };
+            const doc = buildDesignDocument('householdSize', scheduled, deploy);
+            const validate = new Function(`return (${doc.validate_doc_update});`)();
+
+            assert.strictEqual(doc.rule_metadata.effective_from, '2025-01-01');
+            assert.throws(() => validate({ type: 'person', householdSize: 1, applicationDate: '2025-03-01' }, null, {}, {}), { forbidden: 'Household size must be at least 3.' });
+            assert.strictEqual(validate({ type: 'person', householdSize: 1, applicationDate: '2024-12-31' }, null, {}, {}), true);
+        });
+
+        it('should inject configured parameter values and record them', function() {
+            const defaults = buildDesignDocument('householdSize', householdSize, deploy);
+            const doc = buildDesignDocument('householdSize', householdSize, deploy, { minimumSize: 2 });
+            const validate = new Function(`return (${doc.validate_doc_update});`)();
+
+            assert.deepStrictEqual(defaults.rule_parameters, { minimumSize: 3 });
+            assert.deepStrictEqual(doc.rule_parameters, { minimumSize: 2 });
+            assert.strictEqual(validate({ type: 'person', householdSize: 2 }, null, {}, {}), true);
+            assert.throws(() => validate({ type: 'person', householdSize: 1 }, null, {}, {}), { forbidden: 'Household size must be at least 2.' });
+            assert.notStrictEqual(doc.content_hash, defaults.content_hash);
+        });
+
+        it('should compile declarative validators with configured parameter values', function() {
+            const doc = buildDesignDocument('householdIncome', householdIncome, deploy, { maximumIncome: 30000 });
+            const validate = new Function(`return (${doc.validate_doc_update});`)();
+
+            assert.deepStrictEqual(doc.rule_definition, householdIncome.definition);
+            assert.throws(() => validate({ type: 'person', income: 30001 }, null, {}, {}), { forbidden: 'Income must be $30,000 or less' });
+        });
+
+        it('should reject invalid parameter values', function() {
+            assert.throws(() => buildDesignDocument('householdSize', householdSize, deploy, { minimumSize: 'three' }), /minimumSize must be an integer/);
+            assert.throws(() => buildDesignDocument('householdSize', householdSize, deploy, { maximumSize: 5 }), /Unknown parameter: maximumSize/);
+        });
+
+        it('should deploy scoring rules as an update handler', function() {
+            const doc = buildDesignDocument('benefitTier', benefitTier, deploy);
+
+            assert.strictEqual(doc.validate_doc_update, undefined);
+            assert.ok(doc.updates.determine.includes('determinations'));
+        });
+
+        it('should deploy disabled rules as a no-op', function() {
+            const doc = buildDesignDocument('benefitTier', benefitTier, { action: 'disable' });
+
+            assert.strictEqual(doc.validate_doc_update, compileInactiveRule('benefitTier'));
+            assert.strictEqual(doc.updates, undefined);
+        });
+
+        it('should not share metadata with the validator module', function() {
+            const doc = buildDesignDocument('householdSize', householdSize, deploy);
+            doc.rule_metadata.modified_date = 'changed';
+
+            assert.notStrictEqual(householdSize.metadata.modified_date, 'changed');
+        });
+    });
+
+    describe('computeContentHash', function() {
+        const localDoc = () => buildDesignDocument('householdSize', householdSize, { action: 'deploy' });
+
+        it('should store the content hash on built design documents', function() {
+            const doc = localDoc();
+            assert.match(doc.content_hash, /^[0-9a-f]{64}$/);
+            assert.strictEqual(doc.content_hash, computeContentHash(doc));
+        });
+
+        it('should not depend on key order or timestamps', function() {
+            const doc = localDoc();
+            const reordered = {
+                rule_metadata: { ...doc.rule_metadata, modified_date: '2030-01-01T00:00:00.000Z' },
+                rule_parameters: doc.rule_parameters,
+                validate_doc_update: doc.validate_doc_update
+            };
+
+            assert.strictEqual(computeContentHash(reordered), doc.content_hash);
+        });
+
+        it('should change when the rule source or metadata changes', function() {
+            const doc = localDoc();
+
+            assert.notStrictEqual(computeContentHash({ ...doc, validate_doc_update: 'function (doc) {}' }), doc.content_hash);
+            assert.notStrictEqual(computeContentHash({ ...doc, rule_metadata: { ...doc.rule_metadata, version: '3.0.0' } }), doc.content_hash);
+        });
+
+        it('should serialise objects with sorted keys', function() {
+            assert.strictEqual(stableStringify({ b: 1, a: [{ d: 2, c: 3 }] }), '{"a":[{"c":3,"d":2}],"b":1}');
+        });
+    });
+
+    describe('diffDesignDocument', function() {
+        const localDoc = () => buildDesignDocument('householdSize', householdSize, { action: 'deploy' });
+
+        it('should report rules that are not deployed as created', function() {
+            assert.deepStrictEqual(diffDesignDocument(localDoc(), null), { status: 'created', changes: [] });
+        });
+
+        it('should ignore timestamps', function() {
+            const deployed = { ...localDoc(), _rev: '3-abc' };
+            deployed.rule_metadata = { ...deployed.rule_metadata, created_date: '2020-01-01T00:00:00.000Z', modified_date: '2020-02-01T00:00:00.000Z' };
+
+            assert.deepStrictEqual(diffDesignDocument(localDoc(), deployed), { status: 'unchanged', changes: [] });
+        });
+
+        it('should report identical documents as unchanged', function() {
+            const deployed = { ...localDoc(), _rev: '2-abc' };
+
+            assert.strictEqual(diffDesignDocument(localDoc(), deployed).status, 'unchanged');
+        });
+
+        it('should report a changed content hash even when no compared field differs', function() {
+            const deployed = { ...localDoc(), content_hash: 'stale' };
+
+            assert.deepStrictEqual(diffDesignDocument(localDoc(), deployed), { status: 'changed', changes: ['content_hash'] });
+        });
+
+        it('should record a content hash on documents deployed without one', function() {
+            const deployed = localDoc();
+            delete deployed.content_hash;
+
+            assert.deepStrictEqual(diffDesignDocument(localDoc(), deployed), { status: 'changed', changes: ['content_hash'] });
+        });
+
+        it('should list changed source and metadata fields', function() {
+            const deployed = localDoc();
+            deployed.validate_doc_update = 'function (doc) { return true; }';
+            deployed.rule_metadata = { ...deployed.rule_metadata, version: '0.9.0' };
+
+            assert.deepStrictEqual(diffDesignDocument(localDoc(), deployed), {
+                status: 'changed',
+                changes: ['validate_doc_update', 'rule_metadata.version']
+            });
+        });
+    });
+
+    describe('findOrphanedRules', function() {
+        it('should list deployed rules with no local validator', function() {
+            const deployed = [
+                { _id: '_design/householdIncome', rule_metadata: {} },
+                { _id: '_design/retiredRule', rule_metadata: {} },
+                { _id: '_design/web-interface' }
+            ];
+
+            assert.deepStrictEqual(findOrphanedRules(deployed, ['householdIncome']), ['retiredRule']);
+        });
+    });
+
+    describe('selectRulesForRemoval', function() {
+        const deployed = [
+            { _id: '_design/householdIncome', rule_metadata: { tags: ['income', 'eligibility'] } },
+            { _id: '_design/benefitTier', rule_metadata: { tags: ['scoring', 'eligibility'] } },
+            { _id: '_design/retiredRule', rule_metadata: { tags: ['income'] } },
+            { _id: '_design/reports', views: {} }
+        ];
+        const ids = docs => docs.map(doc => doc._id);
+
+        it('should select every rule but never design documents without rule_metadata', function() {
+            assert.deepStrictEqual(ids(selectRulesForRemoval(deployed)), ['_design/householdIncome', '_design/benefitTier', '_design/retiredRule']);
+        });
+
+        it('should select a named rule', function() {
+            assert.deepStrictEqual(ids(selectRulesForRemoval(deployed, { rule: 'benefitTier' })), ['_design/benefitTier']);
+            assert.deepStrictEqual(ids(selectRulesForRemoval(deployed, { rule: '_design/benefitTier' })), ['_design/benefitTier']);
+            assert.deepStrictEqual(selectRulesForRemoval(deployed, { rule: 'reports' }), []);
+        });
+
+        it('should select rules by tag', function() {
+            assert.deepStrictEqual(ids(selectRulesForRemoval(deployed, { tag: 'income' })), ['_design/householdIncome', '_design/retiredRule']);
+        });
+
+        it('should select rules that are not kept', function() {
+            const keepRuleIds = ['householdIncome', 'benefitTier'];
+            assert.deepStrictEqual(ids(selectRulesForRemoval(deployed, { keepRuleIds })), ['_design/retiredRule']);
+        });
+
+        it('should require every criterion to match', function() {
+            assert.deepStrictEqual(ids(selectRulesForRemoval(deployed, { tag: 'income', keepRuleIds: ['householdIncome'] })), ['_design/retiredRule']);
+        });
+    });
+});
@@ -0,0 +1,277 @@
+const assert = require('assert');
+const { evaluateDocument, evaluateRule, extractFailure } = require('../../../utils/rule-engine');
+const { createRuleMetadata } = require('../../../utils/rule-metadata');
+const MockDataGenerator = require('../../helpers/mock-data-generator');
+
+describe('Rule Evaluation Engine', function() {
+    describe('extractFailure', function() {
+        it('should read forbidden errors', function() {
+            assert.deepStrictEqual(extractFailure({ forbidden: 'Nope' }), { type: 'forbidden', message: 'Nope' });
+        });
+
+        it('should read unauthorized errors', function() {
+            assert.deepStrictEqual(extractFailure({ unauthorized: 'Log in' }), { type: 'unauthorized', message: 'Log in' });
+        });
+
+        it('should treat anything else as a runtime error', function() {
+            const failure = extractFailure(new TypeError('x is undefined'));
+            assert.strictEqual(failure.type, 'error');
+            assert.strictEqual(failure.message, 'x is undefined');
+        });
+    });
+
+    describe('evaluateRule', function() {
+        it('should report a passing rule without a violation', function() {
+            const result = evaluateRule('alwaysPasses', () => true, {}, {});
+            assert.strictEqual(result.passed, true);
+            assert.strictEqual(result.violation, null);
+        });
+
+        it('should describe the violation using rule metadata', function() {
+            const metadata = createRuleMetadata({
+                name: 'Age Check',
+                description: 'Age must be 18 or over',
+                version: '1.2.0',
+                field: 'age'
+            });
+            const rule = function (doc) {
+                if (doc.age < 18) {
+                    throw ({ forbidden: 'Must be 18 or over' });
+                }
+            };
+
+            const result = evaluateRule('ageCheck', rule, metadata, { age: 12 });
+
+            assert.strictEqual(result.passed, false);
+            assert.deepStrictEqual(result.violation, {
+                rule_id: 'ageCheck',
+                rule_name: 'Age Check',
+                rule_version: '1.2.0',
+                priority: 100,
+                field: 'age',
+                type: 'forbidden',
+                message: 'Must be 18 or over'
+            });
+        });
+    });
+
+    describe('evaluateDocument', function() {
+        it('should accept a document that passes every rule', function() {
+            const report = evaluateDocument(MockDataGenerator.generateValidPerson());
+
+            assert.strictEqual(report.valid, true);
+            assert.deepStrictEqual(report.violations, []);
+            assert.strictEqual(report.evaluated.length, 6);
+        });
+
+        it('should evaluate as an admin unless a user context is given', function() {
+            const person = MockDataGenerator.generateValidPerson();
+            const report = evaluateDocument(person, { userCtx: { name: 'casey', roles: ['caseworker'] } });
+
+            assert.strictEqual(evaluateDocument(person).valid, true);
+            assert.strictEqual(report.valid, false);
+            assert.strictEqual(report.user, 'casey');
+            assert.deepStrictEqual(report.violations.map(violation => [violation.rule_id, violation.type]), [['interviewComplete', 'unauthorized']]);
+            assert.strictEqual(evaluateDocument(person, { userCtx: { name: 'sam', roles: ['supervisor'] } }).valid, true);
+        });
+
+        it('should evaluate updates against the stored document', function() {
+            const { doc, oldDoc } = MockDataGenerator.generateUpdate({ status: 'approved' }, { status: 'draft' });
+
+            assert.strictEqual(evaluateDocument(doc).valid, true);
+
+            const report = evaluateDocument(doc, { oldDoc });
+            assert.strictEqual(report.update, true);
+            assert.deepStrictEqual(report.violations.map(violation => violation.rule_id), ['applicationStatus']);
+        });
+
+        it('should skip rules that do not apply to the document', function() {
+            const validators = {
+                personIncome: {
+                    personIncome: () => { throw ({ forbidden: 'Income required' }); },
+                    metadata: createRuleMetadata({ name: 'Person Income', description: 'Income required', appliesTo: { type: 'person' } })
+                }
+            };
+            const report = evaluateDocument({ type: 'household', householdSize: 1 }, { validators });
+
+            assert.strictEqual(report.valid, true);
+            assert.deepStrictEqual(report.evaluated, []);
+            assert.deepStrictEqual(report.skipped, [{ rule_id: 'personIncome', reason: 'does not apply to this document' }]);
+            assert.strictEqual(evaluateDocument({ type: 'household' }, { validators, oldDoc: { type: 'person' } }).valid, false);
+        });
+
+        it('should check documents without a type, or of any type, against the eligibility validators', function() {
+            const untyped = evaluateDocument({ householdSize: 1 });
+            const otherType = evaluateDocument({ type: 'household', householdSize: 1 });
+
+            assert.strictEqual(untyped.valid, false);
+            assert(untyped.violations.some(violation => violation.rule_id === 'householdSize'));
+            assert.deepStrictEqual(otherType.violations.map(violation => violation.rule_id), untyped.violations.map(violation => violation.rule_id));
+        });
+
+        it('should evaluate rules with configured parameter values', function() {
+            const doc = MockDataGenerator.generateHighIncomePerson(28000);
+            const parameters = { householdIncome: { maximumIncome: 30000 } };
+
+            assert.strictEqual(evaluateDocument(doc).valid, false);
+            assert.strictEqual(evaluateDocument(doc, { parameters }).valid, true);
+        });
+
+        it('should report invalid parameter values as a violation of the rule', function() {
+            const report = evaluateDocument(MockDataGenerator.generateValidPerson(), { parameters: { householdSize: { minimumSize: -1 } } });
+
+            assert.strictEqual(report.valid, false);
+            assert.strictEqual(report.violations[0].rule_id, 'householdSize');
+            assert.match(report.violations[0].message, /minimumSize must be at least 1/);
+        });
+
+        it('should skip rules outside their effective period', function() {
+            const validators = {
+                limit2025: {
+                    limit2025: () => { throw ({ forbidden: '2025 limit' }); },
+                    metadata: createRuleMetadata({ name: 'Limit 2025', description: '2025 limit', effectiveFrom: '2025-01-01', effectiveUntil: '2026-01-01' })
+                }
+            };
+
+            const inPeriod = evaluateDocument({ applicationDate: '2025-06-01' }, { validators });
+            assert.strictEqual(inPeriod.valid, false);
+            assert.strictEqual(inPeriod.effective_date, '2025-06-01T00:00:00.000Z');
+
+            const before = evaluateDocument({ applicationDate: '2024-06-01' }, { validators });
+            assert.strictEqual(before.valid, true);
+            assert.deepStrictEqual(before.skipped, [{ rule_id: 'limit2025', reason: 'not yet in effect on 2024-06-01' }]);
+
+            const after = evaluateDocument({ applicationDate: '2025-06-01' }, { validators, date: '2026-02-01' });
+            assert.deepStrictEqual(after.skipped, [{ rule_id: 'limit2025', reason: 'no longer in effect on 2026-02-01' }]);
+        });
+
+        it('should refuse an evaluation date that is not a date', function() {
+            const doc = MockDataGenerator.generateValidPerson();
+
+            assert.throws(() => evaluateDocument(doc, { date: '2025-13-45' }), /^Error: Invalid evaluation date: 2025-13-45\. Use a date such as 2025-10-01$/);
+            assert.throws(() => evaluateDocument(doc, { date: 'tomorrow' }), /Invalid evaluation date: tomorrow/);
+            assert.strictEqual(evaluateDocument(doc, { date: new Date('2025-10-01') }).effective_date, '2025-10-01T00:00:00.000Z');
+        });
+
+        it('should let deletions through unless a rule says otherwise', function() {
+            const oldDoc = MockDataGenerator.generateValidPerson({ _id: 'person_1', type: 'person' });
+            const tombstone = { _id: 'person_1', _rev: '2-deleted', _deleted: true };
+            const validators = {
+                keepPeople: {
+                    keepPeople: () => true,
+                    metadata: createRuleMetadata({
+                        name: 'Keep People',
+                        description: 'People may not be deleted',
+                        appliesTo: { type: 'person', deletions: 'deny' }
+                    })
+                }
+            };
+
+            assert.strictEqual(evaluateDocument(tombstone, { oldDoc }).valid, true);
+
+            const report = evaluateDocument(tombstone, { oldDoc, validators });
+            assert.strictEqual(report.valid, false);
+            assert.strictEqual(report.violations[0].message, 'Documents covered by Keep People cannot be deleted');
+        });
+
+        it('should record scoring rules as determinations rather than violations', function() {
+            const report = evaluateDocument(MockDataGenerator.generateValidPerson({ income: 12000, householdSize: 5 }));
+
+            assert.strictEqual(report.valid, true);
+            assert.strictEqual(report.determinations.length, 1);
+            assert.strictEqual(report.determinations[0].rule_id, 'benefitTier');
+            assert.strictEqual(report.determinations[0].points, 3);
+            assert.strictEqual(report.determinations[0].tier, 'full');
+        });
+
+        it('should report a scoring rule that fails to run as an error violation', function() {
+            const validators = {
+                brokenScore: {
+                    brokenScore: () => { throw new Error('bad score'); },
+                    metadata: createRuleMetadata({ name: 'Broken', description: 'Broken', ruleType: 'scoring' })
+                }
+            };
+
+            const report = evaluateDocument({}, { validators });
+
+            assert.strictEqual(report.valid, false);
+            assert.strictEqual(report.violations[0].type, 'error');
+            assert.strictEqual(report.violations[0].message, 'bad score');
+        });
+
+        it('should report every failing rule rather than only the first', function() {
+            const doc = MockDataGenerator.generateMultipleFailures()[0];
+            const report = evaluateDocument(doc);
+
+            assert.strictEqual(report.valid, false);
+            assert.deepStrictEqual(
+                report.violations.map(v => v.rule_id).sort(),
+                ['householdIncome', 'householdSize', 'interviewComplete', 'numberOfDependents']
+            );
+        });
+
+        it('should order violations by priority', function() {
+            const doc = MockDataGenerator.generateMultipleFailures()[0];
+            const report = evaluateDocument(doc);
+
+            assert.deepStrictEqual(
+                report.violations.map(v => v.rule_id),
+                ['householdIncome', 'householdSize', 'numberOfDependents', 'interviewComplete']
+            );
+        });
+
+        it('should break priority ties by rule id', function() {
+            const failingRule = (message, priority) => ({
+                metadata: createRuleMetadata({ name: message, description: message, priority }),
+                run: () => { throw ({ forbidden: message }); }
+            });
+            const rules = { zeta: failingRule('zeta', 5), alpha: failingRule('alpha', 5), omega: failingRule('omega', 1) };
+            const validators = {};
+            Object.keys(rules).forEach(id => {
+                validators[id] = { [id]: rules[id].run, metadata: rules[id].metadata };
+            });
+
+            const report = evaluateDocument({}, { validators });
+
+            assert.deepStrictEqual(report.evaluated, ['omega', 'alpha', 'zeta']);
+            assert.deepStrictEqual(report.violations.map(v => v.message), ['omega', 'alpha', 'zeta']);
+        });
+
+        it('should include field and rule version for each violation', function() {
+            const report = evaluateDocument(MockDataGenerator.generateHighIncomePerson(40000));
+
+            assert.strictEqual(report.violations.length, 1);
+            assert.strictEqual(report.violations[0].field, 'income');
+            assert.strictEqual(report.violations[0].rule_version, '2.0.0');
+            assert.strictEqual(report.violations[0].message, 'Income must be $25,000 or less');
+        });
+
+        it('should skip rules that are not active', function() {
+            const validators = {
+                draftRule: {
+                    draftRule: () => { throw ({ forbidden: 'Draft rule fired' }); },
+                    metadata: createRuleMetadata({ name: 'Draft', description: 'Draft', status: 'draft' })
+                }
+            };
+
+            const report = evaluateDocument({}, { validators });
+
+            assert.strictEqual(report.valid, true);
+            assert.deepStrictEqual(report.skipped, [{ rule_id: 'draftRule', reason: 'status is draft' }]);
+        });
+
+        it('should evaluate inactive rules when asked to', function() {
+            const validators = {
+                draftRule: {
+                    draftRule: () => { throw ({ forbidden: 'Draft rule fired' }); },
+                    metadata: createRuleMetadata({ name: 'Draft', description: 'Draft', status: 'draft' })
+                }
+            };
+
+            const report = evaluateDocument({}, { validators, includeInactive: true });
+
+            assert.strictEqual(report.valid, false);
+            assert.strictEqual(report.violations[0].message, 'Draft rule fired');
+        });
+    });
+});
@@ -0,0 +1,184 @@
+const assert = require('assert');
+const {
+    getHistoryDatabaseName,
+    getHistoryEntryId,
+    createHistoryEntry,
+    planRollback,
+    getRuleSource,
+    diffLines,
+    diffFields,
+    ensureHistoryDatabase,
+    fetchRuleHistory,
+    recordRuleVersion
+} = require('../../../utils/rule-history');
+const { createFakeFetch } = require('../../helpers/fake-fetch');
+
+describe('Rule History', function() {
+    const historyUrl = 'http://localhost:5984/rules_db_rule_history';
+    const designDoc = {
+        _id: '_design/householdIncome',
+        _rev: '3-abc',
+        validate_doc_update: 'function (newDoc) { return true; }',
+        rule_definition: { field: 'income', operator: 'lte', value: { param: 'maximumIncome' } },
+        rule_parameters: { maximumIncome: 25000 },
+        rule_metadata: { name: 'Household Income', version: '1.2.0', author: 'Policy Team', change_notes: 'Raise limit', created_date: '2025-01-01T00:00:00.000Z' },
+        content_hash: 'hash-3'
+    };
+
+    describe('getHistoryDatabaseName and getHistoryEntryId', function() {
+        it('should name the history database after the rules database', function() {
+            assert.strictEqual(getHistoryDatabaseName('snap_rules'), 'snap_rules_rule_history');
+        });
+
+        it('should pad sequences so entries sort in order', function() {
+            assert.strictEqual(getHistoryEntryId('householdIncome', 12), 'householdIncome:000012');
+        });
+    });
+
+    describe('createHistoryEntry', function() {
+        it('should copy the versioned fields and who published them', function() {
+            const entry = createHistoryEntry(designDoc, null, { publishedBy: 'admin' });
+
+            assert.strictEqual(entry._id, 'householdIncome:000001');
+            assert.strictEqual(entry.sequence, 1);
+            assert.strictEqual(entry.action, 'publish');
+            assert.strictEqual(entry.version, '1.2.0');
+            assert.strictEqual(entry.author, 'Policy Team');
+            assert.strictEqual(entry.change_notes, 'Raise limit');
+            assert.strictEqual(entry.published_by, 'admin');
+            assert.strictEqual(entry.rev, '3-abc');
+            assert.deepStrictEqual(entry.rule_parameters, { maximumIncome: 25000 });
+            assert.strictEqual(entry.updates, undefined);
+            assert.notStrictEqual(entry.rule_metadata, designDoc.rule_metadata);
+        });
+
+        it('should follow the previous entry and record rollbacks', function() {
+            const entry = createHistoryEntry(designDoc, { sequence: 4 }, { action: 'rollback', rolledBackFrom: 2 });
+
+            assert.strictEqual(entry._id, 'householdIncome:000005');
+            assert.strictEqual(entry.rolled_back_from, 2);
+            assert.throws(() => createHistoryEntry(designDoc, null, { action: 'revert' }), /Unknown history action: revert/);
+        });
+    });
+
+    describe('planRollback', function() {
+        const entry = createHistoryEntry({ ...designDoc, _rev: '1-old', rule_parameters: { maximumIncome: 20000 } }, null);
+        const currentDoc = { ...designDoc, rule_metadata: { ...designDoc.rule_metadata, created_date: '2024-06-01T00:00:00.000Z' } };
+
+        it('should restore the entry over the current revision', function() {
+            const doc = planRollback(entry, currentDoc);
+
+            assert.strictEqual(doc._id, '_design/householdIncome');
+            assert.strictEqual(doc._rev, '3-abc');
+            assert.deepStrictEqual(doc.rule_parameters, { maximumIncome: 20000 });
+            assert.strictEqual(doc.rule_metadata.created_date, '2024-06-01T00:00:00.000Z');
+            assert.strictEqual(doc.rule_metadata.change_notes, 'Rolled back to version 1.2.0 (history entry 1)');
+            assert.strictEqual(doc.type, undefined);
+        });
+
+        it('should recreate a rule that was removed', function() {
+            assert.strictEqual(planRollback(entry, null)._rev, undefined);
+        });
+
+        it('should refuse to roll back to the deployed revision', function() {
+            assert.throws(() => planRollback(createHistoryEntry(designDoc, null), designDoc), /already at history entry 1/);
+        });
+    });
+
+    describe('getRuleSource', function() {
+        it('should read the validation source, or list the update handlers', function() {
+            assert.strictEqual(getRuleSource(designDoc), designDoc.validate_doc_update);
+            assert.strictEqual(getRuleSource({ updates: { determine: 'function () {}' } }), '// updates.determine\nfunction () {}');
+            assert.strictEqual(getRuleSource(null), '');
+        });
+    });
+
+    describe('diffLines', function() {
+        it('should pair removed lines with the lines added in their place', function() {
+            const rows = diffLines('a\nb\nc', 'a\nB\nc\nd');
+
+            assert.deepStrictEqual(rows.map(row => row.type), ['same', 'changed', 'same', 'added']);
+            assert.deepStrictEqual(rows[1], { type: 'changed', left: { number: 2, text: 'b' }, right: { number: 2, text: 'B' } });
+            assert.deepStrictEqual(rows[3], { type: 'added', left: null, right: { number: 4, text: 'd' } });
+        });
+    });
+
+    describe('diffFields', function() {
+        it('should list changed definition, parameter and metadata fields but not timestamps', function() {
+            const after = {
+                ...designDoc,
+                rule_parameters: { maximumIncome: 30000 },
+                rule_metadata: { ...designDoc.rule_metadata, version: '1.3.0', modified_date: '2025-02-01T00:00:00.000Z' }
+            };
+
+            assert.deepStrictEqual(diffFields(designDoc, after), [
+                { field: 'rule_parameters', before: '{"maximumIncome":25000}', after: '{"maximumIncome":30000}' },
+                { field: 'rule_metadata.version', before: '"1.2.0"', after: '"1.3.0"' }
+            ]);
+        });
+    });
+
+    describe('ensureHistoryDatabase', function() {
+        it('should use an existing history database', async function() {
+            const fetch = createFakeFetch([{ status: 200 }]);
+
+            assert.strictEqual(await ensureHistoryDatabase(fetch, 'http://localhost:5984/', 'rules_db'), historyUrl);
+            assert.strictEqual(fetch.requests.length, 1);
+        });
+
+        it('should create the history database with the rules database\'s security', async function() {
+            const security = { members: { roles: ['caseworker'] } };
+            const fetch = createFakeFetch([{ status: 404 }, { status: 201 }, { status: 200, body: security }, { status: 200 }]);
+
+            await ensureHistoryDatabase(fetch, 'http://localhost:5984/', 'rules_db');
+
+            assert.strictEqual(fetch.requests[1].method, 'PUT');
+            assert.strictEqual(fetch.requests[3].url, `${historyUrl}/_security`);
+            assert.deepStrictEqual(JSON.parse(fetch.requests[3].body), security);
+        });
+
+        it('should report a history database it cannot create', async function() {
+            const fetch = createFakeFetch([{ status: 404 }, { status: 401 }]);
+
+            await assert.rejects(ensureHistoryDatabase(fetch, 'http://localhost:5984/', 'rules_db'), /Could not create history database rules_db_rule_history: HTTP 401/);
+        });
+    });
+
+    describe('fetchRuleHistory', function() {
+        it('should read the rule\'s entries in order', async function() {
+            const fetch = createFakeFetch([{ status: 200, body: { rows: [{ doc: { sequence: 1 } }, { doc: { sequence: 2 } }] } }]);
+
+            assert.deepStrictEqual(await fetchRuleHistory(fetch, historyUrl, 'householdIncome'), [{ sequence: 1 }, { sequence: 2 }]);
+            assert.ok(fetch.requests[0].url.includes(`startkey=${encodeURIComponent('"householdIncome:"')}`));
+        });
+
+        it('should return no entries when there is no history database', async function() {
+            assert.deepStrictEqual(await fetchRuleHistory(createFakeFetch([{ status: 404 }]), historyUrl, 'householdIncome'), []);
+        });
+    });
+
+    describe('recordRuleVersion', function() {
+        it('should record the next entry', async function() {
+            const fetch = createFakeFetch([{ status: 200, body: { rows: [{ doc: { sequence: 2, rev: '2-def' } }] } }, { status: 201 }]);
+
+            const entry = await recordRuleVersion(fetch, historyUrl, designDoc, { publishedBy: 'admin' });
+
+            assert.strictEqual(entry.sequence, 3);
+            assert.strictEqual(fetch.requests[1].url, `${historyUrl}/householdIncome%3A000003`);
+            assert.strictEqual(JSON.parse(fetch.requests[1].body).rev, '3-abc');
+        });
+
+        it('should not record a revision twice', async function() {
+            const fetch = createFakeFetch([{ status: 200, body: { rows: [{ doc: { sequence: 3, rev: '3-abc' } }] } }]);
+
+            assert.strictEqual(await recordRuleVersion(fetch, historyUrl, designDoc), null);
+            assert.strictEqual(fetch.requests.length, 1);
+        });
+
+        it('should report an entry it cannot write', async function() {
+            const fetch = createFakeFetch([{ status: 200, body: { rows: [] } }, { status: 409 }]);
+
+            await assert.rejects(recordRuleVersion(fetch, historyUrl, designDoc), /Could not record householdIncome:000001 in the version history: HTTP 409/);
+        });
+    });
+});
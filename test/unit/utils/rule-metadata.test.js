@@ -5,6 +5,9 @@ const {
     validateMetadata, 
     createDesignDocument,
     isValidSemanticVersion,
+    getRulePriority,
+    sortRulesByPriority,
+    DEFAULT_PRIORITY,
     VALIDATOR_METADATA 
 } = require('../../../utils/rule-metadata');
 
@@ -190,6 +193,107 @@ describe('Rule Metadata Utilities', function() {
         });
     });
 
+    describe('Required roles', function() {
+        it('should default to no required roles', function() {
+            const metadata = createRuleMetadata({ name: 'Test Rule', description: 'Test description' });
+            assert.deepStrictEqual(metadata.required_roles, []);
+        });
+
+        it('should reject invalid required roles', function() {
+            const metadata = createRuleMetadata({ name: 'Test Rule', description: 'Test description', requiredRoles: ['supervisor', ''] });
+            assert(validateMetadata(metadata).errors.some(error => error.includes('Invalid required role')));
+        });
+    });
+
+    describe('Applies to', function() {
+        it('should default to every document', function() {
+            const metadata = createRuleMetadata({ name: 'Test Rule', description: 'Test description' });
+            assert.strictEqual(metadata.applies_to, null);
+            assert.strictEqual(validateMetadata(metadata).isValid, true);
+        });
+
+        it('should validate the scope', function() {
+            const metadata = createRuleMetadata({ name: 'Test Rule', description: 'Test description', appliesTo: { type: 'person', deletions: 'never' } });
+            assert(validateMetadata(metadata).errors.some(error => error.includes('Invalid applies_to.deletions')));
+        });
+
+        it('should reject a scope on scoring rules', function() {
+            const metadata = createRuleMetadata({ name: 'Test Rule', description: 'Test description', ruleType: 'scoring', appliesTo: { type: 'person' } });
+            assert(validateMetadata(metadata).errors.includes('applies_to is only supported for validation rules'));
+        });
+    });
+
+    describe('Parameters', function() {
+        it('should default to no parameters', function() {
+            const metadata = createRuleMetadata({ name: 'Test Rule', description: 'Test description' });
+            assert.deepStrictEqual(metadata.parameters, {});
+        });
+
+        it('should reject a default that does not match the declared type', function() {
+            const metadata = createRuleMetadata({
+                name: 'Test Rule',
+                description: 'Test description',
+                parameters: { minimumAge: { type: 'integer', default: '18' } }
+            });
+            assert(validateMetadata(metadata).errors.some(error => error.includes('Parameter minimumAge must be an integer')));
+        });
+    });
+
+    describe('Effective dates', function() {
+        it('should default to always in effect', function() {
+            const metadata = createRuleMetadata({ name: 'Test Rule', description: 'Test description' });
+            assert.strictEqual(metadata.effective_from, null);
+            assert.strictEqual(metadata.effective_until, null);
+        });
+
+        it('should validate the effective period', function() {
+            const metadata = createRuleMetadata({ name: 'Test Rule', description: 'Test description', effectiveFrom: '2026-01-01', effectiveUntil: '2025-01-01' });
+            assert(validateMetadata(metadata).errors.some(error => error.includes('must be after effective_from')));
+        });
+    });
+
+    describe('Rule priority', function() {
+        it('should default priority when creating metadata', function() {
+            const metadata = createRuleMetadata({ name: 'Test Rule', description: 'Test description' });
+            assert.strictEqual(metadata.priority, DEFAULT_PRIORITY);
+        });
+
+        it('should keep an explicit priority of zero', function() {
+            const metadata = createRuleMetadata({ name: 'Test Rule', description: 'Test description', priority: 0 });
+            assert.strictEqual(metadata.priority, 0);
+            assert.strictEqual(getRulePriority(metadata), 0);
+        });
+
+        it('should reject non-integer or negative priorities', function() {
+            const metadata = createRuleMetadata({ name: 'Test Rule', description: 'Test description' });
+            
+            metadata.priority = -1;
+            assert.strictEqual(validateMetadata(metadata).isValid, false);
+            
+            metadata.priority = 'high';
+            assert(validateMetadata(metadata).errors.some(error => error.includes('Invalid priority')));
+        });
+
+        it('should fall back to the default priority for legacy metadata', function() {
+            assert.strictEqual(getRulePriority({ name: 'Legacy' }), DEFAULT_PRIORITY);
+            assert.strictEqual(getRulePriority(undefined), DEFAULT_PRIORITY);
+        });
+
+        it('should sort by priority and then by id without mutating the input', function() {
+            const rules = [
+                { id: 'b', metadata: { priority: 20 } },
+                { id: 'c', metadata: {} },
+                { id: 'a', metadata: { priority: 20 } },
+                { id: 'd', metadata: { priority: 5 } }
+            ];
+            
+            const sorted = sortRulesByPriority(rules);
+            
+            assert.deepStrictEqual(sorted.map(rule => rule.id), ['d', 'a', 'b', 'c']);
+            assert.strictEqual(rules[0].id, 'b');
+        });
+    });
+
     describe('createDesignDocument', function() {
         it('should create proper design document structure', function() {
             const ruleName = 'testRule';
@@ -0,0 +1,130 @@
+const assert = require('assert');
+const {
+    validateParameters,
+    resolveParameterValues,
+    formatMessage,
+    compileParameterBinding,
+    bindParameters,
+    resolveDefinitionParameters,
+    getParameterDefaults
+} = require('../../../utils/rule-parameters');
+const { createRuleMetadata } = require('../../../utils/rule-metadata');
+
+describe('Rule Parameters', function() {
+    const parameters = {
+        maximumIncome: { type: 'number', default: 25000, min: 0, description: 'Highest eligible income' },
+        minimumSize: { type: 'integer', default: 3, min: 1, max: 20 }
+    };
+
+    describe('validateParameters', function() {
+        it('should accept typed parameters with defaults', function() {
+            assert.deepStrictEqual(validateParameters(parameters), []);
+            assert.deepStrictEqual(validateParameters({ program: { type: 'string', default: 'SNAP' }, strict: { type: 'boolean', default: false } }), []);
+        });
+
+        it('should reject malformed parameters', function() {
+            assert.deepStrictEqual(validateParameters([]), ['parameters must be an object']);
+            assert.match(validateParameters({ 'max-income': { type: 'number', default: 1 } })[0], /Invalid parameter name: max-income/);
+            assert.match(validateParameters({ limit: { type: 'date', default: 1 } })[0], /Invalid type for parameter limit: date/);
+            assert.match(validateParameters({ limit: { type: 'number' } })[0], /Parameter limit is missing a default/);
+            assert.match(validateParameters({ limit: { type: 'number', default: 1, unit: 'USD' } })[0], /Unknown property for parameter limit: unit/);
+            assert.match(validateParameters({ program: { type: 'string', default: 'SNAP', min: 1 } })[0], /only applies to number and integer parameters/);
+        });
+
+        it('should check the default against the type and bounds', function() {
+            assert.match(validateParameters({ limit: { type: 'integer', default: 2.5 } })[0], /must be an integer, got 2.5 as its default/);
+            assert.match(validateParameters({ limit: { type: 'number', default: -1, min: 0 } })[0], /must be at least 0, got -1 as its default/);
+        });
+    });
+
+    describe('resolveParameterValues', function() {
+        it('should use the defaults unless a value is configured', function() {
+            assert.deepStrictEqual(resolveParameterValues(parameters), { maximumIncome: 25000, minimumSize: 3 });
+            assert.deepStrictEqual(resolveParameterValues(parameters, { maximumIncome: 30000 }), { maximumIncome: 30000, minimumSize: 3 });
+        });
+
+        it('should reject undeclared parameters and invalid values', function() {
+            assert.throws(() => resolveParameterValues(parameters, { maximumAge: 65 }), /Unknown parameter: maximumAge/);
+            assert.throws(() => resolveParameterValues(parameters, { minimumSize: 25 }), /minimumSize must be at most 20, got 25/);
+            assert.throws(() => resolveParameterValues(parameters, { maximumIncome: '30000' }), /maximumIncome must be a number/);
+        });
+    });
+
+    describe('formatMessage', function() {
+        it('should fill placeholders with parameter values', function() {
+            assert.strictEqual(formatMessage('Household size must be at least {minimumSize}.', { minimumSize: 3 }), 'Household size must be at least 3.');
+            assert.strictEqual(formatMessage('Income must be ${maximumIncome:number} or less', { maximumIncome: 1250000.5 }), 'Income must be $1,250,000.5 or less');
+        });
+
+        it('should leave unknown placeholders as written', function() {
+            assert.strictEqual(formatMessage('Limit is {limit}', {}), 'Limit is {limit}');
+        });
+    });
+
+    describe('bindParameters', function() {
+        const metadata = createRuleMetadata({ name: 'Size', description: 'Size check', parameters: { minimumSize: parameters.minimumSize } });
+        const rule = function (doc) {
+            if (doc.householdSize < params.minimumSize) {
+                throw ({ forbidden: message('Household size must be at least {minimumSize}.') });
+            }
+            return true;
+        };
+
+        it('should run the rule with the default values', function() {
+            const bound = bindParameters(rule, metadata);
+
+            assert.strictEqual(bound({ householdSize: 3 }), true);
+            assert.throws(() => bound({ householdSize: 2 }), { forbidden: 'Household size must be at least 3.' });
+            assert.ok(bound.toString().includes('var params = {"minimumSize":3};'));
+        });
+
+        it('should bind a bound rule again with configured values', function() {
+            const bound = bindParameters(bindParameters(rule, metadata), metadata, { minimumSize: 5 });
+
+            assert.strictEqual(bound.unboundRule, rule);
+            assert.throws(() => bound({ householdSize: 4 }), { forbidden: 'Household size must be at least 5.' });
+        });
+
+        it('should leave rules without parameters unchanged', function() {
+            const plain = () => true;
+            assert.strictEqual(bindParameters(plain, createRuleMetadata({ name: 'Plain', description: 'No parameters' })), plain);
+        });
+
+        it('should compile self-contained source', function() {
+            const source = compileParameterBinding(rule.toString(), { minimumSize: 2 });
+            const validate = new Function(`return (${source});`)();
+
+            assert.strictEqual(validate({ householdSize: 2 }, null, {}, {}), true);
+        });
+    });
+
+    describe('resolveDefinitionParameters', function() {
+        const definition = {
+            field: 'income',
+            operator: 'lte',
+            value: { param: 'maximumIncome' },
+            message: 'Income must be ${maximumIncome:number} or less',
+            conditions: [{ field: 'income', operator: 'exists' }]
+        };
+
+        it('should replace parameter references and fill the message', function() {
+            const resolved = resolveDefinitionParameters(definition, { maximumIncome: 30000 });
+
+            assert.strictEqual(resolved.value, 30000);
+            assert.strictEqual(resolved.message, 'Income must be $30,000 or less');
+            assert.deepStrictEqual(resolved.conditions, definition.conditions);
+            assert.deepStrictEqual(definition.value, { param: 'maximumIncome' });
+        });
+
+        it('should reject references to undeclared parameters', function() {
+            assert.throws(() => resolveDefinitionParameters(definition, {}), /undeclared parameter: maximumIncome/);
+        });
+    });
+
+    describe('getParameterDefaults', function() {
+        it('should read the defaults from metadata', function() {
+            assert.deepStrictEqual(getParameterDefaults({ parameters }), { maximumIncome: 25000, minimumSize: 3 });
+            assert.deepStrictEqual(getParameterDefaults({}), {});
+        });
+    });
+});
@@ -0,0 +1,224 @@
+const assert = require('assert');
+const {
+    getProposalDatabaseName,
+    checkProposalWrite,
+    compileReviewGuard,
+    createProposal,
+    reviewProposal,
+    planPublish,
+    getOpenProposals,
+    checkLoaderChange,
+    ensureProposalDatabase,
+    fetchProposals,
+    publishProposal
+} = require('../../../utils/rule-review');
+const { buildDesignDocument } = require('../../../utils/rule-deployment');
+const { compileAuditGuard } = require('../../../utils/rule-audit');
+const householdIncome = require('../../../validators/householdIncome');
+const { createFakeFetch } = require('../../helpers/fake-fetch');
+
+describe('Rule Review', function() {
+    const deployed = { ...buildDesignDocument('householdIncome', householdIncome, { action: 'deploy' }), _rev: '3-abc' };
+    const changes = {
+        rule_definition: householdIncome.definition,
+        rule_parameters: { maximumIncome: 30000 },
+        version: '1.3.0',
+        change_notes: 'Raise the limit to $30,000'
+    };
+    const proposal = createProposal(deployed, changes, { proposedBy: 'pat' });
+    const approved = reviewProposal(proposal, 'approve', 'riley', 'Matches the new policy');
+
+    describe('createProposal', function() {
+        it('should propose the change against the deployed revision', function() {
+            assert.strictEqual(getProposalDatabaseName('rules_db'), 'rules_db_rule_proposals');
+            assert.strictEqual(proposal._id, 'householdIncome:000001');
+            assert.strictEqual(proposal.status, 'pending');
+            assert.strictEqual(proposal.base_rev, '3-abc');
+            assert.strictEqual(proposal.proposed_by, 'pat');
+            assert.strictEqual(proposal.rule_metadata.version, '1.3.0');
+            assert.strictEqual(proposal.rule_metadata.modified_date, undefined);
+            assert.deepStrictEqual(proposal.rule_parameters, { maximumIncome: 30000 });
+            assert.strictEqual(createProposal(deployed, changes, { proposedBy: 'pat', previous: { sequence: 4 } }).sequence, 5);
+        });
+
+        it('should require a new version and change notes', function() {
+            const version = deployed.rule_metadata.version;
+
+            assert.throws(() => createProposal(deployed, { ...changes, version: version }, { proposedBy: 'pat' }), new RegExp(`Version ${version} is already deployed`));
+            assert.throws(() => createProposal(deployed, { ...changes, version: 'next' }, { proposedBy: 'pat' }), /Invalid semantic version: next/);
+            assert.throws(() => createProposal(deployed, { ...changes, change_notes: ' ' }, { proposedBy: 'pat' }), /change_notes must describe what the proposal changes/);
+            assert.throws(() => createProposal(deployed, changes, {}), /Log in to propose or review rule changes/);
+        });
+
+        it('should only propose declarative rules', function() {
+            assert.throws(() => createProposal(deployed, { ...changes, rule_definition: null }, { proposedBy: 'pat' }), /change validators\/householdIncome.js instead/);
+        });
+    });
+
+    describe('reviewProposal', function() {
+        it('should record the reviewer and their comments', function() {
+            assert.strictEqual(approved.status, 'approved');
+            assert.strictEqual(approved.reviewed_by, 'riley');
+            assert.strictEqual(approved.review_comment, 'Matches the new policy');
+        });
+
+        it('should not let authors review their own proposals', function() {
+            assert.throws(() => reviewProposal(proposal, 'approve', 'pat'), /reviewed by someone other than its author/);
+        });
+
+        it('should require a reason to reject', function() {
+            assert.throws(() => reviewProposal(proposal, 'reject', 'riley', ''), /Explain why the proposal is rejected/);
+            assert.strictEqual(reviewProposal(proposal, 'reject', 'riley', 'Wait for the policy memo').status, 'rejected');
+            assert.throws(() => reviewProposal(proposal, 'merge', 'riley'), /Unknown review decision: merge/);
+        });
+
+        it('should only review pending proposals', function() {
+            assert.throws(() => reviewProposal(approved, 'reject', 'sam', 'Too late'), /A proposal that is approved cannot become rejected/);
+        });
+    });
+
+    describe('checkProposalWrite', function() {
+        const riley = { name: 'riley', roles: [] };
+
+        it('should not allow a submitted proposal to be edited', function() {
+            const edited = { ...proposal, rule_parameters: { maximumIncome: 90000 } };
+
+            assert.throws(() => checkProposalWrite(edited, proposal, { name: 'pat', roles: [] }),
+                { forbidden: 'rule_parameters cannot be changed once a proposal is submitted - submit a new proposal instead' });
+            assert.throws(() => checkProposalWrite({ ...approved, rule_parameters: { maximumIncome: 90000 } }, proposal, riley),
+                { forbidden: 'rule_parameters cannot be changed once a proposal is submitted - submit a new proposal instead' });
+        });
+
+        it('should only publish approved proposals with the revision they became', function() {
+            const published = { ...approved, status: 'published', published_rev: '4-def' };
+
+            assert.strictEqual(checkProposalWrite(published, approved, riley), true);
+            assert.throws(() => checkProposalWrite({ ...published, published_rev: null }, approved, riley),
+                { forbidden: 'published_rev must be the revision the approved version became' });
+            assert.throws(() => checkProposalWrite({ ...proposal, status: 'published', published_rev: '4-def' }, proposal, riley),
+                { forbidden: 'A proposal that is pending cannot become published' });
+        });
+
+        it('should keep proposals and only proposals', function() {
+            assert.throws(() => checkProposalWrite({ ...proposal, _deleted: true }, proposal, riley),
+                { forbidden: 'Proposals are the record of a rule\'s reviews and cannot be deleted' });
+            assert.throws(() => checkProposalWrite({ _id: 'note', type: 'note' }, null, riley),
+                { forbidden: 'Only rule proposals can be stored in this database' });
+            assert.strictEqual(checkProposalWrite({ _id: '_design/review_workflow' }, null, riley), true);
+        });
+
+        it('should enforce the same checks when compiled for CouchDB', function() {
+            const guard = new Function(`return (${compileReviewGuard()});`)();
+
+            assert.strictEqual(guard(proposal, null, { name: 'pat', roles: [] }, {}), true);
+            assert.throws(() => guard({ ...proposal, status: 'approved', reviewed_by: 'pat' }, proposal, { name: 'pat', roles: [] }, {}),
+                { forbidden: 'A proposal must be reviewed by someone other than its author' });
+        });
+    });
+
+    describe('planPublish', function() {
+        it('should compile the approved definition over the deployed revision', function() {
+            const doc = planPublish(approved, deployed);
+
+            assert.strictEqual(doc._rev, '3-abc');
+            assert.deepStrictEqual(doc.rule_parameters, { maximumIncome: 30000 });
+            assert.strictEqual(doc.rule_metadata.version, '1.3.0');
+            assert.ok(doc.validate_doc_update.includes('30000'));
+            assert.notStrictEqual(doc.content_hash, deployed.content_hash);
+        });
+
+        it('should refuse proposals that are not approved or are out of date', function() {
+            assert.throws(() => planPublish(proposal, deployed), /householdIncome:000001 is pending; only approved proposals can be published/);
+            assert.throws(() => planPublish(approved, { ...deployed, _rev: '4-xyz' }), /changed after householdIncome:000001 was proposed/);
+        });
+    });
+
+    describe('getOpenProposals', function() {
+        it('should pick each rule\'s latest proposal still waiting for review or publishing', function() {
+            const published = { ...approved, status: 'published' };
+            const next = { ...proposal, _id: 'householdIncome:000002', sequence: 2 };
+
+            assert.deepStrictEqual(getOpenProposals([proposal, next]), { householdIncome: next });
+            assert.deepStrictEqual(getOpenProposals([published]), {});
+        });
+    });
+
+    describe('checkLoaderChange', function() {
+        const loaded = buildDesignDocument('householdIncome', { definition: householdIncome.definition, metadata: approved.rule_metadata }, { action: 'deploy' }, { maximumIncome: 30000 });
+        const unreviewed = buildDesignDocument('householdIncome', { ...householdIncome, metadata: { ...householdIncome.metadata, version: '1.4.0' } }, { action: 'deploy' });
+
+        it('should let rules that never went through review change', function() {
+            assert.deepStrictEqual(checkLoaderChange(unreviewed, []), { allowed: true, proposal: null, override: false, reason: null });
+        });
+
+        it('should let a reviewed rule change to the version an approved proposal publishes', function() {
+            assert.strictEqual(checkLoaderChange(loaded, [proposal, approved]).proposal, approved);
+            assert.strictEqual(checkLoaderChange(loaded, [{ ...approved, status: 'published' }]).allowed, true);
+            assert.strictEqual(checkLoaderChange(loaded, [proposal]).allowed, false);
+        });
+
+        it('should refuse other changes to a reviewed rule unless the review is overridden', function() {
+            const refused = checkLoaderChange(unreviewed, [approved]);
+
+            assert.strictEqual(refused.allowed, false);
+            assert.match(refused.reason, /householdIncome went through review and no approved proposal matches validators\//);
+            assert.deepStrictEqual(checkLoaderChange(unreviewed, [approved], true), { ...refused, allowed: true, override: true });
+            assert.match(checkLoaderChange(loaded, null).reason, /the proposals for householdIncome could not be read/);
+        });
+    });
+
+    describe('ensureProposalDatabase', function() {
+        const proposalsUrl = 'http://localhost:5984/rules_db_rule_proposals';
+
+        it('should install the workflow checks', async function() {
+            const fetch = createFakeFetch([{ status: 200 }, { status: 404 }, { status: 201 }]);
+
+            assert.strictEqual(await ensureProposalDatabase(fetch, 'http://localhost:5984/', 'rules_db'), proposalsUrl);
+            assert.strictEqual(fetch.requests[2].url, `${proposalsUrl}/_design/review_workflow`);
+            assert.strictEqual(JSON.parse(fetch.requests[2].body).validate_doc_update, compileReviewGuard());
+        });
+
+        it('should leave current workflow checks alone', async function() {
+            const fetch = createFakeFetch([{ status: 200 }, { status: 200, body: { _rev: '1-a', validate_doc_update: compileReviewGuard() } }]);
+
+            await ensureProposalDatabase(fetch, 'http://localhost:5984/', 'rules_db');
+            assert.strictEqual(fetch.requests.length, 2);
+        });
+    });
+
+    describe('fetchProposals', function() {
+        it('should filter proposals by status', async function() {
+            const fetch = createFakeFetch([{ status: 200, body: { rows: [{ doc: proposal }, { doc: approved }, { doc: { _id: '_design/review_workflow' } }] } }]);
+
+            assert.deepStrictEqual(await fetchProposals(fetch, 'http://localhost:5984/rules_db_rule_proposals', { statuses: ['pending'] }), [proposal]);
+        });
+    });
+
+    describe('publishProposal', function() {
+        it('should publish, record the version and the change and mark the proposal published', async function() {
+            const fetch = createFakeFetch([
+                { status: 200, body: deployed },
+                { status: 201, body: { rev: '4-def' } },
+                { status: 200, body: { rows: [] } },
+                { status: 201 },
+                { status: 200 },
+                { status: 200, body: { _rev: '1-a', validate_doc_update: compileAuditGuard() } },
+                { status: 201 },
+                { status: 201, body: { rev: '3-p' } }
+            ]);
+
+            const result = await publishProposal(fetch, 'http://localhost:5984/', 'rules_db', approved, { publishedBy: 'riley' });
+
+            assert.strictEqual(result.doc._rev, '4-def');
+            assert.strictEqual(result.entry.published_by, 'riley');
+            assert.strictEqual(result.proposal.status, 'published');
+            assert.strictEqual(result.proposal.published_rev, '4-def');
+            assert.strictEqual(result.auditError, null);
+            const audited = JSON.parse(fetch.requests[6].body);
+            assert.strictEqual(audited.old_rev, '3-abc');
+            assert.strictEqual(audited.new_rev, '4-def');
+            assert.strictEqual(audited.actor, 'riley');
+            assert.strictEqual(fetch.requests[7].url, 'http://localhost:5984/rules_db_rule_proposals/householdIncome%3A000001');
+        });
+    });
+});
@@ -0,0 +1,114 @@
+const assert = require('assert');
+const {
+    DEFAULT_USER_CTX,
+    validateRequiredRoles,
+    hasRequiredRole,
+    applyRoleGuard,
+    compileRoleGuard,
+    guardValidationFunction
+} = require('../../../utils/rule-roles');
+
+describe('Rule Roles', function() {
+    const supervisor = { name: 'sam', roles: ['supervisor'] };
+    const caseworker = { name: 'casey', roles: ['caseworker'] };
+    const guard = { roles: ['supervisor'], field: 'interviewComplete' };
+
+    describe('validateRequiredRoles', function() {
+        it('should accept a list of role names', function() {
+            assert.deepStrictEqual(validateRequiredRoles([]), []);
+            assert.deepStrictEqual(validateRequiredRoles(['supervisor', 'caseworker']), []);
+        });
+
+        it('should reject anything else', function() {
+            assert.deepStrictEqual(validateRequiredRoles('supervisor'), ['required_roles must be an array']);
+            assert.strictEqual(validateRequiredRoles(['', 3]).length, 2);
+        });
+    });
+
+    describe('hasRequiredRole', function() {
+        it('should allow users with one of the roles', function() {
+            assert.strictEqual(hasRequiredRole(supervisor, {}, ['supervisor', 'manager']), true);
+            assert.strictEqual(hasRequiredRole(caseworker, {}, ['supervisor']), false);
+        });
+
+        it('should always allow server and database admins', function() {
+            assert.strictEqual(hasRequiredRole(DEFAULT_USER_CTX, {}, ['supervisor']), true);
+            assert.strictEqual(hasRequiredRole(caseworker, { admins: { names: ['casey'] } }, ['supervisor']), true);
+            assert.strictEqual(hasRequiredRole(caseworker, { admins: { roles: ['caseworker'] } }, ['supervisor']), true);
+        });
+
+        it('should refuse anonymous users', function() {
+            assert.strictEqual(hasRequiredRole(null, null, ['supervisor']), false);
+            assert.strictEqual(hasRequiredRole({ name: null, roles: [] }, {}, ['supervisor']), false);
+        });
+    });
+
+    describe('applyRoleGuard', function() {
+        it('should only check writes that set the guarded field', function() {
+            assert.strictEqual(applyRoleGuard({ interviewComplete: '' }, null, caseworker, {}, guard), true);
+            assert.strictEqual(applyRoleGuard({}, null, caseworker, {}, guard), true);
+            assert.throws(() => applyRoleGuard({ interviewComplete: true }, null, caseworker, {}, guard),
+                { unauthorized: 'Only users with role supervisor may set interviewComplete' });
+        });
+
+        it('should let anyone edit a document whose guarded field is unchanged', function() {
+            const stored = { _id: 'person_001', income: 20000, interviewComplete: true, household: { size: 2 } };
+
+            assert.strictEqual(applyRoleGuard({ ...stored, income: 21000 }, stored, caseworker, {}, guard), true);
+            assert.strictEqual(applyRoleGuard({ ...stored, income: 21000 }, stored, caseworker, {}, { roles: ['supervisor'], field: 'household' }), true);
+        });
+
+        it('should check writes that change or clear the guarded field', function() {
+            const stored = { _id: 'person_001', interviewComplete: false };
+
+            assert.throws(() => applyRoleGuard({ ...stored, interviewComplete: true }, stored, caseworker, {}, guard),
+                { unauthorized: 'Only users with role supervisor may set interviewComplete' });
+            assert.throws(() => applyRoleGuard({ _id: 'person_001' }, { ...stored, interviewComplete: true }, caseworker, {}, guard),
+                { unauthorized: 'Only users with role supervisor may set interviewComplete' });
+            assert.strictEqual(applyRoleGuard({ ...stored, interviewComplete: true }, stored, supervisor, {}, guard), true);
+        });
+
+        it('should check every write when the rule has no field', function() {
+            assert.throws(() => applyRoleGuard({}, { _id: 'person_001' }, caseworker, {}, { roles: ['supervisor', 'manager'], field: null }),
+                { unauthorized: 'Writing this document requires role supervisor or manager' });
+        });
+    });
+
+    describe('compileRoleGuard', function() {
+        const source = 'function (doc) { if (!doc.interviewComplete) { throw ({ forbidden: "Interview required" }); } return true; }';
+        const metadata = { field: 'interviewComplete', required_roles: ['supervisor'] };
+        const compile = src => new Function(`return (${src});`)();
+
+        it('should leave rules without required roles unchanged', function() {
+            assert.strictEqual(compileRoleGuard(source, { field: 'interviewComplete', required_roles: [] }), source);
+            assert.strictEqual(compileRoleGuard(source, {}), source);
+        });
+
+        it('should compile a self-contained function that checks roles before the rule', function() {
+            const validate = compile(compileRoleGuard(source, metadata));
+
+            assert.strictEqual(validate({ interviewComplete: true }, null, supervisor, {}), true);
+            assert.throws(() => validate({ interviewComplete: true }, null, caseworker, {}), { unauthorized: 'Only users with role supervisor may set interviewComplete' });
+            assert.throws(() => validate({ interviewComplete: '' }, null, caseworker, {}), { forbidden: 'Interview required' });
+            assert.strictEqual(validate({ interviewComplete: true, income: 100 }, { interviewComplete: true }, caseworker, {}), true);
+        });
+    });
+
+    describe('guardValidationFunction', function() {
+        const rule = function (doc) {
+            return doc !== null;
+        };
+
+        it('should return the rule itself when no roles are required', function() {
+            assert.strictEqual(guardValidationFunction(rule, {}), rule);
+        });
+
+        it('should return a function whose source includes the check', function() {
+            const guarded = guardValidationFunction(rule, { field: 'status', required_roles: ['supervisor'] });
+
+            assert.ok(guarded.toString().includes('hasRequiredRole'));
+            assert.throws(() => guarded({ status: 'closed' }, null, caseworker, {}), { unauthorized: 'Only users with role supervisor may set status' });
+            assert.strictEqual(guarded({ status: 'closed' }, null, supervisor, {}), true);
+        });
+    });
+});
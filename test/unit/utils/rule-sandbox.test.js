@@ -0,0 +1,241 @@
+const assert = require('assert');
+const {
+    runValidateFunction,
+    evaluateDesignDocument,
+    evaluateDesignDocuments,
+    evaluateDeployedRules
+} = require('../../../utils/rule-sandbox');
+const { evaluateDocument } = require('../../../utils/rule-engine');
+const { getDeploymentAction, buildDesignDocument } = require('../../../utils/rule-deployment');
+const validators = require('../../../index');
+const sampleBulk = require('../../../samples/sample_bulk.json');
+const samplePersonValid = require('../../../samples/sample_person_valid.json');
+const samplePersonInvalid = require('../../../samples/sample_person_invalid.json');
+const { createSandboxServer } = require('../../../couchSandbox');
+const { createFakeFetch } = require('../../helpers/fake-fetch');
+
+/**
+ * Builds a design document from validate_doc_update source
+ */
+function designDoc(id, source, extra = {}) {
+    return { _id: `_design/${id}`, validate_doc_update: source, ...extra };
+}
+
+describe('Rule Sandbox', function() {
+    describe('runValidateFunction', function() {
+        it('should only offer the globals CouchDB does', function() {
+            const globals = runValidateFunction(designDoc('globals', `function (newDoc) {
+                log([typeof console, typeof process, typeof setTimeout, typeof isArray, typeof toJSON].join(','));
+            }`), {});
+
+            assert.strictEqual(globals.passed, true);
+            assert.deepStrictEqual(globals.logs, [{ level: 'log', message: 'undefined,undefined,undefined,function,function' }]);
+
+            const consoleCall = runValidateFunction(designDoc('console', 'function (newDoc) { console.log(newDoc); }'), {});
+            assert.strictEqual(consoleCall.passed, false);
+            assert.match(consoleCall.error.message, /console is not defined/);
+        });
+
+        it('should fail source that only works as a Node function', function() {
+            const limit = 25000;
+            const closure = function (newDoc) {
+                if (newDoc.income > limit) {
+                    throw ({ forbidden: 'Income too high' });
+                }
+            };
+
+            assert.throws(() => closure({ income: 30000 }), { forbidden: 'Income too high' });
+            assert.match(runValidateFunction(designDoc('closure', closure.toString()), { income: 30000 }).error.message, /limit is not defined/);
+            assert.match(runValidateFunction(designDoc('npm', 'function (newDoc) { require("lodash"); }'), {}).error.message,
+                /invalid_require_path: Object has no property "lodash"/);
+        });
+
+        it('should pass oldDoc, userCtx and secObj as JSON copies', function() {
+            const doc = { _id: 'person_001', applicationDate: new Date('2025-10-01T00:00:00Z') };
+            const result = runValidateFunction(designDoc('context', `function (newDoc, oldDoc, userCtx, secObj) {
+                newDoc.touched = true;
+                if (typeof newDoc.applicationDate !== 'string') { throw ({ forbidden: 'not JSON' }); }
+                if (secObj.members.roles.indexOf(userCtx.roles[0]) === -1) { throw ({ unauthorized: 'not a member' }); }
+                if (oldDoc.status !== 'open') { throw ({ forbidden: 'no stored version' }); }
+            }`), doc, {
+                oldDoc: { _id: 'person_001', status: 'open' },
+                userCtx: { db: 'rules_db', name: 'pat', roles: ['caseworker'] },
+                secObj: { members: { roles: ['caseworker'] } }
+            });
+
+            assert.strictEqual(result.passed, true);
+            assert.strictEqual(doc.touched, undefined);
+        });
+
+        it('should load modules from the design document with require', function() {
+            const doc = designDoc('modules', `function (newDoc) {
+                var limits = require('lib/limits');
+                if (newDoc.income > limits.income) { throw ({ forbidden: 'Income must be $' + limits.income + ' or less' }); }
+            }`, {
+                lib: {
+                    limits: 'var base = require("./base"); exports.income = base.income * 1000;',
+                    base: 'module.exports = { income: 25 };'
+                }
+            });
+
+            assert.strictEqual(runValidateFunction(doc, { income: 20000 }).passed, true);
+            assert.strictEqual(runValidateFunction(doc, { income: 30000 }).error.forbidden, 'Income must be $25000 or less');
+        });
+
+        it('should not let a design document reach Node through the globals it is given', function() {
+            const reached = ['log', 'require', 'isArray', 'this.constructor', 'Object.getPrototypeOf(globalThis).constructor'].map(target => {
+                const result = runValidateFunction(designDoc('escape', `function (newDoc) {
+                    var found;
+                    try { found = ${target}.constructor('return typeof process')(); } catch (error) { found = 'unreachable'; }
+                    try { require('missing'); } catch (error) { found += ',' + error.constructor.constructor('return typeof process')(); }
+                    log(found);
+                }`), {});
+                return result.logs[0].message;
+            });
+
+            assert.deepStrictEqual(reached, reached.map(() => 'undefined,undefined'));
+        });
+
+        it('should time compiling the source as well as running it', function() {
+            const result = runValidateFunction(designDoc('compile', '(function () { while (true) {} })(), function () {}'), {}, { timeout: 50 });
+
+            assert.match(result.error.message, /timed out/);
+        });
+
+        it('should reject source that is not a function and stop functions that run too long', function() {
+            assert.match(runValidateFunction(designDoc('value', '42'), {}).error.message, /compilation_error/);
+            assert.match(runValidateFunction(designDoc('loop', 'function () { while (true) {} }'), {}, { timeout: 50 }).error.message, /timed out/);
+        });
+    });
+
+    describe('evaluateDesignDocument', function() {
+        it('should describe the violation with the deployed metadata', function() {
+            const result = evaluateDesignDocument(designDoc('interviewComplete',
+                'function (newDoc) { if (!newDoc.interviewComplete) { throw ({ forbidden: "Interview must be completed." }); } }',
+                { rule_metadata: { name: 'Interview Complete Validator', version: '1.2.0', priority: 40, field: 'interviewComplete' } }), {});
+
+            assert.strictEqual(result.passed, false);
+            assert.deepStrictEqual(result.violation, {
+                rule_id: 'interviewComplete',
+                rule_name: 'Interview Complete Validator',
+                rule_version: '1.2.0',
+                priority: 40,
+                field: 'interviewComplete',
+                type: 'forbidden',
+                message: 'Interview must be completed.'
+            });
+        });
+    });
+
+    describe('evaluateDesignDocuments', function() {
+        const designDocs = [
+            designDoc('zeta', 'function () { throw ({ forbidden: "zeta" }); }', { rule_metadata: { priority: 1 } }),
+            designDoc('alpha', 'function (newDoc) { log(newDoc._id.length); throw ({ forbidden: "alpha" }); }', { rule_metadata: { priority: 50 } }),
+            { _id: '_design/scoring', updates: { determine: 'function (doc, req) { return [doc, "ok"]; }' } }
+        ];
+
+        it('should report every violation and the rule CouchDB would stop at', function() {
+            const report = evaluateDesignDocuments(designDocs, { type: 'person' });
+
+            assert.strictEqual(report.valid, false);
+            assert.deepStrictEqual(report.violations.map(violation => violation.rule_id), ['zeta', 'alpha']);
+            assert.strictEqual(report.rejected_by.rule_id, 'alpha');
+            assert.deepStrictEqual(report.evaluated, ['alpha', 'zeta']);
+            assert.deepStrictEqual(report.skipped, [{ rule_id: 'scoring', reason: 'has no validate_doc_update' }]);
+        });
+
+        it('should give a new document an ID, as CouchDB does', function() {
+            const report = evaluateDesignDocuments(designDocs, { type: 'person' });
+
+            assert.strictEqual(report.document_id, null);
+            assert.deepStrictEqual(report.logs, [{ rule_id: 'alpha', level: 'log', message: '32' }]);
+        });
+
+        it('should agree with the rule engine on the deployed validators', function() {
+            const deployed = Object.keys(validators)
+                .map(ruleId => ({ ruleId: ruleId, deployment: getDeploymentAction(validators[ruleId].metadata) }))
+                .filter(({ deployment }) => deployment.action !== 'skip')
+                .map(({ ruleId, deployment }) => buildDesignDocument(ruleId, validators[ruleId], deployment));
+            const summarize = report => report.violations.map(violation => `${violation.rule_id}: ${violation.message}`);
+
+            sampleBulk.docs.concat([samplePersonValid, samplePersonInvalid]).forEach(doc => {
+                assert.deepStrictEqual(summarize(evaluateDesignDocuments(deployed, doc)), summarize(evaluateDocument(doc)));
+            });
+        });
+    });
+
+    describe('evaluateDeployedRules', function() {
+        const deployed = { rows: [
+            { doc: designDoc('membersOnly', 'function (newDoc, oldDoc, userCtx, secObj) { if (secObj.members.roles.indexOf(userCtx.roles[0]) === -1) { throw ({ unauthorized: userCtx.db }); } }') },
+            { doc: designDoc('other', 'function () { throw ({ forbidden: "other" }); }') }
+        ] };
+
+        it('should evaluate with the database\'s security object and name the database in userCtx', async function() {
+            const fetch = createFakeFetch([{ status: 200, body: deployed }, { status: 200, body: { members: { roles: ['clerk'] } } }]);
+
+            const report = await evaluateDeployedRules(fetch, 'http://localhost:5984/', 'rules_db', {
+                document: { _id: 'person_001' },
+                rule: 'membersOnly',
+                userCtx: { name: 'pat', roles: ['caseworker'] }
+            });
+
+            assert.strictEqual(fetch.requests[0].url, 'http://localhost:5984/rules_db/_design_docs?include_docs=true');
+            assert.strictEqual(fetch.requests[1].url, 'http://localhost:5984/rules_db/_security');
+            assert.strictEqual(report.database, 'rules_db');
+            assert.deepStrictEqual(report.evaluated, ['membersOnly']);
+            assert.strictEqual(report.rejected_by.message, 'rules_db');
+            assert.strictEqual(report.user, 'pat');
+        });
+
+        it('should report a rule that is not deployed', async function() {
+            await assert.rejects(evaluateDeployedRules(createFakeFetch([{ status: 200, body: deployed }]), 'http://localhost:5984/', 'rules_db', {
+                document: {},
+                rule: 'missing'
+            }), { status: 404, message: 'No rule \'missing\' is deployed to \'rules_db\'' });
+        });
+    });
+
+    describe('createSandboxServer', function() {
+        const connection = { couchdb_url: 'http://localhost:5984/', database: 'rules_db' };
+        let server;
+
+        /**
+         * Starts a sandbox server on a free port and posts a request body to it
+         */
+        async function post(fetch, path, body) {
+            server = createSandboxServer({ connection: connection, fetch: fetch });
+            await new Promise(resolve => server.listen(0, '127.0.0.1', resolve));
+            const response = await global.fetch(`http://127.0.0.1:${server.address().port}${path}`, { method: 'POST', body: JSON.stringify(body) });
+            return { status: response.status, body: await response.json() };
+        }
+
+        afterEach(function(done) {
+            server.close(done);
+        });
+
+        it('should only evaluate the database it was started for', async function() {
+            const fetch = createFakeFetch([]);
+            const response = await post(fetch, '/evaluate-batch', { database: '_users', documents: [{}] });
+
+            assert.strictEqual(response.status, 403);
+            assert.strictEqual(response.body.reason, 'This sandbox only evaluates the rules deployed to \'rules_db\'');
+            assert.strictEqual(fetch.requests.length, 0);
+        });
+
+        it('should evaluate with the database\'s own security object, not one sent with the request', async function() {
+            const fetch = createFakeFetch([
+                { status: 200, body: { rows: [{ doc: designDoc('membersOnly', 'function (newDoc, oldDoc, userCtx, secObj) { if (secObj.members.roles.indexOf(userCtx.roles[0]) === -1) { throw ({ unauthorized: "not a member" }); } }') }] } },
+                { status: 200, body: { members: { roles: ['clerk'] } } }
+            ]);
+            const response = await post(fetch, '/evaluate', {
+                document: {},
+                userCtx: { name: 'pat', roles: ['caseworker'] },
+                secObj: { members: { roles: ['caseworker'] } }
+            });
+
+            assert.strictEqual(response.status, 200);
+            assert.strictEqual(fetch.requests[1].url, 'http://localhost:5984/rules_db/_security');
+            assert.strictEqual(response.body.rejected_by.message, 'not a member');
+        });
+    });
+});
@@ -0,0 +1,105 @@
+const assert = require('assert');
+const {
+    validateSchedule,
+    getSchedule,
+    getEffectiveTime,
+    getScheduleState,
+    compileScheduleGuard,
+    compileScheduledHandler,
+    isInEffect
+} = require('../../../utils/rule-schedule');
+
+describe('Rule Schedule', function() {
+    const metadata = { name: 'Income Limit 2025', effective_from: '2025-01-01', effective_until: '2026-01-01' };
+    const rejectAll = 'function (newDoc) { throw ({ forbidden: \'rejected\' }); }';
+
+    describe('validateSchedule', function() {
+        it('should accept dates, date-times with a time zone and open-ended periods', function() {
+            assert.deepStrictEqual(validateSchedule(metadata), []);
+            assert.deepStrictEqual(validateSchedule({ effective_from: '2025-07-01T00:00:00-05:00', effective_until: null }), []);
+            assert.deepStrictEqual(validateSchedule({}), []);
+        });
+
+        it('should reject malformed dates', function() {
+            assert.match(validateSchedule({ effective_from: '01/01/2025' })[0], /Invalid effective_from: 01\/01\/2025/);
+            assert.match(validateSchedule({ effective_until: '2025-13-01' })[0], /Invalid effective_until/);
+            assert.match(validateSchedule({ effective_from: '2025-01-01T00:00:00' })[0], /with a time zone/);
+        });
+
+        it('should reject a period that ends before it starts', function() {
+            assert.match(validateSchedule({ effective_from: '2026-01-01', effective_until: '2025-01-01' })[0], /must be after effective_from/);
+            assert.strictEqual(validateSchedule({ effective_from: '2025-01-01', effective_until: '2025-01-01' }).length, 1);
+        });
+    });
+
+    describe('getSchedule', function() {
+        it('should return null for rules that are always in effect', function() {
+            assert.strictEqual(getSchedule({ effective_from: null, effective_until: null }), null);
+            assert.deepStrictEqual(getSchedule({ effective_from: '2025-01-01' }), { from: Date.parse('2025-01-01'), until: null });
+        });
+    });
+
+    describe('getEffectiveTime', function() {
+        it('should use the application date, or now when it is missing or invalid', function() {
+            assert.strictEqual(getEffectiveTime({ applicationDate: '2025-03-15' }), Date.parse('2025-03-15'));
+
+            const before = Date.now();
+            assert(getEffectiveTime({ applicationDate: 'soon' }) >= before);
+            assert(getEffectiveTime(null) >= before);
+        });
+    });
+
+    describe('getScheduleState', function() {
+        it('should place a date before, in or after the period', function() {
+            assert.strictEqual(getScheduleState(metadata, '2024-12-31'), 'upcoming');
+            assert.strictEqual(getScheduleState(metadata, '2025-01-01'), 'current');
+            assert.strictEqual(getScheduleState(metadata, '2026-01-01'), 'expired');
+            assert.strictEqual(getScheduleState({}, '1999-01-01'), 'current');
+        });
+    });
+
+    describe('compileScheduleGuard', function() {
+        const validate = new Function(`return (${compileScheduleGuard(rejectAll, metadata)});`)();
+
+        it('should only run the rule for applications made in the period', function() {
+            assert.throws(() => validate({ applicationDate: '2025-06-01' }, null, {}, {}), { forbidden: 'rejected' });
+            assert.strictEqual(validate({ applicationDate: '2024-06-01' }, null, {}, {}), true);
+            assert.strictEqual(validate({ applicationDate: '2026-01-01' }, null, {}, {}), true);
+        });
+
+        it('should judge deletions by the stored document', function() {
+            const tombstone = { _id: 'person_1', _deleted: true };
+
+            assert.throws(() => validate(tombstone, { applicationDate: '2025-06-01' }, {}, {}), { forbidden: 'rejected' });
+            assert.strictEqual(validate(tombstone, { applicationDate: '2027-06-01' }, {}, {}), true);
+        });
+
+        it('should leave rules without a period unchanged', function() {
+            assert.strictEqual(compileScheduleGuard(rejectAll, {}), rejectAll);
+        });
+    });
+
+    describe('compileScheduledHandler', function() {
+        const handler = new Function(`return (${compileScheduledHandler('function (doc, req) { return [doc, \'scored\']; }', metadata)});`)();
+
+        it('should refuse to score documents outside the period', function() {
+            const [doc, response] = handler({ applicationDate: '2024-06-01' }, {});
+
+            assert.strictEqual(doc, null);
+            assert.strictEqual(response.code, 422);
+            assert.deepStrictEqual(JSON.parse(response.body), { error: 'not_in_effect', reason: 'Income Limit 2025 is not in effect for this document' });
+        });
+
+        it('should score documents in the period', function() {
+            assert.deepStrictEqual(handler({ applicationDate: '2025-06-01' }, {}), [{ applicationDate: '2025-06-01' }, 'scored']);
+        });
+    });
+
+    describe('isInEffect', function() {
+        it('should prefer an explicit date over the application date', function() {
+            assert.strictEqual(isInEffect(metadata, { applicationDate: '2025-06-01' }), true);
+            assert.strictEqual(isInEffect(metadata, { applicationDate: '2025-06-01' }, null, '2026-06-01'), false);
+            assert.strictEqual(isInEffect({}, {}, null, '1999-01-01'), true);
+        });
+    });
+});
@@ -0,0 +1,116 @@
+const assert = require('assert');
+const {
+    validateAppliesTo,
+    matchesSelector,
+    ruleApplies,
+    compileScopeGuard,
+    scopeValidationFunction,
+    isInScope
+} = require('../../../utils/rule-scope');
+
+describe('Rule Scope', function() {
+    const person = { _id: 'person_1', type: 'person', income: 20000, address: { state: 'PA' }, status: 'submitted' };
+    const tombstone = { _id: 'person_1', _rev: '2-deleted', _deleted: true };
+
+    describe('validateAppliesTo', function() {
+        it('should accept types, fields, selectors and deletion policies', function() {
+            assert.deepStrictEqual(validateAppliesTo({
+                type: ['person', 'household'],
+                fields: ['income'],
+                selector: { status: { $in: ['draft', 'submitted'] }, $or: [{ income: { $gt: 0 } }, { 'address.state': 'PA' }] },
+                deletions: 'deny'
+            }), []);
+        });
+
+        it('should reject malformed scopes', function() {
+            assert.deepStrictEqual(validateAppliesTo('person'), ['applies_to must be an object']);
+            assert.match(validateAppliesTo({ kind: 'person' })[0], /Unknown applies_to property: kind/);
+            assert.match(validateAppliesTo({ type: [] })[0], /applies_to.type/);
+            assert.match(validateAppliesTo({ fields: 'income' })[0], /applies_to.fields/);
+            assert.match(validateAppliesTo({ deletions: 'ignore' })[0], /Invalid applies_to.deletions: ignore/);
+        });
+
+        it('should report unsupported selector operators', function() {
+            assert.match(validateAppliesTo({ selector: { name: { $regex: '^A' } } })[0], /applies_to.selector.name uses unsupported operator \$regex/);
+            assert.match(validateAppliesTo({ selector: { $or: { income: 1 } } })[0], /must be an array of selectors/);
+        });
+    });
+
+    describe('matchesSelector', function() {
+        it('should match implicit equality, nested fields and dot paths', function() {
+            assert.strictEqual(matchesSelector(person, { type: 'person' }), true);
+            assert.strictEqual(matchesSelector(person, { address: { state: 'PA' } }), true);
+            assert.strictEqual(matchesSelector(person, { 'address.state': 'NJ' }), false);
+        });
+
+        it('should apply comparison and membership operators', function() {
+            assert.strictEqual(matchesSelector(person, { income: { $gte: 20000, $lt: 25000 } }), true);
+            assert.strictEqual(matchesSelector(person, { income: { $gt: 20000 } }), false);
+            assert.strictEqual(matchesSelector(person, { status: { $nin: ['approved'] } }), true);
+            assert.strictEqual(matchesSelector(person, { missing: { $gt: 0 } }), false);
+            assert.strictEqual(matchesSelector(person, { missing: { $exists: false } }), true);
+        });
+
+        it('should combine selectors', function() {
+            assert.strictEqual(matchesSelector(person, { $or: [{ status: 'draft' }, { income: { $lt: 25000 } }] }), true);
+            assert.strictEqual(matchesSelector(person, { $and: [{ type: 'person' }, { status: 'draft' }] }), false);
+            assert.strictEqual(matchesSelector(person, { $nor: [{ status: 'approved' }] }), true);
+            assert.strictEqual(matchesSelector(person, { status: { $not: { $eq: 'submitted' } } }), false);
+        });
+    });
+
+    describe('ruleApplies', function() {
+        it('should require every part of the scope to match', function() {
+            assert.strictEqual(ruleApplies(person, null, { type: 'person', fields: ['income'] }), true);
+            assert.strictEqual(ruleApplies(person, null, { type: ['household', 'person'] }), true);
+            assert.strictEqual(ruleApplies(person, null, { type: 'person', fields: ['householdSize'] }), false);
+            assert.strictEqual(ruleApplies(person, null, { type: 'person', selector: { status: 'approved' } }), false);
+            assert.strictEqual(ruleApplies({ income: 1 }, null, { type: 'person' }), false);
+            assert.strictEqual(ruleApplies({ type: 'other', income: 1 }, person, { type: 'person' }), true);
+            assert.strictEqual(ruleApplies({ type: 'person' }, person, { type: 'person', fields: ['income'] }), true);
+        });
+
+        it('should skip deletions unless the policy says otherwise', function() {
+            assert.strictEqual(ruleApplies(tombstone, person, { type: 'person' }), false);
+            assert.strictEqual(ruleApplies(tombstone, person, { type: 'person', deletions: 'validate' }), true);
+            assert.strictEqual(ruleApplies(tombstone, person, { type: 'household', deletions: 'deny' }), false);
+            assert.strictEqual(ruleApplies(tombstone, null, { type: 'person', deletions: 'deny' }), false);
+        });
+    });
+
+    describe('compileScopeGuard', function() {
+        const source = 'function (doc) { if (!(doc.income <= 25000)) { throw ({ forbidden: "Income too high" }); } return true; }';
+        const compile = src => new Function(`return (${src});`)();
+
+        it('should leave rules without a scope unchanged', function() {
+            assert.strictEqual(compileScopeGuard(source, { applies_to: null }), source);
+            assert.strictEqual(compileScopeGuard(source, {}), source);
+        });
+
+        it('should compile a self-contained function that only runs the rule in scope', function() {
+            const validate = compile(compileScopeGuard(source, { name: 'Income', applies_to: { type: 'person', deletions: 'deny' } }));
+
+            assert.throws(() => validate({ type: 'person', income: 30000 }, null), { forbidden: 'Income too high' });
+            assert.strictEqual(validate({ type: 'household', income: 30000 }, null), true);
+            assert.throws(() => validate(tombstone, person), { forbidden: 'Documents covered by Income cannot be deleted' });
+        });
+    });
+
+    describe('scopeValidationFunction and isInScope', function() {
+        const rule = function (doc) {
+            return doc._deleted ? 'saw the tombstone' : true;
+        };
+        const metadata = { name: 'Rule', applies_to: { type: 'person', deletions: 'validate' } };
+
+        it('should return the rule itself when it has no scope', function() {
+            assert.strictEqual(scopeValidationFunction(rule, {}), rule);
+            assert.strictEqual(isInScope({}, { type: 'anything' }), true);
+        });
+
+        it('should pass tombstones to rules that validate deletions', function() {
+            assert.strictEqual(scopeValidationFunction(rule, metadata)(tombstone, person), 'saw the tombstone');
+            assert.strictEqual(isInScope(metadata, tombstone, person), true);
+            assert.strictEqual(isInScope(metadata, { type: 'household' }), false);
+        });
+    });
+});
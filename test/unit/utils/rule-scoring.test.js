@@ -0,0 +1,128 @@
+const assert = require('assert');
+const {
+    validateScoringDefinition,
+    applyScoringDefinition,
+    compileScoringDefinition,
+    compileScoringFunction,
+    compileDeterminationHandler
+} = require('../../../utils/rule-scoring');
+
+describe('Scoring Rules', function() {
+    const definition = {
+        criteria: [
+            { label: 'Low income', points: 2, when: [{ field: 'income', operator: 'lte', value: 15000 }] },
+            {
+                label: 'Moderate income',
+                points: 1,
+                when: [
+                    { field: 'income', operator: 'gt', value: 15000 },
+                    { field: 'income', operator: 'lte', value: 25000 }
+                ]
+            },
+            { label: 'Large household', points: 1, when: [{ field: 'householdSize', operator: 'gte', value: 5 }] }
+        ],
+        tiers: [
+            { tier: 'none', min_points: 0 },
+            { tier: 'full', min_points: 3 },
+            { tier: 'partial', min_points: 1 }
+        ]
+    };
+
+    describe('validateScoringDefinition', function() {
+        it('should accept a complete definition', function() {
+            const result = validateScoringDefinition(definition);
+            assert.strictEqual(result.isValid, true, result.errors.join(', '));
+        });
+
+        it('should require criteria and tiers', function() {
+            const result = validateScoringDefinition({});
+            assert.strictEqual(result.isValid, false);
+            assert(result.errors.some(error => error.includes('criterion')));
+            assert(result.errors.some(error => error.includes('tier')));
+        });
+
+        it('should validate criterion points and checks', function() {
+            const result = validateScoringDefinition({
+                criteria: [{ points: 'two', when: [{ field: 'income', operator: 'below', value: 1 }] }],
+                tiers: [{ tier: 'full', min_points: 0 }]
+            });
+            assert.strictEqual(result.isValid, false);
+            assert(result.errors.some(error => error.includes('numeric number of points')));
+            assert(result.errors.some(error => error.startsWith('Criterion 1 check 1')));
+        });
+
+        it('should validate tiers', function() {
+            const result = validateScoringDefinition({ ...definition, tiers: [{ min_points: 'x' }] });
+            assert.strictEqual(result.isValid, false);
+            assert.strictEqual(result.errors.length, 2);
+        });
+    });
+
+    describe('applyScoringDefinition', function() {
+        it('should award the full tier when enough criteria match', function() {
+            const score = applyScoringDefinition({ income: 10000, householdSize: 6 }, definition);
+            assert.deepStrictEqual(score, {
+                points: 3,
+                max_points: 4,
+                tier: 'full',
+                matched: ['Low income', 'Large household']
+            });
+        });
+
+        it('should award a partial tier for an income band', function() {
+            const score = applyScoringDefinition({ income: 20000, householdSize: 3 }, definition);
+            assert.strictEqual(score.points, 1);
+            assert.strictEqual(score.tier, 'partial');
+        });
+
+        it('should fall through to the lowest tier when nothing matches', function() {
+            const score = applyScoringDefinition({ income: 90000 }, definition);
+            assert.strictEqual(score.points, 0);
+            assert.strictEqual(score.tier, 'none');
+        });
+    });
+
+    describe('compileScoringFunction', function() {
+        it('should score documents the same way as the definition', function() {
+            const score = compileScoringFunction(definition);
+            const doc = { income: 12000, householdSize: 2 };
+            assert.deepStrictEqual(score(doc), applyScoringDefinition(doc, definition));
+        });
+
+        it('should expose the compiled source', function() {
+            assert.strictEqual(compileScoringFunction(definition).toString(), compileScoringDefinition(definition));
+        });
+
+        it('should refuse to compile an invalid definition', function() {
+            assert.throws(() => compileScoringDefinition({ criteria: [] }), /Invalid scoring definition/);
+        });
+    });
+
+    describe('compileDeterminationHandler', function() {
+        const handler = new Function(`return (${compileDeterminationHandler('benefitTier', definition, '1.2.0')});`)();
+
+        it('should record the determination on the document', function() {
+            const doc = { _id: 'app-1', income: 10000, householdSize: 6 };
+            const [updatedDoc, response] = handler(doc, {});
+
+            assert.strictEqual(updatedDoc.determinations.benefitTier.tier, 'full');
+            assert.strictEqual(updatedDoc.determinations.benefitTier.rule_version, '1.2.0');
+            assert(updatedDoc.determinations.benefitTier.determined_at);
+            assert.deepStrictEqual(JSON.parse(response.body), updatedDoc.determinations.benefitTier);
+        });
+
+        it('should keep determinations made by other rules', function() {
+            const doc = { income: 20000, determinations: { otherRule: { tier: 'full' } } };
+            const [updatedDoc] = handler(doc, {});
+
+            assert.deepStrictEqual(updatedDoc.determinations.otherRule, { tier: 'full' });
+            assert.strictEqual(updatedDoc.determinations.benefitTier.tier, 'partial');
+        });
+
+        it('should return 404 when the document does not exist', function() {
+            const [updatedDoc, response] = handler(null, {});
+            assert.strictEqual(updatedDoc, null);
+            assert.strictEqual(response.code, 404);
+        });
+    });
+});
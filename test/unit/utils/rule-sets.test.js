@@ -0,0 +1,86 @@
+const assert = require('assert');
+const validators = require('../../../index');
+const {
+    RULE_SETS,
+    RULE_SET_DOC_ID,
+    listRuleSets,
+    getRuleSet,
+    validateRuleSet,
+    selectRuleSetValidators,
+    createRuleSetDocument
+} = require('../../../utils/rule-sets');
+const { evaluateDocument } = require('../../../utils/rule-engine');
+const MockDataGenerator = require('../../helpers/mock-data-generator');
+
+describe('Rule Sets', function() {
+    describe('RULE_SETS', function() {
+        it('should only reference existing validators', function() {
+            listRuleSets().forEach(name => {
+                const validation = validateRuleSet(RULE_SETS[name], validators);
+                assert.strictEqual(validation.isValid, true, `${name}: ${validation.errors.join(', ')}`);
+            });
+        });
+
+        it('should load each rule set into its own database', function() {
+            const databases = listRuleSets().map(name => RULE_SETS[name].database);
+            assert.strictEqual(new Set(databases).size, databases.length);
+        });
+    });
+
+    describe('getRuleSet', function() {
+        it('should find rule sets regardless of case', function() {
+            assert.strictEqual(getRuleSet('snap').name, 'SNAP');
+        });
+
+        it('should throw for unknown rule sets', function() {
+            assert.throws(() => getRuleSet('WIC'), /Unknown rule set: WIC/);
+        });
+    });
+
+    describe('validateRuleSet', function() {
+        it('should report missing fields and unknown rules', function() {
+            const result = validateRuleSet({ name: 'Test', rules: ['householdIncome', 'noSuchRule'] }, validators);
+            assert.strictEqual(result.isValid, false);
+            assert(result.errors.includes('Missing required field: database'));
+            assert(result.errors.includes('Unknown rule: noSuchRule'));
+        });
+
+        it('should require at least one rule', function() {
+            const result = validateRuleSet({ name: 'Empty', database: 'empty_db', rules: [] }, validators);
+            assert.strictEqual(result.isValid, false);
+        });
+    });
+
+    describe('selectRuleSetValidators', function() {
+        it('should return only the rule set validators', function() {
+            const selected = selectRuleSetValidators('LIHEAP', validators);
+            assert.deepStrictEqual(Object.keys(selected), RULE_SETS.LIHEAP.rules);
+            assert.strictEqual(selected.householdIncome, validators.householdIncome);
+        });
+    });
+
+    describe('createRuleSetDocument', function() {
+        it('should describe the rule set in a local document', function() {
+            const doc = createRuleSetDocument(RULE_SETS.SNAP);
+            assert.strictEqual(doc._id, RULE_SET_DOC_ID);
+            assert.strictEqual(doc.name, 'SNAP');
+            assert.deepStrictEqual(doc.rules, RULE_SETS.SNAP.rules);
+            assert(doc.loaded_date);
+        });
+    });
+
+    describe('evaluating a rule set', function() {
+        it('should only apply the rule set rules', function() {
+            // Fails householdSize, which LIHEAP does not check
+            const doc = MockDataGenerator.generateSmallHouseholdPerson(1);
+
+            const liheap = evaluateDocument(doc, { ruleSet: 'LIHEAP' });
+            const snap = evaluateDocument(doc, { ruleSet: 'SNAP' });
+
+            assert.strictEqual(liheap.valid, true);
+            assert.strictEqual(liheap.rule_set, 'LIHEAP');
+            assert.strictEqual(snap.valid, false);
+            assert.deepStrictEqual(snap.violations.map(v => v.rule_id), ['householdSize']);
+        });
+    });
+});
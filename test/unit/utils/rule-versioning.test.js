@@ -0,0 +1,194 @@
+const assert = require('assert');
+const {
+    compareVersions,
+    getVersionBump,
+    incrementVersion,
+    suggestVersionBump,
+    checkVersionBump,
+    checkRuleVersion
+} = require('../../../utils/rule-versioning');
+const { buildDesignDocument, compileInactiveRule } = require('../../../utils/rule-deployment');
+const { createRuleMetadata } = require('../../../utils/rule-metadata');
+const householdIncome = require('../../../validators/householdIncome');
+const householdSize = require('../../../validators/householdSize');
+
+describe('Rule Versioning', function() {
+    const deploy = { action: 'deploy', reason: 'status is active' };
+
+    /**
+     * Builds a hand-written validator module with the given source and metadata options
+     */
+    const handWritten = (rule, options = {}) => ({
+        limitRule: rule,
+        metadata: createRuleMetadata({ name: 'Limit', description: 'Limit rule', version: '1.0.0', changeNotes: 'Initial implementation', ...options })
+    });
+    const original = handWritten(function (doc) {
+        if (doc.income > 25000) {
+            throw ({ forbidden: 'Income too high' });
+        }
+        return true;
+    });
+    const deployed = buildDesignDocument('limitRule', original, deploy);
+
+    describe('compareVersions and getVersionBump', function() {
+        it('should order versions, with prereleases before their release', function() {
+            assert.strictEqual(compareVersions('1.10.0', '1.9.9'), 1);
+            assert.strictEqual(compareVersions('2.0.0-beta.1', '2.0.0'), -1);
+            assert.strictEqual(compareVersions('1.0.0+build.5', '1.0.0'), 0);
+            assert.throws(() => compareVersions('1.0', '1.0.0'), /Invalid semantic version: 1.0/);
+        });
+
+        it('should compare prerelease identifiers as semver does', function() {
+            assert.strictEqual(compareVersions('1.0.0-beta.10', '1.0.0-beta.2'), 1);
+            assert.strictEqual(compareVersions('1.0.0-alpha', '1.0.0-alpha.1'), -1);
+            assert.strictEqual(compareVersions('1.0.0-alpha.1', '1.0.0-alpha.beta'), -1);
+            assert.strictEqual(compareVersions('1.0.0-beta', '1.0.0-alpha.1'), 1);
+            assert.strictEqual(compareVersions('1.0.0-rc.1', '1.0.0-rc.1+build.2'), 0);
+            assert.strictEqual(getVersionBump('1.0.0-beta.9', '1.0.0-beta.10'), 'prerelease');
+        });
+
+        it('should name the bump between two versions', function() {
+            assert.strictEqual(getVersionBump('1.2.3', '2.0.0'), 'major');
+            assert.strictEqual(getVersionBump('1.2.3', '1.3.0'), 'minor');
+            assert.strictEqual(getVersionBump('1.2.3', '1.2.4'), 'patch');
+            assert.strictEqual(getVersionBump('2.0.0-beta.1', '2.0.0-beta.2'), 'prerelease');
+            assert.strictEqual(getVersionBump('1.2.3', '1.2.3'), 'none');
+            assert.strictEqual(getVersionBump('1.2.3', '1.2.0'), 'downgrade');
+        });
+
+        it('should work out the next version for a bump', function() {
+            assert.strictEqual(incrementVersion('1.2.3', 'major'), '2.0.0');
+            assert.strictEqual(incrementVersion('1.2.3', 'minor'), '1.3.0');
+            assert.strictEqual(incrementVersion('1.2.3', 'patch'), '1.2.4');
+            assert.strictEqual(incrementVersion('2.0.0-beta.1', 'major'), '2.0.0');
+        });
+    });
+
+    describe('suggestVersionBump', function() {
+        const suggest = (rule, options) => suggestVersionBump(buildDesignDocument('limitRule', handWritten(rule, options), deploy), deployed);
+
+        it('should suggest a patch when only the message changed', function() {
+            const suggestion = suggest(function (doc) {
+                if (doc.income > 25000) {
+                    throw ({ forbidden: 'Income must be $25,000 or less' });
+                }
+                return true;
+            });
+
+            assert.strictEqual(suggestion.level, 'patch');
+            assert.deepStrictEqual(suggestion.changes, [{ kind: 'message', description: 'validate_doc_update: message text changed' }]);
+        });
+
+        it('should suggest a minor bump when a threshold changed', function() {
+            assert.strictEqual(suggest(function (doc) {
+                if (doc.income > 30000) {
+                    throw ({ forbidden: 'Income too high' });
+                }
+                return true;
+            }).level, 'minor');
+        });
+
+        it('should suggest a major bump when the logic changed', function() {
+            assert.strictEqual(suggest(function (doc) {
+                if (doc.income >= 25000 || doc.income === undefined) {
+                    throw ({ forbidden: 'Income too high' });
+                }
+                return true;
+            }).level, 'major');
+        });
+
+        it('should treat changes to scope, roles and parameters as structural', function() {
+            const suggestion = suggest(original.limitRule, { appliesTo: { type: 'person' } });
+
+            assert.strictEqual(suggestion.level, 'major');
+            assert(suggestion.changes.some(change => change.description === 'rule_metadata.applies_to changed'));
+        });
+
+        it('should compare declarative rules through their definition', function() {
+            const existing = buildDesignDocument('householdIncome', householdIncome, deploy);
+            const reworded = { ...householdIncome, definition: { ...householdIncome.definition, message: 'Income is over ${maximumIncome:number}' } };
+            const moved = { ...householdIncome, definition: { ...householdIncome.definition, field: 'annualIncome' } };
+
+            assert.strictEqual(suggestVersionBump(buildDesignDocument('householdIncome', reworded, deploy), existing).level, 'patch');
+            assert.strictEqual(suggestVersionBump(buildDesignDocument('householdIncome', moved, deploy), existing).level, 'major');
+        });
+    });
+
+    describe('checkVersionBump', function() {
+        const changed = buildDesignDocument('limitRule', handWritten(function (doc) {
+            if (doc.income > 30000) {
+                throw ({ forbidden: 'Income too high' });
+            }
+            return true;
+        }, { version: '1.1.0', changeNotes: 'Raise the limit to $30,000' }), deploy);
+
+        it('should accept a bumped version with new change notes', function() {
+            const result = checkVersionBump(changed, deployed, '1.1.0');
+
+            assert.strictEqual(result.required, true);
+            assert.strictEqual(result.bump, 'minor');
+            assert.strictEqual(result.suggested, 'minor');
+            assert.deepStrictEqual(result.errors, []);
+        });
+
+        it('should fail when the logic changed without a version bump', function() {
+            const result = checkVersionBump(changed, deployed, '1.0.0');
+
+            assert.strictEqual(result.next_version, '1.1.0');
+            assert.match(result.errors[0], /Logic changed but the version is still 1.0.0 - bump it to 1.1.0 \(minor: validate_doc_update: numbers changed\)/);
+        });
+
+        it('should fail when the version went down', function() {
+            assert.match(checkVersionBump(changed, { ...deployed, rule_metadata: { ...deployed.rule_metadata, version: '1.2.0' } }, '1.1.0').errors[0], /lower than the deployed 1.2.0/);
+        });
+
+        it('should require new change notes', function() {
+            const sameNotes = { ...changed, rule_metadata: { ...changed.rule_metadata, change_notes: 'Initial implementation' } };
+
+            assert.match(checkVersionBump(sameNotes, deployed, '1.1.0').errors[0], /change_notes are the same as in 1.0.0/);
+        });
+
+        it('should warn when the bump is smaller than suggested', function() {
+            const result = checkVersionBump(changed, deployed, '1.0.1');
+
+            assert.deepStrictEqual(result.errors, []);
+            assert.match(result.warnings[0], /patch bump 1.0.0 → 1.0.1 is smaller than the suggested minor/);
+        });
+
+        it('should not require a bump for metadata-only changes', function() {
+            const described = buildDesignDocument('limitRule', handWritten(original.limitRule, { description: 'Caps household income' }), deploy);
+
+            assert.strictEqual(checkVersionBump(described, deployed, '1.0.0').required, false);
+        });
+    });
+
+    describe('checkRuleVersion', function() {
+        const existing = buildDesignDocument('householdSize', householdSize, deploy);
+
+        it('should ignore parameter values configured for the environment', function() {
+            const staging = buildDesignDocument('householdSize', householdSize, deploy, { minimumSize: 4 });
+
+            assert.strictEqual(checkRuleVersion('householdSize', householdSize, deploy, staging).required, false);
+            assert.strictEqual(checkRuleVersion('householdSize', householdSize, deploy, existing).required, false);
+        });
+
+        it('should require a bump when a parameter default changed', function() {
+            const metadata = { ...householdSize.metadata, parameters: { minimumSize: { ...householdSize.metadata.parameters.minimumSize, default: 4 } } };
+            const result = checkRuleVersion('householdSize', { ...householdSize, metadata }, deploy, existing);
+
+            assert.strictEqual(result.required, true);
+            assert.strictEqual(result.suggested, 'minor');
+            assert.strictEqual(result.errors.length, 2);
+        });
+
+        it('should only check active rules replacing an active rule', function() {
+            const draft = { ...householdSize, metadata: { ...householdSize.metadata, status: 'draft', parameters: {} } };
+            const inactive = { ...existing, validate_doc_update: compileInactiveRule('householdSize') };
+            const changedMetadata = { ...householdSize, metadata: { ...householdSize.metadata, applies_to: null } };
+
+            assert.strictEqual(checkRuleVersion('householdSize', draft, deploy, existing).required, false);
+            assert.strictEqual(checkRuleVersion('householdSize', changedMetadata, deploy, inactive).required, false);
+            assert.strictEqual(checkRuleVersion('householdSize', changedMetadata, deploy, null).required, false);
+        });
+    });
+});
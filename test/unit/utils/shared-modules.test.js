@@ -0,0 +1,112 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const validators = require('../../../index');
+
+/**
+ * Modules in web/js/shared, in the order the browser has to load them
+ */
+const SHARED_MODULES = [
+    ['rule-parameters', 'RuleParameters'],
+    ['rule-definition', 'RuleDefinition'],
+    ['rule-roles', 'RuleRoles'],
+    ['rule-scope', 'RuleScope'],
+    ['rule-schedule', 'RuleSchedule'],
+    ['rule-evaluation', 'RuleEvaluation'],
+    ['rule-scoring', 'RuleScoring'],
+    ['rule-deployment', 'RuleDeployment'],
+    ['rule-versioning', 'RuleVersioning'],
+    ['rule-history', 'RuleHistory'],
+    ['rule-audit', 'RuleAudit'],
+    ['rule-review', 'RuleReview'],
+    ['rule-batch', 'RuleBatch']
+];
+
+/**
+ * Runs the shared modules as browser scripts: no module or require, each one adding its global
+ * @returns {Object} The global object the scripts ran in
+ */
+function loadInBrowser() {
+    const window = {};
+    window.window = window;
+    const context = vm.createContext(window);
+    SHARED_MODULES.forEach(([file]) => {
+        const filename = path.join(__dirname, '../../../web/js/shared', `${file}.js`);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename: filename });
+    });
+    return window;
+}
+
+describe('Shared Modules', function() {
+    const browser = loadInBrowser();
+
+    it('should give the browser the same exports as Node', function() {
+        SHARED_MODULES.forEach(([file, globalName]) => {
+            const shared = require(`../../../web/js/shared/${file}`);
+            const node = require(`../../../utils/${file}`);
+            assert(browser[globalName], `${globalName} is not defined`);
+            assert.deepStrictEqual(Object.keys(browser[globalName]), Object.keys(shared), globalName);
+            Object.keys(shared).forEach(name => assert.strictEqual(node[name], shared[name], `utils/${file} ${name}`));
+        });
+    });
+
+    it('should compile declarative rules in the browser exactly as the loader does', function() {
+        const { compileRuleDefinition } = require('../../../utils/rule-definition');
+        const { getParameterDefaults } = require('../../../utils/rule-parameters');
+
+        Object.keys(validators)
+            .filter(ruleId => validators[ruleId].definition && validators[ruleId].metadata.rule_type !== 'scoring')
+            .forEach(ruleId => {
+                const { definition, metadata } = validators[ruleId];
+                const values = browser.RuleParameters.getParameterDefaults(metadata);
+                assert.strictEqual(JSON.stringify(values), JSON.stringify(getParameterDefaults(metadata)));
+                assert.strictEqual(browser.RuleDefinition.compileRuleDefinition(definition, values), compileRuleDefinition(definition, values), ruleId);
+            });
+    });
+
+    it('should publish proposals from the browser as the loader builds rules', function() {
+        const { buildDesignDocument, computeContentHash } = require('../../../utils/rule-deployment');
+        const { createProposal, reviewProposal, planPublish } = require('../../../utils/rule-review');
+        const householdIncome = validators.householdIncome;
+        const metadata = { ...householdIncome.metadata, applies_to: { type: ['application'] } };
+        const deployed = { ...buildDesignDocument('householdIncome', { ...householdIncome, metadata: metadata }, { action: 'deploy' }), _rev: '3-abc' };
+        const proposal = reviewProposal(createProposal(deployed, {
+            rule_definition: householdIncome.definition,
+            version: '1.3.0',
+            change_notes: 'Reword the message'
+        }, { proposedBy: 'pat' }), 'approve', 'riley');
+
+        const doc = browser.RuleReview.planPublish(proposal, deployed);
+        const expected = planPublish(proposal, deployed);
+        doc.rule_metadata.modified_date = expected.rule_metadata.modified_date;
+
+        assert.strictEqual(doc.content_hash, null);
+        assert.strictEqual(computeContentHash(doc), expected.content_hash);
+        assert.strictEqual(JSON.stringify({ ...doc, content_hash: expected.content_hash }), JSON.stringify(expected));
+
+        // The scope guard and the default maximumIncome are compiled in
+        const validate = new Function(`return (${doc.validate_doc_update});`)();
+        assert.strictEqual(validate({ type: 'other', income: 99999 }, null, { roles: ['_admin'] }, {}), true);
+        assert.throws(() => validate({ type: 'application', income: 99999 }, null, { roles: ['_admin'] }, {}), error => error.forbidden === 'Income must be $25,000 or less');
+    });
+
+    it('should leave the source hash to the browser, which hashes asynchronously', function() {
+        const { createAuditEntry, compileAuditGuard } = require('../../../utils/rule-audit');
+        const change = { database: 'rules_db', action: 'update', doc: { _id: '_design/income', validate_doc_update: 'function () {}' }, newRev: '2-b' };
+
+        assert.strictEqual(browser.RuleAudit.createAuditEntry(change, { tool: 'web' }).source_hash, null);
+        assert.match(createAuditEntry(change, { tool: 'web' }).source_hash, /^[0-9a-f]{64}$/);
+        assert.strictEqual(browser.RuleAudit.compileAuditGuard(), compileAuditGuard());
+    });
+
+    it('should read batch files and export the matrix in the browser as couch-rules batch does', function() {
+        const { parseBatchDocuments, evaluateBatch, formatBatchCsv } = require('../../../utils/rule-batch');
+        const csv = 'name,income,interviewComplete\nPat,17500,true\nSam,40000,false\n';
+        const documents = parseBatchDocuments(csv, null, 'people.csv');
+        const matrix = evaluateBatch(documents);
+
+        assert.strictEqual(JSON.stringify(browser.RuleBatch.parseBatchDocuments(csv, null, 'people.csv')), JSON.stringify(documents));
+        assert.strictEqual(browser.RuleBatch.formatBatchCsv(matrix), formatBatchCsv(matrix));
+    });
+});
@@ -0,0 +1,287 @@
+const assert = require('assert');
+const fs = require('fs');
+const path = require('path');
+const vm = require('vm');
+const validators = require('../../../index');
+const { buildDesignDocument } = require('../../../utils/rule-deployment');
+const { evaluateDocument } = require('../../../utils/rule-engine');
+
+const WEB_ROOT = path.join(__dirname, '../../../web');
+
+/**
+ * Scripts index.html loads, in order
+ */
+const INDEX_HTML = fs.readFileSync(path.join(WEB_ROOT, 'index.html'), 'utf8');
+const SCRIPTS = Array.from(INDEX_HTML.matchAll(/<script src="([^"]+)"><\/script>/g), match => match[1]);
+
+/**
+ * Classes of each element in index.html with an id
+ */
+const CLASSES_BY_ID = Object.fromEntries(Array.from(INDEX_HTML.matchAll(/<[^>]*\bid="([^"]+)"[^>]*>/g), ([tag, id]) => {
+    const classes = tag.match(/\bclass="([^"]*)"/);
+    return [id, classes ? classes[1].split(' ') : []];
+}));
+
+/**
+ * Element that records what the scripts do with it
+ * @param {string[]} [classNames] - Classes it starts with
+ */
+function createElement(classNames = []) {
+    const classes = new Set(classNames);
+    let text = '';
+    return {
+        innerHTML: '',
+        value: '',
+        className: '',
+        hidden: false,
+        disabled: false,
+        listeners: {},
+        get textContent() {
+            return text;
+        },
+        set textContent(value) {
+            text = String(value);
+            this.innerHTML = text.replace(/&/g, '&amp;').replace(/</g, '&lt;').replace(/>/g, '&gt;');
+        },
+        classList: {
+            add: name => classes.add(name),
+            remove: name => classes.delete(name),
+            contains: name => classes.has(name)
+        },
+        addEventListener(type, listener) {
+            (this.listeners[type] = this.listeners[type] || []).push(listener);
+        },
+        focus() {},
+        scrollIntoView() {}
+    };
+}
+
+/**
+ * Runs index.html's scripts as a browser would, against a document whose elements are created on first use
+ * @param {Function} respond - Answers a fetch: (url, options) => { status, body }
+ * @returns {Object} The window, with the page's elements in window.elementsById, fetches in window.requests,
+ *   startUp() to fire DOMContentLoaded and settle() to wait for the requests it started
+ */
+function loadPage(respond) {
+    const elementsById = {};
+    const listeners = {};
+    const window = {
+        console: console,
+        setTimeout: setTimeout,
+        clearTimeout: clearTimeout,
+        URL: URL,
+        AbortController: AbortController,
+        TextEncoder: TextEncoder,
+        btoa: btoa,
+        atob: atob,
+        CustomEvent: class CustomEvent {
+            constructor(type, init = {}) {
+                this.type = type;
+                this.detail = init.detail;
+            }
+        },
+        localStorage: { getItem: () => null, setItem() {} },
+        requests: [],
+        elementsById: elementsById,
+        addEventListener(type, listener) {
+            (listeners[type] = listeners[type] || []).push(listener);
+        },
+        dispatchEvent(event) {
+            (listeners[event.type] || []).forEach(listener => listener(event));
+        },
+        document: {
+            getElementById: id => (elementsById[id] = elementsById[id] || createElement(CLASSES_BY_ID[id])),
+            querySelector: () => null,
+            querySelectorAll: () => [],
+            createElement: () => createElement(),
+            addEventListener(type, listener) {
+                (listeners[type] = listeners[type] || []).push(listener);
+            }
+        },
+        async fetch(url, options = {}) {
+            window.requests.push({ url: url, ...options });
+            const response = respond(url, options) || { status: 404, body: { error: 'not_found' } };
+            return {
+                status: response.status,
+                statusText: String(response.status),
+                ok: response.status >= 200 && response.status < 300,
+                json: async () => response.body
+            };
+        }
+    };
+    window.window = window;
+
+    const context = vm.createContext(window);
+    SCRIPTS.forEach(src => {
+        const filename = path.join(WEB_ROOT, src);
+        vm.runInContext(fs.readFileSync(filename, 'utf8'), context, { filename: filename });
+    });
+    window.settle = async () => {
+        for (let i = 0; i < 20; i++) {
+            await new Promise(resolve => setImmediate(resolve));
+        }
+    };
+    window.startUp = async () => {
+        await Promise.all((listeners.DOMContentLoaded || []).map(listener => listener()));
+        await window.settle();
+    };
+    return window;
+}
+
+/**
+ * config.json for the CouchDB respond() stands in for
+ */
+const CONFIG = { url: 'http://localhost:5984/', auth: 'basic', username: 'admin', password: 'password', database: 'rules_db' };
+
+/**
+ * A CouchDB with one audited change to rules_db and no rules, and config.json pointing at it
+ * @param {Object} [couchdb] - config.json's couchdb section
+ */
+function respond(url, options, couchdb = CONFIG) {
+    if (url === 'config.json') {
+        return { status: 200, body: { couchdb: { ...couchdb } } };
+    }
+    if (url === 'http://localhost:5984/_up') {
+        return { status: 200, body: { status: 'ok' } };
+    }
+    if (url === 'http://localhost:5984/_all_dbs') {
+        return { status: 200, body: ['rules_db', 'rules_db_rule_audit'] };
+    }
+    if (url.startsWith('http://localhost:5984/rules_db_rule_audit/_all_docs')) {
+        return {
+            status: 200,
+            body: {
+                rows: [{
+                    doc: {
+                        type: 'rule_audit',
+                        actor: 'pat',
+                        action: 'update',
+                        rule_id: 'householdIncome',
+                        version: '2.0.0',
+                        old_rev: '1-abc',
+                        new_rev: '2-def',
+                        source_hash: 'a'.repeat(64),
+                        timestamp: '2024-05-01T10:00:00.000Z',
+                        tool: 'couchLoader'
+                    }
+                }]
+            }
+        };
+    }
+    if (url === 'http://localhost:5984/rules_db/_design_docs?include_docs=true') {
+        return { status: 200, body: { rows: [{ doc: buildDesignDocument('householdIncome', validators.householdIncome, { action: 'deploy' }) }] } };
+    }
+    if (url.includes('/_all_docs')) {
+        return { status: 200, body: { rows: [] } };
+    }
+    return null;
+}
+
+describe('Web Interface', function() {
+    it('should load scripts that exist, with the shared modules before the code that uses them', function() {
+        SCRIPTS.forEach(src => assert(fs.existsSync(path.join(WEB_ROOT, src)), `${src} does not exist`));
+
+        const position = src => SCRIPTS.indexOf(src);
+        const lastShared = Math.max(...SCRIPTS.filter(src => src.startsWith('js/shared/')).map(position));
+        assert(lastShared < position('js/utils/couchdb-client.js'));
+        ['js/components/BatchTestPanel.js', 'js/components/AuditLog.js'].forEach(component => {
+            assert(position('js/utils/helpers.js') < position(component), component);
+            assert(position('js/utils/couchdb-client.js') < position(component), component);
+        });
+        assert.strictEqual(SCRIPTS[SCRIPTS.length - 1], 'js/app.js');
+    });
+
+    it('should mount the audit log on the configured database once started', async function() {
+        const window = loadPage(respond);
+        await window.startUp();
+
+        const auditLog = window.elementsById['audit-log'];
+        assert(CLASSES_BY_ID['audit-log'].includes('hidden'));
+        assert(!auditLog.classList.contains('hidden'));
+        assert.match(auditLog.innerHTML, /<h3>Audit Log<\/h3>/);
+        assert.strictEqual(window.elementsById['audit-summary'].textContent, 'Showing 1 of 1 changes');
+        assert.match(window.elementsById['audit-entries'].innerHTML, /householdIncome/);
+
+        const auditRequest = window.requests.find(request => request.url.includes('rules_db_rule_audit'));
+        assert.strictEqual(auditRequest.headers.Authorization, `Basic ${btoa('admin:password')}`);
+    });
+
+    it('should mount the batch test panel, offering the rule sandbox once one is configured', async function() {
+        const window = loadPage(respond);
+        await window.startUp();
+
+        const panel = window.elementsById['batch-test-panel'];
+        assert(!panel.classList.contains('hidden'));
+        assert.match(panel.innerHTML, /<h3>Batch Test<\/h3>/);
+        assert.match(panel.innerHTML, /<option value="sandbox" disabled>/);
+
+        const withSandbox = loadPage((url, options) => respond(url, options, { ...CONFIG, sandboxUrl: 'http://localhost:5990' }));
+        await withSandbox.startUp();
+        assert.match(withSandbox.elementsById['batch-test-panel'].innerHTML, /<option value="sandbox" selected>/);
+        assert.strictEqual(withSandbox.couchDBClient.config.sandboxUrl, 'http://localhost:5990');
+    });
+
+    it('should run a batch file against the deployed rules in the browser', async function() {
+        const window = loadPage(respond);
+        await window.startUp();
+
+        const file = { name: 'people.csv', text: async () => 'name,income\nPat,17500\nSam,40000\n' };
+        window.elementsById['batch-file'].listeners.change.forEach(listener => listener({ target: { files: [file] } }));
+        await window.settle();
+        assert.strictEqual(window.elementsById['batch-file-feedback'].textContent, '2 documents read from people.csv');
+
+        window.document.getElementById('batch-engine').value = 'browser';
+        window.elementsById['batch-run'].listeners.click.forEach(listener => listener());
+        await window.settle();
+        assert.match(window.elementsById['batch-summary'].textContent, /^2 documents: 1 valid, 1 invalid/);
+        assert.match(window.elementsById['batch-matrix'].innerHTML, /Income must be \$25,000 or less/);
+    });
+
+    it('should evaluate deployed rules in the browser as the evaluation engine does', function() {
+        const withMetadata = (ruleId, changes) => ({ ...validators[ruleId], metadata: { ...validators[ruleId].metadata, ...changes } });
+        const local = {
+            householdIncome: validators.householdIncome,
+            householdSize: withMetadata('householdSize', { applies_to: { type: 'application' } }),
+            numberOfDependents: withMetadata('numberOfDependents', { effective_from: '2030-01-01' }),
+            interviewComplete: withMetadata('interviewComplete', { priority: 5 }),
+            applicationStatus: withMetadata('applicationStatus', { status: 'inactive' })
+        };
+        const rules = Object.keys(local).map(ruleId => {
+            const doc = buildDesignDocument(ruleId, local[ruleId], { action: 'deploy' });
+            return { id: doc._id, name: ruleId, metadata: doc.rule_metadata, validationFunction: doc.validate_doc_update };
+        });
+        const client = loadPage(respond).initializeCouchDB({});
+
+        [
+            { type: 'person', income: 40000, householdSize: 1, applicationDate: '2025-06-01' },
+            { type: 'application', income: 10000, householdSize: 1, interviewComplete: '', applicationDate: '2031-02-01' }
+        ].forEach(doc => {
+            const expected = evaluateDocument(doc, { validators: local });
+            const report = client.evaluateAgainstRules(rules, doc);
+
+            ['valid', 'effective_date', 'evaluated', 'skipped', 'violations'].forEach(field => {
+                assert.strictEqual(JSON.stringify(report[field]), JSON.stringify(expected[field]), field);
+            });
+        });
+    });
+
+    it('should refuse a sandboxUrl that is not a URL', async function() {
+        const window = loadPage((url, options) => respond(url, options, { ...CONFIG, sandboxUrl: 'port 5990' }));
+        await window.startUp();
+
+        assert.strictEqual(window.elementsById.error.textContent, 'Invalid config.json: couchdb.sandboxUrl is not a valid URL: port 5990');
+        assert(window.elementsById['batch-test-panel'].classList.contains('hidden'));
+    });
+
+    it('should follow the selected rule set', async function() {
+        const window = loadPage(respond);
+        await window.startUp();
+
+        const select = window.elementsById['rule-set-select'];
+        select.value = 'snap_rules';
+        select.listeners.change.forEach(listener => listener.call(select));
+        await window.settle();
+
+        assert(window.requests.some(request => request.url.startsWith('http://localhost:5984/snap_rules_rule_audit/_all_docs')));
+    });
+});
@@ -0,0 +1,61 @@
+const assert = require('assert');
+const validator = require('../../../validators/applicationStatus');
+const MockDataGenerator = require('../../helpers/mock-data-generator');
+
+describe('Application Status Validator', function() {
+    const message = 'Application status can only move from draft to submitted to approved';
+
+    describe('Declarative definition', function() {
+        it('should export the definition it is compiled from', function() {
+            assert.strictEqual(validator.definition.field, 'status');
+            assert.strictEqual(validator.definition.operator, 'transition');
+            assert.deepStrictEqual(validator.definition.value.draft, ['submitted']);
+        });
+    });
+
+    describe('New documents', function() {
+        it('should accept documents without a stored version', function() {
+            assert.strictEqual(validator.applicationStatus(MockDataGenerator.generateValidPerson({ status: 'submitted' }), null), true);
+        });
+
+        it('should accept documents without a status', function() {
+            const { doc, oldDoc } = MockDataGenerator.generateUpdate({ income: 21000 }, { status: 'approved' });
+            delete doc.status;
+            assert.strictEqual(validator.applicationStatus(doc, oldDoc), true);
+        });
+    });
+
+    describe('Valid transitions', function() {
+        it('should allow draft to submitted', function() {
+            const { doc, oldDoc } = MockDataGenerator.generateUpdate({ status: 'submitted' }, { status: 'draft' });
+            assert.strictEqual(validator.applicationStatus(doc, oldDoc), true);
+        });
+
+        it('should allow submitted to approved', function() {
+            const { doc, oldDoc } = MockDataGenerator.generateUpdate({ status: 'approved' }, { status: 'submitted' });
+            assert.strictEqual(validator.applicationStatus(doc, oldDoc), true);
+        });
+
+        it('should allow updates that keep the status', function() {
+            const { doc, oldDoc } = MockDataGenerator.generateUpdate({ income: 18000 }, { status: 'approved' });
+            assert.strictEqual(validator.applicationStatus(doc, oldDoc), true);
+        });
+    });
+
+    describe('Invalid transitions', function() {
+        it('should reject skipping a step', function() {
+            const { doc, oldDoc } = MockDataGenerator.generateUpdate({ status: 'approved' }, { status: 'draft' });
+            assert.throws(() => validator.applicationStatus(doc, oldDoc), { forbidden: message });
+        });
+
+        it('should reject moving backwards', function() {
+            const { doc, oldDoc } = MockDataGenerator.generateUpdate({ status: 'draft' }, { status: 'submitted' });
+            assert.throws(() => validator.applicationStatus(doc, oldDoc), { forbidden: message });
+        });
+
+        it('should reject leaving a final status', function() {
+            const { doc, oldDoc } = MockDataGenerator.generateUpdate({ status: 'submitted' }, { status: 'approved' });
+            assert.throws(() => validator.applicationStatus(doc, oldDoc), { forbidden: message });
+        });
+    });
+});
@@ -1,5 +1,6 @@
 const assert = require('assert');
 const validator = require('../../../validators/householdIncome');
+const { compileRuleFunction } = require('../../../utils/rule-definition');
 
 describe('Household Income Validator', function() {
     describe('Valid cases', function() {
@@ -37,6 +38,26 @@ describe('Household Income Validator', function() {
         });
     });
 
+    describe('Declarative definition', function() {
+        it('should export the definition it is compiled from', function() {
+            assert.strictEqual(validator.definition.field, 'income');
+            assert.strictEqual(validator.definition.operator, 'lte');
+            assert.deepStrictEqual(validator.definition.value, { param: 'maximumIncome' });
+            assert.strictEqual(validator.metadata.parameters.maximumIncome.default, 25000);
+        });
+
+        it('should compile with a configured maximum income', function() {
+            const validate = compileRuleFunction(validator.definition, { maximumIncome: 30000 });
+
+            assert.strictEqual(validate({ income: 28000 }), true);
+            assert.throws(() => validate({ income: 30001 }), { forbidden: 'Income must be $30,000 or less' });
+        });
+
+        it('should accept documents without an income field', function() {
+            assert.strictEqual(validator.householdIncome({ name: "No Income Reported" }), true);
+        });
+    });
+
     describe('Invalid cases', function() {
         it('should reject invalid household income level', function() {
             const invalidDoc = {
@@ -49,7 +70,7 @@ describe('Household Income Validator', function() {
             assert.throws(() => {
                 validator.householdIncome(invalidDoc);
             }, {
-                forbidden: 'Income must be lower than $25,000'
+                forbidden: 'Income must be $25,000 or less'
             });
         });
 
@@ -64,7 +85,7 @@ describe('Household Income Validator', function() {
             assert.throws(() => {
                 validator.householdIncome(highIncomeDoc);
             }, {
-                forbidden: 'Income must be lower than $25,000'
+                forbidden: 'Income must be $25,000 or less'
             });
         });
     });
@@ -1,5 +1,6 @@
 const assert = require('assert');
 const validator = require('../../../validators/householdSize');
+const { bindParameters } = require('../../../utils/rule-parameters');
 
 describe('Household Size Validator', function() {
     describe('Valid cases', function() {
@@ -49,7 +50,7 @@ describe('Household Size Validator', function() {
             assert.throws(() => {
                 validator.householdSize(invalidDoc);
             }, {
-                forbidden: 'Household size must be greater than 2.'
+                forbidden: 'Household size must be at least 3.'
             });
         });
 
@@ -64,7 +65,7 @@ describe('Household Size Validator', function() {
             assert.throws(() => {
                 validator.householdSize(singlePersonDoc);
             }, {
-                forbidden: 'Household size must be greater than 2.'
+                forbidden: 'Household size must be at least 3.'
             });
         });
 
@@ -79,8 +80,21 @@ describe('Household Size Validator', function() {
             assert.throws(() => {
                 validator.householdSize(coupleDoc);
             }, {
-                forbidden: 'Household size must be greater than 2.'
+                forbidden: 'Household size must be at least 3.'
             });
         });
     });
+
+    describe('Parameters', function() {
+        it('should declare the minimum size with its default', function() {
+            assert.strictEqual(validator.metadata.parameters.minimumSize.default, 3);
+        });
+
+        it('should use a configured minimum size in the check and the message', function() {
+            const validate = bindParameters(validator.householdSize, validator.metadata, { minimumSize: 5 });
+
+            assert.strictEqual(validate({ householdSize: 5 }), true);
+            assert.throws(() => validate({ householdSize: 4 }), { forbidden: 'Household size must be at least 5.' });
+        });
+    });
 });
@@ -49,7 +49,7 @@ describe('Number of Dependents Validator', function() {
             assert.throws(() => {
                 validator.numberOfDependents(invalidDoc);
             }, {
-                forbidden: 'The number of dependents in the household must be 1 or more.'
+                forbidden: 'The number of dependents in the household must be 2 or more.'
             });
         });
 
@@ -64,7 +64,7 @@ describe('Number of Dependents Validator', function() {
             assert.throws(() => {
                 validator.numberOfDependents(zeroDependentsDoc);
             }, {
-                forbidden: 'The number of dependents in the household must be 1 or more.'
+                forbidden: 'The number of dependents in the household must be 2 or more.'
             });
         });
 
@@ -79,7 +79,7 @@ describe('Number of Dependents Validator', function() {
             assert.throws(() => {
                 validator.numberOfDependents(oneDependentDoc);
             }, {
-                forbidden: 'The number of dependents in the household must be 1 or more.'
+                forbidden: 'The number of dependents in the household must be 2 or more.'
             });
         });
     });
@@ -0,0 +1,311 @@
+/**
+ * Command Line Parsing
+ * Command definitions, argument parsing and help text for bin/couch-rules.js
+ */
+
+const { parseArgs } = require('util');
+
+/**
+ * Process exit codes
+ * 0 - success, 1 - the command ran but failed (or a tested document is invalid), 2 - bad usage or configuration
+ */
+const EXIT_CODES = {
+    OK: 0,
+    FAILURE: 1,
+    USAGE: 2
+};
+
+/**
+ * Options accepted by every command
+ */
+const GLOBAL_OPTIONS = {
+    db: { type: 'string', description: 'Database to use (default: the [database] argument, DB_NAME or the profile\'s)' },
+    profile: { type: 'string', description: 'Profile in couch-rules.config.json (default: COUCH_RULES_PROFILE)' },
+    url: { type: 'string', description: 'CouchDB URL (default: COUCHDB_URL or the profile\'s)' },
+    user: { type: 'string', description: 'CouchDB username (default: COUCHDB_USER or the profile\'s)' },
+    password: { type: 'string', description: 'CouchDB password (default: COUCHDB_PASSWORD or the profile\'s)' },
+    'password-file': { type: 'string', description: 'Read the CouchDB password from a file, such as a Docker secret' },
+    auth: { type: 'string', description: 'basic, session, jwt or proxy (default: COUCHDB_AUTH, the profile\'s or basic)' },
+    'token-file': { type: 'string', description: 'Read the JWT for --auth=jwt from a file (default: COUCHDB_JWT or COUCHDB_JWT_FILE)' },
+    json: { type: 'boolean', description: 'Print the result as JSON on stdout' },
+    help: { type: 'boolean', short: 'h', description: 'Show help' }
+};
+
+/**
+ * Subcommands, their arguments and their options
+ */
+const COMMANDS = {
+    load: {
+        summary: 'Load validators into CouchDB',
+        args: ['[database]'],
+        options: {
+            'rule-set': { type: 'string', description: 'Only load this rule set (defaults the database to the rule set\'s)' },
+            'all-rule-sets': { type: 'boolean', description: 'Load every rule set into its own database' },
+            'include-drafts': { type: 'boolean', description: 'Also deploy draft rules (staging databases only)' },
+            'dry-run': { type: 'boolean', description: 'Report what would change without writing anything' },
+            'override-review': { type: 'boolean', description: 'Change rules that went through review without an approved proposal (recorded in the audit log)' }
+        }
+    },
+    unload: {
+        summary: 'Remove rules from CouchDB',
+        args: ['[database]'],
+        options: {
+            rule: { type: 'string', description: 'Only remove this rule' },
+            tag: { type: 'string', description: 'Only remove rules with this tag' },
+            orphaned: { type: 'boolean', description: 'Only remove rules with no validator in validators/' },
+            yes: { type: 'boolean', short: 'y', description: 'Do not ask for confirmation' }
+        }
+    },
+    list: {
+        summary: 'List the rules deployed to a database',
+        args: ['[database]'],
+        options: {}
+    },
+    show: {
+        summary: 'Show a deployed rule\'s metadata and source',
+        args: ['<rule>', '[database]'],
+        options: {}
+    },
+    history: {
+        summary: 'List the published versions of a deployed rule',
+        args: ['<rule>', '[database]'],
+        options: {}
+    },
+    rollback: {
+        summary: 'Redeploy an earlier version of a rule from its history',
+        args: ['<rule>', '<entry>', '[database]'],
+        options: {}
+    },
+    proposals: {
+        summary: 'List proposed rule changes waiting for review or publishing',
+        args: ['[database]'],
+        options: {
+            all: { type: 'boolean', description: 'Also list rejected and published proposals' }
+        }
+    },
+    approve: {
+        summary: 'Approve a proposed rule change and publish it',
+        args: ['<proposal>', '[database]'],
+        options: {
+            comment: { type: 'string', description: 'Review comments' }
+        }
+    },
+    reject: {
+        summary: 'Reject a proposed rule change',
+        args: ['<proposal>', '[database]'],
+        options: {
+            comment: { type: 'string', description: 'Why the change is rejected (required)' }
+        }
+    },
+    audit: {
+        summary: 'List who created, changed and deleted rules, newest first',
+        args: ['[database]'],
+        options: {
+            rule: { type: 'string', description: 'Only changes to this rule' },
+            actor: { type: 'string', description: 'Only changes made by this user' },
+            action: { type: 'string', description: 'Only create, update or delete' },
+            tool: { type: 'string', description: 'Only changes made with this tool (couchLoader, couchUnloader, couchRestore, couch-rules, web)' },
+            since: { type: 'string', description: 'Only changes at or after this date or timestamp' },
+            until: { type: 'string', description: 'Only changes up to and including this date or timestamp' },
+            limit: { type: 'string', description: 'Show at most this many changes' }
+        }
+    },
+    test: {
+        summary: 'Evaluate a JSON document against the local rules',
+        args: ['<file>'],
+        options: {
+            'rule-set': { type: 'string', description: 'Only evaluate the rules in this rule set' },
+            'include-inactive': { type: 'boolean', description: 'Also evaluate draft and inactive rules' },
+            'old-doc': { type: 'string', description: 'JSON file with the stored version, to test the document as an update' },
+            'as-user': { type: 'string', description: 'Evaluate as this user instead of a server admin' },
+            roles: { type: 'string', description: 'Comma-separated roles of the simulated user (implies a non-admin user)' },
+            parameters: { type: 'string', description: 'JSON file with rule parameter values by rule name, in place of the defaults' },
+            date: { type: 'string', description: 'Judge effective-dated rules at this date instead of the document\'s applicationDate or today' }
+        }
+    },
+    batch: {
+        summary: 'Evaluate every document in a JSON, NDJSON or CSV file and show a document × rule matrix',
+        args: ['<file>', '[database]'],
+        options: {
+            format: { type: 'string', description: 'json, ndjson or csv (default: from the file extension or content)' },
+            deployed: { type: 'boolean', description: 'Evaluate against the rules deployed to the database, in the rule sandbox, instead of the local validators' },
+            'rule-set': { type: 'string', description: 'Only evaluate the rules in this rule set' },
+            'include-inactive': { type: 'boolean', description: 'Also evaluate draft and inactive rules' },
+            'as-user': { type: 'string', description: 'Evaluate as this user instead of a server admin' },
+            roles: { type: 'string', description: 'Comma-separated roles of the simulated user (implies a non-admin user)' },
+            parameters: { type: 'string', description: 'JSON file with rule parameter values by rule name, in place of the defaults' },
+            date: { type: 'string', description: 'Judge effective-dated rules at this date instead of each document\'s applicationDate or today' },
+            invalid: { type: 'boolean', description: 'Only show invalid documents' },
+            outcome: { type: 'string', description: 'Only show documents where --rule (or any rule) had this outcome: pass, fail or skipped' },
+            rule: { type: 'string', description: 'The rule --outcome is matched against' },
+            output: { type: 'string', description: 'Export the documents shown to this file: .csv for the matrix, anything else for JSON' }
+        }
+    },
+    serve: {
+        summary: 'Serve the rule sandbox, which evaluates documents against the deployed rules as CouchDB does',
+        args: ['[database]'],
+        options: {
+            port: { type: 'string', description: 'Port to listen on (default: 5990)' },
+            host: { type: 'string', description: 'Address to listen on (default: 127.0.0.1, this machine only)' },
+            'allow-origin': { type: 'string', description: 'Page allowed to call the sandbox from a browser (default: http://localhost:8080)' }
+        }
+    },
+    diff: {
+        summary: 'Compare local validators with the deployed rules (load --dry-run)',
+        args: ['[database]'],
+        options: {
+            'rule-set': { type: 'string', description: 'Only compare this rule set' },
+            'all-rule-sets': { type: 'boolean', description: 'Compare every rule set with its database' }
+        }
+    },
+    export: {
+        summary: 'Back up the deployed rules to a JSON archive',
+        args: ['[database]'],
+        options: {
+            output: { type: 'string', description: 'Archive path (default: backups/<database>-<timestamp>.json)' }
+        }
+    },
+    import: {
+        summary: 'Restore a JSON archive into a database',
+        args: ['<archive>', '[database]'],
+        options: {
+            'on-conflict': { type: 'string', description: 'fail (default), skip or overwrite rules that already exist' }
+        }
+    },
+    create: {
+        summary: 'Create a new validation rule interactively',
+        args: [],
+        options: {}
+    }
+};
+
+/**
+ * Commands that only read local files and never connect to CouchDB
+ */
+const LOCAL_COMMANDS = ['test', 'create'];
+
+/**
+ * Decides whether a command talks to CouchDB, and so needs the connection settings
+ * @param {Object} commandLine - Parsed command line
+ * @returns {boolean} True unless the command is local; batch only connects with --deployed
+ */
+function usesCouchDB({ command, options }) {
+    if (command === 'batch') {
+        return Boolean(options.deployed);
+    }
+    return !LOCAL_COMMANDS.includes(command);
+}
+
+/**
+ * Converts an option name such as dry-run to its camelCase property name
+ * @param {string} name - Option name
+ * @returns {string} Property name
+ */
+function toPropertyName(name) {
+    return name.replace(/-([a-z])/g, (match, letter) => letter.toUpperCase());
+}
+
+/**
+ * Parses the command line
+ * @param {string[]} argv - Arguments after the script name
+ * @returns {Object} Parsed command line with command (null when none was given), positionals and options (camelCase)
+ * @throws {Error} If the command or an option is unknown, or a required argument is missing
+ */
+function parseCommandLine(argv) {
+    const [command, ...rest] = argv;
+
+    if (!command || command === '--help' || command === '-h' || command === 'help') {
+        return { command: null, positionals: [], options: { help: true } };
+    }
+
+    if (!COMMANDS[command]) {
+        throw new Error(`Unknown command: ${command}. Run with --help to see the available commands`);
+    }
+
+    const definitions = { ...GLOBAL_OPTIONS, ...COMMANDS[command].options };
+    const parseOptions = {};
+    Object.keys(definitions).forEach(name => {
+        parseOptions[name] = { type: definitions[name].type };
+        if (definitions[name].short) {
+            parseOptions[name].short = definitions[name].short;
+        }
+    });
+
+    const { values, positionals } = parseArgs({
+        args: rest,
+        options: parseOptions,
+        allowPositionals: true,
+        strict: true
+    });
+
+    const options = {};
+    Object.keys(values).forEach(name => {
+        options[toPropertyName(name)] = values[name];
+    });
+
+    const expectedArgs = COMMANDS[command].args;
+    if (!options.help) {
+        const required = expectedArgs.filter(arg => arg.startsWith('<'));
+        if (positionals.length < required.length) {
+            throw new Error(`Missing argument ${required[positionals.length]} for ${command}`);
+        }
+        if (positionals.length > expectedArgs.length) {
+            throw new Error(`Too many arguments for ${command}: ${positionals.slice(expectedArgs.length).join(' ')}`);
+        }
+    }
+
+    return { command, positionals, options };
+}
+
+/**
+ * Formats a block of option descriptions
+ */
+function formatOptions(definitions) {
+    return Object.keys(definitions).map(name => {
+        const definition = definitions[name];
+        const flag = `${definition.short ? `-${definition.short}, ` : ''}--${name}${definition.type === 'string' ? '=VALUE' : ''}`;
+        return `  ${flag.padEnd(28)} ${definition.description}`;
+    }).join('\n');
+}
+
+/**
+ * Builds help text for the tool or for one command
+ * @param {string} [command] - Command to describe; omit for the overview
+ * @returns {string} Help text
+ */
+function formatHelp(command) {
+    if (command && COMMANDS[command]) {
+        const definition = COMMANDS[command];
+        const sections = [
+            `Usage: couch-rules ${[command, ...definition.args].join(' ')} [options]`,
+            '',
+            definition.summary
+        ];
+        if (Object.keys(definition.options).length > 0) {
+            sections.push('', 'Options:', formatOptions(definition.options));
+        }
+        sections.push('', 'Global options:', formatOptions(GLOBAL_OPTIONS));
+        return sections.join('\n');
+    }
+
+    return [
+        'Usage: couch-rules <command> [options]',
+        '',
+        'Commands:',
+        Object.keys(COMMANDS).map(name => `  ${name.padEnd(10)} ${COMMANDS[name].summary}`).join('\n'),
+        '',
+        'Global options:',
+        formatOptions(GLOBAL_OPTIONS),
+        '',
+        'Run couch-rules <command> --help for the options of a command.'
+    ].join('\n');
+}
+
+module.exports = {
+    EXIT_CODES,
+    GLOBAL_OPTIONS,
+    COMMANDS,
+    usesCouchDB,
+    parseCommandLine,
+    formatHelp
+};
@@ -0,0 +1,318 @@
+/**
+ * Configuration Loading
+ * Layers CouchDB connection settings from command line overrides, environment variables
+ * (including a .env file), a named profile in couch-rules.config.json and built-in defaults,
+ * then validates the result before any script connects. A profile may also set the rule
+ * parameter values deployed to its environment.
+ */
+
+const fs = require('fs');
+const { AUTH_METHODS, decodeJwtPayload, getJwtExpiry, isJwtExpired } = require('./couch-auth');
+
+/**
+ * Settings used when nothing else provides a value. The default password is only
+ * accepted against a CouchDB running on this machine.
+ */
+const DEFAULTS = {
+    url: 'http://localhost:5984',
+    username: 'admin',
+    password: 'password',
+    database: 'rules_db'
+};
+
+/**
+ * Config file read from the working directory unless COUCH_RULES_CONFIG names another
+ */
+const DEFAULT_CONFIG_FILE = 'couch-rules.config.json';
+
+/**
+ * Host names treated as this machine
+ */
+const LOCAL_HOSTS = ['localhost', '127.0.0.1', '[::1]', '::1'];
+
+/**
+ * Parses the contents of a .env file: KEY=VALUE lines, optionally prefixed with export,
+ * with # comments and single- or double-quoted values
+ * @param {string} contents - File contents
+ * @returns {Object} Variables by name
+ */
+function parseEnvFile(contents) {
+    const variables = {};
+
+    contents.split(/\r?\n/).forEach(line => {
+        const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)?$/);
+        if (!match) {
+            return;
+        }
+
+        let value = (match[2] || '').trim();
+        const quote = value[0];
+        if ((quote === '"' || quote === '\'') && value.endsWith(quote) && value.length > 1) {
+            value = value.slice(1, -1);
+            if (quote === '"') {
+                value = value.replace(/\\n/g, '\n').replace(/\\"/g, '"');
+            }
+        } else {
+            value = value.replace(/\s+#.*$/, '');
+        }
+
+        variables[match[1]] = value;
+    });
+
+    return variables;
+}
+
+/**
+ * Copies the variables in a .env file into the environment. Variables that are already set win.
+ * @param {string} filePath - Path to the .env file
+ * @param {Object} [env=process.env] - Environment to update
+ * @returns {string[]} Names of the variables that were set; empty if the file does not exist
+ */
+function loadEnvFile(filePath, env = process.env) {
+    if (!fs.existsSync(filePath)) {
+        return [];
+    }
+
+    const variables = parseEnvFile(fs.readFileSync(filePath, 'utf8'));
+    return Object.keys(variables).filter(name => {
+        if (env[name] !== undefined) {
+            return false;
+        }
+        env[name] = variables[name];
+        return true;
+    });
+}
+
+/**
+ * Reads a config file
+ * @param {string} filePath - Path to the config file
+ * @returns {Object|null} Parsed config, or null if the file does not exist
+ * @throws {Error} If the file is not valid JSON or has no profiles object
+ */
+function readConfigFile(filePath) {
+    if (!fs.existsSync(filePath)) {
+        return null;
+    }
+
+    let config;
+    try {
+        config = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    } catch (error) {
+        throw new Error(`Unable to parse config file ${filePath}: ${error.message}`);
+    }
+
+    if (!config || typeof config.profiles !== 'object' || Array.isArray(config.profiles)) {
+        throw new Error(`Config file ${filePath} must contain a "profiles" object`);
+    }
+
+    return config;
+}
+
+/**
+ * Selects a profile from a config file
+ * @param {Object|null} config - Parsed config file
+ * @param {string} [profileName] - Profile to use; defaults to the file's default_profile
+ * @returns {Object} Profile settings with its name, or an empty object if no profile applies
+ * @throws {Error} If the profile is not in the config file
+ */
+function selectProfile(config, profileName) {
+    const name = profileName || (config && config.default_profile);
+    if (!name) {
+        return {};
+    }
+
+    if (!config || !config.profiles[name]) {
+        const available = config ? Object.keys(config.profiles) : [];
+        throw new Error(`Unknown profile: ${name}. ${available.length > 0
+            ? `Available profiles: ${available.join(', ')}`
+            : `No profiles are defined - create ${DEFAULT_CONFIG_FILE}`}`);
+    }
+
+    return { ...config.profiles[name], name: name };
+}
+
+/**
+ * Reads a secret from a file, such as a Docker secret, dropping the trailing newline
+ * @param {string} filePath - Path to the file
+ * @param {string} [description='password'] - What the file holds, for the error message
+ * @returns {string} Secret
+ * @throws {Error} If the file cannot be read
+ */
+function readSecretFile(filePath, description = 'password') {
+    try {
+        return fs.readFileSync(filePath, 'utf8').replace(/\r?\n$/, '');
+    } catch (error) {
+        throw new Error(`Unable to read ${description} file ${filePath}: ${error.message}`);
+    }
+}
+
+/**
+ * Takes a secret from the first layer that has it, either as a value or as a file to read
+ * @param {Array[]} layers - [source, value, file] for each layer, highest precedence first
+ * @param {string} description - What the secret is, for error messages
+ * @returns {Object|null} The secret's value and source, or null if no layer has it
+ */
+function resolveSecret(layers, description) {
+    const isSet = value => value !== undefined && value !== null && value !== '';
+
+    for (const [source, value, file] of layers) {
+        if (isSet(value)) {
+            return { value: value, source: source };
+        }
+        if (isSet(file)) {
+            return { value: readSecretFile(file, description), source: `file ${file}` };
+        }
+    }
+    return null;
+}
+
+/**
+ * Checks whether a CouchDB URL points at this machine
+ * @param {string} url - CouchDB URL
+ * @returns {boolean} True for localhost and loopback addresses
+ */
+function isLocalHost(url) {
+    try {
+        return LOCAL_HOSTS.includes(new URL(url).hostname);
+    } catch (error) {
+        return false;
+    }
+}
+
+/**
+ * Resolves connection settings, taking each value from the first layer that has it:
+ * overrides, then environment variables, then positional arguments, then the profile, then the defaults.
+ * Secrets may come from a file at any layer (passwordFile, COUCHDB_PASSWORD_FILE, password_file and the
+ * token and proxy secret equivalents); within a layer a value wins over a file.
+ * @param {Object} [layers] - Setting layers
+ * @param {Object} [layers.overrides] - Explicit settings (url, username, password, passwordFile, database, auth, tokenFile)
+ * @param {Object} [layers.env] - Environment variables
+ * @param {Object} [layers.positional] - Username and password given as positional arguments to the scripts,
+ *   which the environment overrides
+ * @param {Object} [layers.profile] - Selected profile (url, username, password, password_file, database, auth,
+ *   token, token_file, roles, proxy_secret, proxy_secret_file, allow_default_password, parameters)
+ * @returns {Object} Settings with url, username, password, database, profile name, authentication method,
+ *   JWT, proxy roles and secret, rule parameter values, the source of the password and whether the default
+ *   password was explicitly allowed
+ */
+function resolveConnectionSettings({ overrides = {}, env = {}, positional = {}, profile = {} } = {}) {
+    const first = (...values) => values.find(value => value !== undefined && value !== null && value !== '');
+    const profileSource = profile.name ? `profile ${profile.name}` : 'profile';
+
+    const password = resolveSecret([
+        ['override', overrides.password, overrides.passwordFile],
+        ['COUCHDB_PASSWORD', env.COUCHDB_PASSWORD, env.COUCHDB_PASSWORD_FILE],
+        ['argument', positional.password],
+        [profileSource, profile.password, profile.password_file]
+    ], 'password') || { value: DEFAULTS.password, source: 'default' };
+
+    const auth = first(overrides.auth, env.COUCHDB_AUTH, profile.auth, 'basic');
+
+    // Tokens and proxy secrets are only read for the methods that use them
+    const token = auth === 'jwt' ? resolveSecret([
+        ['override', overrides.token, overrides.tokenFile],
+        ['COUCHDB_JWT', env.COUCHDB_JWT, env.COUCHDB_JWT_FILE],
+        [profileSource, profile.token, profile.token_file]
+    ], 'token') : null;
+
+    const proxySecret = auth === 'proxy' ? resolveSecret([
+        ['COUCHDB_PROXY_SECRET', env.COUCHDB_PROXY_SECRET, env.COUCHDB_PROXY_SECRET_FILE],
+        [profileSource, profile.proxy_secret, profile.proxy_secret_file]
+    ], 'proxy secret') : null;
+
+    const roles = first(overrides.roles, env.COUCHDB_ROLES, profile.roles, []);
+    const allowDefault = first(env.COUCH_RULES_ALLOW_DEFAULT_PASSWORD, profile.allow_default_password);
+
+    return {
+        url: first(overrides.url, env.COUCHDB_URL, profile.url, DEFAULTS.url).replace(/\/$/, ''),
+        username: first(overrides.username, env.COUCHDB_USER, positional.username, profile.username, DEFAULTS.username),
+        password: password.value,
+        database: first(overrides.database, env.DB_NAME, profile.database, DEFAULTS.database),
+        profile: profile.name || null,
+        auth: auth,
+        token: token ? token.value : null,
+        roles: Array.isArray(roles) ? roles : roles.split(',').map(role => role.trim()).filter(Boolean),
+        proxy_secret: proxySecret ? proxySecret.value : null,
+        parameters: profile.parameters || {},
+        password_source: password.source,
+        allow_default_password: allowDefault === true || allowDefault === 'true'
+    };
+}
+
+/**
+ * Validates resolved connection settings
+ * @param {Object} settings - Settings from resolveConnectionSettings
+ * @returns {Object} Validation result with isValid boolean and errors array
+ */
+function validateConnectionSettings(settings) {
+    const errors = [];
+
+    let url = null;
+    try {
+        url = new URL(settings.url);
+        if (url.protocol !== 'http:' && url.protocol !== 'https:') {
+            errors.push(`CouchDB URL must use http or https: ${settings.url}`);
+        }
+    } catch (error) {
+        errors.push(`CouchDB URL is not a valid URL: ${settings.url}`);
+    }
+
+    if (!settings.username) {
+        errors.push('CouchDB username is required');
+    }
+
+    if (!settings.database) {
+        errors.push('Database name is required');
+    }
+
+    const auth = settings.auth || 'basic';
+    if (!AUTH_METHODS.includes(auth)) {
+        errors.push(`Unknown authentication method: ${auth}. Must be one of ${AUTH_METHODS.join(', ')}`);
+    }
+
+    // Only basic and session authentication send the password
+    if (auth === 'basic' || auth === 'session') {
+        if (!settings.password) {
+            errors.push('CouchDB password is required');
+        }
+
+        if (url && settings.password === DEFAULTS.password && !isLocalHost(settings.url) && !settings.allow_default_password) {
+            errors.push(`Refusing to use the default password against ${url.host} - set COUCHDB_PASSWORD, ` +
+                'COUCHDB_PASSWORD_FILE or a profile password_file');
+        }
+    }
+
+    if (auth === 'jwt') {
+        if (!settings.token) {
+            errors.push('JWT authentication needs a token - set COUCHDB_JWT, COUCHDB_JWT_FILE or a profile token_file');
+        } else if (!decodeJwtPayload(settings.token)) {
+            errors.push('The configured token is not a JWT');
+        } else if (isJwtExpired(settings.token)) {
+            errors.push(`JWT expired at ${getJwtExpiry(settings.token).toISOString()} - get a new token`);
+        }
+    }
+
+    const isObject = value => Boolean(value) && typeof value === 'object' && !Array.isArray(value);
+    if (settings.parameters !== undefined &&
+        (!isObject(settings.parameters) || !Object.values(settings.parameters).every(isObject))) {
+        errors.push('Profile parameters must map each rule name to an object of parameter values');
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors: errors
+    };
+}
+
+module.exports = {
+    DEFAULTS,
+    DEFAULT_CONFIG_FILE,
+    parseEnvFile,
+    loadEnvFile,
+    readConfigFile,
+    selectProfile,
+    readSecretFile,
+    isLocalHost,
+    resolveConnectionSettings,
+    validateConnectionSettings
+};
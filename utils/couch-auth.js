@@ -0,0 +1,192 @@
+/**
+ * CouchDB Authentication
+ * Adds credentials to the requests the command line tools make, using one of CouchDB's
+ * authentication methods:
+ * - basic: username and password on every request
+ * - session: log in once at /_session and send the AuthSession cookie, logging in again when it expires
+ * - jwt: a bearer token issued by an identity provider CouchDB trusts ([jwt_auth])
+ * - proxy: username and roles asserted by a trusted proxy, signed with the proxy secret ([chttpd_auth] secret)
+ */
+
+const crypto = require('crypto');
+
+/**
+ * Supported authentication methods
+ */
+const AUTH_METHODS = ['basic', 'session', 'jwt', 'proxy'];
+
+/**
+ * Decodes the payload of a JWT without verifying it; CouchDB does the verification
+ * @param {string} token - Encoded JWT
+ * @returns {Object|null} Payload claims, or null if the token is not a JWT
+ */
+function decodeJwtPayload(token) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 3) {
+        return null;
+    }
+
+    try {
+        return JSON.parse(Buffer.from(parts[1].replace(/-/g, '+').replace(/_/g, '/'), 'base64').toString('utf8'));
+    } catch (error) {
+        return null;
+    }
+}
+
+/**
+ * Reads when a JWT expires
+ * @param {string} token - Encoded JWT
+ * @returns {Date|null} Expiry time, or null if the token has no exp claim
+ */
+function getJwtExpiry(token) {
+    const payload = decodeJwtPayload(token);
+    return payload && typeof payload.exp === 'number' ? new Date(payload.exp * 1000) : null;
+}
+
+/**
+ * Checks whether a JWT has expired
+ * @param {string} token - Encoded JWT
+ * @param {number} [now=Date.now()] - Current time in milliseconds
+ * @returns {boolean} True if the token's exp claim is in the past
+ */
+function isJwtExpired(token, now = Date.now()) {
+    const expiry = getJwtExpiry(token);
+    return expiry !== null && expiry.getTime() <= now;
+}
+
+/**
+ * Signs a proxy authentication username the way CouchDB checks it: an HMAC-SHA256 of the username keyed with the secret
+ * @param {string} username - User the proxy authenticated
+ * @param {string} secret - CouchDB's [chttpd_auth] secret
+ * @returns {string} Hex-encoded token for X-Auth-CouchDB-Token
+ */
+function createProxyToken(username, secret) {
+    return crypto.createHmac('sha256', secret).update(username).digest('hex');
+}
+
+/**
+ * Builds the headers for the methods that need no login
+ * @param {Object} connection - Connection options (auth, username, password, token, roles, proxy_secret)
+ * @param {number} [now=Date.now()] - Current time in milliseconds, for the JWT expiry check
+ * @returns {Object} Request headers
+ * @throws {Error} If the method is session (which needs a login) or unknown, or the JWT has expired
+ */
+function buildAuthHeaders(connection, now = Date.now()) {
+    const method = connection.auth || 'basic';
+
+    switch (method) {
+    case 'basic':
+        return { 'Authorization': `Basic ${Buffer.from(`${connection.username}:${connection.password}`).toString('base64')}` };
+    case 'jwt':
+        if (isJwtExpired(connection.token, now)) {
+            throw new Error(`JWT expired at ${getJwtExpiry(connection.token).toISOString()} - get a new token`);
+        }
+        return { 'Authorization': `Bearer ${connection.token}` };
+    case 'proxy': {
+        const headers = {
+            'X-Auth-CouchDB-UserName': connection.username,
+            'X-Auth-CouchDB-Roles': (connection.roles || []).join(',')
+        };
+        if (connection.proxy_secret) {
+            headers['X-Auth-CouchDB-Token'] = createProxyToken(connection.username, connection.proxy_secret);
+        }
+        return headers;
+    }
+    case 'session':
+        throw new Error('Session authentication needs a login - use createAuthenticatedFetch');
+    default:
+        throw new Error(`Unknown authentication method: ${method}. Must be one of ${AUTH_METHODS.join(', ')}`);
+    }
+}
+
+/**
+ * Extracts the AuthSession cookie from a Set-Cookie header
+ * @param {string|null} setCookie - Set-Cookie header value
+ * @returns {string|null} Cookie to send back (AuthSession=...), or null if there is none
+ */
+function parseSessionCookie(setCookie) {
+    const match = (setCookie || '').match(/AuthSession=[^;,\s]*/);
+    return match ? match[0] : null;
+}
+
+/**
+ * Wraps fetch so every request carries the connection's credentials.
+ * With session authentication the first request logs in; a 401 response logs in again and retries once,
+ * and cookies CouchDB refreshes along the way are kept.
+ * @param {Function} fetch - fetch implementation (node-fetch)
+ * @param {Object} connection - Connection options from config.js
+ * @returns {Function} fetch(url, options) with authentication added
+ */
+function createAuthenticatedFetch(fetch, connection) {
+    if ((connection.auth || 'basic') !== 'session') {
+        return (url, options = {}) => fetch(url, {
+            ...options,
+            headers: { ...buildAuthHeaders(connection), ...options.headers }
+        });
+    }
+
+    let cookie = null;
+    let pendingLogin = null;
+
+    const requestSession = async () => {
+        const response = await fetch(`${connection.couchdb_url}_session`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            body: JSON.stringify({ name: connection.username, password: connection.password })
+        });
+
+        if (!response.ok) {
+            throw new Error(`Login as ${connection.username} failed: HTTP ${response.status}`);
+        }
+
+        cookie = parseSessionCookie(response.headers.get('set-cookie'));
+        if (!cookie) {
+            throw new Error(`Login as ${connection.username} returned no session cookie`);
+        }
+    };
+
+    // Requests made in parallel share one login
+    const login = () => {
+        if (!pendingLogin) {
+            pendingLogin = requestSession().finally(() => {
+                pendingLogin = null;
+            });
+        }
+        return pendingLogin;
+    };
+
+    const send = async (url, options) => {
+        const response = await fetch(url, {
+            ...options,
+            headers: { ...options.headers, 'Cookie': cookie }
+        });
+        cookie = parseSessionCookie(response.headers.get('set-cookie')) || cookie;
+        return response;
+    };
+
+    return async (url, options = {}) => {
+        if (!cookie) {
+            await login();
+        }
+
+        const response = await send(url, options);
+        if (response.status !== 401) {
+            return response;
+        }
+
+        // The session expired; log in again and retry once
+        await login();
+        return send(url, options);
+    };
+}
+
+module.exports = {
+    AUTH_METHODS,
+    decodeJwtPayload,
+    getJwtExpiry,
+    isJwtExpired,
+    createProxyToken,
+    buildAuthHeaders,
+    parseSessionCookie,
+    createAuthenticatedFetch
+};
@@ -0,0 +1,103 @@
+/**
+ * Rule Audit Log
+ * Reads and writes the audit database the Node tools record rule changes in. The entries and the
+ * audit database's append-only check are shared with the web interface - see web/js/shared/rule-audit.js.
+ */
+
+const RuleAudit = require('../web/js/shared/rule-audit');
+const { ensureCompanionDatabase, ensureValidationDocument } = require('./rule-history');
+const { AUDIT_DESIGN_DOC_ID, getAuditDatabaseName, compileAuditGuard, filterAuditEntries } = RuleAudit;
+
+/**
+ * Creates a rules database's audit database if it does not exist yet and installs its
+ * append-only check
+ * @param {Function} fetch - Authenticated fetch
+ * @param {string} couchdbUrl - CouchDB URL, ending in /
+ * @param {string} dbName - Rules database
+ * @returns {Promise<string>} URL of the audit database
+ * @throws {Error} If the database or its check cannot be set up
+ */
+async function ensureAuditDatabase(fetch, couchdbUrl, dbName) {
+    const auditUrl = await ensureCompanionDatabase(fetch, couchdbUrl, dbName, getAuditDatabaseName(dbName), 'audit');
+    await ensureValidationDocument(fetch, auditUrl, AUDIT_DESIGN_DOC_ID, compileAuditGuard(),
+        `the audit log check in ${getAuditDatabaseName(dbName)}`);
+    return auditUrl;
+}
+
+/**
+ * Gets the name CouchDB knows the connection's user by, which changes are recorded under.
+ * Falls back to the configured username when CouchDB does not say.
+ * @param {Function} fetch - Authenticated fetch
+ * @param {Object} connection - Connection options (couchdb_url, username)
+ * @returns {Promise<string|null>} User name
+ */
+async function fetchSessionUser(fetch, connection) {
+    try {
+        const response = await fetch(`${connection.couchdb_url}_session`, { method: 'GET' });
+        const session = response.ok ? await response.json() : {};
+        return (session.userCtx && session.userCtx.name) || connection.username || null;
+    } catch (error) {
+        return connection.username || null;
+    }
+}
+
+/**
+ * Writes an audit entry
+ * @param {Function} fetch - Authenticated fetch
+ * @param {string} auditUrl - URL of the audit database
+ * @param {Object} entry - Entry from createAuditEntry
+ * @returns {Promise<Object>} The entry
+ * @throws {Error} If the entry cannot be written
+ */
+async function recordAuditEntry(fetch, auditUrl, entry) {
+    const response = await fetch(`${auditUrl}/${encodeURIComponent(entry._id)}`, {
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(entry)
+    });
+
+    if (!response.ok) {
+        const body = await response.json().catch(() => ({}));
+        throw new Error(`Could not record the ${entry.action} of ${entry.rule_id} in the audit log: ${body.reason || `HTTP ${response.status}`}`);
+    }
+    return entry;
+}
+
+/**
+ * Fetches audit entries, newest first
+ * @param {Function} fetch - Authenticated fetch
+ * @param {string} auditUrl - URL of the audit database
+ * @param {Object} [filters] - Filters for filterAuditEntries, and limit - the most entries to return
+ * @returns {Promise<Object[]>} Matching entries; none if the audit database does not exist
+ * @throws {Error} If the audit database cannot be read
+ */
+async function fetchAuditEntries(fetch, auditUrl, filters = {}) {
+    // Entry IDs start with their timestamp, so the time range is read straight from _all_docs
+    const range = [
+        filters.until ? `&startkey=${encodeURIComponent(JSON.stringify(`${filters.until}\ufff0`))}` : '',
+        filters.since ? `&endkey=${encodeURIComponent(JSON.stringify(filters.since))}` : ''
+    ].join('');
+
+    const response = await fetch(`${auditUrl}/_all_docs?include_docs=true&descending=true${range}`, { method: 'GET' });
+    if (response.status === 404) {
+        return [];
+    }
+    if (!response.ok) {
+        throw new Error(`Could not read the audit log: HTTP ${response.status}`);
+    }
+
+    const entries = filterAuditEntries((await response.json()).rows
+        .map(row => row.doc)
+        .filter(doc => doc && doc.type === 'rule_audit'), filters);
+    return filters.limit ? entries.slice(0, filters.limit) : entries;
+}
+
+module.exports = {
+    ...RuleAudit,
+    ensureAuditDatabase,
+    fetchSessionUser,
+    recordAuditEntry,
+    fetchAuditEntries
+};
@@ -0,0 +1,154 @@
+/**
+ * Rule Backup Archives
+ * Builds and reads the JSON archives written by couchBackup.js and restored by couchRestore.js.
+ * An archive holds every rule design document in a database (source, metadata and revision)
+ * plus the database's rule set descriptor, if it has one.
+ */
+
+/**
+ * Identifies a file as a rule backup archive
+ */
+const BACKUP_FORMAT = 'couch-rules-backup';
+
+/**
+ * Version of the archive layout; bump it when the layout changes incompatibly
+ */
+const BACKUP_FORMAT_VERSION = 1;
+
+/**
+ * What restore does with a rule that already exists in the target database
+ * - fail: restore nothing if any rule already exists
+ * - skip: keep the existing rule
+ * - overwrite: replace the existing rule with the archived one
+ */
+const CONFLICT_STRATEGIES = ['fail', 'skip', 'overwrite'];
+
+/**
+ * Design document fields stored in an archive
+ */
+const ARCHIVED_FIELDS = ['_id', '_rev', 'validate_doc_update', 'updates', 'rule_definition', 'rule_metadata', 'content_hash'];
+
+/**
+ * Creates a backup archive from the design documents in a database
+ * @param {string} dbName - Database the rules were exported from
+ * @param {Object[]} designDocs - Design documents in the database; those without rule_metadata are left out
+ * @param {Object|null} [ruleSet] - The database's rule set descriptor
+ * @returns {Object} Backup archive
+ */
+function createBackupArchive(dbName, designDocs, ruleSet = null) {
+    const rules = designDocs
+        .filter(doc => doc.rule_metadata)
+        .sort((a, b) => (a._id > b._id ? 1 : a._id < b._id ? -1 : 0))
+        .map(doc => {
+            const archived = {};
+            ARCHIVED_FIELDS.filter(field => doc[field] !== undefined).forEach(field => {
+                archived[field] = doc[field];
+            });
+            return archived;
+        });
+
+    let archivedRuleSet = null;
+    if (ruleSet) {
+        archivedRuleSet = { ...ruleSet };
+        delete archivedRuleSet._rev;
+    }
+
+    return {
+        format: BACKUP_FORMAT,
+        format_version: BACKUP_FORMAT_VERSION,
+        created_at: new Date().toISOString(),
+        database: dbName,
+        rule_set: archivedRuleSet,
+        rules: rules
+    };
+}
+
+/**
+ * Validates a backup archive
+ * @param {Object} archive - Parsed archive
+ * @returns {Object} Validation result with isValid boolean and errors array
+ */
+function validateBackupArchive(archive) {
+    const errors = [];
+
+    if (!archive || typeof archive !== 'object') {
+        return { isValid: false, errors: ['Archive must be a JSON object'] };
+    }
+
+    if (archive.format !== BACKUP_FORMAT) {
+        errors.push(`Not a rule backup archive (format: ${archive.format})`);
+    } else if (archive.format_version !== BACKUP_FORMAT_VERSION) {
+        errors.push(`Unsupported archive version ${archive.format_version}; this tool reads version ${BACKUP_FORMAT_VERSION}`);
+    }
+
+    if (!Array.isArray(archive.rules)) {
+        errors.push('Archive is missing its rules array');
+    } else {
+        archive.rules.forEach((rule, index) => {
+            if (!rule || typeof rule._id !== 'string' || !rule._id.startsWith('_design/')) {
+                errors.push(`Rule ${index + 1} is not a design document`);
+            } else if (!rule.rule_metadata) {
+                errors.push(`${rule._id} is missing rule_metadata`);
+            }
+        });
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors: errors
+    };
+}
+
+/**
+ * Plans restoring an archive into a database
+ * @param {Object} archive - Valid backup archive
+ * @param {Object[]} existingDocs - Design documents already in the target database
+ * @param {string} [strategy='fail'] - Conflict strategy (fail|skip|overwrite)
+ * @returns {Object} Plan with conflicts (rule ids that already exist) and an action per rule:
+ *   create, overwrite or skip, with the document to write (archived _rev removed, target _rev added when overwriting)
+ * @throws {Error} If the strategy is unknown
+ */
+function planRestore(archive, existingDocs, strategy = 'fail') {
+    if (!CONFLICT_STRATEGIES.includes(strategy)) {
+        throw new Error(`Unknown conflict strategy: ${strategy}. Must be one of ${CONFLICT_STRATEGIES.join(', ')}`);
+    }
+
+    const existing = {};
+    existingDocs.forEach(doc => {
+        existing[doc._id] = doc;
+    });
+
+    const conflicts = [];
+    const actions = archive.rules.map(rule => {
+        const ruleId = rule._id.replace('_design/', '');
+        const doc = { ...rule };
+        delete doc._rev;
+
+        const current = existing[rule._id];
+        if (!current) {
+            return { rule_id: ruleId, action: 'create', doc: doc };
+        }
+
+        conflicts.push(ruleId);
+        if (strategy === 'overwrite') {
+            doc._rev = current._rev;
+            return { rule_id: ruleId, action: 'overwrite', doc: doc };
+        }
+        return { rule_id: ruleId, action: 'skip', doc: doc };
+    });
+
+    return {
+        strategy: strategy,
+        conflicts: conflicts,
+        actions: actions
+    };
+}
+
+module.exports = {
+    BACKUP_FORMAT,
+    BACKUP_FORMAT_VERSION,
+    CONFLICT_STRATEGIES,
+    createBackupArchive,
+    validateBackupArchive,
+    planRestore
+};
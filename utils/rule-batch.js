@@ -0,0 +1,62 @@
+/**
+ * Batch Testing
+ * Evaluates many documents at once, against the local validators with the rule engine or against
+ * the deployed rules with the rule sandbox. Reading batch files and building the document × rule
+ * matrix is shared with the web interface - see web/js/shared/rule-batch.js.
+ */
+
+const RuleBatch = require('../web/js/shared/rule-batch');
+const { sortRulesByPriority } = require('./rule-metadata');
+const { getRuleSet, selectRuleSetValidators } = require('./rule-sets');
+const { evaluateDocument } = require('./rule-engine');
+const { evaluateDesignDocuments, fetchDeployedRules, getDatabaseUserCtx } = require('./rule-sandbox');
+const { buildBatchMatrix, describeRule } = RuleBatch;
+
+/**
+ * Evaluates documents against the local validators with the rule engine
+ * @param {Object[]} documents - Documents to validate
+ * @param {Object} [options] - Options for evaluateDocument (validators, ruleSet, includeInactive, userCtx,
+ *   secObj, parameters, date), used for every document
+ * @returns {Object} Matrix from buildBatchMatrix, with the rule set evaluated
+ */
+function evaluateBatch(documents, options = {}) {
+    const allValidators = options.validators || require('../index');
+    const validators = options.ruleSet ? selectRuleSetValidators(options.ruleSet, allValidators) : allValidators;
+    const rules = sortRulesByPriority(Object.keys(validators).map(ruleId => ({ id: ruleId, metadata: validators[ruleId].metadata || {} })))
+        .map(rule => describeRule(rule.id, rule.metadata));
+    const reports = documents.map(doc => evaluateDocument(doc, { ...options, validators: allValidators }));
+
+    return {
+        rule_set: options.ruleSet ? getRuleSet(options.ruleSet).name : null,
+        ...buildBatchMatrix(documents, reports, rules)
+    };
+}
+
+/**
+ * Fetches the rules deployed to a database once and evaluates documents against them in the rule sandbox
+ * @param {Function} fetch - Authenticated fetch
+ * @param {string} couchdbUrl - CouchDB URL, ending in /
+ * @param {string} dbName - Rules database
+ * @param {Object} request - documents, and the userCtx and secObj to evaluate them with
+ * @returns {Promise<Object>} Matrix from buildBatchMatrix, with the database evaluated
+ * @throws {Error} If the rules cannot be read; status holds the HTTP status to report
+ */
+async function evaluateDeployedBatch(fetch, couchdbUrl, dbName, request) {
+    const { designDocs, secObj } = await fetchDeployedRules(fetch, couchdbUrl, dbName, { secObj: request.secObj });
+    const validating = designDocs.filter(doc => doc.validate_doc_update);
+    const rules = sortRulesByPriority(validating.map(doc => ({ id: doc._id.replace('_design/', ''), metadata: doc.rule_metadata || {} })))
+        .map(rule => describeRule(rule.id, rule.metadata));
+    const userCtx = getDatabaseUserCtx(dbName, request.userCtx);
+    const reports = request.documents.map(doc => evaluateDesignDocuments(validating, doc, { userCtx: userCtx, secObj: secObj }));
+
+    return {
+        database: dbName,
+        ...buildBatchMatrix(request.documents, reports, rules)
+    };
+}
+
+module.exports = {
+    ...RuleBatch,
+    evaluateBatch,
+    evaluateDeployedBatch
+};
@@ -0,0 +1,6 @@
+/**
+ * Declarative Rule Definitions
+ * Shared with the web interface - see web/js/shared/rule-definition.js
+ */
+
+module.exports = require('../web/js/shared/rule-definition');
@@ -0,0 +1,6 @@
+/**
+ * Rule Deployment
+ * Shared with the web interface - see web/js/shared/rule-deployment.js
+ */
+
+module.exports = require('../web/js/shared/rule-deployment');
@@ -0,0 +1,171 @@
+/**
+ * Rule Evaluation Engine
+ * Runs every active validation rule against a document and collects all violations,
+ * instead of stopping at the first rejection the way CouchDB does. The rule order, skip reasons and
+ * violations are shared with the web interface - see web/js/shared/rule-evaluation.js.
+ */
+
+const { sortRulesByPriority, getEffectiveDate, getSkipReason, extractFailure, buildViolation } = require('./rule-evaluation');
+const { getRuleSet, selectRuleSetValidators } = require('./rule-sets');
+const { DEFAULT_USER_CTX, guardValidationFunction } = require('./rule-roles');
+const { scopeValidationFunction } = require('./rule-scope');
+const { resolveParameterValues, bindParameters } = require('./rule-parameters');
+const { compileRuleFunction } = require('./rule-definition');
+
+/**
+ * Evaluates a single validation rule against a document, applying the scope and role checks its metadata declares
+ * @param {string} ruleId - Rule identifier (validator name / design document name)
+ * @param {Function} validationFunction - CouchDB-style validation function
+ * @param {Object} metadata - Rule metadata object
+ * @param {Object} doc - Document to validate
+ * @param {Object} [context] - What CouchDB would pass alongside the document
+ * @param {Object} [context.oldDoc] - Stored version of the document; null for a new document
+ * @param {Object} [context.userCtx] - User writing the document; defaults to an admin
+ * @param {Object} [context.secObj] - Database security object
+ * @returns {Object} Result with passed boolean and violation (null when passed)
+ */
+function evaluateRule(ruleId, validationFunction, metadata, doc, context = {}) {
+    try {
+        const guarded = scopeValidationFunction(guardValidationFunction(validationFunction, metadata), metadata);
+        guarded(doc, context.oldDoc || null, context.userCtx || DEFAULT_USER_CTX, context.secObj || {});
+        return { rule_id: ruleId, passed: true, violation: null };
+    } catch (error) {
+        return { rule_id: ruleId, passed: false, violation: buildViolation(ruleId, metadata, error) };
+    }
+}
+
+/**
+ * Gets the validation function of a rule, bound to configured parameter values when there are any
+ * @param {string} ruleId - Rule identifier
+ * @param {Object} validatorModule - Validator module exporting the rule function, metadata and optional definition
+ * @param {Object} [parameters] - Configured values of the rule's parameters, by name
+ * @returns {Function} Validation function
+ * @throws {Error} If a configured value is undeclared or invalid
+ */
+function getRuleFunction(ruleId, validatorModule, parameters) {
+    if (!parameters) {
+        return validatorModule[ruleId];
+    }
+
+    if (validatorModule.definition) {
+        return compileRuleFunction(validatorModule.definition, resolveParameterValues(validatorModule.metadata.parameters, parameters));
+    }
+    return bindParameters(validatorModule[ruleId], validatorModule.metadata, parameters);
+}
+
+/**
+ * Runs a scoring rule against a document
+ * @param {string} ruleId - Rule identifier
+ * @param {Function} scoringFunction - Function returning the document's score
+ * @param {Object} metadata - Rule metadata object
+ * @param {Object} doc - Document to score
+ * @returns {Object} Determination with rule details, points and tier
+ */
+function scoreRule(ruleId, scoringFunction, metadata, doc) {
+    const ruleMetadata = metadata || {};
+    const score = scoringFunction(doc);
+
+    return {
+        rule_id: ruleId,
+        rule_name: ruleMetadata.name || ruleId,
+        rule_version: ruleMetadata.version || null,
+        points: score.points,
+        max_points: score.max_points,
+        tier: score.tier,
+        matched: score.matched
+    };
+}
+
+/**
+ * Evaluates a document against every active rule, in priority order.
+ * Validation rules contribute violations; scoring rules contribute determinations.
+ * @param {Object} doc - Document to validate
+ * @param {Object} [options] - Evaluation options
+ * @param {Object} [options.validators] - Map of validator name to module; defaults to the map exported by index.js
+ * @param {string} [options.ruleSet] - Only evaluate the rules in this rule set (e.g. SNAP)
+ * @param {boolean} [options.includeInactive=false] - Also evaluate draft and inactive rules
+ * @param {Object} [options.oldDoc] - Stored version of the document, to evaluate the document as an update
+ * @param {Object} [options.userCtx] - Simulated user context (name, roles); defaults to an admin
+ * @param {Object} [options.secObj] - Simulated database security object
+ * @param {Object} [options.parameters] - Rule parameter values by rule and parameter name, in place of the declared defaults
+ * @param {Date|string} [options.date] - Date to judge effective-dated rules at; defaults to the document's applicationDate, then now
+ * @returns {Object} Report with valid boolean, violations (highest priority first), determinations and the rules evaluated/skipped
+ * @throws {Error} If options.date is not a valid date
+ */
+function evaluateDocument(doc, options = {}) {
+    const allValidators = options.validators || require('../index');
+    const validators = options.ruleSet ? selectRuleSetValidators(options.ruleSet, allValidators) : allValidators;
+    const violations = [];
+    const determinations = [];
+    const evaluated = [];
+    const skipped = [];
+
+    const effectiveDate = getEffectiveDate(doc, options.oldDoc, options.date);
+
+    const rules = sortRulesByPriority(Object.keys(validators).map(ruleId => ({
+        id: ruleId,
+        metadata: validators[ruleId].metadata || {}
+    })));
+
+    rules.forEach(({ id: ruleId, metadata }) => {
+        const validatorModule = validators[ruleId];
+        const reason = getSkipReason(metadata, doc, options.oldDoc, effectiveDate, { includeInactive: options.includeInactive });
+
+        if (reason) {
+            skipped.push({ rule_id: ruleId, reason: reason });
+            return;
+        }
+
+        evaluated.push(ruleId);
+
+        if (metadata.rule_type === 'scoring') {
+            try {
+                determinations.push(scoreRule(ruleId, validatorModule[ruleId], metadata, doc));
+            } catch (error) {
+                violations.push(buildViolation(ruleId, metadata, error));
+            }
+            return;
+        }
+
+        let validationFunction;
+        try {
+            validationFunction = getRuleFunction(ruleId, validatorModule, (options.parameters || {})[ruleId]);
+        } catch (error) {
+            violations.push(buildViolation(ruleId, metadata, error));
+            return;
+        }
+
+        const result = evaluateRule(ruleId, validationFunction, metadata, doc, {
+            oldDoc: options.oldDoc,
+            userCtx: options.userCtx,
+            secObj: options.secObj
+        });
+
+        if (!result.passed) {
+            violations.push(result.violation);
+        }
+    });
+
+    return {
+        valid: violations.length === 0,
+        document_id: doc && doc._id ? doc._id : null,
+        update: Boolean(options.oldDoc),
+        rule_set: options.ruleSet ? getRuleSet(options.ruleSet).name : null,
+        user: (options.userCtx || DEFAULT_USER_CTX).name || null,
+        effective_date: effectiveDate,
+        evaluated: evaluated,
+        skipped: skipped,
+        violations: violations,
+        determinations: determinations,
+        evaluated_at: new Date().toISOString()
+    };
+}
+
+module.exports = {
+    evaluateDocument,
+    evaluateRule,
+    getRuleFunction,
+    scoreRule,
+    extractFailure,
+    buildViolation
+};
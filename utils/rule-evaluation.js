@@ -0,0 +1,6 @@
+/**
+ * Rule Evaluation
+ * Shared with the web interface - see web/js/shared/rule-evaluation.js
+ */
+
+module.exports = require('../web/js/shared/rule-evaluation');
@@ -0,0 +1,161 @@
+/**
+ * Rule Version History
+ * Reads and writes the history database the Node tools record published versions in. The entries
+ * themselves, rollbacks and diffs are shared with the web interface - see web/js/shared/rule-history.js.
+ */
+
+const RuleHistory = require('../web/js/shared/rule-history');
+const { getHistoryDatabaseName, createHistoryEntry } = RuleHistory;
+
+/**
+ * Creates a database kept next to a rules database if it does not exist yet, giving it the rules
+ * database's security object so the same users can read it
+ * @param {Function} fetch - Authenticated fetch
+ * @param {string} couchdbUrl - CouchDB URL, ending in /
+ * @param {string} dbName - Rules database
+ * @param {string} companionName - Name of the database to create
+ * @param {string} description - What the database holds, for error messages
+ * @returns {Promise<string>} URL of the database
+ * @throws {Error} If the database cannot be created
+ */
+async function ensureCompanionDatabase(fetch, couchdbUrl, dbName, companionName, description) {
+    const companionUrl = `${couchdbUrl}${companionName}`;
+
+    const existing = await fetch(companionUrl, { method: 'HEAD' });
+    if (existing.ok) {
+        return companionUrl;
+    }
+
+    const created = await fetch(companionUrl, { method: 'PUT' });
+    // 412: created by another load in the meantime
+    if (!created.ok && created.status !== 412) {
+        throw new Error(`Could not create ${description} database ${companionName}: HTTP ${created.status}`);
+    }
+
+    const security = await fetch(`${couchdbUrl}${dbName}/_security`, { method: 'GET' });
+    if (security.ok) {
+        await fetch(`${companionUrl}/_security`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json'
+            },
+            body: JSON.stringify(await security.json())
+        });
+    }
+    return companionUrl;
+}
+
+/**
+ * Installs a companion database's own validate_doc_update, replacing an outdated one
+ * @param {Function} fetch - Authenticated fetch
+ * @param {string} databaseUrl - URL of the companion database
+ * @param {string} designDocId - Design document holding the checks
+ * @param {string} validateDocUpdate - Source of the checks
+ * @param {string} description - What the checks enforce and where, for error messages
+ * @returns {Promise<void>}
+ * @throws {Error} If the checks cannot be installed
+ */
+async function ensureValidationDocument(fetch, databaseUrl, designDocId, validateDocUpdate, description) {
+    const guard = { _id: designDocId, validate_doc_update: validateDocUpdate };
+
+    const existing = await fetch(`${databaseUrl}/${designDocId}`, { method: 'GET' });
+    if (existing.ok) {
+        const existingDoc = await existing.json();
+        if (existingDoc.validate_doc_update === validateDocUpdate) {
+            return;
+        }
+        guard._rev = existingDoc._rev;
+    }
+
+    const response = await fetch(`${databaseUrl}/${designDocId}`, {
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(guard)
+    });
+    if (!response.ok) {
+        throw new Error(`Could not install ${description}: HTTP ${response.status}`);
+    }
+}
+
+/**
+ * Creates a rules database's history database if it does not exist yet
+ * @param {Function} fetch - Authenticated fetch
+ * @param {string} couchdbUrl - CouchDB URL, ending in /
+ * @param {string} dbName - Rules database
+ * @returns {Promise<string>} URL of the history database
+ * @throws {Error} If the history database cannot be created
+ */
+async function ensureHistoryDatabase(fetch, couchdbUrl, dbName) {
+    return ensureCompanionDatabase(fetch, couchdbUrl, dbName, getHistoryDatabaseName(dbName), 'history');
+}
+
+/**
+ * Fetches a rule's history entries, oldest first
+ * @param {Function} fetch - Authenticated fetch
+ * @param {string} historyUrl - URL of the history database
+ * @param {string} ruleId - Rule ID
+ * @param {Object} [options] - Query options
+ * @param {boolean} [options.latest=false] - Only fetch the latest entry
+ * @returns {Promise<Object[]>} History entries; none if the history database does not exist
+ * @throws {Error} If the history database cannot be read
+ */
+async function fetchRuleHistory(fetch, historyUrl, ruleId, options = {}) {
+    const first = JSON.stringify(`${ruleId}:`);
+    const last = JSON.stringify(`${ruleId}:\ufff0`);
+    const query = options.latest
+        ? `descending=true&limit=1&startkey=${encodeURIComponent(last)}&endkey=${encodeURIComponent(first)}`
+        : `startkey=${encodeURIComponent(first)}&endkey=${encodeURIComponent(last)}`;
+
+    const response = await fetch(`${historyUrl}/_all_docs?include_docs=true&${query}`, { method: 'GET' });
+    if (response.status === 404) {
+        return [];
+    }
+    if (!response.ok) {
+        throw new Error(`Could not read the history of ${ruleId}: HTTP ${response.status}`);
+    }
+    return (await response.json()).rows.map(row => row.doc);
+}
+
+/**
+ * Records a published design document in the rule's history. A revision that is already the
+ * latest entry is not recorded again, so rules deployed before history was kept are recorded
+ * the first time the loader sees them and unchanged rules are not.
+ * @param {Function} fetch - Authenticated fetch
+ * @param {string} historyUrl - URL of the history database
+ * @param {Object} designDoc - Design document as written, with its _rev
+ * @param {Object} [options] - Options for createHistoryEntry
+ * @returns {Promise<Object|null>} The new entry, or null if the revision was already recorded
+ * @throws {Error} If the entry cannot be written
+ */
+async function recordRuleVersion(fetch, historyUrl, designDoc, options = {}) {
+    const ruleId = designDoc._id.replace('_design/', '');
+    const [latest] = await fetchRuleHistory(fetch, historyUrl, ruleId, { latest: true });
+    if (latest && designDoc._rev && latest.rev === designDoc._rev) {
+        return null;
+    }
+
+    const entry = createHistoryEntry(designDoc, latest || null, options);
+    const response = await fetch(`${historyUrl}/${encodeURIComponent(entry._id)}`, {
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(entry)
+    });
+
+    if (!response.ok) {
+        throw new Error(`Could not record ${entry._id} in the version history: HTTP ${response.status}`);
+    }
+    return entry;
+}
+
+module.exports = {
+    ...RuleHistory,
+    ensureCompanionDatabase,
+    ensureValidationDocument,
+    ensureHistoryDatabase,
+    fetchRuleHistory,
+    recordRuleVersion
+};
@@ -3,6 +3,18 @@
  * Provides utilities for creating and managing rule metadata according to roadmap specifications
  */
 
+const { validateRequiredRoles } = require('./rule-roles');
+const { validateAppliesTo } = require('./rule-scope');
+const { validateParameters } = require('./rule-parameters');
+const { validateSchedule } = require('./rule-schedule');
+const { DEFAULT_PRIORITY, getRulePriority, compareRulePriority, sortRulesByPriority } = require('./rule-evaluation');
+
+/**
+ * Supported rule types
+ * validation rules reject invalid writes; scoring rules record a determination instead
+ */
+const RULE_TYPES = ['validation', 'scoring'];
+
 /**
  * Creates a standardized metadata object for validation rules
  * @param {Object} options - Metadata configuration options
@@ -13,6 +25,14 @@
  * @param {string[]} [options.tags=[]] - Category and keyword tags
  * @param {string} [options.status='active'] - Rule status (active|draft|inactive)
  * @param {string} [options.changeNotes='Initial implementation'] - Description of last change
+ * @param {string} [options.field] - Document field the rule inspects, used when reporting violations
+ * @param {number} [options.priority=100] - Evaluation order; lower numbers run first
+ * @param {string} [options.ruleType='validation'] - Rule type (validation|scoring)
+ * @param {string[]} [options.requiredRoles=[]] - Roles allowed to set the rule's field; anyone may when empty
+ * @param {Object} [options.appliesTo] - Documents the rule applies to (type, fields, selector, deletions); all when omitted
+ * @param {Object} [options.parameters={}] - Named thresholds the rule uses, each with a type, default and description
+ * @param {string} [options.effectiveFrom] - Date the rule takes effect (inclusive); in effect from the start when omitted
+ * @param {string} [options.effectiveUntil] - Date the rule stops applying (exclusive); never expires when omitted
  * @returns {Object} Standardized metadata object
  */
 function createRuleMetadata(options) {
@@ -27,7 +47,15 @@ function createRuleMetadata(options) {
         status: options.status || 'active',
         created_date: now,
         modified_date: now,
-        change_notes: options.changeNotes || 'Initial implementation'
+        change_notes: options.changeNotes || 'Initial implementation',
+        field: options.field || null,
+        priority: options.priority !== undefined ? options.priority : DEFAULT_PRIORITY,
+        rule_type: options.ruleType || 'validation',
+        required_roles: options.requiredRoles || [],
+        applies_to: options.appliesTo || null,
+        parameters: options.parameters || {},
+        effective_from: options.effectiveFrom || null,
+        effective_until: options.effectiveUntil || null
     };
 }
 
@@ -87,10 +115,36 @@ function validateMetadata(metadata) {
         errors.push(`Invalid status: ${metadata.status}. Must be active, draft, or inactive`);
     }
     
+    if (metadata.rule_type && !RULE_TYPES.includes(metadata.rule_type)) {
+        errors.push(`Invalid rule type: ${metadata.rule_type}. Must be ${RULE_TYPES.join(' or ')}`);
+    }
+    
     if (metadata.tags && !Array.isArray(metadata.tags)) {
         errors.push('Tags must be an array');
     }
     
+    if (metadata.priority !== undefined && (!Number.isInteger(metadata.priority) || metadata.priority < 0)) {
+        errors.push(`Invalid priority: ${metadata.priority}. Must be a non-negative integer`);
+    }
+    
+    if (metadata.required_roles !== undefined) {
+        errors.push(...validateRequiredRoles(metadata.required_roles));
+    }
+    
+    if (metadata.applies_to !== undefined && metadata.applies_to !== null) {
+        if (metadata.rule_type === 'scoring') {
+            errors.push('applies_to is only supported for validation rules');
+        } else {
+            errors.push(...validateAppliesTo(metadata.applies_to));
+        }
+    }
+    
+    if (metadata.parameters !== undefined) {
+        errors.push(...validateParameters(metadata.parameters));
+    }
+    
+    errors.push(...validateSchedule(metadata));
+    
     // Validate dates
     ['created_date', 'modified_date'].forEach(dateField => {
         if (metadata[dateField] && isNaN(Date.parse(metadata[dateField]))) {
@@ -132,42 +186,89 @@ function createDesignDocument(ruleName, validationFunction, metadata) {
 const VALIDATOR_METADATA = {
     householdIncome: {
         name: 'Household Income Validator',
-        description: 'Validates that household income does not exceed $25,000 threshold for program eligibility',
-        version: '1.0.0',
+        description: 'Validates that household income does not exceed the maximum income for program eligibility',
+        version: '2.0.0',
         author: 'CouchDB Rules Engine',
         tags: ['income', 'eligibility', 'financial', 'threshold'],
         status: 'active',
-        changeNotes: 'Initial implementation with $25,000 income threshold'
+        priority: 10,
+        field: 'income',
+        appliesTo: { deletions: 'allow' },
+        parameters: {
+            maximumIncome: { type: 'number', default: 25000, min: 0, description: 'Highest eligible household income, in dollars' }
+        },
+        changeNotes: 'Applies to every document again, whatever its type: documents without one were let through; deletions still skip the rule'
     },
     
     householdSize: {
         name: 'Household Size Validator',
-        description: 'Validates that household size is at least 3 members for program eligibility',
-        version: '1.0.0',
+        description: 'Validates that household size meets the minimum size for program eligibility',
+        version: '2.0.0',
         author: 'CouchDB Rules Engine',
         tags: ['household', 'size', 'eligibility', 'members'],
         status: 'active',
-        changeNotes: 'Initial implementation with minimum 3 member requirement'
+        priority: 20,
+        field: 'householdSize',
+        appliesTo: { deletions: 'allow' },
+        parameters: {
+            minimumSize: { type: 'integer', default: 3, min: 1, description: 'Fewest household members that are eligible' }
+        },
+        changeNotes: 'Applies to every document again, whatever its type: documents without one were let through; deletions still skip the rule'
     },
     
     numberOfDependents: {
         name: 'Number of Dependents Validator',
-        description: 'Validates that household has at least 2 dependents for program eligibility',
-        version: '1.0.0',
+        description: 'Validates that household has the minimum number of dependents for program eligibility',
+        version: '2.0.0',
         author: 'CouchDB Rules Engine',
         tags: ['dependents', 'eligibility', 'family', 'children'],
         status: 'active',
-        changeNotes: 'Initial implementation with minimum 2 dependent requirement'
+        priority: 30,
+        field: 'numberOfDependents',
+        appliesTo: { deletions: 'allow' },
+        parameters: {
+            minimumDependents: { type: 'integer', default: 2, min: 0, description: 'Fewest dependents that are eligible' }
+        },
+        changeNotes: 'Applies to every document again, whatever its type: documents without one were let through; deletions still skip the rule'
     },
     
     interviewComplete: {
         name: 'Interview Complete Validator',
         description: 'Validates that required interview process has been completed before application processing',
-        version: '1.0.0',
+        version: '2.0.0',
         author: 'CouchDB Rules Engine',
         tags: ['interview', 'process', 'completion', 'required', 'eligibility'],
         status: 'active',
-        changeNotes: 'Initial implementation requiring non-empty interview completion status'
+        priority: 40,
+        field: 'interviewComplete',
+        requiredRoles: ['supervisor'],
+        appliesTo: { deletions: 'allow' },
+        changeNotes: 'Applies to every document again, whatever its type: documents without one were let through; deletions still skip the rule'
+    },
+    
+    applicationStatus: {
+        name: 'Application Status Transitions',
+        description: 'Validates that an application status only moves forward from draft to submitted to approved',
+        version: '2.0.0',
+        author: 'CouchDB Rules Engine',
+        tags: ['status', 'workflow', 'transition'],
+        status: 'active',
+        priority: 45,
+        field: 'status',
+        appliesTo: { deletions: 'allow' },
+        changeNotes: 'Applies to every document again, whatever its type: documents without one were let through; deletions still skip the rule'
+    },
+    
+    benefitTier: {
+        name: 'Benefit Tier Scoring',
+        description: 'Scores income bands and household composition to award a full, partial or no benefit tier',
+        version: '1.0.0',
+        author: 'CouchDB Rules Engine',
+        tags: ['scoring', 'tier', 'income', 'household', 'eligibility'],
+        status: 'active',
+        priority: 50,
+        ruleType: 'scoring',
+        changeNotes: 'Initial implementation with income band and household size scoring'
     }
 };
 
@@ -177,5 +278,10 @@ module.exports = {
     validateMetadata,
     createDesignDocument,
     isValidSemanticVersion,
+    getRulePriority,
+    compareRulePriority,
+    sortRulesByPriority,
+    DEFAULT_PRIORITY,
+    RULE_TYPES,
     VALIDATOR_METADATA
 };
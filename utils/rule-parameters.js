@@ -0,0 +1,6 @@
+/**
+ * Rule Parameters
+ * Shared with the web interface - see web/js/shared/rule-parameters.js
+ */
+
+module.exports = require('../web/js/shared/rule-parameters');
@@ -0,0 +1,154 @@
+/**
+ * Rule Review Workflow
+ * Reads, writes and publishes proposals in the proposals database for the Node tools. The workflow
+ * itself is shared with the web interface - see web/js/shared/rule-review.js.
+ */
+
+const RuleReview = require('../web/js/shared/rule-review');
+const { ensureCompanionDatabase, ensureValidationDocument, getHistoryDatabaseName, recordRuleVersion } = require('./rule-history');
+const { ensureAuditDatabase, createAuditEntry, recordAuditEntry } = require('./rule-audit');
+const { REVIEW_DESIGN_DOC_ID, getProposalDatabaseName, compileReviewGuard, planPublish } = RuleReview;
+
+/**
+ * Creates a rules database's proposals database if it does not exist yet, and installs or updates
+ * the validate_doc_update that enforces the review workflow
+ * @param {Function} fetch - Authenticated fetch
+ * @param {string} couchdbUrl - CouchDB URL, ending in /
+ * @param {string} dbName - Rules database
+ * @returns {Promise<string>} URL of the proposals database
+ * @throws {Error} If the database or its workflow checks cannot be set up
+ */
+async function ensureProposalDatabase(fetch, couchdbUrl, dbName) {
+    const proposalsUrl = await ensureCompanionDatabase(fetch, couchdbUrl, dbName, getProposalDatabaseName(dbName), 'proposals');
+    await ensureValidationDocument(fetch, proposalsUrl, REVIEW_DESIGN_DOC_ID, compileReviewGuard(),
+        `the review workflow in ${getProposalDatabaseName(dbName)}`);
+    return proposalsUrl;
+}
+
+/**
+ * Fetches proposals, oldest first within each rule
+ * @param {Function} fetch - Authenticated fetch
+ * @param {string} proposalsUrl - URL of the proposals database
+ * @param {Object} [options] - Query options
+ * @param {string} [options.ruleId] - Only fetch this rule's proposals
+ * @param {string[]} [options.statuses] - Only return proposals with one of these statuses
+ * @returns {Promise<Object[]>} Proposals; none if the proposals database does not exist
+ * @throws {Error} If the proposals database cannot be read
+ */
+async function fetchProposals(fetch, proposalsUrl, options = {}) {
+    const query = options.ruleId
+        ? `&startkey=${encodeURIComponent(JSON.stringify(`${options.ruleId}:`))}&endkey=${encodeURIComponent(JSON.stringify(`${options.ruleId}:\ufff0`))}`
+        : '';
+
+    const response = await fetch(`${proposalsUrl}/_all_docs?include_docs=true${query}`, { method: 'GET' });
+    if (response.status === 404) {
+        return [];
+    }
+    if (!response.ok) {
+        throw new Error(`Could not read proposals: HTTP ${response.status}`);
+    }
+    return (await response.json()).rows
+        .map(row => row.doc)
+        .filter(doc => doc && doc.type === 'rule_proposal')
+        .filter(doc => !options.statuses || options.statuses.includes(doc.status));
+}
+
+/**
+ * Writes a proposal, reporting the workflow check's reason when CouchDB refuses it
+ * @param {Function} fetch - Authenticated fetch
+ * @param {string} proposalsUrl - URL of the proposals database
+ * @param {Object} proposal - Proposal to write, with its _rev when updating
+ * @returns {Promise<Object>} The proposal with its new _rev
+ * @throws {Error} If the proposal cannot be written
+ */
+async function saveProposal(fetch, proposalsUrl, proposal) {
+    const response = await fetch(`${proposalsUrl}/${encodeURIComponent(proposal._id)}`, {
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(proposal)
+    });
+
+    const body = await response.json().catch(() => ({}));
+    if (!response.ok) {
+        throw new Error(`Could not save ${proposal._id}: ${body.reason || `HTTP ${response.status}`}`);
+    }
+    return { ...proposal, _rev: body.rev };
+}
+
+/**
+ * Publishes an approved proposal: writes the compiled rule, records it in the rule's version
+ * history and the audit log and marks the proposal published
+ * @param {Function} fetch - Authenticated fetch
+ * @param {string} couchdbUrl - CouchDB URL, ending in /
+ * @param {string} dbName - Rules database
+ * @param {Object} proposal - Approved proposal, with its _rev
+ * @param {Object} [options] - Publishing options
+ * @param {string} [options.publishedBy] - User publishing the proposal
+ * @param {string} [options.tool='couch-rules'] - Tool publishing it, for the audit log
+ * @returns {Promise<Object>} The published design document, its history entry (null if it could
+ *   not be recorded, with historyError), auditError if it could not be audited, and the updated proposal
+ * @throws {Error} If the proposal cannot be published
+ */
+async function publishProposal(fetch, couchdbUrl, dbName, proposal, options = {}) {
+    const ruleUrl = `${couchdbUrl}${dbName}/_design/${encodeURIComponent(proposal.rule_id)}`;
+    const current = await fetch(ruleUrl, { method: 'GET' });
+    if (!current.ok && current.status !== 404) {
+        throw new Error(`Could not read ${proposal.rule_id}: HTTP ${current.status}`);
+    }
+
+    const doc = planPublish(proposal, current.ok ? await current.json() : null);
+    const written = await fetch(ruleUrl, {
+        method: 'PUT',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(doc)
+    });
+    if (!written.ok) {
+        throw new Error(`Could not publish ${proposal._id} to ${proposal.rule_id}: HTTP ${written.status}`);
+    }
+    doc._rev = (await written.json()).rev;
+
+    let entry = null;
+    let historyError = null;
+    try {
+        entry = await recordRuleVersion(fetch, `${couchdbUrl}${getHistoryDatabaseName(dbName)}`, doc, { publishedBy: options.publishedBy });
+    } catch (error) {
+        historyError = error.message;
+    }
+
+    let auditError = null;
+    try {
+        await recordAuditEntry(fetch, await ensureAuditDatabase(fetch, couchdbUrl, dbName), createAuditEntry({
+            database: dbName,
+            action: 'update',
+            doc: doc,
+            oldRev: proposal.base_rev,
+            newRev: doc._rev
+        }, {
+            actor: options.publishedBy,
+            tool: options.tool || 'couch-rules',
+            detail: `Published ${proposal._id}, approved by ${proposal.reviewed_by}`
+        }));
+    } catch (error) {
+        auditError = error.message;
+    }
+
+    const published = await saveProposal(fetch, `${couchdbUrl}${getProposalDatabaseName(dbName)}`, {
+        ...proposal,
+        status: 'published',
+        published_rev: doc._rev,
+        published_at: new Date().toISOString()
+    });
+    return { doc: doc, entry: entry, historyError: historyError, auditError: auditError, proposal: published };
+}
+
+module.exports = {
+    ...RuleReview,
+    ensureProposalDatabase,
+    fetchProposals,
+    saveProposal,
+    publishProposal
+};
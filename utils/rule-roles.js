@@ -0,0 +1,6 @@
+/**
+ * Role Requirements
+ * Shared with the web interface - see web/js/shared/rule-roles.js
+ */
+
+module.exports = require('../web/js/shared/rule-roles');
@@ -0,0 +1,331 @@
+/**
+ * Rule Sandbox
+ * Runs deployed validate_doc_update source the way CouchDB's JavaScript query server does, instead of
+ * as a Node function. Each design document is compiled from its source string in a fresh vm context
+ * whose only globals are the ones CouchDB gives validation functions (log, require, isArray and toJSON):
+ * there is no console, process, timers or Node require. The function is called with JSON copies of
+ * newDoc, oldDoc, userCtx and secObj, under CouchDB's time limit. Source that works in Node but not in
+ * CouchDB - a closure over a module variable, a console call, a require of an npm package - fails here too.
+ *
+ * Everything the functions can reach is defined inside the context, and only strings cross between
+ * it and Node: a Node function or object placed in the context would hand its constructor, and with
+ * it process, to the design document. Even so, the vm module is not a security boundary: only run
+ * design documents that CouchDB itself would run. couchSandbox.js serves this evaluator over HTTP
+ * for the web interface.
+ */
+
+const vm = require('vm');
+const crypto = require('crypto');
+const { DEFAULT_USER_CTX } = require('./rule-roles');
+const { buildViolation } = require('./rule-engine');
+
+/**
+ * How long a validation function may run, in milliseconds (CouchDB's default os_process_timeout)
+ */
+const SANDBOX_TIMEOUT_MS = 5000;
+
+/**
+ * Globals CouchDB defines for validation functions in its own JavaScript. V8 gives every new
+ * context a console, which CouchDB does not have.
+ */
+const SANDBOX_PRELUDE = [
+    'delete globalThis.console;',
+    'function isArray(obj) { return Object.prototype.toString.call(obj) === "[object Array]"; }',
+    'function toJSON(obj) { return JSON.stringify(obj); }'
+].join('\n');
+
+/**
+ * Resolves a require() path against a design document the way CouchDB does: a/b starts at the
+ * top of the design document, ./ at the object holding the requiring module and ../ one level up
+ * @param {string[]} names - Path segments
+ * @param {Object} mod - Where resolution stands: current value, parent and id
+ * @param {Object} [root] - Design document; given for the first segment only
+ * @returns {Object} Module with its source as current and its path as id
+ * @throws {Error} If the path does not lead to a string in the design document
+ */
+function resolveModule(names, mod, root) {
+    if (names.length === 0) {
+        if (typeof mod.current !== 'string') {
+            throw new Error(`invalid_require_path: Must require a JavaScript string, not: ${typeof mod.current}`);
+        }
+        return mod;
+    }
+
+    const [name, ...rest] = names;
+    if (name === '..' || name === '.') {
+        if (!mod || (name === '..' && !mod.parent)) {
+            throw new Error(`invalid_require_path: Object has no parent ${JSON.stringify(mod ? mod.current : root)}`);
+        }
+        return resolveModule(rest, name === '..' ? mod.parent : mod);
+    }
+
+    const start = root ? { current: root, id: '' } : mod;
+    if (!start.current || typeof start.current !== 'object' || start.current[name] === undefined) {
+        throw new Error(`invalid_require_path: Object has no property "${name}"`);
+    }
+    return resolveModule(rest, { current: start.current[name], parent: start, id: start.id ? `${start.id}/${name}` : name });
+}
+
+/**
+ * Defines log, require and the runner inside the context, from the design document's JSON. CouchDB
+ * logs strings as they are and anything else as JSON; require() compiles a module once and caches it.
+ * __run compiles validate_doc_update source as CouchDB does, calls it with JSON arguments and
+ * returns its outcome as JSON, so whatever it throws is described inside the context.
+ */
+const SANDBOX_RUNTIME = [
+    `var __designDoc = JSON.parse(__designDocJson), __logs = [], __modules = {};`,
+    `${resolveModule.toString()}`,
+    'function log(message) { __logs.push(typeof message === "string" ? message : JSON.stringify(message)); }',
+    'function __createRequire(parent) {',
+    '    return function (name) {',
+    '        var resolved = resolveModule(String(name).split("/"), parent, __designDoc);',
+    '        if (!__modules[resolved.id]) {',
+    '            var module = { id: resolved.id, exports: {} };',
+    '            __modules[resolved.id] = module;',
+    '            new Function("module", "exports", "require", resolved.current)(module, module.exports, __createRequire(resolved.parent));',
+    '        }',
+    '        return __modules[resolved.id].exports;',
+    '    };',
+    '}',
+    'var require = __createRequire(undefined);',
+    'function __describe(error) {',
+    '    try {',
+    '        if (error && error.forbidden) { return { forbidden: String(error.forbidden) }; }',
+    '        if (error && error.unauthorized) { return { unauthorized: String(error.unauthorized) }; }',
+    '        return { message: error && error.message ? String(error.message) : String(error) };',
+    '    } catch (describeError) {',
+    '        return { message: "Validation function threw a value that cannot be described" };',
+    '    }',
+    '}',
+    'function __run(source, input) {',
+    '    var error = null;',
+    '    try {',
+    '        var validate = (0, eval)("(" + source + "\\n)");',
+    '        if (typeof validate !== "function") {',
+    '            throw new Error("compilation_error: Expression does not eval to a function");',
+    '        }',
+    '        validate.apply(null, JSON.parse(input));',
+    '    } catch (thrown) {',
+    '        error = __describe(thrown);',
+    '    }',
+    '    return JSON.stringify({ error: error, logs: __logs });',
+    '}'
+].join('\n');
+
+/**
+ * Creates the context a design document's functions run in. Its global object has no prototype,
+ * so the functions cannot reach Node's Object through it either.
+ * @param {Object} designDoc - Design document, which require() resolves modules in
+ * @returns {Object} vm context
+ */
+function createSandbox(designDoc) {
+    const context = vm.createContext(Object.create(null));
+    vm.runInContext(SANDBOX_PRELUDE, context);
+    context.__designDocJson = JSON.stringify(designDoc);
+    vm.runInContext(SANDBOX_RUNTIME, context);
+    delete context.__designDocJson;
+    return context;
+}
+
+/**
+ * Turns the outcome the sandbox reports for a thrown value back into what was thrown: the
+ * forbidden or unauthorized object CouchDB reports, or an Error
+ */
+function toThrownValue(error) {
+    return error.message !== undefined ? new Error(error.message) : error;
+}
+
+/**
+ * Runs a design document's validate_doc_update in the sandbox
+ * @param {Object} designDoc - Design document with validate_doc_update source
+ * @param {Object} newDoc - Document being written
+ * @param {Object} [context] - What CouchDB passes alongside the document
+ * @param {Object} [context.oldDoc] - Stored version of the document; null for a new document
+ * @param {Object} [context.userCtx] - User writing the document; defaults to an admin
+ * @param {Object} [context.secObj] - Database security object
+ * @param {number} [context.timeout] - Time limit in milliseconds, for compiling and for running
+ * @returns {Object} Result with passed boolean, the value thrown (null when passed) and logs
+ */
+function runValidateFunction(designDoc, newDoc, context = {}) {
+    const timeout = context.timeout || SANDBOX_TIMEOUT_MS;
+    let logs = [];
+
+    try {
+        // CouchDB hands the function JSON, so the arguments are parsed inside the sandbox rather than shared with Node.
+        // Both are in place before the design document's source first runs, so compiling it is timed too.
+        const sandbox = createSandbox(designDoc);
+        sandbox.__source = String(designDoc.validate_doc_update);
+        sandbox.__input = JSON.stringify([
+            newDoc,
+            context.oldDoc || null,
+            context.userCtx || DEFAULT_USER_CTX,
+            context.secObj || {}
+        ]);
+        const outcome = vm.runInContext('__run(__source, __input);', sandbox, {
+            filename: `${designDoc._id}/validate_doc_update`,
+            timeout: timeout
+        });
+        if (typeof outcome !== 'string') {
+            throw new Error('Validation function replaced the sandbox\'s JSON, so its outcome cannot be read');
+        }
+
+        const result = JSON.parse(outcome);
+        logs = result.logs.map(message => ({ level: 'log', message: String(message) }));
+        return { passed: !result.error, error: result.error ? toThrownValue(result.error) : null, logs: logs };
+    } catch (error) {
+        return { passed: false, error: error, logs: logs };
+    }
+}
+
+/**
+ * Evaluates one deployed rule against a document in the sandbox
+ * @param {Object} designDoc - Deployed design document
+ * @param {Object} doc - Document to validate
+ * @param {Object} [context] - oldDoc, userCtx, secObj and timeout, as for runValidateFunction
+ * @returns {Object} Result with rule_id, passed boolean, violation (null when passed) and logs
+ */
+function evaluateDesignDocument(designDoc, doc, context = {}) {
+    const ruleId = designDoc._id.replace('_design/', '');
+    const result = runValidateFunction(designDoc, doc, context);
+
+    return {
+        rule_id: ruleId,
+        passed: result.passed,
+        violation: result.passed ? null : buildViolation(ruleId, designDoc.rule_metadata, result.error),
+        logs: result.logs
+    };
+}
+
+/**
+ * Evaluates a document against every deployed rule in the sandbox. CouchDB runs the functions in
+ * design document ID order and stops at the first rejection; every rule is run here, and the one
+ * CouchDB would have stopped at is reported as rejected_by.
+ * @param {Object[]} designDocs - Deployed design documents
+ * @param {Object} doc - Document to validate; one without an _id is given one, as CouchDB does
+ * @param {Object} [options] - oldDoc, userCtx, secObj and timeout, as for runValidateFunction
+ * @returns {Object} Report with valid boolean, violations (highest priority first), rejected_by,
+ *   the rules evaluated and skipped, and what the rules logged
+ */
+function evaluateDesignDocuments(designDocs, doc, options = {}) {
+    const newDoc = doc && !doc._id ? { _id: crypto.randomUUID().replace(/-/g, ''), ...doc } : doc;
+    const evaluated = [];
+    const skipped = [];
+    const violations = [];
+    const logs = [];
+    let rejectedBy = null;
+
+    [...designDocs]
+        .sort((a, b) => a._id < b._id ? -1 : a._id > b._id ? 1 : 0)
+        .forEach(designDoc => {
+            const ruleId = designDoc._id.replace('_design/', '');
+            if (!designDoc.validate_doc_update) {
+                skipped.push({ rule_id: ruleId, reason: 'has no validate_doc_update' });
+                return;
+            }
+
+            evaluated.push(ruleId);
+            const result = evaluateDesignDocument(designDoc, newDoc, options);
+            result.logs.forEach(entry => logs.push({ rule_id: ruleId, ...entry }));
+            if (!result.passed) {
+                violations.push(result.violation);
+                rejectedBy = rejectedBy || result.violation;
+            }
+        });
+
+    return {
+        valid: violations.length === 0,
+        document_id: doc && doc._id ? doc._id : null,
+        update: Boolean(options.oldDoc),
+        user: (options.userCtx || DEFAULT_USER_CTX).name || null,
+        evaluated: evaluated,
+        skipped: skipped,
+        violations: violations.sort((a, b) => (a.priority - b.priority) || (a.rule_id < b.rule_id ? -1 : a.rule_id > b.rule_id ? 1 : 0)),
+        rejected_by: rejectedBy,
+        logs: logs,
+        evaluated_at: new Date().toISOString()
+    };
+}
+
+/**
+ * Fetches the rules deployed to a database, and its security object unless another one is given
+ * @param {Function} fetch - Authenticated fetch
+ * @param {string} couchdbUrl - CouchDB URL, ending in /
+ * @param {string} dbName - Rules database
+ * @param {Object} [options] - rule, to fetch only that rule, and secObj, a simulated security object
+ * @returns {Promise<Object>} designDocs and secObj
+ * @throws {Error} If the rules cannot be read or the rule is not deployed; status holds the HTTP status to report
+ */
+async function fetchDeployedRules(fetch, couchdbUrl, dbName, options = {}) {
+    const url = `${couchdbUrl}${encodeURIComponent(dbName)}`;
+    const response = await fetch(`${url}/_design_docs?include_docs=true`);
+    if (!response.ok) {
+        const error = new Error(`Unable to fetch design documents from '${dbName}'. Response code: ${response.status}`);
+        error.status = response.status === 404 ? 404 : 502;
+        throw error;
+    }
+
+    const designDocs = (await response.json()).rows
+        .map(row => row.doc)
+        .filter(doc => !options.rule || doc._id === `_design/${options.rule}`);
+    if (options.rule && designDocs.length === 0) {
+        const error = new Error(`No rule '${options.rule}' is deployed to '${dbName}'`);
+        error.status = 404;
+        throw error;
+    }
+
+    let secObj = options.secObj;
+    if (!secObj) {
+        const securityResponse = await fetch(`${url}/_security`);
+        secObj = securityResponse.ok ? await securityResponse.json() : {};
+    }
+    return { designDocs: designDocs, secObj: secObj };
+}
+
+/**
+ * Gets the user context CouchDB passes for a simulated user, which names the database
+ * @param {string} dbName - Rules database
+ * @param {Object} [userCtx] - Simulated user (name, roles); defaults to an admin
+ * @returns {Object} userCtx
+ */
+function getDatabaseUserCtx(dbName, userCtx) {
+    return { ...(userCtx || DEFAULT_USER_CTX), db: dbName };
+}
+
+/**
+ * Fetches the rules deployed to a database and evaluates a document against them in the sandbox,
+ * with the database's own security object unless another one is given
+ * @param {Function} fetch - Authenticated fetch
+ * @param {string} couchdbUrl - CouchDB URL, ending in /
+ * @param {string} dbName - Rules database
+ * @param {Object} request - What to evaluate
+ * @param {Object} request.document - Document to validate
+ * @param {string} [request.rule] - Only evaluate this rule
+ * @param {Object} [request.oldDoc] - Stored version of the document, to evaluate the document as an update
+ * @param {Object} [request.userCtx] - Simulated user (name, roles); defaults to an admin
+ * @param {Object} [request.secObj] - Simulated security object
+ * @returns {Promise<Object>} Report from evaluateDesignDocuments, with the database evaluated
+ * @throws {Error} If the rules cannot be read or the rule is not deployed; status holds the HTTP status to report
+ */
+async function evaluateDeployedRules(fetch, couchdbUrl, dbName, request) {
+    const { designDocs, secObj } = await fetchDeployedRules(fetch, couchdbUrl, dbName, request);
+
+    return {
+        database: dbName,
+        ...evaluateDesignDocuments(designDocs, request.document, {
+            oldDoc: request.oldDoc,
+            userCtx: getDatabaseUserCtx(dbName, request.userCtx),
+            secObj: secObj
+        })
+    };
+}
+
+module.exports = {
+    SANDBOX_TIMEOUT_MS,
+    createSandbox,
+    runValidateFunction,
+    evaluateDesignDocument,
+    evaluateDesignDocuments,
+    fetchDeployedRules,
+    getDatabaseUserCtx,
+    evaluateDeployedRules
+};
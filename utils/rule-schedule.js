@@ -0,0 +1,6 @@
+/**
+ * Rule Schedule
+ * Shared with the web interface - see web/js/shared/rule-schedule.js
+ */
+
+module.exports = require('../web/js/shared/rule-schedule');
@@ -0,0 +1,6 @@
+/**
+ * Rule Scope
+ * Shared with the web interface - see web/js/shared/rule-scope.js
+ */
+
+module.exports = require('../web/js/shared/rule-scope');
@@ -0,0 +1,6 @@
+/**
+ * Scoring Rules
+ * Shared with the web interface - see web/js/shared/rule-scoring.js
+ */
+
+module.exports = require('../web/js/shared/rule-scoring');
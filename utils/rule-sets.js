@@ -0,0 +1,127 @@
+/**
+ * Rule Sets
+ * Named groups of rules for individual benefit programs. Each rule set is loaded
+ * into its own database so documents for one program are only checked against
+ * that program's eligibility criteria.
+ */
+
+/**
+ * ID of the local (non-replicated, unvalidated) document that describes the rule set loaded into a database
+ */
+const RULE_SET_DOC_ID = '_local/rule_set';
+
+/**
+ * Rule set definitions keyed by rule set name
+ */
+const RULE_SETS = {
+    SNAP: {
+        name: 'SNAP',
+        description: 'Supplemental Nutrition Assistance Program eligibility',
+        database: 'snap_rules_db',
+        rules: ['householdIncome', 'householdSize', 'interviewComplete', 'benefitTier']
+    },
+
+    LIHEAP: {
+        name: 'LIHEAP',
+        description: 'Low Income Home Energy Assistance Program eligibility',
+        database: 'liheap_rules_db',
+        rules: ['householdIncome', 'numberOfDependents', 'interviewComplete']
+    }
+};
+
+/**
+ * Lists the names of all rule sets
+ * @returns {string[]} Rule set names
+ */
+function listRuleSets() {
+    return Object.keys(RULE_SETS);
+}
+
+/**
+ * Gets a rule set by name
+ * @param {string} name - Rule set name (case-insensitive)
+ * @returns {Object} Rule set definition
+ * @throws {Error} If no rule set has that name
+ */
+function getRuleSet(name) {
+    const key = Object.keys(RULE_SETS).find(setName => setName.toLowerCase() === String(name).toLowerCase());
+    if (!key) {
+        throw new Error(`Unknown rule set: ${name}. Available rule sets: ${listRuleSets().join(', ')}`);
+    }
+    return RULE_SETS[key];
+}
+
+/**
+ * Validates a rule set against the available validators
+ * @param {Object} ruleSet - Rule set definition
+ * @param {Object} validators - Map of validator name to module
+ * @returns {Object} Validation result with isValid boolean and errors array
+ */
+function validateRuleSet(ruleSet, validators) {
+    const errors = [];
+
+    ['name', 'database'].forEach(field => {
+        if (!ruleSet[field]) {
+            errors.push(`Missing required field: ${field}`);
+        }
+    });
+
+    if (!Array.isArray(ruleSet.rules) || ruleSet.rules.length === 0) {
+        errors.push('Rule set must include at least one rule');
+    } else {
+        ruleSet.rules.filter(ruleId => !validators[ruleId]).forEach(ruleId => {
+            errors.push(`Unknown rule: ${ruleId}`);
+        });
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors: errors
+    };
+}
+
+/**
+ * Selects the validators that belong to a rule set
+ * @param {string} name - Rule set name
+ * @param {Object} [validators] - Map of validator name to module; defaults to the map exported by index.js
+ * @returns {Object} Map containing only the rule set's validators
+ * @throws {Error} If the rule set is unknown or refers to rules that do not exist
+ */
+function selectRuleSetValidators(name, validators = require('../index')) {
+    const ruleSet = getRuleSet(name);
+    const validation = validateRuleSet(ruleSet, validators);
+    if (!validation.isValid) {
+        throw new Error(`Invalid rule set ${ruleSet.name}: ${validation.errors.join(', ')}`);
+    }
+
+    const selected = {};
+    ruleSet.rules.forEach(ruleId => {
+        selected[ruleId] = validators[ruleId];
+    });
+    return selected;
+}
+
+/**
+ * Creates the descriptor document stored in a rule set's database
+ * @param {Object} ruleSet - Rule set definition
+ * @returns {Object} Descriptor document
+ */
+function createRuleSetDocument(ruleSet) {
+    return {
+        _id: RULE_SET_DOC_ID,
+        name: ruleSet.name,
+        description: ruleSet.description || '',
+        rules: ruleSet.rules,
+        loaded_date: new Date().toISOString()
+    };
+}
+
+module.exports = {
+    RULE_SETS,
+    RULE_SET_DOC_ID,
+    listRuleSets,
+    getRuleSet,
+    validateRuleSet,
+    selectRuleSetValidators,
+    createRuleSetDocument
+};
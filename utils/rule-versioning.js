@@ -0,0 +1,6 @@
+/**
+ * Rule Versioning
+ * Shared with the web interface - see web/js/shared/rule-versioning.js
+ */
+
+module.exports = require('../web/js/shared/rule-versioning');
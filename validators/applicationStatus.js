@@ -0,0 +1,11 @@
+const { createRuleMetadata, VALIDATOR_METADATA } = require('../utils/rule-metadata');
+const { compileRuleFunction } = require('../utils/rule-definition');
+
+// Declarative definition for application status - edit applicationStatus.json to change the allowed transitions
+exports.definition = require('./applicationStatus.json');
+
+// Validation rule for application status changes, compiled from the definition; compares with oldDoc
+exports.applicationStatus = compileRuleFunction(exports.definition);
+
+// Export metadata for this validator
+exports.metadata = createRuleMetadata(VALIDATOR_METADATA.applicationStatus);
\ No newline at end of file
@@ -0,0 +1,11 @@
+const { createRuleMetadata, VALIDATOR_METADATA } = require('../utils/rule-metadata');
+const { compileScoringFunction } = require('../utils/rule-scoring');
+
+// Scoring definition for benefit tiers - edit benefitTier.json to change income bands or tier cut-offs
+exports.definition = require('./benefitTier.json');
+
+// Scoring rule for benefit tier, compiled from the definition
+exports.benefitTier = compileScoringFunction(exports.definition);
+
+// Export metadata for this rule
+exports.metadata = createRuleMetadata(VALIDATOR_METADATA.benefitTier);
\ No newline at end of file
@@ -1,14 +1,12 @@
 const { createRuleMetadata, VALIDATOR_METADATA } = require('../utils/rule-metadata');
+const { compileRuleFunction } = require('../utils/rule-definition');
+const { getParameterDefaults } = require('../utils/rule-parameters');
 
-// Validation rule for household income
-exports.householdIncome = function (doc) {
-    if (doc.income > 25000) {
-        throw ({
-            forbidden: 'Income must be lower than $25,000'
-        });
-    }
-    return true;
-};
+// Declarative definition for household income - the threshold is the maximumIncome parameter
+exports.definition = require('./householdIncome.json');
 
 // Export metadata for this validator
-exports.metadata = createRuleMetadata(VALIDATOR_METADATA.householdIncome);
\ No newline at end of file
+exports.metadata = createRuleMetadata(VALIDATOR_METADATA.householdIncome);
+
+// Validation rule for household income, compiled from the definition with the default threshold
+exports.householdIncome = compileRuleFunction(exports.definition, getParameterDefaults(exports.metadata));
\ No newline at end of file
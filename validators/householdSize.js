@@ -1,14 +1,15 @@
 const { createRuleMetadata, VALIDATOR_METADATA } = require('../utils/rule-metadata');
+const { bindParameters } = require('../utils/rule-parameters');
 
-// Validation rule for household size
-exports.householdSize = function (doc) {
-    if (doc.householdSize < 3) {
+// Export metadata for this validator
+exports.metadata = createRuleMetadata(VALIDATOR_METADATA.householdSize);
+
+// Validation rule for household size - the threshold is the minimumSize parameter
+exports.householdSize = bindParameters(function (doc) {
+    if (doc.householdSize < params.minimumSize) {
         throw ({
-            forbidden: 'Household size must be greater than 2.'
+            forbidden: message('Household size must be at least {minimumSize}.')
         });
     }
     return true;
-};
-
-// Export metadata for this validator
-exports.metadata = createRuleMetadata(VALIDATOR_METADATA.householdSize);
\ No newline at end of file
+}, exports.metadata);
\ No newline at end of file
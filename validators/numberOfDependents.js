@@ -1,14 +1,15 @@
 const { createRuleMetadata, VALIDATOR_METADATA } = require('../utils/rule-metadata');
+const { bindParameters } = require('../utils/rule-parameters');
 
-// Validation rule for number of dependents in household
-exports.numberOfDependents = function (doc) {
-    if (doc.numberOfDependents < 2) {
+// Export metadata for this validator
+exports.metadata = createRuleMetadata(VALIDATOR_METADATA.numberOfDependents);
+
+// Validation rule for number of dependents in household - the threshold is the minimumDependents parameter
+exports.numberOfDependents = bindParameters(function (doc) {
+    if (doc.numberOfDependents < params.minimumDependents) {
         throw ({
-            forbidden: 'The number of dependents in the household must be 1 or more.'
+            forbidden: message('The number of dependents in the household must be {minimumDependents} or more.')
         });
     }
     return true;
-};
-
-// Export metadata for this validator
-exports.metadata = createRuleMetadata(VALIDATOR_METADATA.numberOfDependents);
\ No newline at end of file
+}, exports.metadata);
\ No newline at end of file
@@ -0,0 +1,42 @@
+#!/bin/sh
+# Writes config.json for the web interface from the container's environment.
+# COUCHDB_PUBLIC_URL is the CouchDB URL as seen from the browser, not from inside the Docker network.
+set -e
+
+if [ -z "$COUCHDB_PUBLIC_URL" ]; then
+  echo "COUCHDB_PUBLIC_URL is not set - the web interface will report that it is not configured"
+  exit 0
+fi
+
+COUCHDB_AUTH=${COUCHDB_AUTH:-basic}
+
+# Only basic authentication puts a password in config.json; session users log in with their own
+if [ "$COUCHDB_AUTH" = "basic" ] && [ -n "$COUCHDB_PASSWORD_FILE" ]; then
+  COUCHDB_PASSWORD=$(cat "$COUCHDB_PASSWORD_FILE")
+elif [ "$COUCHDB_AUTH" != "basic" ]; then
+  COUCHDB_PASSWORD=
+fi
+
+if [ "$COUCHDB_AUTH" = "jwt" ] && [ -n "$COUCHDB_JWT_FILE" ]; then
+  COUCHDB_JWT=$(cat "$COUCHDB_JWT_FILE")
+fi
+
+json_string() {
+  printf '"%s"' "$(printf '%s' "$1" | sed 's/\\/\\\\/g; s/"/\\"/g')"
+}
+
+cat > /usr/share/nginx/html/config.json <<JSON
+{
+  "couchdb": {
+    "url": $(json_string "$COUCHDB_PUBLIC_URL"),
+    "auth": $(json_string "$COUCHDB_AUTH"),
+    "username": $(json_string "${COUCHDB_USER:-}"),
+    "password": $(json_string "${COUCHDB_PASSWORD:-}"),
+    "token": $(json_string "${COUCHDB_JWT:-}"),
+    "sandboxUrl": $(json_string "${COUCHDB_SANDBOX_URL:-}"),
+    "database": $(json_string "${COUCHDB_DATABASE:-rules_db}")
+  }
+}
+JSON
+
+echo "Wrote config.json for $COUCHDB_PUBLIC_URL ($COUCHDB_AUTH authentication)"
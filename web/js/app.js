@@ -3,46 +3,122 @@
  * High-contrast, clean, and simple design
  */
 
-// Configuration
+// Configuration, read from config.json at start-up (see config.example.json)
 const config = {
-    couchdb: {
-        url: 'http://localhost:5984',
-        username: 'admin',
-        password: 'password'
-    }
+    couchdb: null
 };
 
+// Password that is only accepted against a CouchDB on this machine
+const DEFAULT_PASSWORD = 'password';
+
+// How the browser authenticates: basic (credentials in config.json), session (log in with a CouchDB user),
+// jwt (a bearer token in config.json) or proxy (a trusted proxy in front of CouchDB adds the user)
+const AUTH_METHODS = ['basic', 'session', 'jwt', 'proxy'];
+
 // Global state
+let defaultDatabase = null;
 let currentRules = [];
+let ruleSets = [];
 let isConnected = false;
+let session = null;
+
+// Views that work through the shared CouchDB client (js/utils/couchdb-client.js), mounted once connected
+const components = {
+    batchTestPanel: null,
+    auditLog: null
+};
 
 // DOM elements
 const elements = {
     statusDot: null,
     statusText: null,
     refreshBtn: null,
+    ruleSetSelect: null,
     loading: null,
     error: null,
     rulesContainer: null,
     ruleDetails: null,
     detailTitle: null,
     detailsContent: null,
-    closeDetailsBtn: null
+    closeDetailsBtn: null,
+    loginForm: null,
+    loginUsername: null,
+    loginPassword: null,
+    loginMessage: null,
+    userInfo: null,
+    userName: null,
+    logoutBtn: null,
+    batchTestSection: null,
+    auditLogSection: null
 };
 
 // Initialize the application
-document.addEventListener('DOMContentLoaded', function() {
+document.addEventListener('DOMContentLoaded', async function() {
     initializeElements();
     bindEvents();
+
+    try {
+        config.couchdb = await loadConfig();
+        defaultDatabase = config.couchdb.database;
+    } catch (error) {
+        updateConnectionStatus('disconnected', 'Not configured');
+        showError(error.message);
+        return;
+    }
+
+    if (config.couchdb.auth === 'session' && !await refreshSession()) {
+        showLogin();
+        return;
+    }
+
+    loadApplication();
+});
+
+// Load everything that needs CouchDB access
+function loadApplication() {
     checkConnection();
+    loadRuleSets();
     loadRules();
-});
+    mountComponents();
+}
+
+// Point the shared CouchDB client at the configured server and rule set, then mount the views that use it
+function mountComponents() {
+    const client = initializeCouchDB({
+        url: config.couchdb.url,
+        database: config.couchdb.database,
+        auth: config.couchdb.auth,
+        username: config.couchdb.username,
+        password: config.couchdb.password,
+        token: config.couchdb.token,
+        sandboxUrl: config.couchdb.sandboxUrl
+    });
+    // The logged-in user, so the client does not have to ask CouchDB again
+    client.session = session;
+
+    elements.batchTestSection.classList.remove('hidden');
+    components.batchTestPanel = components.batchTestPanel || new BatchTestPanel();
+
+    elements.auditLogSection.classList.remove('hidden');
+    if (components.auditLog) {
+        components.auditLog.refresh();
+    } else {
+        components.auditLog = new AuditLog();
+    }
+}
+
+// Hide the views mounted on the shared CouchDB client
+function hideComponents() {
+    elements.batchTestSection.classList.add('hidden');
+    elements.auditLogSection.classList.add('hidden');
+}
 
 // Initialize DOM element references
 function initializeElements() {
     elements.statusDot = document.getElementById('status-dot');
     elements.statusText = document.getElementById('status-text');
     elements.refreshBtn = document.getElementById('refresh-btn');
+    elements.ruleSetSelect = document.getElementById('rule-set-select');
     elements.loading = document.getElementById('loading');
     elements.error = document.getElementById('error');
     elements.rulesContainer = document.getElementById('rules-container');
@@ -50,6 +126,15 @@ function initializeElements() {
     elements.detailTitle = document.getElementById('detail-title');
     elements.detailsContent = document.getElementById('details-content');
     elements.closeDetailsBtn = document.getElementById('close-details');
+    elements.loginForm = document.getElementById('login-form');
+    elements.loginUsername = document.getElementById('login-username');
+    elements.loginPassword = document.getElementById('login-password');
+    elements.loginMessage = document.getElementById('login-message');
+    elements.userInfo = document.getElementById('user-info');
+    elements.userName = document.getElementById('user-name');
+    elements.logoutBtn = document.getElementById('logout-btn');
+    elements.batchTestSection = document.getElementById('batch-test-panel');
+    elements.auditLogSection = document.getElementById('audit-log');
 }
 
 // Bind event listeners
@@ -61,6 +146,204 @@ function bindEvents() {
     elements.closeDetailsBtn.addEventListener('click', function() {
         hideRuleDetails();
     });
+    
+    elements.ruleSetSelect.addEventListener('change', function() {
+        config.couchdb.database = this.value;
+        loadRules();
+        if (components.auditLog) {
+            getCouchDBClient().updateConfig({ database: this.value });
+            components.auditLog.refresh();
+        }
+    });
+
+    elements.loginForm.addEventListener('submit', function(event) {
+        event.preventDefault();
+        login(elements.loginUsername.value, elements.loginPassword.value);
+    });
+
+    elements.logoutBtn.addEventListener('click', function() {
+        logout();
+    });
+
+    // The shared CouchDB client reports an expired session the same way couchFetch does
+    window.addEventListener('couchdb-session-expired', function(event) {
+        if (config.couchdb.auth === 'session' && session) {
+            session = null;
+            showLogin(event.detail.reason + ' - please log in again');
+        }
+    });
+}
+
+// Load and validate config.json, written by the container from its environment or copied from config.example.json
+async function loadConfig() {
+    const response = await fetch('config.json', { cache: 'no-store' });
+    if (!response.ok) {
+        throw new Error('config.json not found (HTTP ' + response.status + ') - copy config.example.json to config.json, or set COUCHDB_PUBLIC_URL for the web container');
+    }
+
+    const couchdb = (await response.json()).couchdb || {};
+    couchdb.auth = couchdb.auth || 'basic';
+    const errors = [];
+    let host = null;
+    try {
+        host = new URL(couchdb.url).hostname;
+    } catch (error) {
+        errors.push('couchdb.url is not a valid URL: ' + couchdb.url);
+    }
+    if (!couchdb.database) {
+        errors.push('couchdb.database is required');
+    }
+    if (!AUTH_METHODS.includes(couchdb.auth)) {
+        errors.push('couchdb.auth must be one of ' + AUTH_METHODS.join(', '));
+    }
+    if (couchdb.auth === 'basic' && host && couchdb.password === DEFAULT_PASSWORD && !['localhost', '127.0.0.1', '[::1]'].includes(host)) {
+        errors.push('Refusing to use the default password against ' + host);
+    }
+    if (couchdb.auth === 'jwt' && !couchdb.token) {
+        errors.push('couchdb.token is required for jwt authentication');
+    }
+    if (couchdb.sandboxUrl) {
+        try {
+            new URL(couchdb.sandboxUrl);
+        } catch (error) {
+            errors.push('couchdb.sandboxUrl is not a valid URL: ' + couchdb.sandboxUrl);
+        }
+    }
+    if (couchdb.auth !== 'basic') {
+        // Only basic authentication uses a configured password; never keep one in memory otherwise
+        delete couchdb.password;
+    }
+    if (errors.length > 0) {
+        throw new Error('Invalid config.json: ' + errors.join('; '));
+    }
+
+    couchdb.url = couchdb.url.replace(/\/$/, '');
+    return couchdb;
+}
+
+// Authorization header for the configured credentials; none for session and proxy authentication,
+// which rely on the browser sending the session cookie or the proxy adding the user
+function authHeaders() {
+    if (config.couchdb.auth === 'jwt') {
+        return { 'Authorization': 'Bearer ' + config.couchdb.token };
+    }
+    if (config.couchdb.auth !== 'basic' || !config.couchdb.username) {
+        return {};
+    }
+    return {
+        'Authorization': 'Basic ' + btoa(config.couchdb.username + ':' + (config.couchdb.password || ''))
+    };
+}
+
+// Read when a JWT expires from its exp claim; null if it has none
+function getTokenExpiry(token) {
+    try {
+        const payload = JSON.parse(atob(token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+        return typeof payload.exp === 'number' ? new Date(payload.exp * 1000) : null;
+    } catch (error) {
+        return null;
+    }
+}
+
+// Fetch from CouchDB with the configured authentication. A 401 means the session or token has expired.
+async function couchFetch(url, options = {}) {
+    if (config.couchdb.auth === 'jwt') {
+        const expiry = getTokenExpiry(config.couchdb.token);
+        if (expiry && expiry.getTime() <= Date.now()) {
+            throw new Error('Your access token expired at ' + expiry.toLocaleString() + ' - reload the page with a new token');
+        }
+    }
+
+    const response = await fetch(url, {
+        ...options,
+        headers: { ...authHeaders(), ...options.headers },
+        credentials: config.couchdb.auth === 'session' || config.couchdb.auth === 'proxy' ? 'include' : 'same-origin'
+    });
+
+    if (response.status === 401 && config.couchdb.auth === 'session' && session) {
+        session = null;
+        showLogin('Your session has expired - please log in again');
+    }
+    return response;
+}
+
+// Check for an existing CouchDB session (the AuthSession cookie is HttpOnly, so ask the server)
+async function refreshSession() {
+    try {
+        const response = await fetch(config.couchdb.url + '/_session', { credentials: 'include' });
+        const userCtx = response.ok ? (await response.json()).userCtx : null;
+        session = userCtx && userCtx.name ? userCtx : null;
+    } catch (error) {
+        console.error('Error checking session:', error);
+        session = null;
+    }
+    showUser();
+    return session !== null;
+}
+
+// Log in as a CouchDB user. The password is sent once and not kept; CouchDB sets the session cookie.
+async function login(username, password) {
+    elements.loginMessage.textContent = '';
+    try {
+        const response = await fetch(config.couchdb.url + '/_session', {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/json' },
+            credentials: 'include',
+            body: JSON.stringify({ name: username, password: password })
+        });
+        const result = await response.json();
+        if (!response.ok) {
+            throw new Error(result.reason || 'HTTP ' + response.status);
+        }
+
+        session = { name: result.name, roles: result.roles || [] };
+        elements.loginPassword.value = '';
+        hideLogin();
+        showUser();
+        loadApplication();
+    } catch (error) {
+        elements.loginMessage.textContent = 'Login failed: ' + error.message;
+    }
+}
+
+// End the CouchDB session
+async function logout() {
+    try {
+        await fetch(config.couchdb.url + '/_session', { method: 'DELETE', credentials: 'include' });
+    } catch (error) {
+        console.error('Error logging out:', error);
+    }
+    session = null;
+    currentRules = [];
+    elements.rulesContainer.innerHTML = '';
+    hideRuleDetails();
+    showLogin();
+}
+
+// Show the login form, with an optional message
+function showLogin(message) {
+    isConnected = false;
+    updateConnectionStatus('disconnected', 'Not logged in');
+    showUser();
+    hideComponents();
+    elements.loginMessage.textContent = message || '';
+    elements.loginForm.classList.remove('hidden');
+    elements.loginUsername.focus();
+}
+
+// Hide the login form
+function hideLogin() {
+    elements.loginForm.classList.add('hidden');
+}
+
+// Show who is logged in
+function showUser() {
+    if (session) {
+        elements.userName.textContent = session.name + (session.roles.length > 0 ? ' (' + session.roles.join(', ') + ')' : '');
+        elements.userInfo.classList.remove('hidden');
+    } else {
+        elements.userInfo.classList.add('hidden');
+    }
 }
 
 // Check CouchDB connection
@@ -68,11 +351,7 @@ async function checkConnection() {
     try {
         updateConnectionStatus('connecting', 'Connecting...');
         
-        const response = await fetch(config.couchdb.url + '/_up', {
-            headers: {
-                'Authorization': 'Basic ' + btoa(config.couchdb.username + ':' + config.couchdb.password)
-            }
-        });
+        const response = await couchFetch(config.couchdb.url + '/_up');
         
         if (response.ok) {
             isConnected = true;
@@ -87,6 +366,35 @@ async function checkConnection() {
     }
 }
 
+// Load the rule sets on the server; each program's rule set lives in its own database
+async function loadRuleSets() {
+    try {
+        const dbResponse = await couchFetch(config.couchdb.url + '/_all_dbs');
+        if (!dbResponse.ok) {
+            throw new Error('HTTP ' + dbResponse.status + ': ' + dbResponse.statusText);
+        }
+        
+        const databases = (await dbResponse.json()).filter(name => !name.startsWith('_'));
+        ruleSets = [];
+        for (const database of databases) {
+            const response = await couchFetch(config.couchdb.url + '/' + encodeURIComponent(database) + '/_local/rule_set');
+            if (response.ok) {
+                const ruleSet = await response.json();
+                ruleSet.database = database;
+                ruleSets.push(ruleSet);
+            }
+        }
+        
+        const options = ['<option value="' + escapeHtml(defaultDatabase) + '">All rules (' + escapeHtml(defaultDatabase) + ')</option>'].concat(ruleSets.map(ruleSet =>
+            '<option value="' + escapeHtml(ruleSet.database) + '">' + escapeHtml(ruleSet.name) + ' (' + escapeHtml(ruleSet.database) + ')</option>'
+        ));
+        elements.ruleSetSelect.innerHTML = options.join('');
+        elements.ruleSetSelect.value = config.couchdb.database;
+    } catch (error) {
+        console.error('Error loading rule sets:', error);
+    }
+}
+
 // Update connection status display
 function updateConnectionStatus(status, text) {
     elements.statusDot.className = 'status-dot ' + status;
@@ -104,12 +412,8 @@ async function loadRules() {
             await checkConnection();
         }
         
-        const url = config.couchdb.url + '/rules_db/_all_docs?startkey="_design/"&endkey="_design/\\ufff0"&include_docs=true';
-        const response = await fetch(url, {
-            headers: {
-                'Authorization': 'Basic ' + btoa(config.couchdb.username + ':' + config.couchdb.password)
-            }
-        });
+        const url = config.couchdb.url + '/' + encodeURIComponent(config.couchdb.database) + '/_all_docs?startkey="_design/"&endkey="_design/\\ufff0"&include_docs=true';
+        const response = await couchFetch(url);
         
         if (!response.ok) {
             throw new Error('HTTP ' + response.status + ': ' + response.statusText);
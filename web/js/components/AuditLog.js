@@ -0,0 +1,201 @@
+/**
+ * AuditLog Component
+ * Lists who created, updated and deleted rules in the current database, newest first,
+ * with filters by rule, user, action, tool and date range
+ */
+
+class AuditLog {
+    constructor() {
+        this.entries = [];
+        this.filters = { ruleId: '', actor: '', action: '', tool: '', since: '', until: '' };
+        this.isLoading = false;
+        this.container = DOM.get('audit-log');
+
+        this.init();
+    }
+
+    /**
+     * Initialize component
+     */
+    init() {
+        if (!this.container) return;
+
+        this.render();
+        this.bindEvents();
+        this.loadEntries();
+    }
+
+    /**
+     * Bind event listeners; the filter form is rendered once, so its listeners are bound once
+     */
+    bindEvents() {
+        DOM.on('audit-filters', 'change', () => {
+            this.readFilters();
+            this.renderEntries();
+        });
+        DOM.on('audit-refresh', 'click', () => this.loadEntries());
+        DOM.on('audit-clear', 'click', () => this.clearFilters());
+    }
+
+    /**
+     * Load the audit log of the current database
+     */
+    async loadEntries() {
+        if (this.isLoading) return;
+
+        this.isLoading = true;
+        try {
+            const result = await getCouchDBClient().getAuditLog();
+            if (!result.success) {
+                Notifications.error(`Failed to load the audit log: ${result.error}`);
+                return;
+            }
+
+            this.entries = result.data;
+            this.renderFilterChoices();
+            this.renderEntries();
+        } finally {
+            this.isLoading = false;
+        }
+    }
+
+    /**
+     * Reload after switching database or changing a rule
+     */
+    refresh() {
+        this.loadEntries();
+    }
+
+    /**
+     * Read the filter form
+     */
+    readFilters() {
+        Object.keys(this.filters).forEach(name => {
+            this.filters[name] = DOM.get(`audit-filter-${name}`).value;
+        });
+    }
+
+    /**
+     * Reset every filter
+     */
+    clearFilters() {
+        Object.keys(this.filters).forEach(name => {
+            this.filters[name] = '';
+            DOM.get(`audit-filter-${name}`).value = '';
+        });
+        this.renderEntries();
+    }
+
+    /**
+     * Render the filter form and an empty table
+     */
+    render() {
+        this.container.innerHTML = `
+            <div class="audit-log">
+                <div class="audit-log-header">
+                    <h3>Audit Log</h3>
+                    <p>Every rule created, updated or deleted - by the loader, the unloader, the command line tool or this interface.</p>
+                </div>
+                <form id="audit-filters" class="audit-filters" onsubmit="return false;">
+                    <label>Rule <select id="audit-filter-ruleId" class="form-control"></select></label>
+                    <label>User <select id="audit-filter-actor" class="form-control"></select></label>
+                    <label>Action
+                        <select id="audit-filter-action" class="form-control">
+                            <option value="">All actions</option>
+                            ${RuleAudit.AUDIT_ACTIONS.map(action => `<option value="${action}">${action}</option>`).join('')}
+                        </select>
+                    </label>
+                    <label>Tool <select id="audit-filter-tool" class="form-control"></select></label>
+                    <label>From <input type="date" id="audit-filter-since" class="form-control"></label>
+                    <label>To <input type="date" id="audit-filter-until" class="form-control"></label>
+                    <div class="audit-filter-actions">
+                        <button type="button" id="audit-clear" class="btn btn-secondary">Clear Filters</button>
+                        <button type="button" id="audit-refresh" class="btn btn-primary">Refresh</button>
+                    </div>
+                </form>
+                <p id="audit-summary" class="audit-summary"></p>
+                <div id="audit-entries"></div>
+            </div>
+        `;
+    }
+
+    /**
+     * Offer the rules, users and tools that appear in the log, keeping the current choices
+     */
+    renderFilterChoices() {
+        const choices = { ruleId: ['rule_id', 'All rules'], actor: ['actor', 'All users'], tool: ['tool', 'All tools'] };
+
+        Object.keys(choices).forEach(name => {
+            const [field, allLabel] = choices[name];
+            const values = RuleAudit.getDistinctValues(this.entries, field);
+            if (this.filters[name] && !values.includes(this.filters[name])) {
+                values.unshift(this.filters[name]);
+            }
+
+            DOM.get(`audit-filter-${name}`).innerHTML = [`<option value="">${allLabel}</option>`]
+                .concat(values.map(value => `
+                    <option value="${StringUtils.escapeHtml(value)}" ${value === this.filters[name] ? 'selected' : ''}>${StringUtils.escapeHtml(value)}</option>
+                `))
+                .join('');
+        });
+    }
+
+    /**
+     * Render the entries matching the filters
+     */
+    renderEntries() {
+        const container = DOM.get('audit-entries');
+        const entries = RuleAudit.filterAuditEntries(this.entries, this.filters);
+        DOM.get('audit-summary').textContent = `Showing ${entries.length} of ${this.entries.length} changes`;
+
+        if (entries.length === 0) {
+            container.innerHTML = `<p class="history-empty">${this.entries.length === 0
+                ? `Nothing recorded yet in ${StringUtils.escapeHtml(RuleAudit.getAuditDatabaseName(getCouchDBClient().getStatus().config.database))}.`
+                : 'No changes match these filters.'}</p>`;
+            return;
+        }
+
+        container.innerHTML = `
+            <table class="audit-table">
+                <thead>
+                    <tr>
+                        <th>When</th>
+                        <th>User</th>
+                        <th>Action</th>
+                        <th>Rule</th>
+                        <th>Revision</th>
+                        <th>Source hash</th>
+                        <th>Tool</th>
+                        <th>Details</th>
+                    </tr>
+                </thead>
+                <tbody>
+                    ${entries.map(entry => `
+                        <tr>
+                            <td title="${StringUtils.escapeHtml(entry.timestamp)}">${StringUtils.escapeHtml(DateUtils.format(entry.timestamp))}</td>
+                            <td>${StringUtils.escapeHtml(entry.actor || 'unknown')}</td>
+                            <td><span class="audit-action audit-${StringUtils.escapeHtml(entry.action)}">${StringUtils.escapeHtml(entry.action)}</span></td>
+                            <td>${StringUtils.escapeHtml(entry.rule_id)}${entry.version ? ` <span class="history-meta">v${StringUtils.escapeHtml(entry.version)}</span>` : ''}</td>
+                            <td><code>${StringUtils.escapeHtml(this.shortRev(entry.old_rev))} → ${StringUtils.escapeHtml(this.shortRev(entry.new_rev))}</code></td>
+                            <td><code title="${StringUtils.escapeHtml(entry.source_hash || '')}">${entry.source_hash ? StringUtils.escapeHtml(entry.source_hash.slice(0, 12)) : '-'}</code></td>
+                            <td>${StringUtils.escapeHtml(entry.tool)}</td>
+                            <td>${StringUtils.escapeHtml(entry.detail || '')}</td>
+                        </tr>
+                    `).join('')}
+                </tbody>
+            </table>
+        `;
+    }
+
+    /**
+     * Shorten a revision to its number and the start of its hash
+     */
+    shortRev(rev) {
+        if (!rev) return '-';
+        const [number, hash] = rev.split('-');
+        return `${number}-${(hash || '').slice(0, 7)}`;
+    }
+}
+
+// Export for global access
+window.AuditLog = AuditLog;
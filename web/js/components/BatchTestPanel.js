@@ -0,0 +1,299 @@
+/**
+ * BatchTestPanel Component
+ * Tests many documents at once: reads a JSON, NDJSON or CSV file and shows a matrix of
+ * document × rule pass/fail with each rule's message, counts, filters and CSV or JSON export
+ */
+
+class BatchTestPanel {
+    constructor() {
+        this.documents = [];
+        this.filename = null;
+        this.matrix = null;
+        this.filters = { result: '', ruleId: '', outcome: '', search: '' };
+        this.isRunning = false;
+        this.container = DOM.get('batch-test-panel');
+
+        this.init();
+    }
+
+    /**
+     * Initialize component
+     */
+    init() {
+        if (!this.container) return;
+
+        this.render();
+        this.bindEvents();
+    }
+
+    /**
+     * Bind event listeners; the form is rendered once, so its listeners are bound once
+     */
+    bindEvents() {
+        DOM.on('batch-file', 'change', (e) => this.readFile(e.target.files[0]));
+        DOM.on('batch-format', 'change', () => this.readFile(DOM.get('batch-file').files[0]));
+        DOM.on('batch-run', 'click', () => this.run());
+        DOM.on('batch-filters', 'input', () => {
+            this.readFilters();
+            this.renderMatrix();
+        });
+        DOM.on('batch-export-csv', 'click', () => this.exportResults('csv'));
+        DOM.on('batch-export-json', 'click', () => this.exportResults('json'));
+    }
+
+    /**
+     * Render the file form, the filters and an empty matrix
+     */
+    render() {
+        const sandboxConfigured = Boolean(getCouchDBClient().config.sandboxUrl);
+
+        this.container.innerHTML = `
+            <div class="batch-test-panel">
+                <div class="test-panel-header">
+                    <h3>Batch Test</h3>
+                    <p>Evaluate every document in a file against every active rule. Nothing is saved.</p>
+                </div>
+                <div class="batch-options">
+                    <div class="form-group">
+                        <label for="batch-file">Documents (JSON array, { "docs": [...] }, NDJSON or CSV with a header row):</label>
+                        <input type="file" id="batch-file" class="form-control" accept=".json,.ndjson,.jsonl,.csv">
+                        <div id="batch-file-feedback" class="form-feedback"></div>
+                    </div>
+                    <div class="form-group">
+                        <label for="batch-format">Format:</label>
+                        <select id="batch-format" class="form-control">
+                            <option value="">Work out from the file</option>
+                            ${RuleBatch.BATCH_FORMATS.map(format => `<option value="${format}">${format.toUpperCase()}</option>`).join('')}
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="batch-engine">Evaluate with:</label>
+                        <select id="batch-engine" class="form-control">
+                            <option value="browser">This browser (quick check)</option>
+                            <option value="sandbox" ${sandboxConfigured ? 'selected' : 'disabled'}>Rule sandbox (as CouchDB runs the deployed rules)</option>
+                        </select>
+                    </div>
+                    <div class="form-group">
+                        <label for="batch-user-name">As user (leave empty for a server admin):</label>
+                        <input type="text" id="batch-user-name" class="form-control" placeholder="e.g. caseworker1">
+                        <input type="text" id="batch-user-roles" class="form-control" placeholder="Roles, e.g. caseworker, supervisor">
+                    </div>
+                    <div class="test-actions">
+                        <button id="batch-run" class="btn btn-primary" disabled>
+                            <span class="btn-icon">▶</span>
+                            Run Batch
+                        </button>
+                    </div>
+                </div>
+                <p id="batch-summary" class="batch-summary"></p>
+                <form id="batch-filters" class="audit-filters" onsubmit="return false;" hidden>
+                    <label>Result
+                        <select id="batch-filter-result" class="form-control">
+                            <option value="">All documents</option>
+                            <option value="valid">Valid</option>
+                            <option value="invalid">Invalid</option>
+                        </select>
+                    </label>
+                    <label>Rule <select id="batch-filter-ruleId" class="form-control"></select></label>
+                    <label>Outcome
+                        <select id="batch-filter-outcome" class="form-control">
+                            <option value="">Any</option>
+                            ${RuleBatch.BATCH_OUTCOMES.map(outcome => `<option value="${outcome}">${outcome}</option>`).join('')}
+                        </select>
+                    </label>
+                    <label>Search <input type="search" id="batch-filter-search" class="form-control" placeholder="Document or message"></label>
+                    <div class="audit-filter-actions">
+                        <button type="button" id="batch-export-csv" class="btn btn-secondary">Export CSV</button>
+                        <button type="button" id="batch-export-json" class="btn btn-secondary">Export JSON</button>
+                    </div>
+                </form>
+                <div id="batch-matrix"></div>
+            </div>
+        `;
+    }
+
+    /**
+     * Read the documents from the chosen file
+     */
+    async readFile(file) {
+        const feedback = DOM.get('batch-file-feedback');
+        this.documents = [];
+        this.filename = file ? file.name : null;
+        DOM.get('batch-run').disabled = true;
+        if (!file) {
+            feedback.textContent = '';
+            return;
+        }
+
+        try {
+            this.documents = RuleBatch.parseBatchDocuments(await file.text(), DOM.get('batch-format').value || null, file.name);
+            feedback.className = 'form-feedback success';
+            feedback.textContent = `${this.documents.length} documents read from ${file.name}`;
+            DOM.get('batch-run').disabled = this.documents.length === 0;
+        } catch (error) {
+            feedback.className = 'form-feedback error';
+            feedback.textContent = `Could not read ${file.name}: ${error.message}`;
+        }
+    }
+
+    /**
+     * Build the CouchDB user context for the simulated user
+     */
+    getUserContext() {
+        const name = DOM.get('batch-user-name').value.trim();
+        const roles = DOM.get('batch-user-roles').value.split(',').map(role => role.trim()).filter(role => role);
+        if (!name && roles.length === 0) {
+            return { db: null, name: null, roles: ['_admin'] };
+        }
+        return { db: null, name: name || null, roles: roles };
+    }
+
+    /**
+     * Evaluate the documents and show the matrix
+     */
+    async run() {
+        if (this.isRunning || this.documents.length === 0) return;
+
+        const button = DOM.get('batch-run');
+        button.disabled = true;
+        button.innerHTML = '<span class="btn-icon spinner">⟳</span> Running...';
+        this.isRunning = true;
+
+        try {
+            const client = getCouchDBClient();
+            const userCtx = this.getUserContext();
+
+            if (DOM.get('batch-engine').value === 'sandbox') {
+                const result = await client.evaluateBatchInSandbox(this.documents, { userCtx: userCtx });
+                if (!result.success) {
+                    throw new Error(result.error);
+                }
+                this.matrix = result.data;
+            } else {
+                const result = await client.evaluateDocuments(this.documents, { userCtx: userCtx });
+                if (!result.success) {
+                    throw new Error(result.error);
+                }
+                this.matrix = RuleBatch.buildBatchMatrix(this.documents, result.data.reports, result.data.rules);
+            }
+
+            this.renderRuleChoices();
+            this.renderMatrix();
+        } catch (error) {
+            console.error('Batch test error:', error);
+            Notifications.error(`Batch test failed: ${error.message}`);
+        } finally {
+            this.isRunning = false;
+            button.disabled = false;
+            button.innerHTML = '<span class="btn-icon">▶</span> Run Batch';
+        }
+    }
+
+    /**
+     * Read the filter form
+     */
+    readFilters() {
+        Object.keys(this.filters).forEach(name => {
+            this.filters[name] = DOM.get(`batch-filter-${name}`).value;
+        });
+    }
+
+    /**
+     * Offer the evaluated rules in the rule filter, keeping the current choice if it is still there
+     */
+    renderRuleChoices() {
+        if (!this.matrix.rules.some(rule => rule.rule_id === this.filters.ruleId)) {
+            this.filters.ruleId = '';
+        }
+
+        DOM.get('batch-filter-ruleId').innerHTML = ['<option value="">Any rule</option>']
+            .concat(this.matrix.rules.map(rule => `
+                <option value="${StringUtils.escapeHtml(rule.rule_id)}" ${rule.rule_id === this.filters.ruleId ? 'selected' : ''}>${StringUtils.escapeHtml(rule.rule_name)}</option>
+            `))
+            .join('');
+    }
+
+    /**
+     * Render the summary and the rows matching the filters
+     */
+    renderMatrix() {
+        if (!this.matrix) return;
+
+        const { summary, rules } = this.matrix;
+        const rows = RuleBatch.filterBatchRows(this.matrix.rows, this.filters);
+        const symbols = { pass: '✓', fail: '✗', skipped: '–' };
+
+        DOM.get('batch-filters').hidden = false;
+        DOM.get('batch-summary').textContent = `${summary.documents} documents: ${summary.valid} valid, ${summary.invalid} invalid` +
+            (rows.length < summary.documents ? ` - showing ${rows.length}` : '');
+
+        DOM.get('batch-matrix').innerHTML = `
+            <div class="batch-matrix-scroll">
+                <table class="audit-table batch-matrix">
+                    <thead>
+                        <tr>
+                            <th>#</th>
+                            <th>Document</th>
+                            <th>Result</th>
+                            ${rules.map(rule => `
+                                <th title="${StringUtils.escapeHtml(rule.rule_name)}${rule.rule_version ? ` v${StringUtils.escapeHtml(rule.rule_version)}` : ''}">
+                                    ${StringUtils.escapeHtml(rule.rule_id)}
+                                    <span class="history-meta">${rule.pass} ✓ · ${rule.fail} ✗ · ${rule.skipped} –</span>
+                                </th>
+                            `).join('')}
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows.length === 0 ? `<tr><td colspan="${rules.length + 3}" class="history-empty">No documents match these filters.</td></tr>` : ''}
+                        ${rows.map(row => `
+                            <tr>
+                                <td>${row.index}</td>
+                                <td>${StringUtils.escapeHtml(row.label)}</td>
+                                <td><span class="batch-cell batch-${row.valid ? 'pass' : 'fail'}">${row.valid ? 'valid' : 'invalid'}</span></td>
+                                ${rules.map(rule => {
+                                    const cell = row.results[rule.rule_id];
+                                    return `
+                                        <td class="batch-cell batch-${cell.outcome}" title="${StringUtils.escapeHtml(cell.message || cell.outcome)}">
+                                            ${symbols[cell.outcome]}
+                                            ${cell.outcome === 'fail' ? `<span class="batch-message">${StringUtils.escapeHtml(cell.message)}</span>` : ''}
+                                        </td>
+                                    `;
+                                }).join('')}
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
+    }
+
+    /**
+     * Download the rows shown as CSV, or the matrix with those rows as JSON
+     */
+    exportResults(format) {
+        if (!this.matrix) {
+            Notifications.error('Run a batch test first');
+            return;
+        }
+
+        const rows = RuleBatch.filterBatchRows(this.matrix.rows, this.filters);
+        const content = format === 'csv'
+            ? RuleBatch.formatBatchCsv(this.matrix, rows)
+            : JSON.stringify({ ...this.matrix, source: this.filename, rows: rows }, null, 2);
+        const blob = new Blob([content], { type: format === 'csv' ? 'text/csv' : 'application/json' });
+
+        const url = URL.createObjectURL(blob);
+        const a = document.createElement('a');
+        a.href = url;
+        a.download = `batch-results-${Date.now()}.${format}`;
+        document.body.appendChild(a);
+        a.click();
+        document.body.removeChild(a);
+        URL.revokeObjectURL(url);
+
+        Notifications.success(`Exported ${rows.length} documents`);
+    }
+}
+
+// Export for global access
+window.BatchTestPanel = BatchTestPanel;
@@ -1,11 +1,16 @@
 /**
  * RuleDetails Component
- * Displays comprehensive rule information including version numbers
+ * Displays comprehensive rule information including version numbers, the rule's
+ * version history with side-by-side diffs, rollback to an earlier version, and the
+ * proposed changes waiting for another user to approve or reject them
  */
 
 class RuleDetails {
     constructor() {
         this.currentRule = null;
+        this.history = [];
+        this.proposals = [];
+        this.currentUser = null;
         this.isVisible = false;
         this.modal = null;
         
@@ -114,6 +119,24 @@ class RuleDetails {
                             </div>
                         </div>
 
+                        <!-- Version History Section -->
+                        <div class="rule-section history-section">
+                            <h3>Version History</h3>
+                            <div id="rule-history" class="rule-history">
+                                <p class="history-empty">Loading history...</p>
+                            </div>
+                            <div id="rule-history-diff" class="rule-history-diff"></div>
+                        </div>
+
+                        <!-- Proposed Changes Section -->
+                        <div class="rule-section review-section">
+                            <h3>Proposed Changes</h3>
+                            <div id="rule-proposals" class="rule-proposals">
+                                <p class="history-empty">Loading proposals...</p>
+                            </div>
+                            <div id="rule-proposal-diff" class="rule-history-diff"></div>
+                        </div>
+
                         <!-- Rule Overview Section -->
                         <div class="rule-section">
                             <h3>Rule Overview</h3>
@@ -123,6 +146,23 @@ class RuleDetails {
                                         <label>Status:</label>
                                         <span class="status-badge status-${metadata.status || 'unknown'}">${StringUtils.capitalize(metadata.status || 'Unknown')}</span>
                                     </div>
+                                    <div class="metadata-item">
+                                        <label>Rule Type:</label>
+                                        <span>${StringUtils.capitalize(metadata.ruleType)}</span>
+                                    </div>
+                                    <div class="metadata-item">
+                                        <label>Priority:</label>
+                                        <span title="Lower numbers run first">${metadata.priority}</span>
+                                    </div>
+                                    <div class="metadata-item">
+                                        <label>Effective:</label>
+                                        <span class="schedule-badge schedule-${metadata.scheduleState}">${StringUtils.capitalize(metadata.scheduleState)}</span>
+                                        <span>${StringUtils.escapeHtml(DataFormat.describeSchedule(metadata.effectiveFrom, metadata.effectiveUntil))}</span>
+                                    </div>
+                                    <div class="metadata-item">
+                                        <label>Applies To:</label>
+                                        <span>${StringUtils.escapeHtml(DataFormat.describeAppliesTo(metadata.appliesTo))}</span>
+                                    </div>
                                     <div class="metadata-item">
                                         <label>Author:</label>
                                         <span>${StringUtils.escapeHtml(metadata.author || 'Unknown')}</span>
@@ -155,6 +195,8 @@ class RuleDetails {
                             </div>
                         </div>
 
+                        ${this.renderParameters(metadata.parameters)}
+
                         <!-- Technical Information Section -->
                         <div class="rule-section">
                             <h3>Technical Information</h3>
@@ -178,12 +220,13 @@ class RuleDetails {
 
                         <!-- Validation Function Section -->
                         <div class="rule-section">
-                            <h3>Validation Function</h3>
+                            <h3>${metadata.ruleType === 'scoring' ? 'Determination Handler' : 'Validation Function'}</h3>
                             <div class="code-container">
                                 <pre><code class="javascript">${StringUtils.escapeHtml(
                                     this.currentRule.validate_doc_update || 
                                     this.currentRule.doc?.validate_doc_update || 
                                     this.currentRule.value?.validate_doc_update ||
+                                    this.currentRule.doc?.updates?.determine ||
                                     'No validation function available'
                                 )}</code></pre>
                             </div>
@@ -201,6 +244,374 @@ class RuleDetails {
                 </div>
             </div>
         `;
+
+        this.loadHistory();
+        this.loadProposals();
+    }
+
+    /**
+     * Get the current rule's ID and deployed revision
+     */
+    getRuleIdentity() {
+        const rule = this.currentRule || {};
+        return {
+            ruleId: (rule._id || rule.id || rule.doc?._id || '').replace('_design/', ''),
+            rev: rule._rev || rule.rev || rule.value?.rev || rule.doc?._rev || null
+        };
+    }
+
+    /**
+     * Get the current rule as a design document, for comparing with history entries
+     */
+    getCurrentDocument() {
+        const rule = this.currentRule || {};
+        return rule.doc || {
+            validate_doc_update: rule.validate_doc_update || rule.validationFunction,
+            updates: rule.updates,
+            rule_definition: rule.rule_definition || rule.definition || undefined,
+            rule_parameters: rule.rule_parameters || rule.parameterValues || undefined,
+            rule_metadata: rule.rule_metadata || rule.metadata
+        };
+    }
+
+    /**
+     * Load the rule's version history into the timeline
+     */
+    async loadHistory() {
+        const { ruleId } = this.getRuleIdentity();
+        const container = document.getElementById('rule-history');
+        if (!container || !ruleId) return;
+
+        const result = await getCouchDBClient().getRuleHistory(ruleId);
+        if (!result.success) {
+            container.innerHTML = `<p class="history-empty">Could not load the version history: ${StringUtils.escapeHtml(result.error)}</p>`;
+            return;
+        }
+
+        this.history = result.data;
+        container.innerHTML = this.renderHistory();
+    }
+
+    /**
+     * Render the version timeline, newest first
+     */
+    renderHistory() {
+        if (this.history.length === 0) {
+            return '<p class="history-empty">No versions recorded yet. The loader records each version it deploys.</p>';
+        }
+
+        const { rev } = this.getRuleIdentity();
+        return `
+            <ol class="history-timeline">
+                ${[...this.history].reverse().map(entry => {
+                    const deployed = entry.rev === rev;
+                    return `
+                        <li class="history-entry ${deployed ? 'history-entry-deployed' : ''}">
+                            <div class="history-entry-header">
+                                <span class="version-badge">v${StringUtils.escapeHtml(entry.version || '?')}</span>
+                                <span class="history-sequence">#${entry.sequence}</span>
+                                ${entry.action === 'rollback' ? `<span class="history-action">Rollback to #${entry.rolled_back_from}</span>` : ''}
+                                ${deployed ? '<span class="history-action history-deployed">Deployed</span>' : ''}
+                                <span class="history-meta">${StringUtils.escapeHtml(DateUtils.format(entry.published_at))} by ${StringUtils.escapeHtml(entry.published_by || 'unknown')}</span>
+                            </div>
+                            ${entry.change_notes ? `<p class="history-notes">${StringUtils.escapeHtml(entry.change_notes)}</p>` : ''}
+                            <div class="history-actions">
+                                ${entry.sequence > 1 ? `<button class="btn btn-sm btn-secondary" onclick="window.ruleDetails.showDiff(${entry.sequence}, 'previous')">Compare with previous</button>` : ''}
+                                ${deployed ? '' : `
+                                    <button class="btn btn-sm btn-secondary" onclick="window.ruleDetails.showDiff(${entry.sequence}, 'current')">Compare with deployed</button>
+                                    <button class="btn btn-sm btn-primary" onclick="window.ruleDetails.rollback(${entry.sequence})">Roll back to this version</button>
+                                `}
+                            </div>
+                        </li>
+                    `;
+                }).join('')}
+            </ol>
+        `;
+    }
+
+    /**
+     * Show a side-by-side diff of a history entry against the entry before it, or against the deployed rule
+     * @param {number} sequence - History entry
+     * @param {string} against - previous or current
+     */
+    showDiff(sequence, against) {
+        const index = this.history.findIndex(entry => entry.sequence === sequence);
+        if (index === -1) return;
+
+        const entry = this.history[index];
+        const [before, after, beforeLabel, afterLabel] = against === 'previous'
+            ? [this.history[index - 1], entry, `#${this.history[index - 1].sequence} (v${this.history[index - 1].version || '?'})`, `#${entry.sequence} (v${entry.version || '?'})`]
+            : [entry, this.getCurrentDocument(), `#${entry.sequence} (v${entry.version || '?'})`, 'Deployed'];
+
+        this.renderDiff('rule-history-diff', before, after, beforeLabel, afterLabel);
+    }
+
+    /**
+     * Render a side-by-side diff of two versions of the rule, with the fields that changed
+     * @param {string} containerId - Element to render the diff into
+     */
+    renderDiff(containerId, before, after, beforeLabel, afterLabel) {
+        const container = document.getElementById(containerId);
+        if (!container) return;
+
+        const rows = RuleHistory.diffLines(RuleHistory.getRuleSource(before), RuleHistory.getRuleSource(after));
+        const fields = RuleHistory.diffFields(before, after);
+        const cell = (line, type) => line
+            ? `<td class="diff-line-number">${line.number}</td><td class="diff-text diff-${type}"><code>${StringUtils.escapeHtml(line.text)}</code></td>`
+            : '<td class="diff-line-number"></td><td class="diff-text diff-empty"></td>';
+
+        container.innerHTML = `
+            <div class="history-diff-header">
+                <h4>${StringUtils.escapeHtml(beforeLabel)} &rarr; ${StringUtils.escapeHtml(afterLabel)}</h4>
+                <button class="btn btn-sm btn-secondary" onclick="document.getElementById('${containerId}').innerHTML = ''">Close</button>
+            </div>
+            ${fields.length > 0 ? `
+                <table class="parameters-table history-field-changes">
+                    <thead>
+                        <tr><th>Field</th><th>${StringUtils.escapeHtml(beforeLabel)}</th><th>${StringUtils.escapeHtml(afterLabel)}</th></tr>
+                    </thead>
+                    <tbody>
+                        ${fields.map(change => `
+                            <tr>
+                                <td><code>${StringUtils.escapeHtml(change.field)}</code></td>
+                                <td><code>${StringUtils.escapeHtml(change.before)}</code></td>
+                                <td><code>${StringUtils.escapeHtml(change.after)}</code></td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            ` : ''}
+            ${rows.every(row => row.type === 'same') ? '<p class="history-empty">The source is identical.</p>' : `
+                <table class="history-diff">
+                    <tbody>
+                        ${rows.map(row => `<tr>${cell(row.left, row.type === 'same' ? 'same' : 'removed')}${cell(row.right, row.type === 'same' ? 'same' : 'added')}</tr>`).join('')}
+                    </tbody>
+                </table>
+            `}
+        `;
+    }
+
+    /**
+     * Redeploy a history entry and record the rollback
+     * @param {number} sequence - History entry to restore
+     */
+    async rollback(sequence) {
+        const { ruleId } = this.getRuleIdentity();
+        const entry = this.history.find(candidate => candidate.sequence === sequence);
+        if (!entry || !window.confirm(`Roll ${ruleId} back to version ${entry.version || '?'} (history entry ${sequence})? The rule takes effect immediately.`)) {
+            return;
+        }
+
+        const result = await getCouchDBClient().rollbackRule(ruleId, sequence);
+        if (!result.success) {
+            Notifications.error(`Rollback failed: ${result.error}`);
+            return;
+        }
+
+        const problems = [result.historyError, result.auditError].filter(Boolean);
+        if (problems.length > 0) {
+            problems.forEach(message => Notifications.error(message));
+        } else {
+            Notifications.success(`${ruleId} rolled back to version ${entry.version || '?'}`);
+        }
+        await this.showRule(ruleId);
+
+        if (window.ruleList) {
+            window.ruleList.refresh();
+        }
+        if (window.auditLog) {
+            window.auditLog.refresh();
+        }
+    }
+
+    /**
+     * Load the rule's proposed changes and the user reviewing them
+     */
+    async loadProposals() {
+        const { ruleId } = this.getRuleIdentity();
+        const container = document.getElementById('rule-proposals');
+        if (!container || !ruleId) return;
+
+        const client = getCouchDBClient();
+        const result = await client.getProposals(ruleId);
+        if (!result.success) {
+            container.innerHTML = `<p class="history-empty">Could not load proposed changes: ${StringUtils.escapeHtml(result.error)}</p>`;
+            return;
+        }
+
+        try {
+            this.currentUser = await client.getCurrentUser();
+        } catch (error) {
+            this.currentUser = null;
+        }
+        this.proposals = result.data;
+        container.innerHTML = this.renderProposals();
+    }
+
+    /**
+     * Render the rule's proposals, newest first, with review controls for open ones
+     */
+    renderProposals() {
+        if (this.proposals.length === 0) {
+            return '<p class="history-empty">No changes proposed. Use Propose Change on a declarative rule to submit one for review.</p>';
+        }
+
+        return `
+            <ol class="history-timeline">
+                ${[...this.proposals].reverse().map(proposal => {
+                    const ownProposal = proposal.proposed_by === this.currentUser;
+                    return `
+                        <li class="history-entry review-entry-${proposal.status}">
+                            <div class="history-entry-header">
+                                <span class="version-badge">v${StringUtils.escapeHtml(proposal.base_version || '?')} &rarr; v${StringUtils.escapeHtml(proposal.rule_metadata.version)}</span>
+                                <span class="review-badge review-${proposal.status}">${StringUtils.escapeHtml(RuleReview.PROPOSAL_STATUS_LABELS[proposal.status] || proposal.status)}</span>
+                                <span class="history-meta">Proposed ${StringUtils.escapeHtml(DateUtils.format(proposal.proposed_at))} by ${StringUtils.escapeHtml(proposal.proposed_by)}</span>
+                            </div>
+                            <p class="history-notes">${StringUtils.escapeHtml(proposal.rule_metadata.change_notes)}</p>
+                            ${proposal.reviewed_by ? `
+                                <p class="review-comment">
+                                    ${proposal.status === 'rejected' ? 'Rejected' : 'Approved'} by ${StringUtils.escapeHtml(proposal.reviewed_by)}
+                                    ${proposal.review_comment ? `: ${StringUtils.escapeHtml(proposal.review_comment)}` : ''}
+                                </p>
+                            ` : ''}
+                            <div class="history-actions">
+                                <button class="btn btn-sm btn-secondary" onclick="window.ruleDetails.showProposalDiff(${proposal.sequence})">Compare with deployed</button>
+                                ${proposal.status === 'approved' ? `<button class="btn btn-sm btn-primary" onclick="window.ruleDetails.publishProposal(${proposal.sequence})">Publish</button>` : ''}
+                            </div>
+                            ${proposal.status === 'pending' ? (ownProposal ? `
+                                <p class="history-empty">Waiting for another user to review your change.</p>
+                            ` : `
+                                <div class="review-form">
+                                    <textarea id="review-comment-${proposal.sequence}" class="form-control" rows="2"
+                                              placeholder="Comments (required to reject)"></textarea>
+                                    <div class="history-actions">
+                                        <button class="btn btn-sm btn-primary" onclick="window.ruleDetails.reviewProposal(${proposal.sequence}, 'approve')">Approve and publish</button>
+                                        <button class="btn btn-sm btn-secondary" onclick="window.ruleDetails.reviewProposal(${proposal.sequence}, 'reject')">Reject</button>
+                                    </div>
+                                </div>
+                            `) : ''}
+                        </li>
+                    `;
+                }).join('')}
+            </ol>
+        `;
+    }
+
+    /**
+     * Compare a proposal with the deployed rule
+     * @param {number} sequence - Proposal sequence
+     */
+    showProposalDiff(sequence) {
+        const proposal = this.proposals.find(candidate => candidate.sequence === sequence);
+        if (!proposal) return;
+
+        let proposed;
+        try {
+            proposed = RuleReview.buildProposalDocument(proposal);
+        } catch (error) {
+            Notifications.error(`Could not compile the proposed definition: ${error.message}`);
+            return;
+        }
+        this.renderDiff('rule-proposal-diff', this.getCurrentDocument(), proposed, 'Deployed', `Proposed v${proposal.rule_metadata.version}`);
+    }
+
+    /**
+     * Approve or reject a pending proposal; an approved proposal is published straight away
+     * @param {number} sequence - Proposal sequence
+     * @param {string} decision - approve or reject
+     */
+    async reviewProposal(sequence, decision) {
+        const proposal = this.proposals.find(candidate => candidate.sequence === sequence);
+        const commentInput = document.getElementById(`review-comment-${sequence}`);
+        if (!proposal) return;
+
+        if (decision === 'approve' && !window.confirm(`Approve ${proposal.rule_id} v${proposal.rule_metadata.version} and publish it? The rule takes effect immediately.`)) {
+            return;
+        }
+
+        const result = await getCouchDBClient().reviewProposal(proposal._id, decision, commentInput ? commentInput.value : '');
+        await this.afterReview(proposal, result, decision === 'approve' ? 'approved and published' : 'rejected');
+    }
+
+    /**
+     * Publish a proposal that was approved but not yet published
+     * @param {number} sequence - Proposal sequence
+     */
+    async publishProposal(sequence) {
+        const proposal = this.proposals.find(candidate => candidate.sequence === sequence);
+        if (!proposal) return;
+
+        const result = await getCouchDBClient().publishProposal(proposal._id);
+        await this.afterReview(proposal, result, 'published');
+    }
+
+    /**
+     * Report a review or publish and reload the rule
+     */
+    async afterReview(proposal, result, outcome) {
+        const { ruleId } = this.getRuleIdentity();
+        if (!result.success) {
+            Notifications.error(result.error);
+            await this.loadProposals();
+            return;
+        }
+
+        const problems = [result.historyError, result.auditError].filter(Boolean);
+        if (problems.length > 0) {
+            problems.forEach(message => Notifications.error(message));
+        } else {
+            Notifications.success(`${proposal.rule_id} v${proposal.rule_metadata.version} ${outcome}`);
+        }
+        await this.showRule(ruleId);
+
+        if (window.ruleList) {
+            window.ruleList.refresh();
+        }
+        if (window.auditLog) {
+            window.auditLog.refresh();
+        }
+    }
+
+    /**
+     * Render the rule's parameters with their defaults and deployed values
+     */
+    renderParameters(parameters) {
+        const rows = DataFormat.describeParameters(
+            parameters,
+            this.currentRule.parameterValues || this.currentRule.rule_parameters || this.currentRule.doc?.rule_parameters
+        );
+        if (rows.length === 0) {
+            return '';
+        }
+
+        return `
+            <!-- Parameters Section -->
+            <div class="rule-section">
+                <h3>Parameters</h3>
+                <table class="parameters-table">
+                    <thead>
+                        <tr>
+                            <th>Name</th>
+                            <th>Type</th>
+                            <th>Default</th>
+                            <th>Deployed Value</th>
+                            <th>Description</th>
+                        </tr>
+                    </thead>
+                    <tbody>
+                        ${rows.map(row => `
+                            <tr>
+                                <td><code>${StringUtils.escapeHtml(row.name)}</code></td>
+                                <td>${StringUtils.escapeHtml(row.type)}</td>
+                                <td><code>${StringUtils.escapeHtml(row.defaultValue)}</code></td>
+                                <td><code class="${row.overridden ? 'parameter-overridden' : ''}">${StringUtils.escapeHtml(row.value)}</code></td>
+                                <td>${StringUtils.escapeHtml(row.description)}</td>
+                            </tr>
+                        `).join('')}
+                    </tbody>
+                </table>
+            </div>
+        `;
     }
 
     /**
@@ -268,6 +679,8 @@ class RuleDetails {
             this.isVisible = false;
             document.body.classList.remove('modal-open');
             this.currentRule = null;
+            this.history = [];
+            this.proposals = [];
         }
     }
 
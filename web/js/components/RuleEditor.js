@@ -1,12 +1,35 @@
 /**
  * RuleEditor Component
- * For viewing rule details (read-only initially per roadmap)
+ * For viewing rule details and editing declarative rule definitions as forms.
+ * Edits are submitted as proposals; they go live once another user approves them.
+ * Definitions are validated and compiled by RuleDefinition (web/js/shared/rule-definition.js).
  */
 
+/**
+ * How each RuleDefinition operator reads in the form and in descriptions
+ */
+const OPERATOR_LABELS = {
+    eq: 'equals',
+    ne: 'does not equal',
+    gt: 'is greater than',
+    gte: 'is at least',
+    lt: 'is less than',
+    lte: 'is at most',
+    in: 'is one of',
+    not_in: 'is not one of',
+    exists: 'is present',
+    not_empty: 'is not empty',
+    unchanged: 'is unchanged from oldDoc',
+    transition: 'only changes from oldDoc as'
+};
+
 class RuleEditor {
     constructor() {
         this.currentRule = null;
         this.isEditing = false;
+        this.draftDefinition = null;
+        this.draftVersion = '';
+        this.draftChangeNotes = '';
         
         this.init();
     }
@@ -43,6 +66,15 @@ class RuleEditor {
             });
         }
         
+        // Declarative definition editing
+        DOM.on(document, 'click', '#edit-definition-btn', () => this.editCurrentRule());
+        DOM.on(document, 'click', '#save-definition-btn', () => this.proposeDefinition());
+        DOM.on(document, 'click', '#cancel-definition-btn', () => this.showRuleDetails(this.currentRule));
+        DOM.on(document, 'click', '#add-condition-btn', () => this.addCondition());
+        DOM.on(document, 'click', '.remove-condition-btn', (e) => {
+            this.removeCondition(parseInt(e.target.dataset.index));
+        });
+        
         // Keyboard shortcuts
         document.addEventListener('keydown', (e) => {
             if (e.key === 'Escape') {
@@ -56,6 +88,8 @@ class RuleEditor {
      */
     showRuleDetails(rule) {
         this.currentRule = rule;
+        this.isEditing = false;
+        this.draftDefinition = null;
         
         const metadata = DataFormat.formatRuleMetadata(rule.metadata);
         const validationFunction = DataFormat.formatValidationFunction(rule.validationFunction);
@@ -73,6 +107,7 @@ class RuleEditor {
         Modal.hide();
         this.currentRule = null;
         this.isEditing = false;
+        this.draftDefinition = null;
     }
     
     /**
@@ -149,6 +184,14 @@ class RuleEditor {
                     </div>
                 </div>
                 
+                ${this.currentRule.definition ? `
+                    <!-- Declarative Definition Section -->
+                    <div class="rule-details-section">
+                        <h4 class="rule-details-title">Rule Definition</h4>
+                        <p>${StringUtils.escapeHtml(this.describeDefinition(this.currentRule.definition))}</p>
+                    </div>
+                ` : ''}
+                
                 <!-- Validation Function Section -->
                 <div class="rule-details-section">
                     <h4 class="rule-details-title">Validation Function</h4>
@@ -190,10 +233,32 @@ class RuleEditor {
      * Render modal footer with actions
      */
     renderModalFooter() {
+        const editButton = this.currentRule && this.currentRule.definition ?
+            '<button class="btn btn-primary" id="edit-definition-btn">Propose Change</button>' : '';
+        
         return `
+            ${editButton}
             <button class="btn btn-secondary" id="modal-cancel">Close</button>`;
     }
     
+    /**
+     * Describe a declarative definition in plain language
+     */
+    describeDefinition(definition) {
+        const describeCheck = (check) => {
+            const operator = OPERATOR_LABELS[check.operator] || check.operator;
+            return RuleDefinition.UNARY_OPERATORS.includes(check.operator) ?
+                `${check.field} ${operator}` :
+                `${check.field} ${operator} ${this.formatValue(check.value)}`;
+        };
+        
+        const conditions = definition.conditions || [];
+        const prefix = conditions.length > 0 ?
+            `When ${conditions.map(describeCheck).join(' and ')}, ` : '';
+        
+        return `${prefix}${describeCheck(definition)}; otherwise: "${definition.message}"`;
+    }
+    
     /**
      * Test current rule
      */
@@ -210,10 +275,261 @@ class RuleEditor {
     }
     
     /**
-     * Edit current rule (placeholder for Phase 2)
+     * Edit current rule's declarative definition
      */
     editCurrentRule() {
-        Notifications.error('Rule editing will be available in Phase 2 of the roadmap');
+        if (!this.currentRule) return;
+        
+        if (!this.currentRule.definition) {
+            Notifications.error('Only declarative rules can be edited as forms');
+            return;
+        }
+        
+        this.isEditing = true;
+        this.draftDefinition = deepClone(this.currentRule.definition);
+        this.draftVersion = '';
+        this.draftChangeNotes = '';
+        this.renderDefinitionForm();
+    }
+    
+    /**
+     * Render the definition editing form in the modal
+     */
+    renderDefinitionForm() {
+        const metadata = DataFormat.formatRuleMetadata(this.currentRule.metadata);
+        const definition = this.draftDefinition;
+        const conditions = definition.conditions || [];
+        
+        const content = `
+            <div class="rule-details">
+                <div class="rule-details-section">
+                    <h4 class="rule-details-title">Requirement</h4>
+                    ${this.renderCheckFields(definition, 'rule')}
+                    <div class="form-group">
+                        <label for="definition-message">Error message</label>
+                        <input type="text" id="definition-message" class="form-control"
+                               value="${StringUtils.escapeHtml(definition.message || '')}">
+                    </div>
+                </div>
+                
+                <div class="rule-details-section">
+                    <h4 class="rule-details-title">Change</h4>
+                    <p>Changes are reviewed by another user before they take effect.</p>
+                    <div class="form-grid">
+                        <div class="form-group">
+                            <label for="proposal-version">New version (deployed: ${StringUtils.escapeHtml(metadata.version)})</label>
+                            <input type="text" id="proposal-version" class="form-control"
+                                   value="${StringUtils.escapeHtml(this.draftVersion || '')}">
+                        </div>
+                        <div class="form-group">
+                            <label for="proposal-change-notes">Change notes</label>
+                            <input type="text" id="proposal-change-notes" class="form-control"
+                                   value="${StringUtils.escapeHtml(this.draftChangeNotes || '')}">
+                        </div>
+                    </div>
+                </div>
+                
+                <div class="rule-details-section">
+                    <h4 class="rule-details-title">Conditions</h4>
+                    <p>The requirement is only checked when every condition holds.</p>
+                    ${conditions.map((condition, index) => `
+                        <div class="definition-condition">
+                            ${this.renderCheckFields(condition, 'condition', index)}
+                            <button class="btn btn-sm btn-secondary remove-condition-btn" data-index="${index}">
+                                Remove
+                            </button>
+                        </div>
+                    `).join('')}
+                    <button class="btn btn-sm btn-secondary" id="add-condition-btn">Add Condition</button>
+                </div>
+            </div>
+        `;
+        
+        const footer = `
+            <button class="btn btn-primary" id="save-definition-btn">Submit for Review</button>
+            <button class="btn btn-secondary" id="cancel-definition-btn">Cancel</button>`;
+        
+        Modal.show(`Edit ${metadata.name}`, content, footer);
+    }
+    
+    /**
+     * Render field/operator/value inputs for a check
+     */
+    renderCheckFields(check, kind, index = 0) {
+        const operators = RuleDefinition.OPERATORS.map(operator => `
+            <option value="${operator}" ${operator === check.operator ? 'selected' : ''}>
+                ${OPERATOR_LABELS[operator]}
+            </option>
+        `).join('');
+        
+        return `
+            <div class="form-grid definition-check" data-kind="${kind}" data-index="${index}">
+                <div class="form-group">
+                    <label>Field</label>
+                    <input type="text" class="form-control check-field"
+                           value="${StringUtils.escapeHtml(check.field || '')}">
+                </div>
+                <div class="form-group">
+                    <label>Operator</label>
+                    <select class="form-control check-operator">${operators}</select>
+                </div>
+                <div class="form-group">
+                    <label>Value</label>
+                    <input type="text" class="form-control check-value"
+                           placeholder="Comma-separate list values; transitions as draft > submitted"
+                           value="${StringUtils.escapeHtml(this.formatValue(check.value))}">
+                </div>
+            </div>
+        `;
+    }
+    
+    /**
+     * Read the definition currently entered in the form
+     */
+    readDefinitionForm() {
+        const readCheck = (element) => {
+            const operator = element.querySelector('.check-operator').value;
+            const check = {
+                field: element.querySelector('.check-field').value.trim(),
+                operator: operator
+            };
+            
+            if (!RuleDefinition.UNARY_OPERATORS.includes(operator)) {
+                check.value = this.parseValue(element.querySelector('.check-value').value, operator);
+            }
+            
+            return check;
+        };
+        
+        const definition = readCheck(DOM.query('.definition-check[data-kind="rule"]'));
+        definition.message = DOM.get('definition-message').value.trim();
+        
+        const conditions = Array.from(DOM.queryAll('.definition-check[data-kind="condition"]')).map(readCheck);
+        if (conditions.length > 0) {
+            definition.conditions = conditions;
+        }
+        
+        return definition;
+    }
+    
+    /**
+     * Parse a form input value into a number, boolean, list, parameter reference or string
+     */
+    parseValue(input, operator) {
+        const text = String(input).trim();
+        
+        if (['in', 'not_in'].includes(operator)) {
+            return text === '' ? [] : text.split(',').map(item => this.parseValue(item));
+        }
+        
+        // Transitions are entered as "draft > submitted, submitted > approved"
+        if (operator === 'transition') {
+            if (text === '') return undefined;
+            return text.split(',').reduce((transitions, item) => {
+                const [from, to] = item.split('>').map(part => part.trim());
+                transitions[from] = [...(transitions[from] || []), this.parseValue(to || '')];
+                return transitions;
+            }, {});
+        }
+        
+        if (text === '') return undefined;
+        // Parameters are entered as {maximumIncome}
+        const parameter = text.match(/^\{([A-Za-z_][A-Za-z0-9_]*)\}$/);
+        if (parameter) return { param: parameter[1] };
+        if (text === 'true') return true;
+        if (text === 'false') return false;
+        if (!isNaN(text)) return Number(text);
+        return text;
+    }
+    
+    /**
+     * Format a definition value for a form input
+     */
+    formatValue(value) {
+        if (value === undefined || value === null) return '';
+        if (Array.isArray(value)) return value.join(', ');
+        if (typeof value === 'object' && Object.keys(value).join() === 'param') return `{${value.param}}`;
+        if (typeof value === 'object') {
+            return Object.keys(value)
+                .flatMap(from => value[from].map(to => `${from} > ${to}`))
+                .join(', ');
+        }
+        return String(value);
+    }
+    
+    /**
+     * Add an empty condition to the form
+     */
+    addCondition() {
+        this.readChangeForm();
+        this.draftDefinition = this.readDefinitionForm();
+        this.draftDefinition.conditions = [
+            ...(this.draftDefinition.conditions || []),
+            { field: '', operator: 'exists' }
+        ];
+        this.renderDefinitionForm();
+    }
+    
+    /**
+     * Remove a condition from the form
+     */
+    removeCondition(index) {
+        this.readChangeForm();
+        this.draftDefinition = this.readDefinitionForm();
+        this.draftDefinition.conditions = (this.draftDefinition.conditions || []).filter((_, i) => i !== index);
+        if (this.draftDefinition.conditions.length === 0) {
+            delete this.draftDefinition.conditions;
+        }
+        this.renderDefinitionForm();
+    }
+    
+    /**
+     * Read the proposed version and change notes entered in the form
+     */
+    readChangeForm() {
+        this.draftVersion = DOM.get('proposal-version').value.trim();
+        this.draftChangeNotes = DOM.get('proposal-change-notes').value.trim();
+    }
+    
+    /**
+     * Check that the edited definition compiles and submit it for review
+     */
+    async proposeDefinition() {
+        if (!this.currentRule || !this.isEditing) return;
+        
+        this.readChangeForm();
+        const definition = this.readDefinitionForm();
+        let parameters;
+        
+        try {
+            // Keep the parameter values the loader deployed, falling back to the declared defaults
+            const declared = (this.currentRule.metadata && this.currentRule.metadata.parameters) || {};
+            parameters = RuleParameters.resolveParameterValues(declared, this.currentRule.parameterValues || {});
+            RuleDefinition.compileRuleDefinition(definition, parameters);
+        } catch (error) {
+            Notifications.error(error.message);
+            return;
+        }
+        
+        const client = getCouchDBClient();
+        const result = await client.proposeRuleChange(this.currentRule.name, {
+            rule_definition: definition,
+            rule_parameters: parameters,
+            version: this.draftVersion,
+            change_notes: this.draftChangeNotes
+        });
+        
+        if (!result.success) {
+            Notifications.error(`Failed to submit the change: ${result.error}`);
+            return;
+        }
+        
+        Notifications.success(`Change submitted for review as ${result.data._id}`);
+        this.showRuleDetails(this.currentRule);
+        
+        if (window.ruleList) {
+            window.ruleList.refresh();
+        }
     }
     
     /**
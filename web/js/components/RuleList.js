@@ -1,14 +1,18 @@
 /**
  * RuleList Component
- * Displays all validation rules with metadata in a user-friendly format
+ * Displays all validation rules with metadata in a user-friendly format,
+ * marking rules with a proposed change waiting for review or publishing
  */
 
 class RuleList {
     constructor() {
         this.rules = [];
+        this.openProposals = {};
         this.isLoading = false;
         this.container = DOM.get('rules-list');
         this.refreshButton = DOM.get('refresh-rules');
+        this.ruleSetSelect = DOM.get('rule-set-select');
+        this.ruleSets = [];
         
         this.init();
     }
@@ -18,6 +22,7 @@ class RuleList {
      */
     init() {
         this.bindEvents();
+        this.loadRuleSets();
         this.loadRules();
     }
     
@@ -28,6 +33,68 @@ class RuleList {
         if (this.refreshButton) {
             DOM.on(this.refreshButton, 'click', () => this.loadRules());
         }
+        
+        if (this.ruleSetSelect) {
+            DOM.on(this.ruleSetSelect, 'change', () => this.selectRuleSet(this.ruleSetSelect.value));
+        }
+    }
+    
+    /**
+     * Load the rule sets available on the server into the rule set selector
+     */
+    async loadRuleSets() {
+        if (!this.ruleSetSelect) return;
+        
+        const client = getCouchDBClient();
+        const result = await client.listRuleSets();
+        
+        if (!result.success) {
+            Notifications.error(`Failed to load rule sets: ${result.error}`);
+            return;
+        }
+        
+        this.ruleSets = result.data;
+        const currentDatabase = client.getStatus().config.database;
+        const options = this.ruleSets.map(ruleSet => `
+            <option value="${StringUtils.escapeHtml(ruleSet.database)}" ${ruleSet.database === currentDatabase ? 'selected' : ''}>
+                ${StringUtils.escapeHtml(ruleSet.name)} (${ruleSet.rules.length} rules)
+            </option>
+        `);
+        
+        // Keep the current database selectable even when it holds no rule set
+        if (!this.ruleSets.some(ruleSet => ruleSet.database === currentDatabase)) {
+            options.unshift(`<option value="${StringUtils.escapeHtml(currentDatabase)}" selected>${StringUtils.escapeHtml(currentDatabase)}</option>`);
+        }
+        
+        this.ruleSetSelect.innerHTML = options.join('');
+    }
+    
+    /**
+     * Switch to the database holding a rule set and reload its rules
+     */
+    selectRuleSet(database) {
+        const client = getCouchDBClient();
+        client.updateConfig({ database: database });
+        
+        const ruleSet = this.getCurrentRuleSet();
+        UIState.setSelectedRule(null);
+        Notifications.success(`Switched to ${ruleSet ? `rule set ${ruleSet.name}` : `database ${database}`}`);
+        
+        this.loadRules();
+        if (window.testPanel) {
+            window.testPanel.loadAvailableRules();
+        }
+        if (window.auditLog) {
+            window.auditLog.refresh();
+        }
+    }
+    
+    /**
+     * Get the rule set loaded into the current database, if any
+     */
+    getCurrentRuleSet() {
+        const database = getCouchDBClient().getStatus().config.database;
+        return this.ruleSets.find(ruleSet => ruleSet.database === database) || null;
     }
     
     /**
@@ -46,7 +113,12 @@ class RuleList {
                 // Filter out the web-interface design document
                 this.rules = result.data.filter(doc => doc.id !== '_design/web-interface');
                 
-                this.render();
+                // A rule list without review badges is still useful, so proposals failing to load is not an error
+                const proposals = await client.getProposals();
+                this.openProposals = proposals.success ? RuleReview.getOpenProposals(proposals.data) : {};
+                
+                // Show rules in evaluation order by default
+                this.sortRules('priority');
                 Notifications.success(`Loaded ${this.rules.length} validation rules`);
             } else {
                 this.renderError(result.error);
@@ -85,13 +157,37 @@ class RuleList {
             return;
         }
         
-        const rulesHtml = this.rules.map(rule => this.renderRuleCard(rule)).join('');
-        this.container.innerHTML = rulesHtml;
+        this.container.innerHTML = this.renderScheduleGroups(this.rules);
         
         // Bind click events for rule cards
         this.bindRuleCardEvents();
     }
     
+    /**
+     * Render rule cards grouped into current, upcoming and expired rules.
+     * Rules without an effective period are current; when every rule is current no headings are shown.
+     */
+    renderScheduleGroups(rules) {
+        const groups = { current: [], upcoming: [], expired: [] };
+        rules.forEach(rule => groups[DataFormat.getScheduleState(rule.metadata)].push(rule));
+        
+        if (groups.upcoming.length === 0 && groups.expired.length === 0) {
+            return rules.map(rule => this.renderRuleCard(rule)).join('');
+        }
+        
+        const headings = {
+            current: 'Current',
+            upcoming: 'Upcoming - not yet in effect',
+            expired: 'Expired - applies to earlier applications only'
+        };
+        return Object.keys(groups).filter(state => groups[state].length > 0).map(state => `
+            <div class="rule-schedule-group schedule-group-${state}">
+                <h3 class="rule-schedule-heading">${headings[state]} (${groups[state].length})</h3>
+                ${groups[state].map(rule => this.renderRuleCard(rule)).join('')}
+            </div>
+        `).join('');
+    }
+    
     /**
      * Render individual rule card
      */
@@ -114,6 +210,17 @@ class RuleList {
                     <div class="rule-title-section">
                         <h3 class="rule-card-title">${StringUtils.escapeHtml(metadata.name)}</h3>
                         <div class="version-badge">v${StringUtils.escapeHtml(version)}</div>
+                        <div class="priority-badge" title="Lower numbers run first">Priority ${metadata.priority}</div>
+                        ${this.openProposals[ruleId] ? `
+                            <div class="review-badge review-${this.openProposals[ruleId].status}" title="${StringUtils.escapeHtml(this.openProposals[ruleId].rule_metadata.change_notes)}">
+                                ${StringUtils.escapeHtml(RuleReview.PROPOSAL_STATUS_LABELS[this.openProposals[ruleId].status])}: v${StringUtils.escapeHtml(this.openProposals[ruleId].rule_metadata.version)}
+                            </div>
+                        ` : ''}
+                        ${metadata.effectiveFrom || metadata.effectiveUntil ? `
+                            <div class="schedule-badge schedule-${metadata.scheduleState}">
+                                ${StringUtils.escapeHtml(DataFormat.describeSchedule(metadata.effectiveFrom, metadata.effectiveUntil))}
+                            </div>
+                        ` : ''}
                     </div>
                     <div class="rule-status">
                         <span class="status-indicator status-${status}"></span>
@@ -295,12 +402,17 @@ class RuleList {
     
     /**
      * Sort rules by criteria
+     * Ties always fall back to the rule ID so the order is reproducible
      */
     sortRules(criteria = 'name', direction = 'asc') {
         this.rules.sort((a, b) => {
             let aValue, bValue;
             
             switch (criteria) {
+                case 'priority':
+                    aValue = Number.isInteger(a.metadata?.priority) ? a.metadata.priority : 100;
+                    bValue = Number.isInteger(b.metadata?.priority) ? b.metadata.priority : 100;
+                    break;
                 case 'name':
                     aValue = (a.metadata?.name || '').toLowerCase();
                     bValue = (b.metadata?.name || '').toLowerCase();
@@ -322,11 +434,16 @@ class RuleList {
                     bValue = b.name;
             }
             
+            let result = aValue > bValue ? 1 : aValue < bValue ? -1 : 0;
             if (direction === 'desc') {
-                return aValue < bValue ? 1 : aValue > bValue ? -1 : 0;
-            } else {
-                return aValue > bValue ? 1 : aValue < bValue ? -1 : 0;
+                result = -result;
             }
+            
+            if (result === 0) {
+                result = a.id > b.id ? 1 : a.id < b.id ? -1 : 0;
+            }
+            
+            return result;
         });
         
         this.render();
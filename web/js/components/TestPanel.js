@@ -3,10 +3,16 @@
  * For testing validation rules against sample documents
  */
 
+// Rule select value for evaluating a document against every active rule at once
+const ALL_RULES_OPTION = '__all__';
+
 class TestPanel {
     constructor() {
         this.currentRule = null;
+        this.ruleSet = null;
         this.testDocument = null;
+        this.oldDocument = null;
+        this.oldDocumentInvalid = false;
         this.testResults = null;
         this.sampleDocuments = [];
         
@@ -89,6 +95,30 @@ class TestPanel {
                             lastModified: new Date().toISOString()
                         }
                     }
+                },
+                {
+                    name: 'Status Change (update)',
+                    description: 'An update that skips the submitted status, for testing transition rules',
+                    data: {
+                        _id: 'person_004',
+                        _rev: '1-stored',
+                        type: 'person',
+                        status: 'approved',
+                        householdSize: 3,
+                        householdIncome: 45000,
+                        numberOfDependents: 2,
+                        interviewComplete: true
+                    },
+                    oldDoc: {
+                        _id: 'person_004',
+                        _rev: '1-stored',
+                        type: 'person',
+                        status: 'draft',
+                        householdSize: 3,
+                        householdIncome: 45000,
+                        numberOfDependents: 2,
+                        interviewComplete: true
+                    }
                 }
             ];
         } catch (error) {
@@ -115,11 +145,23 @@ class TestPanel {
             this.validateDocumentInput();
         });
         
+        DOM.on(document, 'input', '#test-old-document-input', () => {
+            this.validateOldDocumentInput();
+        });
+        
         // Rule selection
         DOM.on(document, 'change', '#test-rule-select', (e) => {
             this.selectRule(e.target.value);
         });
         
+        // Simulated user: name and roles only apply to non-admin users
+        DOM.on(document, 'change', '#test-user-admin', (e) => {
+            ['test-user-name', 'test-user-roles'].forEach(id => {
+                const input = DOM.get(id);
+                if (input) input.disabled = e.target.checked;
+            });
+        });
+        
         // Quick test buttons
         DOM.on(document, 'click', '.quick-test-btn', (e) => {
             const ruleId = e.target.dataset.ruleId;
@@ -134,6 +176,8 @@ class TestPanel {
         const container = DOM.get('test-panel');
         if (!container) return;
         
+        const sandboxConfigured = Boolean(getCouchDBClient().config.sandboxUrl);
+        
         container.innerHTML = `
             <div class="test-panel">
                 <div class="test-panel-header">
@@ -180,11 +224,52 @@ class TestPanel {
                             ></textarea>
                             <div id="document-validation-feedback" class="form-feedback"></div>
                         </div>
+                        
+                        <!-- Stored Version Input -->
+                        <div class="form-group">
+                            <label for="test-old-document-input">Stored version (oldDoc JSON) - leave empty to test a new document:</label>
+                            <textarea 
+                                id="test-old-document-input" 
+                                class="form-control code-input" 
+                                rows="6"
+                                placeholder="Enter the stored document to test the document above as an update..."
+                            ></textarea>
+                            <div id="old-document-validation-feedback" class="form-feedback"></div>
+                        </div>
+                    </div>
+                    
+                    <!-- Simulated User Section -->
+                    <div class="test-section">
+                        <h4>3. Simulate User</h4>
+                        <p class="test-user-hint">Rules that declare required roles check the user writing the document.</p>
+                        <div class="form-group">
+                            <label class="test-user-admin-label">
+                                <input type="checkbox" id="test-user-admin" checked>
+                                Server admin (passes every role check)
+                            </label>
+                        </div>
+                        <div class="form-group">
+                            <label for="test-user-name">User name:</label>
+                            <input type="text" id="test-user-name" class="form-control" placeholder="e.g. caseworker1" disabled>
+                        </div>
+                        <div class="form-group">
+                            <label for="test-user-roles">Roles (comma-separated):</label>
+                            <input type="text" id="test-user-roles" class="form-control" placeholder="e.g. caseworker, supervisor" disabled>
+                        </div>
                     </div>
                     
                     <!-- Test Execution Section -->
                     <div class="test-section">
-                        <h4>3. Run Test</h4>
+                        <h4>4. Run Test</h4>
+                        <div class="form-group">
+                            <label for="test-engine">Evaluate with:</label>
+                            <select id="test-engine" class="form-control">
+                                <option value="browser">This browser (quick check)</option>
+                                <option value="sandbox" ${sandboxConfigured ? 'selected' : 'disabled'}>Rule sandbox (as CouchDB runs the deployed rules)</option>
+                                <option value="couchdb">CouchDB (scratch database)</option>
+                            </select>
+                            <p class="test-user-hint">The browser runs the rule as plain JavaScript, which can pass code CouchDB would reject. The rule sandbox runs the deployed rules with only CouchDB's globals, the stored version, the simulated user and the database's security object${sandboxConfigured ? '' : ' - start it with couch-rules serve and set sandboxUrl in the connection settings'}. CouchDB runs every deployed rule as the connected user, in a scratch database that is deleted afterwards - nothing is saved. Needs server admin rights.</p>
+                        </div>
                         <div class="test-actions">
                             <button id="run-test-btn" class="btn btn-primary" disabled>
                                 <span class="btn-icon">▶</span>
@@ -199,7 +284,7 @@ class TestPanel {
                     
                     <!-- Test Results Section -->
                     <div class="test-section">
-                        <h4>4. Test Results</h4>
+                        <h4>5. Test Results</h4>
                         <div id="test-results-container" class="test-results-container">
                             <div class="test-results-placeholder">
                                 Run a test to see results here.
@@ -224,10 +309,17 @@ class TestPanel {
             const ruleSelect = DOM.get('test-rule-select');
             if (!ruleSelect) return;
             
+            // Test the whole rule set as a unit when the database holds one
+            const ruleSetInfo = await client.getRuleSetInfo();
+            this.ruleSet = ruleSetInfo.success ? ruleSetInfo.data : null;
+            
             // Clear existing options except the placeholder
-            ruleSelect.innerHTML = '<option value="">Select a rule...</option>';
+            ruleSelect.innerHTML = `
+                <option value="">Select a rule...</option>
+                <option value="${ALL_RULES_OPTION}">${StringUtils.escapeHtml(this.getAllRulesLabel())}</option>
+            `;
             
-            designDocs.forEach(doc => {
+            (designDocs.data || []).forEach(doc => {
                 if (doc.id.startsWith('_design/') && doc.validationFunction) {
                     const option = document.createElement('option');
                     option.value = doc.id;
@@ -242,6 +334,13 @@ class TestPanel {
         }
     }
     
+    /**
+     * Label for the option that evaluates every active rule
+     */
+    getAllRulesLabel() {
+        return this.ruleSet ? `All active rules in ${this.ruleSet.name}` : 'All active rules';
+    }
+    
     /**
      * Select a rule for testing
      */
@@ -253,12 +352,30 @@ class TestPanel {
             return;
         }
         
+        if (ruleId === ALL_RULES_OPTION) {
+            this.currentRule = {
+                id: ALL_RULES_OPTION,
+                metadata: {
+                    name: this.getAllRulesLabel(),
+                    description: 'Evaluates the document against every active rule and reports every violation',
+                    version: 'n/a',
+                    status: 'active'
+                }
+            };
+            this.showRuleInfo(this.currentRule);
+            this.updateTestButton();
+            return;
+        }
+        
         try {
             const client = getCouchDBClient();
-            const rule = await client.getDesignDocument(ruleId);
+            const result = await client.getDesignDocument(ruleId);
+            if (!result.success) {
+                throw new Error(result.error);
+            }
             
-            this.currentRule = rule;
-            this.showRuleInfo(rule);
+            this.currentRule = result.data;
+            this.showRuleInfo(result.data);
             this.updateTestButton();
             
         } catch (error) {
@@ -321,6 +438,12 @@ class TestPanel {
             input.value = JSON.stringify(sampleDoc.data, null, 2);
             this.validateDocumentInput();
         }
+        
+        const oldInput = DOM.get('test-old-document-input');
+        if (oldInput) {
+            oldInput.value = sampleDoc.oldDoc ? JSON.stringify(sampleDoc.oldDoc, null, 2) : '';
+            this.validateOldDocumentInput();
+        }
     }
     
     /**
@@ -332,6 +455,12 @@ class TestPanel {
             input.value = '';
             this.validateDocumentInput();
         }
+        
+        const oldInput = DOM.get('test-old-document-input');
+        if (oldInput) {
+            oldInput.value = '';
+            this.validateOldDocumentInput();
+        }
     }
     
     /**
@@ -369,6 +498,37 @@ class TestPanel {
         this.updateTestButton();
     }
     
+    /**
+     * Validate the stored version input; an empty input tests a new document
+     */
+    validateOldDocumentInput() {
+        const input = DOM.get('test-old-document-input');
+        const feedback = DOM.get('old-document-validation-feedback');
+        
+        if (!input || !feedback) return;
+        
+        const value = input.value.trim();
+        this.oldDocument = null;
+        this.oldDocumentInvalid = false;
+        
+        if (value === '') {
+            feedback.innerHTML = '';
+            feedback.className = 'form-feedback';
+        } else {
+            try {
+                this.oldDocument = JSON.parse(value);
+                feedback.innerHTML = '<span class="feedback-success">✓ Valid JSON - testing as an update</span>';
+                feedback.className = 'form-feedback success';
+            } catch (error) {
+                this.oldDocumentInvalid = true;
+                feedback.innerHTML = `<span class="feedback-error">✗ Invalid JSON: ${error.message}</span>`;
+                feedback.className = 'form-feedback error';
+            }
+        }
+        
+        this.updateTestButton();
+    }
+    
     /**
      * Update test button state
      */
@@ -376,13 +536,15 @@ class TestPanel {
         const button = DOM.get('run-test-btn');
         if (!button) return;
         
-        const canTest = this.currentRule && this.testDocument;
+        const canTest = this.currentRule && this.testDocument && !this.oldDocumentInvalid;
         button.disabled = !canTest;
         
         if (!this.currentRule) {
             button.title = 'Please select a validation rule';
         } else if (!this.testDocument) {
             button.title = 'Please provide a valid test document';
+        } else if (this.oldDocumentInvalid) {
+            button.title = 'Please fix the stored version JSON or leave it empty';
         } else {
             button.title = 'Run the validation test';
         }
@@ -420,13 +582,45 @@ class TestPanel {
         }
     }
     
+    /**
+     * Build the CouchDB user context for the simulated user
+     * @returns {Object} userCtx with name and roles
+     */
+    getUserContext() {
+        const admin = DOM.get('test-user-admin');
+        if (!admin || admin.checked) {
+            return { db: null, name: null, roles: ['_admin'] };
+        }
+        
+        const name = (DOM.get('test-user-name')?.value || '').trim();
+        const roles = (DOM.get('test-user-roles')?.value || '')
+            .split(',')
+            .map(role => role.trim())
+            .filter(role => role);
+        
+        return { db: null, name: name || null, roles: roles };
+    }
+    
     /**
      * Execute the validation function
      */
     async executeValidation() {
+        const engine = DOM.get('test-engine')?.value || 'browser';
+        if (engine === 'couchdb') {
+            return this.executeInCouchDB();
+        }
+        if (engine === 'sandbox') {
+            return this.executeInSandbox();
+        }
+        if (this.currentRule.id === ALL_RULES_OPTION) {
+            return this.executeAllRules();
+        }
+        
         // Create a safe execution environment
         const func = this.currentRule.validationFunction;
         const doc = this.testDocument;
+        const oldDoc = this.oldDocument;
+        const userCtx = this.getUserContext();
         
         // Create execution context
         const context = {
@@ -448,9 +642,9 @@ class TestPanel {
         
         try {
             // Create a function that mimics CouchDB's validation function environment
-            const validationWrapper = new Function('doc', 'console', `
+            const validationWrapper = new Function('doc', 'oldDoc', 'userCtx', 'secObj', 'console', `
                 try {
-                    ${func}
+                    (${func})(doc, oldDoc, userCtx, secObj);
                     return { success: true, result: true };
                 } catch (error) {
                     if (error.forbidden) {
@@ -464,7 +658,7 @@ class TestPanel {
             `);
             
             const startTime = performance.now();
-            const result = validationWrapper(doc, testConsole);
+            const result = validationWrapper(doc, oldDoc, userCtx, {}, testConsole);
             const endTime = performance.now();
             
             return {
@@ -474,6 +668,8 @@ class TestPanel {
                 executionTime: endTime - startTime,
                 logs: context.logs,
                 metadata: this.currentRule.metadata,
+                userCtx: userCtx,
+                update: Boolean(oldDoc),
                 timestamp: new Date().toISOString()
             };
             
@@ -490,6 +686,109 @@ class TestPanel {
         }
     }
     
+    /**
+     * Evaluate the document against every active rule, collecting all violations
+     */
+    async executeAllRules() {
+        const client = getCouchDBClient();
+        
+        const userCtx = this.getUserContext();
+        
+        const startTime = performance.now();
+        const evaluation = await client.evaluateDocument(this.testDocument, {
+            oldDoc: this.oldDocument,
+            userCtx: userCtx
+        });
+        const endTime = performance.now();
+        
+        if (!evaluation.success) {
+            throw new Error(evaluation.error);
+        }
+        
+        const report = evaluation.data;
+        
+        return {
+            success: true,
+            valid: report.valid,
+            error: report.violations.length > 0 ?
+                `${report.violations.length} of ${report.evaluated.length} rules rejected the document` : null,
+            violations: report.violations,
+            executionTime: endTime - startTime,
+            logs: [],
+            metadata: this.currentRule.metadata,
+            userCtx: userCtx,
+            update: report.update,
+            timestamp: report.evaluated_at
+        };
+    }
+    
+    /**
+     * Have CouchDB validate the document without saving it, naming the rule that rejected it
+     */
+    async executeInCouchDB() {
+        const client = getCouchDBClient();
+        
+        const startTime = performance.now();
+        const result = await client.testDocument(this.testDocument, { oldDoc: this.oldDocument });
+        const endTime = performance.now();
+        
+        if (!result.success) {
+            throw new Error(result.error);
+        }
+        
+        return {
+            success: true,
+            valid: result.valid,
+            error: result.error,
+            checkedInCouchDB: true,
+            rejectedBy: result.rejectedBy,
+            violations: result.report ? result.report.violations : [],
+            executionTime: endTime - startTime,
+            logs: [],
+            metadata: this.currentRule.metadata,
+            userCtx: result.userCtx,
+            update: Boolean(this.oldDocument),
+            timestamp: new Date().toISOString()
+        };
+    }
+    
+    /**
+     * Evaluate the document against the selected deployed rule, or every one, in the rule sandbox
+     */
+    async executeInSandbox() {
+        const client = getCouchDBClient();
+        const userCtx = this.getUserContext();
+        
+        const startTime = performance.now();
+        const evaluation = await client.evaluateInSandbox(this.testDocument, {
+            oldDoc: this.oldDocument,
+            userCtx: userCtx,
+            rule: this.currentRule.id === ALL_RULES_OPTION ? null : this.currentRule.name
+        });
+        const endTime = performance.now();
+        
+        if (!evaluation.success) {
+            throw new Error(evaluation.error);
+        }
+        
+        const report = evaluation.data;
+        
+        return {
+            success: true,
+            valid: report.valid,
+            error: report.rejected_by ? report.rejected_by.message : null,
+            checkedInSandbox: true,
+            rejectedBy: report.rejected_by,
+            violations: report.violations,
+            executionTime: endTime - startTime,
+            logs: report.logs.map(entry => ({ level: entry.level, message: `${entry.rule_id}: ${entry.message}` })),
+            metadata: this.currentRule.metadata,
+            userCtx: userCtx,
+            update: report.update,
+            timestamp: report.evaluated_at
+        };
+    }
+    
     /**
      * Display test results
      */
@@ -515,9 +814,27 @@ class TestPanel {
                     <div class="test-results-meta">
                         <span>Executed at: ${new Date(result.timestamp).toLocaleString()}</span>
                         <span>Duration: ${result.executionTime.toFixed(2)}ms</span>
+                        ${result.update ? '<span>Tested as an update of the stored version</span>' : ''}
+                        ${result.checkedInCouchDB ? '<span>Checked by CouchDB in a scratch database - nothing was saved</span>' : ''}
+                        ${result.checkedInSandbox ? '<span>Evaluated in the rule sandbox as CouchDB runs the deployed rules - nothing was saved</span>' : ''}
+                        ${result.userCtx ? `<span>As: ${result.userCtx.roles.includes('_admin') ? 'server admin' :
+                            StringUtils.escapeHtml(`${result.userCtx.name || 'anonymous'} (${result.userCtx.roles.join(', ') || 'no roles'})`)}</span>` : ''}
                     </div>
                 </div>
                 
+                ${(result.checkedInCouchDB || result.checkedInSandbox) && !result.valid ? `
+                    <div class="test-results-section">
+                        <h6>Rejected By</h6>
+                        <div class="validation-message error">
+                            ${result.rejectedBy ? `
+                                <strong>${StringUtils.escapeHtml(result.rejectedBy.rule_name)}</strong>
+                                ${result.rejectedBy.rule_version ? `<span class="rule-info-version">v${StringUtils.escapeHtml(result.rejectedBy.rule_version)}</span>` : ''}
+                                <code>${StringUtils.escapeHtml(result.rejectedBy.rule_id)}</code>
+                            ` : 'No deployed rule gives this message when evaluated here - check the design documents without rule metadata'}
+                        </div>
+                    </div>
+                ` : ''}
+                
                 ${result.error ? `
                     <div class="test-results-section">
                         <h6>Validation Message</h6>
@@ -527,6 +844,22 @@ class TestPanel {
                     </div>
                 ` : ''}
                 
+                ${result.violations && result.violations.length > 0 ? `
+                    <div class="test-results-section">
+                        <h6>Violations</h6>
+                        <ul class="violation-list">
+                            ${result.violations.map(violation => `
+                                <li class="validation-message error">
+                                    <strong>${StringUtils.escapeHtml(violation.rule_name)}</strong>
+                                    ${violation.rule_version ? `<span class="rule-info-version">v${StringUtils.escapeHtml(violation.rule_version)}</span>` : ''}
+                                    ${violation.field ? `<code>${StringUtils.escapeHtml(violation.field)}</code>` : ''}
+                                    — ${StringUtils.escapeHtml(violation.message)}
+                                </li>
+                            `).join('')}
+                        </ul>
+                    </div>
+                ` : ''}
+                
                 ${result.logs.length > 0 ? `
                     <div class="test-results-section">
                         <h6>Execution Logs</h6>
@@ -681,6 +1014,7 @@ class TestPanel {
         const exportData = {
             testResults: this.testResults,
             testDocument: this.testDocument,
+            oldDocument: this.oldDocument,
             rule: {
                 id: this.currentRule.id,
                 metadata: this.currentRule.metadata
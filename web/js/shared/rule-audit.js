@@ -0,0 +1,187 @@
+/**
+ * Rule Audit Log
+ * Every rule created, updated or deleted is recorded in an audit database next to the rules
+ * database (<database>_rule_audit): who made the change, what they did, the revisions before and
+ * after, a hash of the rule's source, when it happened and which tool they used. Entries are keyed
+ * <timestamp>:<rule id>:<new rev> so the log reads in time order, and the audit database's own
+ * validate_doc_update (AUDIT_DESIGN_DOC_ID) only lets entries be added - never changed or deleted.
+ * The loader, unloader, restore, the couch-rules rollback and approve commands and the web
+ * interface all write entries. utils/rule-audit.js adds the database access the Node tools use.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('crypto'), require('./rule-history'));
+    } else {
+        root.RuleAudit = factory(null, root.RuleHistory);
+    }
+}(this, function (crypto, RuleHistory) {
+
+const { getRuleSource } = RuleHistory;
+
+/**
+ * Appended to a rules database's name to get its audit database
+ */
+const AUDIT_DB_SUFFIX = '_rule_audit';
+
+/**
+ * Design document holding the audit database's append-only check
+ */
+const AUDIT_DESIGN_DOC_ID = '_design/audit_log';
+
+/**
+ * What can happen to a rule
+ */
+const AUDIT_ACTIONS = ['create', 'update', 'delete'];
+
+/**
+ * Gets the name of the audit database for a rules database
+ * @param {string} dbName - Rules database
+ * @returns {string} Audit database name
+ */
+function getAuditDatabaseName(dbName) {
+    return `${dbName}${AUDIT_DB_SUFFIX}`;
+}
+
+/**
+ * Hashes the source a design document runs, so an entry shows exactly which code was deployed
+ * @param {Object} designDoc - Design document
+ * @returns {string|null} SHA-256 of the source, hex encoded; null if the document has no source, and
+ *   in the browser, which can only hash asynchronously (see sha256 in web/js/utils/helpers.js)
+ */
+function computeSourceHash(designDoc) {
+    const source = getRuleSource(designDoc);
+    return source && crypto ? crypto.createHash('sha256').update(source).digest('hex') : null;
+}
+
+/**
+ * Creates the audit entry for a change to a rule
+ * @param {Object} change - The change
+ * @param {string} change.database - Rules database changed
+ * @param {string} change.action - What happened (create|update|delete)
+ * @param {Object} change.doc - Design document as written, or as it was before it was deleted
+ * @param {string|null} change.oldRev - Revision before the change; null for a create
+ * @param {string} change.newRev - Revision CouchDB gave the change
+ * @param {Object} options - Who made the change and how
+ * @param {string|null} options.actor - User who made the change
+ * @param {string} options.tool - Tool used (couchLoader, couchUnloader, couchRestore, couch-rules, web)
+ * @param {string} [options.detail] - What else the tool knows about the change
+ * @returns {Object} Audit entry document
+ * @throws {Error} If the action is unknown
+ */
+function createAuditEntry(change, options) {
+    if (!AUDIT_ACTIONS.includes(change.action)) {
+        throw new Error(`Unknown audit action: ${change.action}. Must be one of ${AUDIT_ACTIONS.join(', ')}`);
+    }
+
+    const ruleId = change.doc._id.replace('_design/', '');
+    const timestamp = new Date().toISOString();
+    return {
+        _id: `${timestamp}:${ruleId}:${change.newRev}`,
+        type: 'rule_audit',
+        timestamp: timestamp,
+        actor: options.actor || null,
+        action: change.action,
+        rule_id: ruleId,
+        database: change.database,
+        old_rev: change.oldRev || null,
+        new_rev: change.newRev,
+        version: (change.doc.rule_metadata || {}).version || null,
+        source_hash: computeSourceHash(change.doc),
+        tool: options.tool,
+        detail: options.detail || null
+    };
+}
+
+/**
+ * Checks a write to the audit database: entries can be added, never changed or deleted.
+ * @param {Object} newDoc - Entry being written
+ * @param {Object|null} oldDoc - Stored entry, or null for a new one
+ * @param {Object} userCtx - CouchDB user context (name, roles)
+ * @returns {boolean} True if the write is allowed
+ * @throws {Object} CouchDB forbidden error if it is not
+ */
+function checkAuditWrite(newDoc, oldDoc, userCtx) {
+    var name = userCtx && userCtx.name;
+
+    if (newDoc._id.indexOf('_design/') === 0) {
+        return true;
+    }
+    if (oldDoc || newDoc._deleted) {
+        throw ({ forbidden: 'Audit entries cannot be changed or deleted' });
+    }
+    if (newDoc.type !== 'rule_audit') {
+        throw ({ forbidden: 'Only rule audit entries can be stored in this database' });
+    }
+    if (['create', 'update', 'delete'].indexOf(newDoc.action) === -1) {
+        throw ({ forbidden: 'action must be create, update or delete' });
+    }
+    if (!newDoc.rule_id || !newDoc.new_rev || !newDoc.timestamp || !newDoc.tool) {
+        throw ({ forbidden: 'An audit entry must name the rule, the revision, the time and the tool used' });
+    }
+    if (name && newDoc.actor !== name) {
+        throw ({ forbidden: 'actor must be the user making the change' });
+    }
+    return true;
+}
+
+/**
+ * Compiles the audit database's validate_doc_update from checkAuditWrite
+ * @returns {string} validate_doc_update source
+ */
+function compileAuditGuard() {
+    return [
+        'function (newDoc, oldDoc, userCtx, secObj) {',
+        `    return (${checkAuditWrite.toString()})(newDoc, oldDoc, userCtx);`,
+        '}'
+    ].join('\n');
+}
+
+/**
+ * Filters audit entries. since and until are dates or timestamps, compared with each entry's
+ * timestamp; until includes everything that starts with it, so until=2024-05-31 includes that day.
+ * @param {Object[]} entries - Audit entries
+ * @param {Object} [filters] - Filters; each one left out matches every entry
+ * @param {string} [filters.ruleId] - Rule changed
+ * @param {string} [filters.actor] - User who made the change
+ * @param {string} [filters.action] - create, update or delete
+ * @param {string} [filters.tool] - Tool used
+ * @param {string} [filters.since] - Earliest time
+ * @param {string} [filters.until] - Latest time
+ * @returns {Object[]} Matching entries, in the order given
+ */
+function filterAuditEntries(entries, filters = {}) {
+    return entries.filter(entry =>
+        (!filters.ruleId || entry.rule_id === filters.ruleId) &&
+        (!filters.actor || entry.actor === filters.actor) &&
+        (!filters.action || entry.action === filters.action) &&
+        (!filters.tool || entry.tool === filters.tool) &&
+        (!filters.since || entry.timestamp >= filters.since) &&
+        (!filters.until || entry.timestamp < `${filters.until}\ufff0`)
+    );
+}
+
+/**
+ * Gets the distinct values of a field across audit entries, sorted, for a filter's choices
+ * @param {Object[]} entries - Audit entries
+ * @param {string} field - Entry field, e.g. actor or tool
+ * @returns {string[]} Values
+ */
+function getDistinctValues(entries, field) {
+    return [...new Set(entries.map(entry => entry[field]).filter(Boolean))].sort();
+}
+
+return {
+    AUDIT_DB_SUFFIX,
+    AUDIT_DESIGN_DOC_ID,
+    AUDIT_ACTIONS,
+    getAuditDatabaseName,
+    computeSourceHash,
+    createAuditEntry,
+    checkAuditWrite,
+    compileAuditGuard,
+    filterAuditEntries,
+    getDistinctValues
+};
+
+}));
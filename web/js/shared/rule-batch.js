@@ -0,0 +1,345 @@
+/**
+ * Batch Testing
+ * Evaluates many documents at once - read from a JSON array, a _bulk_docs style { "docs": [...] } file
+ * such as samples/sample_bulk.json, NDJSON or CSV - and lays the results out as a matrix of document ×
+ * rule, each cell pass, fail (with the rule's message) or skipped (with the reason), with counts per
+ * rule. This module reads the files and builds, filters and exports the matrix for couch-rules batch,
+ * the sandbox's /evaluate-batch endpoint and the web interface's batch test panel; utils/rule-batch.js
+ * evaluates the documents in Node.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.RuleBatch = factory();
+    }
+}(this, function () {
+
+/**
+ * Formats documents can be read from
+ */
+const BATCH_FORMATS = ['json', 'ndjson', 'csv'];
+
+/**
+ * What a cell of the matrix can say about a rule and a document
+ */
+const BATCH_OUTCOMES = ['pass', 'fail', 'skipped'];
+
+/**
+ * Works out the format of a file of documents from its name, or failing that its content
+ * @param {string} text - File content
+ * @param {string} [filename] - File name; .json, .ndjson, .jsonl and .csv decide the format
+ * @returns {string} json, ndjson or csv
+ */
+function detectBatchFormat(text, filename = '') {
+    const extension = filename.toLowerCase().split('.').pop();
+    if (extension === 'json' || extension === 'csv') {
+        return extension;
+    }
+    if (extension === 'ndjson' || extension === 'jsonl') {
+        return 'ndjson';
+    }
+
+    const trimmed = text.trim();
+    if (trimmed.startsWith('[')) {
+        return 'json';
+    }
+    if (trimmed.startsWith('{')) {
+        try {
+            JSON.parse(trimmed);
+            return 'json';
+        } catch (error) {
+            return 'ndjson';
+        }
+    }
+    return 'csv';
+}
+
+/**
+ * Splits CSV text into rows of fields (RFC 4180: quoted fields may hold commas, quotes and line breaks)
+ * @param {string} text - CSV text
+ * @returns {Object[][]} Rows of fields, each { value, quoted }; blank lines are left out
+ * @throws {Error} If a quoted field is never closed
+ */
+function parseCsvRows(text) {
+    const rows = [];
+    let row = [];
+    let field = { value: '', quoted: false };
+    let inQuotes = false;
+
+    const endField = () => {
+        row.push(field);
+        field = { value: '', quoted: false };
+    };
+    const endRow = () => {
+        endField();
+        if (row.length > 1 || row[0].value !== '' || row[0].quoted) {
+            rows.push(row);
+        }
+        row = [];
+    };
+
+    for (let i = 0; i < text.length; i++) {
+        const char = text[i];
+        if (inQuotes) {
+            if (char === '"' && text[i + 1] === '"') {
+                field.value += '"';
+                i++;
+            } else if (char === '"') {
+                inQuotes = false;
+            } else {
+                field.value += char;
+            }
+        } else if (char === '"' && field.value === '') {
+            inQuotes = true;
+            field.quoted = true;
+        } else if (char === ',') {
+            endField();
+        } else if (char === '\n' || char === '\r') {
+            if (char === '\r' && text[i + 1] === '\n') {
+                i++;
+            }
+            endRow();
+        } else {
+            field.value += char;
+        }
+    }
+
+    if (inQuotes) {
+        throw new Error('CSV ends inside a quoted value');
+    }
+    if (field.value !== '' || field.quoted || row.length > 0) {
+        endRow();
+    }
+    return rows;
+}
+
+/**
+ * Converts a CSV field to the JSON value it stands for. Unquoted numbers, true, false and null
+ * become those values; anything quoted, and numbers with leading zeros such as ZIP codes, stay strings.
+ * @param {Object} field - Field from parseCsvRows
+ * @returns {*} Value
+ */
+function parseCsvValue(field) {
+    if (field.quoted) {
+        return field.value;
+    }
+    if (/^-?(0|[1-9]\d*)(\.\d+)?$/.test(field.value)) {
+        return Number(field.value);
+    }
+    if (field.value === 'true' || field.value === 'false') {
+        return field.value === 'true';
+    }
+    return field.value === 'null' ? null : field.value;
+}
+
+/**
+ * Reads documents from CSV: one per row, named by the header row. A header such as
+ * personalInfo.firstName sets a field of a nested object.
+ * @param {string} text - CSV text
+ * @returns {Object[]} Documents
+ * @throws {Error} If a row has more fields than the header
+ */
+function parseCsvDocuments(text) {
+    const [header, ...rows] = parseCsvRows(text);
+    if (!header) {
+        return [];
+    }
+
+    const paths = header.map(field => field.value.trim().split('.'));
+    return rows.map((row, index) => {
+        if (row.length > paths.length) {
+            throw new Error(`CSV row ${index + 2} has ${row.length} values but the header names ${paths.length}`);
+        }
+
+        const doc = {};
+        row.forEach((field, column) => {
+            const path = paths[column];
+            const parent = path.slice(0, -1).reduce((object, key) => {
+                object[key] = object[key] && typeof object[key] === 'object' ? object[key] : {};
+                return object[key];
+            }, doc);
+            parent[path[path.length - 1]] = parseCsvValue(field);
+        });
+        return doc;
+    });
+}
+
+/**
+ * Reads the documents in a batch file
+ * @param {string} text - File content
+ * @param {string} [format] - json, ndjson or csv; worked out with detectBatchFormat when left out
+ * @param {string} [filename] - File name, to work out the format from
+ * @returns {Object[]} Documents
+ * @throws {Error} If the format is unknown, the content cannot be read or an entry is not a JSON object
+ */
+function parseBatchDocuments(text, format, filename) {
+    const batchFormat = format || detectBatchFormat(text, filename);
+    let documents;
+
+    if (batchFormat === 'json') {
+        let parsed;
+        try {
+            parsed = JSON.parse(text);
+        } catch (error) {
+            throw new Error(`Not valid JSON: ${error.message}`);
+        }
+        documents = Array.isArray(parsed) ? parsed : (parsed && Array.isArray(parsed.docs) ? parsed.docs : [parsed]);
+    } else if (batchFormat === 'ndjson') {
+        documents = [];
+        text.split(/\r?\n/).forEach((line, index) => {
+            if (line.trim() === '') {
+                return;
+            }
+            try {
+                documents.push(JSON.parse(line));
+            } catch (error) {
+                throw new Error(`Line ${index + 1} is not valid JSON: ${error.message}`);
+            }
+        });
+    } else if (batchFormat === 'csv') {
+        documents = parseCsvDocuments(text);
+    } else {
+        throw new Error(`Unknown batch format: ${batchFormat}. Must be one of ${BATCH_FORMATS.join(', ')}`);
+    }
+
+    documents.forEach((doc, index) => {
+        if (!doc || typeof doc !== 'object' || Array.isArray(doc)) {
+            throw new Error(`Document ${index + 1} is not a JSON object`);
+        }
+    });
+    return documents;
+}
+
+/**
+ * Gets the name a document is shown by in the matrix: its _id, else its name, else its position
+ * @param {Object} doc - Document
+ * @param {number} index - Position in the batch, from 0
+ * @returns {string} Label
+ */
+function getDocumentLabel(doc, index) {
+    return String(doc._id || doc.name || `Document ${index + 1}`);
+}
+
+/**
+ * Lays out evaluation reports as a matrix of document × rule
+ * @param {Object[]} documents - Documents evaluated
+ * @param {Object[]} reports - Report for each document, from evaluateDocument or evaluateDesignDocuments
+ * @param {Object[]} rules - Matrix columns in order: rule_id, rule_name and rule_version
+ * @returns {Object} Matrix with summary (documents, valid, invalid), rules (the columns, each with its
+ *   pass, fail and skipped counts) and rows (index from 1, document_id, label, valid and a result per
+ *   rule ID of outcome and message)
+ */
+function buildBatchMatrix(documents, reports, rules) {
+    const rows = reports.map((report, index) => {
+        const results = {};
+        rules.forEach(rule => {
+            results[rule.rule_id] = { outcome: 'skipped', message: 'not evaluated' };
+        });
+        report.evaluated.forEach(ruleId => {
+            results[ruleId] = { outcome: 'pass', message: null };
+        });
+        report.skipped.forEach(skip => {
+            results[skip.rule_id] = { outcome: 'skipped', message: skip.reason };
+        });
+        (report.determinations || []).forEach(determination => {
+            results[determination.rule_id] = { outcome: 'pass', message: `${determination.tier} (${determination.points}/${determination.max_points} points)` };
+        });
+        report.violations.forEach(violation => {
+            results[violation.rule_id] = { outcome: 'fail', message: violation.message };
+        });
+
+        return {
+            index: index + 1,
+            document_id: report.document_id,
+            label: getDocumentLabel(documents[index], index),
+            valid: report.valid,
+            results: results
+        };
+    });
+
+    const valid = rows.filter(row => row.valid).length;
+    return {
+        summary: { documents: rows.length, valid: valid, invalid: rows.length - valid },
+        rules: rules.map(rule => {
+            const counts = { pass: 0, fail: 0, skipped: 0 };
+            rows.forEach(row => {
+                counts[row.results[rule.rule_id].outcome]++;
+            });
+            return { ...rule, ...counts };
+        }),
+        rows: rows,
+        evaluated_at: new Date().toISOString()
+    };
+}
+
+/**
+ * Describes a rule as a matrix column
+ * @param {string} ruleId - Rule ID
+ * @param {Object} metadata - Rule metadata
+ * @returns {Object} Column with rule_id, rule_name and rule_version
+ */
+function describeRule(ruleId, metadata) {
+    return { rule_id: ruleId, rule_name: metadata.name || ruleId, rule_version: metadata.version || null };
+}
+
+/**
+ * Filters the rows of a matrix
+ * @param {Object[]} rows - Matrix rows
+ * @param {Object} [filters] - Filters; each one left out matches every row
+ * @param {string} [filters.result] - valid or invalid documents only
+ * @param {string} [filters.outcome] - Only rows where the rule (or, without one, any rule) passed, failed or was skipped
+ * @param {string} [filters.ruleId] - Rule whose outcome is checked
+ * @param {string} [filters.search] - Text to find in the document's label or a rule's message, ignoring case
+ * @returns {Object[]} Matching rows
+ */
+function filterBatchRows(rows, filters = {}) {
+    const search = (filters.search || '').toLowerCase();
+
+    return rows.filter(row => {
+        const cells = filters.ruleId ? [row.results[filters.ruleId]].filter(Boolean) : Object.values(row.results);
+        return (!filters.result || (filters.result === 'valid') === row.valid) &&
+            (!filters.outcome || cells.some(cell => cell.outcome === filters.outcome)) &&
+            (!search || row.label.toLowerCase().includes(search) ||
+                Object.values(row.results).some(cell => (cell.message || '').toLowerCase().includes(search)));
+    });
+}
+
+/**
+ * Quotes a CSV field when it holds a comma, a quote or a line break
+ */
+function escapeCsvField(value) {
+    const text = value === null || value === undefined ? '' : String(value);
+    return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+/**
+ * Exports a matrix as CSV: a row per document, a column per rule, each cell pass, fail or skipped
+ * followed by the message
+ * @param {Object} matrix - Matrix from buildBatchMatrix
+ * @param {Object[]} [rows] - Rows to export; defaults to every row
+ * @returns {string} CSV text
+ */
+function formatBatchCsv(matrix, rows = matrix.rows) {
+    const lines = [['#', 'document', 'valid'].concat(matrix.rules.map(rule => rule.rule_id))]
+        .concat(rows.map(row => [row.index, row.label, row.valid].concat(matrix.rules.map(rule => {
+            const cell = row.results[rule.rule_id];
+            return cell.message ? `${cell.outcome}: ${cell.message}` : cell.outcome;
+        }))));
+
+    return lines.map(line => line.map(escapeCsvField).join(',')).join('\n') + '\n';
+}
+
+return {
+    BATCH_FORMATS,
+    BATCH_OUTCOMES,
+    detectBatchFormat,
+    parseBatchDocuments,
+    buildBatchMatrix,
+    describeRule,
+    filterBatchRows,
+    formatBatchCsv
+};
+
+}));
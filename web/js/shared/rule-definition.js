@@ -0,0 +1,252 @@
+/**
+ * Declarative Rule Definitions
+ * Validates JSON rule definitions and compiles them into CouchDB validate_doc_update functions.
+ *
+ * A definition states what a valid document looks like:
+ * {
+ *     "field": "income",
+ *     "operator": "lte",
+ *     "value": 25000,
+ *     "message": "Income must be lower than $25,000",
+ *     "conditions": [{ "field": "income", "operator": "exists" }]
+ * }
+ * The rule only applies when every condition holds.
+ *
+ * Transition rules compare the document with the stored version CouchDB passes as oldDoc.
+ * A field prefixed with "oldDoc." reads the stored version, "unchanged" requires the field to keep its
+ * stored value and "transition" limits which values may follow the stored one:
+ * {
+ *     "field": "income",
+ *     "operator": "unchanged",
+ *     "message": "Income may not be changed after approval",
+ *     "conditions": [{ "field": "oldDoc.status", "operator": "eq", "value": "approved" }]
+ * }
+ * New documents have no stored version, so both operators accept them and oldDoc. fields are undefined.
+ *
+ * Values may name a parameter declared in the rule's metadata instead of a literal, and the message
+ * may show parameter values (see rule-parameters.js); both are filled in when the definition is compiled:
+ * {
+ *     "field": "income",
+ *     "operator": "lte",
+ *     "value": { "param": "maximumIncome" },
+ *     "message": "Income must be ${maximumIncome:number} or less"
+ * }
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./rule-parameters'));
+    } else {
+        root.RuleDefinition = factory(root.RuleParameters);
+    }
+}(this, function (RuleParameters) {
+
+const { resolveDefinitionParameters } = RuleParameters;
+
+/**
+ * Supported comparison operators
+ */
+const OPERATORS = ['eq', 'ne', 'gt', 'gte', 'lt', 'lte', 'in', 'not_in', 'exists', 'not_empty', 'unchanged', 'transition'];
+
+/**
+ * Operators that do not take a comparison value
+ */
+const UNARY_OPERATORS = ['exists', 'not_empty', 'unchanged'];
+
+/**
+ * Prefix of fields read from the stored version of the document
+ */
+const OLD_DOC_PREFIX = 'oldDoc.';
+
+/**
+ * Checks the value of a transition check: an object mapping each value to the values that may follow it
+ * @param {*} value - Check value
+ * @returns {boolean} True if the value is a transition map
+ */
+function isTransitionMap(value) {
+    return Boolean(value) && typeof value === 'object' && !Array.isArray(value) &&
+        Object.keys(value).every(from => Array.isArray(value[from]));
+}
+
+/**
+ * Validates a single field/operator/value check
+ * @param {Object} check - Check to validate
+ * @param {string} label - Label used to prefix error messages
+ * @returns {string[]} Validation errors
+ */
+function validateCheck(check, label) {
+    const errors = [];
+
+    if (!check || typeof check !== 'object') {
+        return [`${label} must be an object`];
+    }
+
+    if (!check.field || typeof check.field !== 'string') {
+        errors.push(`${label} is missing required field: field`);
+    }
+
+    if (!OPERATORS.includes(check.operator)) {
+        errors.push(`${label} has invalid operator: ${check.operator}. Must be one of ${OPERATORS.join(', ')}`);
+    } else if (!UNARY_OPERATORS.includes(check.operator)) {
+        if (check.value === undefined) {
+            errors.push(`${label} is missing a value for operator ${check.operator}`);
+        } else if (['in', 'not_in'].includes(check.operator) && !Array.isArray(check.value)) {
+            errors.push(`${label} must use an array value for operator ${check.operator}`);
+        } else if (check.operator === 'transition' && !isTransitionMap(check.value)) {
+            errors.push(`${label} must map each value to an array of the values that may follow it for operator transition`);
+        }
+    }
+
+    if (['unchanged', 'transition'].includes(check.operator) && typeof check.field === 'string' && check.field.startsWith(OLD_DOC_PREFIX)) {
+        errors.push(`${label} already compares with oldDoc - use the field name without the ${OLD_DOC_PREFIX} prefix`);
+    }
+
+    return errors;
+}
+
+/**
+ * Validates a declarative rule definition
+ * @param {Object} definition - Rule definition to validate
+ * @returns {Object} Validation result with isValid boolean and errors array
+ */
+function validateRuleDefinition(definition) {
+    const errors = validateCheck(definition, 'Rule definition');
+
+    if (definition && typeof definition === 'object') {
+        if (!definition.message || typeof definition.message !== 'string') {
+            errors.push('Rule definition is missing required field: message');
+        }
+
+        if (definition.conditions !== undefined) {
+            if (!Array.isArray(definition.conditions)) {
+                errors.push('Rule definition conditions must be an array');
+            } else {
+                definition.conditions.forEach((condition, index) => {
+                    errors.push(...validateCheck(condition, `Condition ${index + 1}`));
+                });
+            }
+        }
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors: errors
+    };
+}
+
+/**
+ * Tests a single field/operator/value check against a document.
+ * @param {Object} doc - Document to test
+ * @param {Object} check - Check with field, operator and value
+ * @param {Object} [oldDoc] - Stored version of the document; null or undefined for new documents
+ * @returns {boolean} True if the check holds
+ */
+function evaluateCheck(doc, check, oldDoc) {
+    function resolve(source, path) {
+        var parts = path.split('.');
+        var value = source;
+        for (var i = 0; i < parts.length; i++) {
+            if (value === undefined || value === null) {
+                return undefined;
+            }
+            value = value[parts[i]];
+        }
+        return value;
+    }
+
+    var fromOldDoc = check.field.indexOf('oldDoc.') === 0;
+    var actual = fromOldDoc ? resolve(oldDoc, check.field.substring('oldDoc.'.length)) : resolve(doc, check.field);
+    var previous = oldDoc ? resolve(oldDoc, check.field) : undefined;
+
+    switch (check.operator) {
+        case 'eq': return actual === check.value;
+        case 'ne': return actual !== check.value;
+        case 'gt': return actual > check.value;
+        case 'gte': return actual >= check.value;
+        case 'lt': return actual < check.value;
+        case 'lte': return actual <= check.value;
+        case 'in': return check.value.indexOf(actual) !== -1;
+        case 'not_in': return check.value.indexOf(actual) === -1;
+        case 'exists': return actual !== undefined;
+        case 'not_empty': return actual !== undefined && actual !== null && String(actual).length > 0;
+        case 'unchanged': return !oldDoc || JSON.stringify(actual) === JSON.stringify(previous);
+        case 'transition':
+            if (!oldDoc || previous === undefined || actual === previous) {
+                return true;
+            }
+            return Object.prototype.hasOwnProperty.call(check.value, previous) && check.value[previous].indexOf(actual) !== -1;
+    }
+    return false;
+}
+
+/**
+ * Applies a rule definition to a document, throwing a CouchDB forbidden error on failure.
+ * Embedded in compiled source next to evaluateCheck, which is its only dependency.
+ * @param {Object} doc - Document to validate
+ * @param {Object} rule - Rule definition
+ * @param {Object} [oldDoc] - Stored version of the document; null or undefined for new documents
+ * @returns {boolean} True if the document is valid or the rule does not apply
+ */
+function applyRuleDefinition(doc, rule, oldDoc) {
+    var conditions = rule.conditions || [];
+    for (var i = 0; i < conditions.length; i++) {
+        if (!evaluateCheck(doc, conditions[i], oldDoc)) {
+            return true;
+        }
+    }
+
+    if (!evaluateCheck(doc, rule, oldDoc)) {
+        throw ({
+            forbidden: rule.message
+        });
+    }
+    return true;
+}
+
+/**
+ * Compiles a rule definition into validate_doc_update source
+ * @param {Object} definition - Rule definition
+ * @param {Object} [parameters] - Values of the parameters the definition uses, by name
+ * @returns {string} Source of a self-contained CouchDB validation function
+ * @throws {Error} If the definition is invalid or uses a parameter without a value
+ */
+function compileRuleDefinition(definition, parameters) {
+    const rule = resolveDefinitionParameters(definition, parameters);
+    const validation = validateRuleDefinition(rule);
+    if (!validation.isValid) {
+        throw new Error(`Invalid rule definition: ${validation.errors.join(', ')}`);
+    }
+
+    return [
+        'function (doc, oldDoc) {',
+        `    var rule = ${JSON.stringify(rule)};`,
+        `    var evaluateCheck = ${evaluateCheck.toString()};`,
+        `    return (${applyRuleDefinition.toString()})(doc, rule, oldDoc);`,
+        '}'
+    ].join('\n');
+}
+
+/**
+ * Compiles a rule definition into a callable validation function.
+ * The function's toString() returns the compiled source, so it can be deployed like a hand-written validator.
+ * @param {Object} definition - Rule definition
+ * @param {Object} [parameters] - Values of the parameters the definition uses, by name
+ * @returns {Function} Validation function
+ */
+function compileRuleFunction(definition, parameters) {
+    return new Function(`return (${compileRuleDefinition(definition, parameters)});`)();
+}
+
+return {
+    OPERATORS,
+    UNARY_OPERATORS,
+    OLD_DOC_PREFIX,
+    validateCheck,
+    validateRuleDefinition,
+    evaluateCheck,
+    applyRuleDefinition,
+    compileRuleDefinition,
+    compileRuleFunction
+};
+
+}));
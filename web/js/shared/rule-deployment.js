@@ -0,0 +1,316 @@
+/**
+ * Rule Deployment
+ * Decides how the loader deploys a rule based on its status:
+ * - active rules are deployed as written
+ * - inactive rules are deployed as a no-op, so a previously deployed version stops rejecting writes
+ * - draft rules are skipped, unless drafts are explicitly requested for a staging database
+ * It also builds the design document for a rule, adding the effective period, scope and role checks
+ * its metadata declares (see rule-schedule.js, rule-scope.js and rule-roles.js) and the values of its
+ * parameters (see rule-parameters.js), and compares it with the deployed one.
+ *
+ * Compiled source is put together from the source of helper functions (their toString()): evaluateCheck
+ * and applyRuleDefinition in rule-definition.js, applyScoringDefinition in rule-scoring.js, formatMessage
+ * in rule-parameters.js, hasRequiredRole and applyRoleGuard in rule-roles.js, resolvePath, matchesSelector
+ * and ruleApplies in rule-scope.js, getEffectiveTime and isEffectiveAt in rule-schedule.js, and the
+ * proposal and audit database checks in rule-review.js and rule-audit.js. CouchDB runs that source with
+ * nothing else in scope, so those functions must stay self-contained and use only syntax CouchDB's
+ * JavaScript engine understands. The modules in web/js/shared leave their bodies unindented inside the
+ * module wrapper, so the source is the same whether Node or the browser compiles it and matches what is
+ * already deployed.
+ *
+ * The browser cannot hash synchronously, so there computeContentHash returns null and the web
+ * interface hashes serializeRuleContent itself.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('crypto'), require('./rule-definition'), require('./rule-scoring'),
+            require('./rule-roles'), require('./rule-scope'), require('./rule-parameters'), require('./rule-schedule'));
+    } else {
+        root.RuleDeployment = factory(null, root.RuleDefinition, root.RuleScoring,
+            root.RuleRoles, root.RuleScope, root.RuleParameters, root.RuleSchedule);
+    }
+}(this, function (crypto, RuleDefinition, RuleScoring, RuleRoles, RuleScope, RuleParameters, RuleSchedule) {
+
+const { compileRuleDefinition } = RuleDefinition;
+const { compileDeterminationHandler } = RuleScoring;
+const { compileRoleGuard } = RuleRoles;
+const { compileScopeGuard } = RuleScope;
+const { resolveParameterValues, bindParameters } = RuleParameters;
+const { compileScheduleGuard, compileScheduledHandler } = RuleSchedule;
+
+/**
+ * Pattern a database name must match to accept draft rules
+ */
+const STAGING_DATABASE_PATTERN = /(^|[_-])staging($|[_-])/;
+
+/**
+ * Checks whether a database is a staging database
+ * @param {string} dbName - Database name
+ * @returns {boolean} True if drafts may be deployed to the database
+ */
+function isStagingDatabase(dbName) {
+    return STAGING_DATABASE_PATTERN.test(String(dbName || ''));
+}
+
+/**
+ * Decides how a rule should be deployed
+ * @param {Object} metadata - Rule metadata object
+ * @param {Object} [options] - Deployment options
+ * @param {boolean} [options.includeDrafts=false] - Deploy draft rules (staging databases only)
+ * @param {string} [options.dbName] - Target database name
+ * @returns {Object} Deployment with action (deploy|disable|skip) and a reason
+ */
+function getDeploymentAction(metadata, options = {}) {
+    const status = (metadata && metadata.status) || 'active';
+
+    if (status === 'active') {
+        return { action: 'deploy', reason: 'status is active' };
+    }
+
+    if (status === 'inactive') {
+        return { action: 'disable', reason: 'status is inactive' };
+    }
+
+    if (status === 'draft' && options.includeDrafts && isStagingDatabase(options.dbName)) {
+        return { action: 'deploy', reason: 'draft deployed to staging database' };
+    }
+
+    return { action: 'skip', reason: `status is ${status}` };
+}
+
+/**
+ * Compiles the validate_doc_update source deployed for an inactive rule
+ * @param {string} ruleId - Rule identifier
+ * @returns {string} Source of a validation function that accepts every document
+ */
+function compileInactiveRule(ruleId) {
+    return [
+        'function (newDoc, oldDoc, userCtx, secObj) {',
+        `    // ${ruleId} is inactive and accepts every document`,
+        '    return true;',
+        '}'
+    ].join('\n');
+}
+
+/**
+ * Metadata fields that record when a document was written rather than what the rule does
+ */
+const TIMESTAMP_FIELDS = ['created_date', 'modified_date'];
+
+/**
+ * Design document fields that hold rule logic
+ */
+const RULE_FIELDS = ['validate_doc_update', 'updates', 'rule_definition', 'rule_parameters'];
+
+/**
+ * Serialises a value as JSON with object keys sorted, so equal content always serialises the same way
+ * @param {*} value - Value to serialise
+ * @returns {string} JSON text
+ */
+function stableStringify(value) {
+    if (Array.isArray(value)) {
+        return `[${value.map(item => stableStringify(item === undefined ? null : item)).join(',')}]`;
+    }
+
+    if (value && typeof value === 'object') {
+        return `{${Object.keys(value).sort()
+            .filter(key => value[key] !== undefined)
+            .map(key => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+            .join(',')}}`;
+    }
+
+    return JSON.stringify(value);
+}
+
+/**
+ * Serialises the content a design document's hash covers: its rule logic and metadata.
+ * Timestamps are left out so the hash only changes when the rule does.
+ * @param {Object} doc - Design document
+ * @returns {string} Text to hash
+ */
+function serializeRuleContent(doc) {
+    const metadata = { ...(doc.rule_metadata || {}) };
+    TIMESTAMP_FIELDS.forEach(field => delete metadata[field]);
+
+    const content = { rule_metadata: metadata };
+    RULE_FIELDS.forEach(field => {
+        content[field] = doc[field];
+    });
+
+    return stableStringify(content);
+}
+
+/**
+ * Computes the content hash of a design document: a SHA-256 of serializeRuleContent
+ * @param {Object} doc - Design document
+ * @returns {string|null} Hex-encoded hash; null in the browser
+ */
+function computeContentHash(doc) {
+    return crypto ? crypto.createHash('sha256').update(serializeRuleContent(doc)).digest('hex') : null;
+}
+
+/**
+ * Adds the checks declared in a rule's metadata to its validation source. The effective period is
+ * checked first, then the scope, so writes a rule does not cover never reach its role check.
+ * @param {string} source - Source of the validation function
+ * @param {Object} metadata - Rule metadata
+ * @returns {string} Source to deploy as validate_doc_update
+ */
+function guardRuleSource(source, metadata) {
+    return compileScheduleGuard(compileScopeGuard(compileRoleGuard(source, metadata), metadata), metadata);
+}
+
+/**
+ * Builds the design document for a validator module
+ * @param {string} ruleId - Rule identifier (validator name / design document name)
+ * @param {Object} validatorModule - Validator module exporting the rule function, metadata and optional definition
+ * @param {Object} deployment - Deployment from getDeploymentAction
+ * @param {Object} [parameters] - Configured values of the rule's parameters, by name; the declared defaults fill in the rest
+ * @returns {Object} Design document without a revision
+ * @throws {Error} If a configured parameter value is undeclared or invalid
+ */
+function buildDesignDocument(ruleId, validatorModule, deployment, parameters) {
+    const doc = { _id: `_design/${ruleId}` };
+    const declared = (validatorModule.metadata && validatorModule.metadata.parameters) || {};
+    const values = resolveParameterValues(declared, parameters);
+
+    if (deployment.action === 'disable') {
+        // Inactive rules replace any deployed version with one that accepts everything
+        doc.validate_doc_update = compileInactiveRule(ruleId);
+    } else if (validatorModule.metadata && validatorModule.metadata.rule_type === 'scoring') {
+        // Scoring rules never reject writes - they are deployed as an update handler that records a determination
+        doc.updates = {
+            determine: compileScheduledHandler(
+                compileDeterminationHandler(ruleId, validatorModule.definition, validatorModule.metadata.version),
+                validatorModule.metadata
+            )
+        };
+        doc.rule_definition = validatorModule.definition;
+    } else if (validatorModule.definition) {
+        // Declarative rules are compiled from their definition, which is stored alongside the metadata
+        doc.validate_doc_update = guardRuleSource(compileRuleDefinition(validatorModule.definition, values), validatorModule.metadata);
+        doc.rule_definition = validatorModule.definition;
+    } else {
+        const ruleFunction = bindParameters(validatorModule[ruleId], validatorModule.metadata, parameters);
+        doc.validate_doc_update = guardRuleSource(ruleFunction.toString(), validatorModule.metadata);
+    }
+
+    // Record the values in effect so they can be shown next to the declared defaults
+    if (deployment.action !== 'disable' && Object.keys(values).length > 0) {
+        doc.rule_parameters = values;
+    }
+
+    if (validatorModule.metadata) {
+        doc.rule_metadata = { ...validatorModule.metadata };
+    } else {
+        // Create basic metadata if none provided
+        const now = new Date().toISOString();
+        doc.rule_metadata = {
+            name: ruleId.replace(/([A-Z])/g, ' $1').replace(/^./, str => str.toUpperCase()),
+            description: `Auto-generated from ${ruleId}.js`,
+            version: '1.0.0',
+            author: 'system',
+            tags: ['auto-generated'],
+            status: 'active',
+            created_date: now,
+            modified_date: now
+        };
+    }
+
+    doc.content_hash = computeContentHash(doc);
+    return doc;
+}
+
+/**
+ * Compares a locally built design document with the deployed one.
+ * The deployed content is hashed rather than trusting its stored hash, so edits made outside the
+ * loader are still detected. Timestamps are ignored because they change on every load.
+ * @param {Object} localDoc - Design document built from the local validator
+ * @param {Object|null} existingDoc - Deployed design document, or null if there is none
+ * @returns {Object} Diff with status (created|changed|unchanged) and the names of changed fields
+ */
+function diffDesignDocument(localDoc, existingDoc) {
+    if (!existingDoc) {
+        return { status: 'created', changes: [] };
+    }
+
+    const changes = [];
+
+    if (computeContentHash(existingDoc) !== localDoc.content_hash) {
+        RULE_FIELDS
+            .filter(field => JSON.stringify(localDoc[field]) !== JSON.stringify(existingDoc[field]))
+            .forEach(field => changes.push(field));
+
+        const localMetadata = localDoc.rule_metadata || {};
+        const existingMetadata = existingDoc.rule_metadata || {};
+        const metadataFields = [...new Set([...Object.keys(localMetadata), ...Object.keys(existingMetadata)])].sort();
+
+        metadataFields
+            .filter(field => !TIMESTAMP_FIELDS.includes(field))
+            .filter(field => JSON.stringify(localMetadata[field]) !== JSON.stringify(existingMetadata[field]))
+            .forEach(field => changes.push(`rule_metadata.${field}`));
+    }
+
+    // Documents deployed before content hashes existed are rewritten once to record one
+    if (changes.length === 0 && existingDoc.content_hash !== localDoc.content_hash) {
+        changes.push('content_hash');
+    }
+
+    return {
+        status: changes.length > 0 ? 'changed' : 'unchanged',
+        changes: changes
+    };
+}
+
+/**
+ * Finds deployed rules that have no local validator
+ * @param {Object[]} existingDocs - Design documents in the database
+ * @param {string[]} localRuleIds - Rule identifiers being loaded
+ * @returns {string[]} Identifiers of deployed rules with no local validator, sorted
+ */
+function findOrphanedRules(existingDocs, localRuleIds) {
+    return existingDocs
+        .filter(doc => doc.rule_metadata)
+        .map(doc => doc._id.replace('_design/', ''))
+        .filter(ruleId => !localRuleIds.includes(ruleId))
+        .sort();
+}
+
+/**
+ * Selects the deployed rules to remove. Only design documents carrying rule_metadata are
+ * considered, so views and other applications' design documents are never removed.
+ * Without criteria every rule is selected; with several, a rule must match all of them.
+ * @param {Object[]} existingDocs - Design documents in the database
+ * @param {Object} [criteria] - Selection criteria
+ * @param {string} [criteria.rule] - Only the rule with this identifier
+ * @param {string} [criteria.tag] - Only rules with this tag
+ * @param {string[]} [criteria.keepRuleIds] - Only rules not in this list (e.g. the rules in validators/)
+ * @returns {Object[]} Design documents to remove
+ */
+function selectRulesForRemoval(existingDocs, criteria = {}) {
+    return existingDocs
+        .filter(doc => doc.rule_metadata)
+        .filter(doc => !criteria.rule || doc._id === `_design/${criteria.rule.replace(/^_design\//, '')}`)
+        .filter(doc => !criteria.tag || (doc.rule_metadata.tags || []).includes(criteria.tag))
+        .filter(doc => !criteria.keepRuleIds || !criteria.keepRuleIds.includes(doc._id.replace('_design/', '')));
+}
+
+return {
+    STAGING_DATABASE_PATTERN,
+    TIMESTAMP_FIELDS,
+    RULE_FIELDS,
+    isStagingDatabase,
+    getDeploymentAction,
+    compileInactiveRule,
+    stableStringify,
+    serializeRuleContent,
+    computeContentHash,
+    guardRuleSource,
+    buildDesignDocument,
+    diffDesignDocument,
+    findOrphanedRules,
+    selectRulesForRemoval
+};
+
+}));
@@ -0,0 +1,162 @@
+/**
+ * Rule Evaluation
+ * What the evaluation engine (utils/rule-engine.js) and the web interface's evaluation of deployed
+ * rules have in common: the order rules run and report in (priority, lowest first, then rule id),
+ * the date effective-dated rules are judged at, why a rule is skipped for a write, and how a value
+ * thrown by a rule becomes a violation. Both therefore report the same rules as evaluated and skipped,
+ * with the same reasons, and the same violations.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./rule-scope'), require('./rule-schedule'));
+    } else {
+        root.RuleEvaluation = factory(root.RuleScope, root.RuleSchedule);
+    }
+}(this, function (RuleScope, RuleSchedule) {
+
+const { isInScope } = RuleScope;
+const { getEffectiveTime, getScheduleState, isInEffect } = RuleSchedule;
+
+/**
+ * Priority assigned to rules that do not declare one
+ * Lower numbers run (and report) first
+ */
+const DEFAULT_PRIORITY = 100;
+
+/**
+ * Gets the effective priority of a rule from its metadata
+ * @param {Object} metadata - Rule metadata object
+ * @returns {number} Declared priority, or DEFAULT_PRIORITY when missing
+ */
+function getRulePriority(metadata) {
+    return metadata && Number.isInteger(metadata.priority) ? metadata.priority : DEFAULT_PRIORITY;
+}
+
+/**
+ * Compares two rules by priority, breaking ties by rule id so the order is deterministic
+ * @param {Object} a - Rule with id and metadata
+ * @param {Object} b - Rule with id and metadata
+ * @returns {number} Negative if a runs first, positive if b runs first
+ */
+function compareRulePriority(a, b) {
+    const difference = getRulePriority(a.metadata) - getRulePriority(b.metadata);
+    if (difference !== 0) {
+        return difference;
+    }
+
+    return a.id < b.id ? -1 : a.id > b.id ? 1 : 0;
+}
+
+/**
+ * Sorts rules into evaluation order without modifying the input array
+ * @param {Object[]} rules - Rules with id and metadata properties
+ * @returns {Object[]} Rules ordered by priority, then id
+ */
+function sortRulesByPriority(rules) {
+    return [...rules].sort(compareRulePriority);
+}
+
+/**
+ * Gets the date effective-dated rules are judged at: the application date (the stored one for
+ * deletions), or now
+ * @param {Object} doc - Document being written
+ * @param {Object} [oldDoc] - Stored version of the document
+ * @param {Date|string} [date] - Date to use instead
+ * @returns {string} The date as an ISO 8601 string
+ * @throws {Error} If date is given but is not a valid date
+ */
+function getEffectiveDate(doc, oldDoc, date) {
+    if (date !== undefined) {
+        const time = new Date(date).getTime();
+        if (isNaN(time)) {
+            throw new Error(`Invalid evaluation date: ${date}. Use a date such as 2025-10-01`);
+        }
+        return new Date(time).toISOString();
+    }
+
+    const dated = doc && doc._deleted && oldDoc ? oldDoc : doc;
+    return new Date(getEffectiveTime(dated)).toISOString();
+}
+
+/**
+ * Decides whether a rule is skipped for a write: because of its status, its effective period or its scope
+ * @param {Object} metadata - Rule metadata object
+ * @param {Object} doc - Document being written
+ * @param {Object} [oldDoc] - Stored version of the document
+ * @param {string} effectiveDate - Date from getEffectiveDate
+ * @param {Object} [options] - includeInactive, to run draft and inactive rules as well
+ * @returns {string|null} Why the rule is skipped, or null if it runs
+ */
+function getSkipReason(metadata, doc, oldDoc, effectiveDate, options = {}) {
+    const status = (metadata && metadata.status) || 'active';
+    if (status !== 'active' && !options.includeInactive) {
+        return `status is ${status}`;
+    }
+
+    if (!isInEffect(metadata, doc, oldDoc, effectiveDate)) {
+        const state = getScheduleState(metadata, effectiveDate);
+        return `${state === 'upcoming' ? 'not yet in effect' : 'no longer in effect'} on ${effectiveDate.slice(0, 10)}`;
+    }
+
+    if (!isInScope(metadata, doc, oldDoc)) {
+        return 'does not apply to this document';
+    }
+
+    return null;
+}
+
+/**
+ * Extracts the failure type and message from a value thrown by a validation function
+ * @param {*} error - Value thrown by the validation function
+ * @returns {Object} Failure with type (forbidden|unauthorized|error) and message
+ */
+function extractFailure(error) {
+    if (error && error.forbidden) {
+        return { type: 'forbidden', message: String(error.forbidden) };
+    }
+
+    if (error && error.unauthorized) {
+        return { type: 'unauthorized', message: String(error.unauthorized) };
+    }
+
+    return {
+        type: 'error',
+        message: error && error.message ? error.message : String(error)
+    };
+}
+
+/**
+ * Builds a violation entry from a value thrown by a rule
+ * @param {string} ruleId - Rule identifier
+ * @param {Object} metadata - Rule metadata object
+ * @param {*} error - Value thrown by the rule
+ * @returns {Object} Violation with rule details, field and message
+ */
+function buildViolation(ruleId, metadata, error) {
+    const ruleMetadata = metadata || {};
+    const failure = extractFailure(error);
+
+    return {
+        rule_id: ruleId,
+        rule_name: ruleMetadata.name || ruleId,
+        rule_version: ruleMetadata.version || null,
+        priority: getRulePriority(ruleMetadata),
+        field: ruleMetadata.field || null,
+        type: failure.type,
+        message: failure.message
+    };
+}
+
+return {
+    DEFAULT_PRIORITY,
+    getRulePriority,
+    compareRulePriority,
+    sortRulesByPriority,
+    getEffectiveDate,
+    getSkipReason,
+    extractFailure,
+    buildViolation
+};
+
+}));
@@ -0,0 +1,245 @@
+/**
+ * Rule Version History
+ * Records every published version of a rule in a history database next to the rules database
+ * (<database>_rule_history), so earlier versions can be reviewed, compared and rolled back to.
+ * Each entry is one document, <rule id>:<sequence>, holding the design document's source,
+ * metadata and parameter values as published, who published it and the revision it became.
+ * The loader, the couch-rules history and rollback commands and the web interface all record
+ * entries. The web interface also uses diffLines and diffFields to compare two versions side by side.
+ * utils/rule-history.js adds the database access the Node tools use.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./rule-deployment'));
+    } else {
+        root.RuleHistory = factory(root.RuleDeployment);
+    }
+}(this, function (RuleDeployment) {
+
+const { TIMESTAMP_FIELDS } = RuleDeployment;
+
+/**
+ * Appended to a rules database's name to get its history database
+ */
+const HISTORY_DB_SUFFIX = '_rule_history';
+
+/**
+ * How a version came to be published
+ * - publish: deployed by the loader or saved in the web interface
+ * - rollback: restored from an earlier history entry
+ */
+const HISTORY_ACTIONS = ['publish', 'rollback'];
+
+/**
+ * Design document fields stored in a history entry and restored by a rollback
+ */
+const VERSIONED_FIELDS = ['validate_doc_update', 'updates', 'rule_definition', 'rule_metadata', 'rule_parameters', 'content_hash'];
+
+/**
+ * Gets the name of the history database for a rules database
+ * @param {string} dbName - Rules database
+ * @returns {string} History database name
+ */
+function getHistoryDatabaseName(dbName) {
+    return `${dbName}${HISTORY_DB_SUFFIX}`;
+}
+
+/**
+ * Gets the document ID of a history entry. Sequences are zero-padded so entries sort in order.
+ * @param {string} ruleId - Rule ID (design document name without _design/)
+ * @param {number} sequence - Position of the entry in the rule's history, from 1
+ * @returns {string} Document ID
+ */
+function getHistoryEntryId(ruleId, sequence) {
+    return `${ruleId}:${String(sequence).padStart(6, '0')}`;
+}
+
+/**
+ * Creates the history entry for a published design document
+ * @param {Object} designDoc - Design document as written, with the _rev CouchDB gave it
+ * @param {Object|null} previous - The rule's latest history entry, or null for its first
+ * @param {Object} [options] - Entry options
+ * @param {string} [options.action='publish'] - How the version was published (publish|rollback)
+ * @param {string} [options.publishedBy] - User who published it
+ * @param {number} [options.rolledBackFrom] - Sequence of the entry a rollback restored
+ * @returns {Object} History entry document
+ * @throws {Error} If the action is unknown
+ */
+function createHistoryEntry(designDoc, previous, options = {}) {
+    const action = options.action || 'publish';
+    if (!HISTORY_ACTIONS.includes(action)) {
+        throw new Error(`Unknown history action: ${action}. Must be one of ${HISTORY_ACTIONS.join(', ')}`);
+    }
+
+    const ruleId = designDoc._id.replace('_design/', '');
+    const sequence = previous ? previous.sequence + 1 : 1;
+    const metadata = designDoc.rule_metadata || {};
+    const entry = {
+        _id: getHistoryEntryId(ruleId, sequence),
+        type: 'rule_version',
+        rule_id: ruleId,
+        sequence: sequence,
+        action: action,
+        rolled_back_from: action === 'rollback' ? options.rolledBackFrom : null,
+        version: metadata.version || null,
+        author: metadata.author || null,
+        change_notes: metadata.change_notes || null,
+        published_at: new Date().toISOString(),
+        published_by: options.publishedBy || null,
+        rev: designDoc._rev || null
+    };
+
+    VERSIONED_FIELDS.filter(field => designDoc[field] !== undefined).forEach(field => {
+        entry[field] = JSON.parse(JSON.stringify(designDoc[field]));
+    });
+    return entry;
+}
+
+/**
+ * Plans rolling a rule back to one of its history entries
+ * @param {Object} entry - History entry to restore
+ * @param {Object|null} currentDoc - The rule's design document as deployed now, or null if it was removed
+ * @returns {Object} Design document to write, with the current _rev when replacing a deployed rule
+ * @throws {Error} If the entry is the version already deployed
+ */
+function planRollback(entry, currentDoc) {
+    if (currentDoc && entry.rev && currentDoc._rev === entry.rev) {
+        throw new Error(`${entry.rule_id} is already at history entry ${entry.sequence}`);
+    }
+
+    const doc = { _id: `_design/${entry.rule_id}` };
+    VERSIONED_FIELDS.filter(field => entry[field] !== undefined).forEach(field => {
+        doc[field] = JSON.parse(JSON.stringify(entry[field]));
+    });
+
+    if (currentDoc) {
+        doc._rev = currentDoc._rev;
+    }
+
+    const currentMetadata = (currentDoc && currentDoc.rule_metadata) || {};
+    doc.rule_metadata = {
+        ...(doc.rule_metadata || {}),
+        created_date: currentMetadata.created_date || (doc.rule_metadata || {}).created_date,
+        modified_date: new Date().toISOString(),
+        change_notes: `Rolled back to version ${entry.version || 'unknown'} (history entry ${entry.sequence})`
+    };
+    return doc;
+}
+
+/**
+ * Gets the source a design document runs: its validate_doc_update, or its update handlers
+ * @param {Object} designDoc - Design document or history entry
+ * @returns {string} Source, empty if the document has none
+ */
+function getRuleSource(designDoc) {
+    if (!designDoc) {
+        return '';
+    }
+    if (designDoc.validate_doc_update) {
+        return designDoc.validate_doc_update;
+    }
+    return Object.keys(designDoc.updates || {})
+        .map(name => `// updates.${name}\n${designDoc.updates[name]}`)
+        .join('\n\n');
+}
+
+/**
+ * Compares two texts line by line for a side-by-side view.
+ * Removed lines followed by added lines are paired up as changed rows.
+ * @param {string} leftText - Earlier text
+ * @param {string} rightText - Later text
+ * @returns {Object[]} Rows with type (same|removed|added|changed) and left and right as
+ *   { number, text }, null on the side a line is missing from
+ */
+function diffLines(leftText, rightText) {
+    const left = String(leftText || '').split('\n');
+    const right = String(rightText || '').split('\n');
+
+    // Longest common subsequence table, filled from the end
+    const lengths = Array.from({ length: left.length + 1 }, () => new Array(right.length + 1).fill(0));
+    for (let i = left.length - 1; i >= 0; i--) {
+        for (let j = right.length - 1; j >= 0; j--) {
+            lengths[i][j] = left[i] === right[j]
+                ? lengths[i + 1][j + 1] + 1
+                : Math.max(lengths[i + 1][j], lengths[i][j + 1]);
+        }
+    }
+
+    const rows = [];
+    let removed = [];
+    let added = [];
+    const flush = () => {
+        for (let k = 0; k < Math.max(removed.length, added.length); k++) {
+            rows.push({
+                type: removed[k] && added[k] ? 'changed' : removed[k] ? 'removed' : 'added',
+                left: removed[k] || null,
+                right: added[k] || null
+            });
+        }
+        removed = [];
+        added = [];
+    };
+
+    let i = 0;
+    let j = 0;
+    while (i < left.length || j < right.length) {
+        if (i < left.length && j < right.length && left[i] === right[j]) {
+            flush();
+            rows.push({ type: 'same', left: { number: i + 1, text: left[i] }, right: { number: j + 1, text: right[j] } });
+            i++;
+            j++;
+        } else if (j >= right.length || (i < left.length && lengths[i + 1][j] >= lengths[i][j + 1])) {
+            removed.push({ number: i + 1, text: left[i] });
+            i++;
+        } else {
+            added.push({ number: j + 1, text: right[j] });
+            j++;
+        }
+    }
+    flush();
+    return rows;
+}
+
+/**
+ * Lists the definition, parameter and metadata fields that differ between two versions
+ * @param {Object|null} before - Earlier design document or history entry
+ * @param {Object|null} after - Later design document or history entry
+ * @returns {Object[]} Changes with field, before and after (as JSON text)
+ */
+function diffFields(before, after) {
+    const changes = [];
+    const compare = (field, a, b) => {
+        const beforeText = a === undefined ? '' : JSON.stringify(a);
+        const afterText = b === undefined ? '' : JSON.stringify(b);
+        if (beforeText !== afterText) {
+            changes.push({ field: field, before: beforeText, after: afterText });
+        }
+    };
+
+    compare('rule_definition', (before || {}).rule_definition, (after || {}).rule_definition);
+    compare('rule_parameters', (before || {}).rule_parameters, (after || {}).rule_parameters);
+
+    const beforeMetadata = (before || {}).rule_metadata || {};
+    const afterMetadata = (after || {}).rule_metadata || {};
+    [...new Set([...Object.keys(beforeMetadata), ...Object.keys(afterMetadata)])]
+        .filter(field => !TIMESTAMP_FIELDS.includes(field))
+        .sort()
+        .forEach(field => compare(`rule_metadata.${field}`, beforeMetadata[field], afterMetadata[field]));
+    return changes;
+}
+
+return {
+    HISTORY_DB_SUFFIX,
+    HISTORY_ACTIONS,
+    VERSIONED_FIELDS,
+    getHistoryDatabaseName,
+    getHistoryEntryId,
+    createHistoryEntry,
+    planRollback,
+    getRuleSource,
+    diffLines,
+    diffFields
+};
+
+}));
@@ -0,0 +1,259 @@
+/**
+ * Rule Parameters
+ * Enforces the parameters rule metadata field, which declares the thresholds a rule uses as named,
+ * typed values with defaults instead of literals in its code:
+ * parameters: {
+ *     maximumIncome: { type: 'number', default: 25000, min: 0, description: 'Highest eligible income' }
+ * }
+ * Hand-written rules read params.maximumIncome and build their messages with
+ * message('Income must be ${maximumIncome:number} or less'), so a message can never drift from the
+ * value it describes. Declarative definitions use { "param": "maximumIncome" } as a value and the
+ * same placeholders in their message. The loader injects the defaults, or the values configured
+ * for the target environment, into the deployed source and records them as rule_parameters.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.RuleParameters = factory();
+    }
+}(this, function () {
+
+/**
+ * Supported parameter types
+ */
+const PARAMETER_TYPES = ['number', 'integer', 'string', 'boolean'];
+
+/**
+ * Properties a parameter definition may have
+ */
+const PARAMETER_PROPERTIES = ['type', 'default', 'description', 'min', 'max'];
+
+/**
+ * Checks a value against a parameter definition
+ * @param {string} name - Parameter name, for error messages
+ * @param {Object} definition - Parameter definition
+ * @param {*} value - Value to check
+ * @returns {string[]} Validation errors
+ */
+function validateParameterValue(name, definition, value) {
+    const matchesType = {
+        number: typeof value === 'number' && Number.isFinite(value),
+        integer: Number.isInteger(value),
+        string: typeof value === 'string',
+        boolean: typeof value === 'boolean'
+    };
+
+    if (!matchesType[definition.type]) {
+        return [`Parameter ${name} must be ${definition.type === 'integer' ? 'an' : 'a'} ${definition.type}, got ${JSON.stringify(value)}`];
+    }
+
+    const errors = [];
+    if (typeof definition.min === 'number' && value < definition.min) {
+        errors.push(`Parameter ${name} must be at least ${definition.min}, got ${value}`);
+    }
+    if (typeof definition.max === 'number' && value > definition.max) {
+        errors.push(`Parameter ${name} must be at most ${definition.max}, got ${value}`);
+    }
+    return errors;
+}
+
+/**
+ * Validates the parameters declared in rule metadata
+ * @param {*} parameters - Value of parameters
+ * @returns {string[]} Validation errors
+ */
+function validateParameters(parameters) {
+    if (!parameters || typeof parameters !== 'object' || Array.isArray(parameters)) {
+        return ['parameters must be an object'];
+    }
+
+    const errors = [];
+    Object.keys(parameters).forEach(name => {
+        const definition = parameters[name];
+
+        if (!/^[A-Za-z_][A-Za-z0-9_]*$/.test(name)) {
+            errors.push(`Invalid parameter name: ${name}. Names must be identifiers`);
+            return;
+        }
+
+        if (!definition || typeof definition !== 'object' || Array.isArray(definition)) {
+            errors.push(`Parameter ${name} must be an object`);
+            return;
+        }
+
+        Object.keys(definition)
+            .filter(key => !PARAMETER_PROPERTIES.includes(key))
+            .forEach(key => errors.push(`Unknown property for parameter ${name}: ${key}. Must be one of ${PARAMETER_PROPERTIES.join(', ')}`));
+
+        if (!PARAMETER_TYPES.includes(definition.type)) {
+            errors.push(`Invalid type for parameter ${name}: ${definition.type}. Must be one of ${PARAMETER_TYPES.join(', ')}`);
+            return;
+        }
+
+        ['min', 'max'].filter(key => definition[key] !== undefined).forEach(key => {
+            if (!['number', 'integer'].includes(definition.type)) {
+                errors.push(`Parameter ${name} has ${key}, which only applies to number and integer parameters`);
+            } else if (typeof definition[key] !== 'number') {
+                errors.push(`Parameter ${name} must use a number for ${key}`);
+            }
+        });
+
+        if (definition.default === undefined) {
+            errors.push(`Parameter ${name} is missing a default`);
+        } else {
+            errors.push(...validateParameterValue(name, definition, definition.default).map(error => `${error} as its default`));
+        }
+    });
+    return errors;
+}
+
+/**
+ * Works out the values a rule runs with: the declared defaults, replaced by any configured values
+ * @param {Object} parameters - Parameter definitions from rule metadata
+ * @param {Object} [overrides] - Configured values by parameter name
+ * @returns {Object} Values by parameter name
+ * @throws {Error} If an override names an undeclared parameter or has an invalid value
+ */
+function resolveParameterValues(parameters, overrides = {}) {
+    const definitions = parameters || {};
+    const errors = [];
+
+    Object.keys(overrides || {})
+        .filter(name => !Object.prototype.hasOwnProperty.call(definitions, name))
+        .forEach(name => errors.push(`Unknown parameter: ${name}. Declared parameters: ${Object.keys(definitions).join(', ') || 'none'}`));
+
+    const values = {};
+    Object.keys(definitions).forEach(name => {
+        const configured = overrides && Object.prototype.hasOwnProperty.call(overrides, name);
+        values[name] = configured ? overrides[name] : definitions[name].default;
+        if (configured) {
+            errors.push(...validateParameterValue(name, definitions[name], values[name]));
+        }
+    });
+
+    if (errors.length > 0) {
+        throw new Error(`Invalid parameter values: ${errors.join('; ')}`);
+    }
+    return values;
+}
+
+/**
+ * Fills a message template with parameter values. {name} inserts the value as it is and
+ * {name:number} inserts a number with thousands separators; unknown names are left as written.
+ * @param {string} template - Message template
+ * @param {Object} params - Values by parameter name
+ * @returns {string} Message
+ */
+function formatMessage(template, params) {
+    return String(template).replace(/\{([A-Za-z_][A-Za-z0-9_]*)(:number)?\}/g, function (placeholder, name, format) {
+        if (!params || !Object.prototype.hasOwnProperty.call(params, name)) {
+            return placeholder;
+        }
+        var value = params[name];
+        if (format && typeof value === 'number') {
+            var parts = String(value).split('.');
+            parts[0] = parts[0].replace(/\B(?=(\d{3})+(?!\d))/g, ',');
+            return parts.join('.');
+        }
+        return String(value);
+    });
+}
+
+/**
+ * Wraps validation source so it runs with parameter values: params holds the values and
+ * message(template) fills a message template with them
+ * @param {string} source - Source of a validation function that reads params and message
+ * @param {Object} values - Values by parameter name
+ * @returns {string} Source of a self-contained validation function
+ */
+function compileParameterBinding(source, values) {
+    return [
+        'function (newDoc, oldDoc, userCtx, secObj) {',
+        `    var params = ${JSON.stringify(values)};`,
+        `    var formatMessage = ${formatMessage.toString()};`,
+        '    var message = function (template) {',
+        '        return formatMessage(template, params);',
+        '    };',
+        `    return (${source})(newDoc, oldDoc, userCtx, secObj);`,
+        '}'
+    ].join('\n');
+}
+
+/**
+ * Binds a hand-written validation function to its parameter values.
+ * The result's toString() returns the bound source, and its unboundRule property keeps the
+ * original so the loader and the engine can bind it again with configured values.
+ * @param {Function} validationFunction - Validation function that reads params and message
+ * @param {Object} metadata - Rule metadata with parameters
+ * @param {Object} [overrides] - Configured values by parameter name
+ * @returns {Function} Bound validation function; the original when the rule has no parameters
+ */
+function bindParameters(validationFunction, metadata, overrides) {
+    const unbound = validationFunction.unboundRule || validationFunction;
+    if (!metadata || !metadata.parameters || Object.keys(metadata.parameters).length === 0) {
+        return unbound;
+    }
+
+    const values = resolveParameterValues(metadata.parameters, overrides);
+    const bound = new Function(`return (${compileParameterBinding(unbound.toString(), values)});`)();
+    bound.unboundRule = unbound;
+    return bound;
+}
+
+/**
+ * Replaces { "param": name } values in a declarative rule definition and fills its message template
+ * @param {Object} definition - Rule definition
+ * @param {Object} values - Values by parameter name
+ * @returns {Object} Definition with literal values
+ * @throws {Error} If the definition refers to an undeclared parameter
+ */
+function resolveDefinitionParameters(definition, values = {}) {
+    const resolveValue = value => {
+        if (!value || typeof value !== 'object' || Array.isArray(value) || Object.keys(value).join() !== 'param') {
+            return value;
+        }
+        if (!Object.prototype.hasOwnProperty.call(values, value.param)) {
+            throw new Error(`Rule definition uses undeclared parameter: ${value.param}`);
+        }
+        return values[value.param];
+    };
+    const resolveCheck = check => (check && typeof check === 'object' && !Array.isArray(check)
+        ? { ...check, ...(check.value !== undefined ? { value: resolveValue(check.value) } : {}) }
+        : check);
+
+    const resolved = resolveCheck(definition);
+    if (resolved && typeof resolved === 'object') {
+        if (typeof resolved.message === 'string') {
+            resolved.message = formatMessage(resolved.message, values);
+        }
+        if (Array.isArray(resolved.conditions)) {
+            resolved.conditions = resolved.conditions.map(resolveCheck);
+        }
+    }
+    return resolved;
+}
+
+/**
+ * Reads the default values of the parameters declared in rule metadata
+ * @param {Object} metadata - Rule metadata with parameters
+ * @returns {Object} Default values by parameter name
+ */
+function getParameterDefaults(metadata) {
+    return resolveParameterValues((metadata && metadata.parameters) || {});
+}
+
+return {
+    PARAMETER_TYPES,
+    validateParameters,
+    validateParameterValue,
+    resolveParameterValues,
+    formatMessage,
+    compileParameterBinding,
+    bindParameters,
+    resolveDefinitionParameters,
+    getParameterDefaults
+};
+
+}));
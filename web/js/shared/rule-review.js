@@ -0,0 +1,376 @@
+/**
+ * Rule Review Workflow
+ * Changes made outside validators/ - in the web interface - are not written to the rules database
+ * directly. They are saved as proposals in a database next to it (<database>_rule_proposals), and
+ * only a proposal that a second user approved is compiled and published as the live rule:
+ * - pending: submitted, waiting for review
+ * - approved: accepted by a reviewer other than its author, waiting to be published
+ * - rejected: turned down, with the reviewer's reasons
+ * - published: compiled into the rule's validate_doc_update, recorded as published_rev
+ * The proposals database's own validate_doc_update (REVIEW_DESIGN_DOC_ID) enforces these
+ * transitions for every client, so a proposal cannot be approved by its author or edited after
+ * it was submitted. Once a rule went through review, the loader only changes it to a version a
+ * reviewer approved (see checkLoaderChange). This module holds what Node and the browser share, so
+ * a proposal published from either is built as the loader builds a rule; utils/rule-review.js adds
+ * the database access the Node tools use.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./rule-deployment'), require('./rule-versioning'));
+    } else {
+        root.RuleReview = factory(root.RuleDeployment, root.RuleVersioning);
+    }
+}(this, function (RuleDeployment, RuleVersioning) {
+
+const { getDeploymentAction, buildDesignDocument, serializeRuleContent } = RuleDeployment;
+const { parseVersion } = RuleVersioning;
+
+/**
+ * Appended to a rules database's name to get its proposals database
+ */
+const PROPOSALS_DB_SUFFIX = '_rule_proposals';
+
+/**
+ * Design document holding the proposals database's workflow checks
+ */
+const REVIEW_DESIGN_DOC_ID = '_design/review_workflow';
+
+/**
+ * Proposal statuses, in workflow order
+ */
+const PROPOSAL_STATUSES = ['pending', 'approved', 'rejected', 'published'];
+
+/**
+ * How each proposal status is shown in the web interface
+ */
+const PROPOSAL_STATUS_LABELS = {
+    pending: 'In review',
+    approved: 'Approved - not yet published',
+    rejected: 'Rejected',
+    published: 'Published'
+};
+
+/**
+ * Review decisions and the status each leads to
+ */
+const REVIEW_DECISIONS = {
+    approve: 'approved',
+    reject: 'rejected'
+};
+
+/**
+ * Gets the name of the proposals database for a rules database
+ * @param {string} dbName - Rules database
+ * @returns {string} Proposals database name
+ */
+function getProposalDatabaseName(dbName) {
+    return `${dbName}${PROPOSALS_DB_SUFFIX}`;
+}
+
+/**
+ * Gets the document ID of a proposal. Sequences are zero-padded so a rule's proposals sort in order.
+ * @param {string} ruleId - Rule ID (design document name without _design/)
+ * @param {number} sequence - Position of the proposal among the rule's proposals, from 1
+ * @returns {string} Document ID
+ */
+function getProposalId(ruleId, sequence) {
+    return `${ruleId}:${String(sequence).padStart(6, '0')}`;
+}
+
+/**
+ * Checks a write to the proposals database against the review workflow.
+ * @param {Object} newDoc - Proposal being written
+ * @param {Object|null} oldDoc - Stored proposal, or null for a new one
+ * @param {Object} userCtx - CouchDB user context (name, roles)
+ * @returns {boolean} True if the write is allowed
+ * @throws {Object} CouchDB forbidden or unauthorized error if it is not
+ */
+function checkProposalWrite(newDoc, oldDoc, userCtx) {
+    var name = userCtx && userCtx.name;
+    var fixed = ['type', 'rule_id', 'sequence', 'base_rev', 'base_version', 'proposed_by', 'proposed_at',
+        'rule_definition', 'rule_parameters', 'rule_metadata'];
+    var changedField = function (fields, before) {
+        for (var i = 0; i < fields.length; i++) {
+            if (JSON.stringify(newDoc[fields[i]]) !== JSON.stringify(before[fields[i]])) {
+                return fields[i];
+            }
+        }
+        return null;
+    };
+
+    if (newDoc._id.indexOf('_design/') === 0) {
+        return true;
+    }
+    if (newDoc._deleted) {
+        throw ({ forbidden: 'Proposals are the record of a rule\'s reviews and cannot be deleted' });
+    }
+    if (newDoc.type !== 'rule_proposal') {
+        throw ({ forbidden: 'Only rule proposals can be stored in this database' });
+    }
+    if (!name) {
+        throw ({ unauthorized: 'Log in to propose or review rule changes' });
+    }
+
+    if (!oldDoc) {
+        if (newDoc.status !== 'pending') {
+            throw ({ forbidden: 'A new proposal must be pending' });
+        }
+        if (newDoc.proposed_by !== name) {
+            throw ({ forbidden: 'proposed_by must be the user submitting the proposal' });
+        }
+        if (newDoc.reviewed_by || newDoc.published_rev) {
+            throw ({ forbidden: 'A new proposal cannot already be reviewed or published' });
+        }
+        if (!newDoc.rule_metadata || !newDoc.rule_metadata.change_notes) {
+            throw ({ forbidden: 'A proposal must describe the change in change_notes' });
+        }
+        return true;
+    }
+
+    var field = changedField(fixed, oldDoc);
+    if (field) {
+        throw ({ forbidden: field + ' cannot be changed once a proposal is submitted - submit a new proposal instead' });
+    }
+
+    if (oldDoc.status === 'pending' && (newDoc.status === 'approved' || newDoc.status === 'rejected')) {
+        if (newDoc.reviewed_by !== name) {
+            throw ({ forbidden: 'reviewed_by must be the user reviewing the proposal' });
+        }
+        if (name === oldDoc.proposed_by) {
+            throw ({ forbidden: 'A proposal must be reviewed by someone other than its author' });
+        }
+        if (newDoc.status === 'rejected' && !(newDoc.review_comment && String(newDoc.review_comment).trim())) {
+            throw ({ forbidden: 'Explain why the proposal is rejected in review_comment' });
+        }
+        if (newDoc.published_rev) {
+            throw ({ forbidden: 'A proposal must be approved before it is published' });
+        }
+        return true;
+    }
+
+    if (oldDoc.status === 'approved' && newDoc.status === 'published') {
+        field = changedField(['reviewed_by', 'reviewed_at', 'review_comment'], oldDoc);
+        if (field) {
+            throw ({ forbidden: field + ' cannot be changed once a proposal is reviewed' });
+        }
+        if (!newDoc.published_rev) {
+            throw ({ forbidden: 'published_rev must be the revision the approved version became' });
+        }
+        return true;
+    }
+
+    throw ({ forbidden: 'A proposal that is ' + oldDoc.status + ' cannot become ' + newDoc.status });
+}
+
+/**
+ * Compiles the proposals database's validate_doc_update
+ * @returns {string} Source of a validation function enforcing the review workflow
+ */
+function compileReviewGuard() {
+    return [
+        'function (newDoc, oldDoc, userCtx, secObj) {',
+        `    return (${checkProposalWrite.toString()})(newDoc, oldDoc, userCtx);`,
+        '}'
+    ].join('\n');
+}
+
+/**
+ * Runs the workflow check locally, turning a rejected write into an Error
+ */
+function assertProposalWrite(newDoc, oldDoc, userName) {
+    try {
+        checkProposalWrite(newDoc, oldDoc, { name: userName || null, roles: [] });
+    } catch (error) {
+        throw new Error(error.forbidden || error.unauthorized || error.message);
+    }
+}
+
+/**
+ * Creates a proposal to change a deployed declarative rule
+ * @param {Object} currentDoc - The rule's design document as deployed now
+ * @param {Object} changes - Proposed rule_definition and rule_parameters, with the new version and change_notes
+ * @param {Object} options - Proposal options
+ * @param {string} options.proposedBy - User submitting the proposal
+ * @param {Object|null} [options.previous] - The rule's latest proposal, or null for its first
+ * @returns {Object} Pending proposal document
+ * @throws {Error} If the proposal is incomplete or would not pass the workflow check
+ */
+function createProposal(currentDoc, changes, options = {}) {
+    const ruleId = currentDoc._id.replace('_design/', '');
+    const currentMetadata = currentDoc.rule_metadata || {};
+    const sequence = options.previous ? options.previous.sequence + 1 : 1;
+
+    if (!changes.rule_definition) {
+        throw new Error(`Only declarative rules can be changed through a proposal; change validators/${ruleId}.js instead`);
+    }
+    if (!parseVersion(changes.version)) {
+        throw new Error(`Invalid semantic version: ${changes.version}`);
+    }
+    if (changes.version === currentMetadata.version) {
+        throw new Error(`Version ${changes.version} is already deployed - give the proposed version a new number`);
+    }
+    const changeNotes = String(changes.change_notes || '').trim();
+    if (!changeNotes || changeNotes === (currentMetadata.change_notes || '').trim()) {
+        throw new Error('change_notes must describe what the proposal changes');
+    }
+
+    // modified_date is set when the proposal is published
+    const metadata = { ...currentMetadata };
+    delete metadata.modified_date;
+    const proposal = {
+        _id: getProposalId(ruleId, sequence),
+        type: 'rule_proposal',
+        rule_id: ruleId,
+        sequence: sequence,
+        status: 'pending',
+        base_rev: currentDoc._rev,
+        base_version: currentMetadata.version || null,
+        proposed_by: options.proposedBy || null,
+        proposed_at: new Date().toISOString(),
+        rule_definition: JSON.parse(JSON.stringify(changes.rule_definition)),
+        rule_metadata: { ...metadata, version: changes.version, change_notes: changeNotes },
+        reviewed_by: null,
+        reviewed_at: null,
+        review_comment: null,
+        published_rev: null,
+        published_at: null
+    };
+    if (changes.rule_parameters && Object.keys(changes.rule_parameters).length > 0) {
+        proposal.rule_parameters = { ...changes.rule_parameters };
+    }
+
+    assertProposalWrite(proposal, null, proposal.proposed_by);
+    return proposal;
+}
+
+/**
+ * Records a reviewer's decision on a pending proposal
+ * @param {Object} proposal - Pending proposal
+ * @param {string} decision - approve or reject
+ * @param {string} reviewer - User reviewing the proposal
+ * @param {string} [comment] - Reviewer's comments; required to reject
+ * @returns {Object} Reviewed proposal
+ * @throws {Error} If the decision is unknown or the review would not pass the workflow check
+ */
+function reviewProposal(proposal, decision, reviewer, comment) {
+    if (!REVIEW_DECISIONS[decision]) {
+        throw new Error(`Unknown review decision: ${decision}. Must be one of ${Object.keys(REVIEW_DECISIONS).join(', ')}`);
+    }
+
+    const reviewed = {
+        ...proposal,
+        status: REVIEW_DECISIONS[decision],
+        reviewed_by: reviewer || null,
+        reviewed_at: new Date().toISOString(),
+        review_comment: String(comment || '').trim() || null
+    };
+    assertProposalWrite(reviewed, proposal, reviewer);
+    return reviewed;
+}
+
+/**
+ * Builds the design document a proposal publishes, the way the loader builds one from validators/:
+ * with the checks its metadata declares, its parameter values (the declared defaults unless it sets
+ * them) and its content hash
+ * @param {Object} proposal - Proposal
+ * @returns {Object} Design document without a revision
+ * @throws {Error} If the rule would not be deployed, or its definition does not compile
+ */
+function buildProposalDocument(proposal) {
+    const metadata = { ...proposal.rule_metadata, modified_date: new Date().toISOString() };
+    const deployment = getDeploymentAction(metadata);
+    if (deployment.action === 'skip') {
+        throw new Error(`${proposal.rule_id} is not deployed because its ${deployment.reason}`);
+    }
+
+    return buildDesignDocument(proposal.rule_id, { definition: proposal.rule_definition, metadata: metadata }, deployment, proposal.rule_parameters);
+}
+
+/**
+ * Plans publishing an approved proposal: compiles it into the rule's design document
+ * @param {Object} proposal - Approved proposal
+ * @param {Object|null} currentDoc - The rule's design document as deployed now
+ * @returns {Object} Design document to write, with the current _rev
+ * @throws {Error} If the proposal is not approved or the rule changed since it was proposed
+ */
+function planPublish(proposal, currentDoc) {
+    if (proposal.status !== 'approved') {
+        throw new Error(`${proposal._id} is ${proposal.status}; only approved proposals can be published`);
+    }
+    if (!currentDoc || currentDoc._rev !== proposal.base_rev) {
+        throw new Error(`${proposal.rule_id} changed after ${proposal._id} was proposed (it was based on revision ${proposal.base_rev}) - submit a new proposal`);
+    }
+
+    const doc = buildProposalDocument(proposal);
+    doc._rev = currentDoc._rev;
+    return doc;
+}
+
+/**
+ * Finds each rule's open proposal: the latest one waiting for review or publishing
+ * @param {Object[]} proposals - Proposals, oldest first within each rule
+ * @returns {Object} Open proposals by rule ID
+ */
+function getOpenProposals(proposals) {
+    return proposals
+        .filter(proposal => proposal.status === 'pending' || proposal.status === 'approved')
+        .reduce((open, proposal) => ({ ...open, [proposal.rule_id]: proposal }), {});
+}
+
+/**
+ * Decides whether the loader may change a deployed rule from validators/. A rule that went through
+ * review - one with proposals - only changes to what a reviewer approved: the loaded version must
+ * be the one an approved or published proposal publishes. Otherwise the change is refused unless
+ * the review is explicitly overridden, which the loader records in the audit log.
+ * @param {Object} doc - Design document the loader would write
+ * @param {Object[]|null} proposals - The rule's proposals; null if they could not be read
+ * @param {boolean} [overrideReview=false] - Change the rule without an approved proposal
+ * @returns {Object} allowed, the approved proposal the change publishes (or null), override if it is
+ *   only allowed because the review was overridden, and the reason it needs approval (or null)
+ */
+function checkLoaderChange(doc, proposals, overrideReview = false) {
+    if (proposals && proposals.length === 0) {
+        return { allowed: true, proposal: null, override: false, reason: null };
+    }
+
+    const content = serializeRuleContent(doc);
+    const proposal = (proposals || [])
+        .filter(candidate => candidate.status === 'approved' || candidate.status === 'published')
+        .reverse()
+        .find(candidate => {
+            try {
+                return serializeRuleContent(buildProposalDocument(candidate)) === content;
+            } catch (error) {
+                return false;
+            }
+        });
+    if (proposal) {
+        return { allowed: true, proposal: proposal, override: false, reason: null };
+    }
+
+    const reason = proposals
+        ? `${doc._id.replace('_design/', '')} went through review and no approved proposal matches validators/`
+        : `the proposals for ${doc._id.replace('_design/', '')} could not be read to check its review`;
+    return { allowed: Boolean(overrideReview), proposal: null, override: Boolean(overrideReview), reason: reason };
+}
+
+return {
+    PROPOSALS_DB_SUFFIX,
+    REVIEW_DESIGN_DOC_ID,
+    PROPOSAL_STATUSES,
+    PROPOSAL_STATUS_LABELS,
+    REVIEW_DECISIONS,
+    getProposalDatabaseName,
+    getProposalId,
+    checkProposalWrite,
+    compileReviewGuard,
+    createProposal,
+    reviewProposal,
+    buildProposalDocument,
+    planPublish,
+    getOpenProposals,
+    checkLoaderChange
+};
+
+}));
@@ -0,0 +1,142 @@
+/**
+ * Role Requirements
+ * Enforces the required_roles rule metadata field. CouchDB calls validate_doc_update with
+ * (newDoc, oldDoc, userCtx, secObj); a rule that declares required roles rejects writes that set
+ * or change its field unless the user has one of those roles. Writes that leave the field as it
+ * is stored in oldDoc are not checked, so other users can still edit the rest of the document. The check is compiled into the deployed
+ * source by the loader and applied the same way by the local evaluation engine.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.RuleRoles = factory();
+    }
+}(this, function () {
+
+/**
+ * User context assumed when evaluating locally without one: an admin, like the loader and the tests
+ */
+const DEFAULT_USER_CTX = { db: null, name: null, roles: ['_admin'] };
+
+/**
+ * Validates a required roles list
+ * @param {*} roles - Value of required_roles
+ * @returns {string[]} Validation errors
+ */
+function validateRequiredRoles(roles) {
+    if (!Array.isArray(roles)) {
+        return ['required_roles must be an array'];
+    }
+
+    return roles
+        .filter(role => typeof role !== 'string' || role.trim().length === 0)
+        .map(role => `Invalid required role: ${JSON.stringify(role)}. Roles must be non-empty strings`);
+}
+
+/**
+ * Checks whether a user may write documents guarded by a list of roles.
+ * Server admins and database admins (secObj.admins) always may.
+ * @param {Object} userCtx - CouchDB user context (name, roles)
+ * @param {Object} secObj - Database security object
+ * @param {string[]} requiredRoles - Roles of which the user needs at least one
+ * @returns {boolean} True if the user has one of the roles or is an admin
+ */
+function hasRequiredRole(userCtx, secObj, requiredRoles) {
+    var roles = (userCtx && userCtx.roles) || [];
+    var admins = (secObj && secObj.admins) || {};
+    if (roles.indexOf('_admin') !== -1) {
+        return true;
+    }
+    if (userCtx && userCtx.name && (admins.names || []).indexOf(userCtx.name) !== -1) {
+        return true;
+    }
+    for (var i = 0; i < roles.length; i++) {
+        if (requiredRoles.indexOf(roles[i]) !== -1 || (admins.roles || []).indexOf(roles[i]) !== -1) {
+            return true;
+        }
+    }
+    return false;
+}
+
+/**
+ * Rejects a write with a CouchDB unauthorized error when it adds, changes or clears the guarded
+ * field (or, for rules without a field, any write) and the user lacks the required roles.
+ * Embedded in compiled source next to hasRequiredRole, which is its only dependency.
+ * @param {Object} newDoc - Document being written
+ * @param {Object|null} oldDoc - Stored version of the document; null for a new document
+ * @param {Object} userCtx - CouchDB user context
+ * @param {Object} secObj - Database security object
+ * @param {Object} guard - Guard with roles and field
+ * @returns {boolean} True if the write is allowed
+ */
+function applyRoleGuard(newDoc, oldDoc, userCtx, secObj, guard) {
+    var isEmpty = function (value) {
+        return value === undefined || value === null || value === '';
+    };
+    if (guard.field) {
+        var value = newDoc[guard.field];
+        var stored = oldDoc ? oldDoc[guard.field] : undefined;
+        if ((isEmpty(value) && isEmpty(stored)) || JSON.stringify(value) === JSON.stringify(stored)) {
+            return true;
+        }
+    }
+    if (!hasRequiredRole(userCtx, secObj, guard.roles)) {
+        throw ({
+            unauthorized: (guard.field ? 'Only users with role ' : 'Writing this document requires role ') +
+                guard.roles.join(' or ') + (guard.field ? ' may set ' + guard.field : '')
+        });
+    }
+    return true;
+}
+
+/**
+ * Wraps validation source with the role check declared in the rule's metadata
+ * @param {string} source - Source of the validation function
+ * @param {Object} metadata - Rule metadata with required_roles and field
+ * @returns {string} Source of a validation function that checks roles first; unchanged when no roles are required
+ */
+function compileRoleGuard(source, metadata) {
+    const roles = (metadata && metadata.required_roles) || [];
+    if (roles.length === 0) {
+        return source;
+    }
+
+    const guard = { roles: roles, field: metadata.field || null };
+    return [
+        'function (newDoc, oldDoc, userCtx, secObj) {',
+        `    var guard = ${JSON.stringify(guard)};`,
+        `    var hasRequiredRole = ${hasRequiredRole.toString()};`,
+        `    (${applyRoleGuard.toString()})(newDoc, oldDoc, userCtx, secObj, guard);`,
+        `    return (${source})(newDoc, oldDoc, userCtx, secObj);`,
+        '}'
+    ].join('\n');
+}
+
+/**
+ * Wraps a validation function with the role check declared in the rule's metadata.
+ * The result's toString() returns the guarded source.
+ * @param {Function} validationFunction - Self-contained validation function
+ * @param {Object} metadata - Rule metadata with required_roles and field
+ * @returns {Function} Guarded validation function; the original when no roles are required
+ */
+function guardValidationFunction(validationFunction, metadata) {
+    const roles = (metadata && metadata.required_roles) || [];
+    if (roles.length === 0) {
+        return validationFunction;
+    }
+
+    return new Function(`return (${compileRoleGuard(validationFunction.toString(), metadata)});`)();
+}
+
+return {
+    DEFAULT_USER_CTX,
+    validateRequiredRoles,
+    hasRequiredRole,
+    applyRoleGuard,
+    compileRoleGuard,
+    guardValidationFunction
+};
+
+}));
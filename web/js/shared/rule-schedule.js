@@ -0,0 +1,187 @@
+/**
+ * Rule Schedule
+ * Enforces the effective_from and effective_until rule metadata fields, which limit a rule to the
+ * period a policy is in force. effective_from is inclusive and effective_until exclusive, so one
+ * fiscal year's rule can end on the day the next one starts. Whether a rule is in effect for a
+ * write is decided by the document's application date (doc.applicationDate), or the current date
+ * when it has none; deletions use the stored document's date. The check is compiled into the
+ * deployed source by the loader and applied the same way by the local evaluation engine.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.RuleSchedule = factory();
+    }
+}(this, function () {
+
+/**
+ * Document field holding the date an application was made
+ */
+const APPLICATION_DATE_FIELD = 'applicationDate';
+
+/**
+ * Where a rule's effective period lies relative to a date
+ */
+const SCHEDULE_STATES = ['upcoming', 'current', 'expired'];
+
+/**
+ * Dates and date-times accepted for effective_from and effective_until
+ */
+const EFFECTIVE_DATE_PATTERN = /^\d{4}-\d{2}-\d{2}(T\d{2}:\d{2}(:\d{2}(\.\d+)?)?(Z|[+-]\d{2}:\d{2}))?$/;
+
+/**
+ * Validates the effective period declared in rule metadata
+ * @param {Object} metadata - Rule metadata with effective_from and effective_until
+ * @returns {string[]} Validation errors
+ */
+function validateSchedule(metadata) {
+    const errors = [];
+    ['effective_from', 'effective_until'].forEach(field => {
+        const value = metadata[field];
+        if (value !== undefined && value !== null &&
+            (typeof value !== 'string' || !EFFECTIVE_DATE_PATTERN.test(value) || isNaN(Date.parse(value)))) {
+            errors.push(`Invalid ${field}: ${value}. Must be a date (YYYY-MM-DD) or an ISO date-time with a time zone`);
+        }
+    });
+
+    if (errors.length === 0 && metadata.effective_from && metadata.effective_until &&
+        Date.parse(metadata.effective_from) >= Date.parse(metadata.effective_until)) {
+        errors.push(`effective_until (${metadata.effective_until}) must be after effective_from (${metadata.effective_from})`);
+    }
+    return errors;
+}
+
+/**
+ * Reads the effective period from rule metadata
+ * @param {Object} metadata - Rule metadata
+ * @returns {Object|null} Period with from and until in milliseconds (null when open-ended), or null if the rule is always in effect
+ */
+function getSchedule(metadata) {
+    const from = metadata && metadata.effective_from ? Date.parse(metadata.effective_from) : null;
+    const until = metadata && metadata.effective_until ? Date.parse(metadata.effective_until) : null;
+    return from === null && until === null ? null : { from: from, until: until };
+}
+
+/**
+ * Works out the time a write is judged at: the document's application date, or now.
+ * @param {Object} doc - Document being written (the stored document for deletions)
+ * @returns {number} Time in milliseconds
+ */
+function getEffectiveTime(doc) {
+    var applied = doc && typeof doc.applicationDate === 'string' ? Date.parse(doc.applicationDate) : NaN;
+    return isNaN(applied) ? new Date().getTime() : applied;
+}
+
+/**
+ * Checks whether a time falls in a rule's effective period
+ * @param {Object} schedule - Period from getSchedule
+ * @param {number} time - Time in milliseconds
+ * @returns {boolean} True if the rule is in effect at that time
+ */
+function isEffectiveAt(schedule, time) {
+    return (schedule.from === null || time >= schedule.from) && (schedule.until === null || time < schedule.until);
+}
+
+/**
+ * Describes where a rule's effective period lies relative to a date
+ * @param {Object} metadata - Rule metadata with effective_from and effective_until
+ * @param {Date|string|number} [date=new Date()] - Date to compare with
+ * @returns {string} upcoming, current or expired
+ */
+function getScheduleState(metadata, date = new Date()) {
+    const schedule = getSchedule(metadata);
+    const time = new Date(date).getTime();
+
+    if (schedule && schedule.from !== null && time < schedule.from) {
+        return 'upcoming';
+    }
+    if (schedule && schedule.until !== null && time >= schedule.until) {
+        return 'expired';
+    }
+    return 'current';
+}
+
+/**
+ * Wraps validation source with the effective period declared in the rule's metadata
+ * @param {string} source - Source of the validation function
+ * @param {Object} metadata - Rule metadata with effective_from and effective_until
+ * @returns {string} Source of a validation function that accepts writes outside the period;
+ *   unchanged when the rule is always in effect
+ */
+function compileScheduleGuard(source, metadata) {
+    const schedule = getSchedule(metadata);
+    if (!schedule) {
+        return source;
+    }
+
+    return [
+        'function (newDoc, oldDoc, userCtx, secObj) {',
+        `    var schedule = ${JSON.stringify(schedule)};`,
+        '    var doc = newDoc._deleted && oldDoc ? oldDoc : newDoc;',
+        `    if (!(${isEffectiveAt.toString()})(schedule, (${getEffectiveTime.toString()})(doc))) {`,
+        '        return true;',
+        '    }',
+        `    return (${source})(newDoc, oldDoc, userCtx, secObj);`,
+        '}'
+    ].join('\n');
+}
+
+/**
+ * Wraps a scoring rule's update handler with its effective period. Scoring a document outside
+ * the period is refused with a 422 response instead of recording a determination.
+ * @param {string} source - Source of the update handler
+ * @param {Object} metadata - Rule metadata with name, effective_from and effective_until
+ * @returns {string} Source of the update handler; unchanged when the rule is always in effect
+ */
+function compileScheduledHandler(source, metadata) {
+    const schedule = getSchedule(metadata);
+    if (!schedule) {
+        return source;
+    }
+
+    const reason = `${metadata.name || 'This rule'} is not in effect for this document`;
+    return [
+        'function (doc, req) {',
+        `    var schedule = ${JSON.stringify(schedule)};`,
+        `    if (doc && !(${isEffectiveAt.toString()})(schedule, (${getEffectiveTime.toString()})(doc))) {`,
+        `        return [null, { code: 422, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ error: 'not_in_effect', reason: ${JSON.stringify(reason)} }) }];`,
+        '    }',
+        `    return (${source})(doc, req);`,
+        '}'
+    ].join('\n');
+}
+
+/**
+ * Checks whether a rule is in effect for a write, for reporting rules that were skipped
+ * @param {Object} metadata - Rule metadata with effective_from and effective_until
+ * @param {Object} doc - Document being written
+ * @param {Object} [oldDoc] - Stored version of the document
+ * @param {Date|string|number} [date] - Date to judge the write at, in place of the application date
+ * @returns {boolean} True if the rule has no effective period or the write falls in it
+ */
+function isInEffect(metadata, doc, oldDoc, date) {
+    const schedule = getSchedule(metadata);
+    if (!schedule) {
+        return true;
+    }
+
+    const subject = doc && doc._deleted && oldDoc ? oldDoc : doc;
+    return isEffectiveAt(schedule, date !== undefined ? new Date(date).getTime() : getEffectiveTime(subject));
+}
+
+return {
+    APPLICATION_DATE_FIELD,
+    SCHEDULE_STATES,
+    validateSchedule,
+    getSchedule,
+    getEffectiveTime,
+    isEffectiveAt,
+    getScheduleState,
+    compileScheduleGuard,
+    compileScheduledHandler,
+    isInEffect
+};
+
+}));
@@ -0,0 +1,329 @@
+/**
+ * Rule Scope
+ * Enforces the applies_to rule metadata field, which limits a validation rule to the documents it
+ * is written for. A scope may name document types, fields that must be present and a Mango-style
+ * selector; a document must match all of them. It also says what happens when a matching document
+ * is deleted, since CouchDB runs validate_doc_update on deletions with a tombstone as newDoc:
+ * - allow: deletions skip the rule (the default)
+ * - deny: deleting a matching document is forbidden
+ * - validate: the rule runs and sees the tombstone (doc._deleted) and the stored document as oldDoc
+ * Deletions are matched against the stored document, since the tombstone carries no fields.
+ * The check is compiled into the deployed source by the loader and applied the same way by the
+ * local evaluation engine.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory();
+    } else {
+        root.RuleScope = factory();
+    }
+}(this, function () {
+
+/**
+ * What happens when a document the rule applies to is deleted
+ */
+const DELETION_POLICIES = ['allow', 'deny', 'validate'];
+
+/**
+ * Properties an applies_to scope may have
+ */
+const SCOPE_PROPERTIES = ['type', 'fields', 'selector', 'deletions'];
+
+/**
+ * Selector operators understood by matchesSelector
+ */
+const SELECTOR_OPERATORS = ['$eq', '$ne', '$gt', '$gte', '$lt', '$lte', '$in', '$nin', '$exists', '$and', '$or', '$nor', '$not'];
+
+/**
+ * Validates a Mango-style selector, reporting operators matchesSelector does not support
+ * @param {*} selector - Selector to validate
+ * @param {string} path - Location of the selector, for error messages
+ * @returns {string[]} Validation errors
+ */
+function validateSelector(selector, path) {
+    if (!selector || typeof selector !== 'object' || Array.isArray(selector)) {
+        return [`${path} must be an object`];
+    }
+
+    const errors = [];
+    Object.keys(selector).forEach(key => {
+        const value = selector[key];
+        if (!key.startsWith('$')) {
+            if (value && typeof value === 'object' && !Array.isArray(value)) {
+                errors.push(...validateSelector(value, `${path}.${key}`));
+            }
+            return;
+        }
+
+        if (!SELECTOR_OPERATORS.includes(key)) {
+            errors.push(`${path} uses unsupported operator ${key}. Supported operators: ${SELECTOR_OPERATORS.join(', ')}`);
+        } else if (['$and', '$or', '$nor'].includes(key)) {
+            if (!Array.isArray(value)) {
+                errors.push(`${path}.${key} must be an array of selectors`);
+            } else {
+                value.forEach((item, index) => errors.push(...validateSelector(item, `${path}.${key}[${index}]`)));
+            }
+        } else if (['$in', '$nin'].includes(key) && !Array.isArray(value)) {
+            errors.push(`${path}.${key} must be an array`);
+        } else if (key === '$not') {
+            errors.push(...validateSelector(value, `${path}.$not`));
+        }
+    });
+    return errors;
+}
+
+/**
+ * Validates an applies_to scope
+ * @param {*} appliesTo - Value of applies_to
+ * @returns {string[]} Validation errors
+ */
+function validateAppliesTo(appliesTo) {
+    if (!appliesTo || typeof appliesTo !== 'object' || Array.isArray(appliesTo)) {
+        return ['applies_to must be an object'];
+    }
+
+    const errors = [];
+    Object.keys(appliesTo)
+        .filter(key => !SCOPE_PROPERTIES.includes(key))
+        .forEach(key => errors.push(`Unknown applies_to property: ${key}. Must be one of ${SCOPE_PROPERTIES.join(', ')}`));
+
+    const types = appliesTo.type === undefined ? null : [].concat(appliesTo.type);
+    if (types && (types.length === 0 || types.some(type => typeof type !== 'string' || type.length === 0))) {
+        errors.push('applies_to.type must be a document type or an array of them');
+    }
+
+    if (appliesTo.fields !== undefined &&
+        (!Array.isArray(appliesTo.fields) || appliesTo.fields.some(field => typeof field !== 'string' || field.length === 0))) {
+        errors.push('applies_to.fields must be an array of field names');
+    }
+
+    if (appliesTo.selector !== undefined) {
+        errors.push(...validateSelector(appliesTo.selector, 'applies_to.selector'));
+    }
+
+    if (appliesTo.deletions !== undefined && !DELETION_POLICIES.includes(appliesTo.deletions)) {
+        errors.push(`Invalid applies_to.deletions: ${appliesTo.deletions}. Must be one of ${DELETION_POLICIES.join(', ')}`);
+    }
+
+    return errors;
+}
+
+/**
+ * Reads a dot-separated path from a document.
+ * @param {Object} source - Document or sub-document
+ * @param {string} path - Field path such as address.state
+ * @returns {*} Field value, or undefined if any part is missing
+ */
+function resolvePath(source, path) {
+    var parts = path.split('.');
+    var value = source;
+    for (var i = 0; i < parts.length; i++) {
+        if (value === undefined || value === null) {
+            return undefined;
+        }
+        value = value[parts[i]];
+    }
+    return value;
+}
+
+/**
+ * Tests a document against a Mango-style selector: implicit equality, nested field selectors,
+ * dot paths, $eq, $ne, $gt, $gte, $lt, $lte, $in, $nin, $exists, $and, $or, $nor and $not.
+ * Uses resolvePath, which must be in scope.
+ * @param {Object} doc - Document to test
+ * @param {Object} selector - Selector
+ * @returns {boolean} True if the document matches
+ */
+function matchesSelector(doc, selector) {
+    var isPlainObject = function (value) {
+        return value !== null && typeof value === 'object' && !(value instanceof Array);
+    };
+    var isOperatorMap = function (value) {
+        if (!isPlainObject(value)) {
+            return false;
+        }
+        for (var key in value) {
+            if (key.charAt(0) !== '$') {
+                return false;
+            }
+        }
+        return true;
+    };
+    var equals = function (a, b) {
+        return JSON.stringify(a) === JSON.stringify(b);
+    };
+    var contains = function (list, value) {
+        for (var i = 0; i < list.length; i++) {
+            if (equals(list[i], value)) {
+                return true;
+            }
+        }
+        return false;
+    };
+    var matchesValue = function (actual, condition) {
+        if (!isOperatorMap(condition)) {
+            return isPlainObject(condition) ? isPlainObject(actual) && matchesSelector(actual, condition) : equals(actual, condition);
+        }
+        for (var operator in condition) {
+            var expected = condition[operator];
+            var holds;
+            switch (operator) {
+                case '$eq': holds = equals(actual, expected); break;
+                case '$ne': holds = !equals(actual, expected); break;
+                case '$gt': holds = actual !== undefined && actual > expected; break;
+                case '$gte': holds = actual !== undefined && actual >= expected; break;
+                case '$lt': holds = actual !== undefined && actual < expected; break;
+                case '$lte': holds = actual !== undefined && actual <= expected; break;
+                case '$in': holds = contains(expected, actual); break;
+                case '$nin': holds = !contains(expected, actual); break;
+                case '$exists': holds = (actual !== undefined) === Boolean(expected); break;
+                case '$not': holds = !matchesValue(actual, expected); break;
+                default: holds = false;
+            }
+            if (!holds) {
+                return false;
+            }
+        }
+        return true;
+    };
+
+    for (var key in selector) {
+        var condition = selector[key];
+        var i;
+        if (key === '$and' || key === '$or' || key === '$nor') {
+            var matched = 0;
+            for (i = 0; i < condition.length; i++) {
+                if (matchesSelector(doc, condition[i])) {
+                    matched++;
+                }
+            }
+            if ((key === '$and' && matched !== condition.length) || (key === '$or' && matched === 0) || (key === '$nor' && matched > 0)) {
+                return false;
+            }
+        } else if (key === '$not') {
+            if (matchesSelector(doc, condition)) {
+                return false;
+            }
+        } else if (!matchesValue(resolvePath(doc, key), condition)) {
+            return false;
+        }
+    }
+    return true;
+}
+
+/**
+ * Decides whether a rule runs for a write. An update is in scope when either the new or the stored
+ * version matches, so changing a document's type or removing a field cannot take it out of a rule.
+ * Uses resolvePath and matchesSelector, which must be in scope.
+ * @param {Object} newDoc - Document being written; a tombstone with _deleted for deletions
+ * @param {Object} oldDoc - Stored version of the document, or null
+ * @param {Object} scope - applies_to scope
+ * @returns {boolean} True if the rule runs (or, for deny, the deletion is refused)
+ */
+function ruleApplies(newDoc, oldDoc, scope) {
+    var matches = function (doc) {
+        if (scope.type !== undefined) {
+            var types = [].concat(scope.type);
+            var matchesType = false;
+            for (var i = 0; i < types.length; i++) {
+                if (doc.type === types[i]) {
+                    matchesType = true;
+                }
+            }
+            if (!matchesType) {
+                return false;
+            }
+        }
+
+        var fields = scope.fields || [];
+        for (var j = 0; j < fields.length; j++) {
+            if (resolvePath(doc, fields[j]) === undefined) {
+                return false;
+            }
+        }
+
+        return scope.selector ? matchesSelector(doc, scope.selector) : true;
+    };
+
+    if (newDoc._deleted) {
+        if ((scope.deletions || 'allow') === 'allow' || !oldDoc) {
+            return false;
+        }
+        return matches(oldDoc);
+    }
+    return matches(newDoc) || Boolean(oldDoc && matches(oldDoc));
+}
+
+/**
+ * Wraps validation source with the scope declared in the rule's metadata
+ * @param {string} source - Source of the validation function
+ * @param {Object} metadata - Rule metadata with applies_to and name
+ * @returns {string} Source of a validation function that only runs the rule for matching documents;
+ *   unchanged when the rule has no applies_to
+ */
+function compileScopeGuard(source, metadata) {
+    if (!metadata || !metadata.applies_to) {
+        return source;
+    }
+
+    const scope = metadata.applies_to;
+    return [
+        'function (newDoc, oldDoc, userCtx, secObj) {',
+        `    var scope = ${JSON.stringify(scope)};`,
+        `    var resolvePath = ${resolvePath.toString()};`,
+        `    var matchesSelector = ${matchesSelector.toString()};`,
+        `    if (!(${ruleApplies.toString()})(newDoc, oldDoc, scope)) {`,
+        '        return true;',
+        '    }',
+        '    if (newDoc._deleted && scope.deletions === \'deny\') {',
+        `        throw ({ forbidden: ${JSON.stringify(`Documents covered by ${metadata.name || 'this rule'} cannot be deleted`)} });`,
+        '    }',
+        `    return (${source})(newDoc, oldDoc, userCtx, secObj);`,
+        '}'
+    ].join('\n');
+}
+
+/**
+ * Wraps a validation function with the scope declared in the rule's metadata.
+ * The result's toString() returns the guarded source.
+ * @param {Function} validationFunction - Self-contained validation function
+ * @param {Object} metadata - Rule metadata with applies_to and name
+ * @returns {Function} Scoped validation function; the original when the rule has no applies_to
+ */
+function scopeValidationFunction(validationFunction, metadata) {
+    if (!metadata || !metadata.applies_to) {
+        return validationFunction;
+    }
+
+    return new Function(`return (${compileScopeGuard(validationFunction.toString(), metadata)});`)();
+}
+
+/**
+ * Checks whether a rule runs for a write, for reporting rules that were skipped
+ * @param {Object} metadata - Rule metadata with applies_to
+ * @param {Object} doc - Document being written
+ * @param {Object} [oldDoc] - Stored version of the document
+ * @returns {boolean} True if the rule has no scope or the write is in its scope
+ */
+function isInScope(metadata, doc, oldDoc) {
+    if (!metadata || !metadata.applies_to) {
+        return true;
+    }
+
+    return ruleApplies(doc || {}, oldDoc || null, metadata.applies_to);
+}
+
+return {
+    DELETION_POLICIES,
+    SELECTOR_OPERATORS,
+    validateAppliesTo,
+    resolvePath,
+    matchesSelector,
+    ruleApplies,
+    compileScopeGuard,
+    scopeValidationFunction,
+    isInScope
+};
+
+}));
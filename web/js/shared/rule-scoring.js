@@ -0,0 +1,194 @@
+/**
+ * Scoring Rules
+ * Scoring rules award points for matching criteria and map the total to a benefit tier.
+ * Unlike validation rules they never reject a write; CouchDB runs them through an
+ * update handler that records the outcome on the document under `determinations`.
+ *
+ * A scoring definition looks like:
+ * {
+ *     "criteria": [
+ *         { "label": "Income at or below $15,000", "points": 2, "when": [{ "field": "income", "operator": "lte", "value": 15000 }] }
+ *     ],
+ *     "tiers": [
+ *         { "tier": "full", "min_points": 3 },
+ *         { "tier": "partial", "min_points": 1 },
+ *         { "tier": "none", "min_points": 0 }
+ *     ]
+ * }
+ * A criterion scores when every check in `when` holds (checks use the declarative rule operators).
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./rule-definition'));
+    } else {
+        root.RuleScoring = factory(root.RuleDefinition);
+    }
+}(this, function (RuleDefinition) {
+
+const { validateCheck, evaluateCheck } = RuleDefinition;
+
+/**
+ * Validates a scoring definition
+ * @param {Object} definition - Scoring definition to validate
+ * @returns {Object} Validation result with isValid boolean and errors array
+ */
+function validateScoringDefinition(definition) {
+    const errors = [];
+
+    if (!definition || typeof definition !== 'object') {
+        return { isValid: false, errors: ['Scoring definition must be an object'] };
+    }
+
+    if (!Array.isArray(definition.criteria) || definition.criteria.length === 0) {
+        errors.push('Scoring definition must have at least one criterion');
+    } else {
+        definition.criteria.forEach((criterion, index) => {
+            const label = `Criterion ${index + 1}`;
+
+            if (!Number.isFinite(criterion.points)) {
+                errors.push(`${label} must award a numeric number of points`);
+            }
+
+            if (!Array.isArray(criterion.when) || criterion.when.length === 0) {
+                errors.push(`${label} must have at least one check in when`);
+            } else {
+                criterion.when.forEach((check, checkIndex) => {
+                    errors.push(...validateCheck(check, `${label} check ${checkIndex + 1}`));
+                });
+            }
+        });
+    }
+
+    if (!Array.isArray(definition.tiers) || definition.tiers.length === 0) {
+        errors.push('Scoring definition must have at least one tier');
+    } else {
+        definition.tiers.forEach((tier, index) => {
+            if (!tier.tier || typeof tier.tier !== 'string') {
+                errors.push(`Tier ${index + 1} is missing required field: tier`);
+            }
+            if (!Number.isFinite(tier.min_points)) {
+                errors.push(`Tier ${index + 1} must have a numeric min_points`);
+            }
+        });
+    }
+
+    return {
+        isValid: errors.length === 0,
+        errors: errors
+    };
+}
+
+/**
+ * Scores a document against a scoring definition.
+ * Embedded in compiled source next to evaluateCheck, which is its only dependency.
+ * @param {Object} doc - Document to score
+ * @param {Object} definition - Scoring definition
+ * @returns {Object} Score with points, max_points, tier and the labels of matched criteria
+ */
+function applyScoringDefinition(doc, definition) {
+    var points = 0;
+    var maxPoints = 0;
+    var matched = [];
+
+    for (var i = 0; i < definition.criteria.length; i++) {
+        var criterion = definition.criteria[i];
+        var applies = true;
+
+        for (var j = 0; j < criterion.when.length; j++) {
+            if (!evaluateCheck(doc, criterion.when[j])) {
+                applies = false;
+                break;
+            }
+        }
+
+        maxPoints += criterion.points > 0 ? criterion.points : 0;
+        if (applies) {
+            points += criterion.points;
+            matched.push(criterion.label || 'Criterion ' + (i + 1));
+        }
+    }
+
+    var tiers = definition.tiers.slice().sort(function (a, b) {
+        return b.min_points - a.min_points;
+    });
+    var tier = null;
+    for (var k = 0; k < tiers.length; k++) {
+        if (points >= tiers[k].min_points) {
+            tier = tiers[k].tier;
+            break;
+        }
+    }
+
+    return {
+        points: points,
+        max_points: maxPoints,
+        tier: tier,
+        matched: matched
+    };
+}
+
+/**
+ * Compiles a scoring definition into the source of a self-contained scoring function
+ * @param {Object} definition - Scoring definition
+ * @returns {string} Source of a function (doc) returning the score
+ * @throws {Error} If the definition is invalid
+ */
+function compileScoringDefinition(definition) {
+    const validation = validateScoringDefinition(definition);
+    if (!validation.isValid) {
+        throw new Error(`Invalid scoring definition: ${validation.errors.join(', ')}`);
+    }
+
+    return [
+        'function (doc) {',
+        `    var definition = ${JSON.stringify(definition)};`,
+        `    var evaluateCheck = ${evaluateCheck.toString()};`,
+        `    return (${applyScoringDefinition.toString()})(doc, definition);`,
+        '}'
+    ].join('\n');
+}
+
+/**
+ * Compiles a scoring definition into a callable scoring function
+ * @param {Object} definition - Scoring definition
+ * @returns {Function} Function that takes a document and returns its score
+ */
+function compileScoringFunction(definition) {
+    return new Function(`return (${compileScoringDefinition(definition)});`)();
+}
+
+/**
+ * Compiles a scoring definition into a CouchDB update handler.
+ * POST /{db}/_design/{ruleId}/_update/determine/{docid} stores the score under
+ * doc.determinations[ruleId] and returns it.
+ * @param {string} ruleId - Rule identifier, used as the determinations key
+ * @param {Object} definition - Scoring definition
+ * @param {string} ruleVersion - Rule version recorded with each determination
+ * @returns {string} Update handler source
+ */
+function compileDeterminationHandler(ruleId, definition, ruleVersion) {
+    return [
+        'function (doc, req) {',
+        '    if (!doc) {',
+        "        return [null, { code: 404, headers: { 'Content-Type': 'application/json' }, body: JSON.stringify({ error: 'not_found', reason: 'Document to score does not exist' }) }];",
+        '    }',
+        `    var score = (${compileScoringDefinition(definition)})(doc);`,
+        `    score.rule_version = ${JSON.stringify(ruleVersion || null)};`,
+        '    score.determined_at = new Date().toISOString();',
+        '    doc.determinations = doc.determinations || {};',
+        `    doc.determinations[${JSON.stringify(ruleId)}] = score;`,
+        "    return [doc, { headers: { 'Content-Type': 'application/json' }, body: JSON.stringify(score) }];",
+        '}'
+    ].join('\n');
+}
+
+return {
+    validateScoringDefinition,
+    applyScoringDefinition,
+    compileScoringDefinition,
+    compileScoringFunction,
+    compileDeterminationHandler
+};
+
+}));
@@ -0,0 +1,369 @@
+/**
+ * Rule Versioning
+ * Enforces semantic versioning of rule changes. When the loader is about to replace a deployed
+ * rule whose logic differs from the local validator, the local version must be higher than the
+ * deployed one and change_notes must be updated. What changed suggests how big the bump should be:
+ * - major: the rule's structure - what it checks, the documents or users it covers, its parameters
+ * - minor: a threshold - a number in the rule, a parameter default or bound, or its effective period
+ * - patch: only message text
+ * Parameter values configured for an environment are deployment settings rather than changes to
+ * the rule, so changing them never needs a bump.
+ */
+
+(function (root, factory) {
+    if (typeof module === 'object' && module.exports) {
+        module.exports = factory(require('./rule-deployment'));
+    } else {
+        root.RuleVersioning = factory(root.RuleDeployment);
+    }
+}(this, function (RuleDeployment) {
+
+const { RULE_FIELDS, stableStringify, compileInactiveRule, buildDesignDocument } = RuleDeployment;
+
+/**
+ * Version bumps from smallest to largest
+ */
+const BUMP_LEVELS = ['prerelease', 'patch', 'minor', 'major'];
+
+/**
+ * Bump suggested for each kind of change
+ */
+const CHANGE_BUMPS = {
+    message: 'patch',
+    threshold: 'minor',
+    structure: 'major'
+};
+
+/**
+ * Metadata fields that decide what a rule checks and whom it applies to
+ */
+const STRUCTURAL_METADATA_FIELDS = ['rule_type', 'field', 'applies_to', 'required_roles'];
+
+/**
+ * Metadata fields that set when a rule applies
+ */
+const THRESHOLD_METADATA_FIELDS = ['effective_from', 'effective_until'];
+
+/**
+ * Splits a semantic version into its parts
+ * @param {string} version - Semantic version such as 1.2.3 or 2.0.0-beta.1
+ * @returns {Object|null} major, minor, patch and prerelease (null for releases), or null if the version is invalid
+ */
+function parseVersion(version) {
+    const match = /^(\d+)\.(\d+)\.(\d+)(?:-([0-9A-Za-z.-]+))?(?:\+[0-9A-Za-z.-]+)?$/.exec(String(version || ''));
+    if (!match) {
+        return null;
+    }
+    return { major: Number(match[1]), minor: Number(match[2]), patch: Number(match[3]), prerelease: match[4] || null };
+}
+
+/**
+ * Compares two prerelease tags as semver does: dot-separated identifiers from left to right, numeric
+ * identifiers as numbers and below alphanumeric ones, and a tag that runs out first is lower
+ * @param {string} a - First prerelease tag, such as beta.2
+ * @param {string} b - Second prerelease tag
+ * @returns {number} Negative if a is lower, positive if a is higher, 0 if they are equal
+ */
+function comparePrereleases(a, b) {
+    const [left, right] = [a.split('.'), b.split('.')];
+    const isNumeric = identifier => /^\d+$/.test(identifier);
+
+    for (let i = 0; i < Math.min(left.length, right.length); i++) {
+        if (left[i] === right[i]) {
+            continue;
+        }
+        if (isNumeric(left[i]) && isNumeric(right[i])) {
+            return Math.sign(Number(left[i]) - Number(right[i]));
+        }
+        if (isNumeric(left[i]) || isNumeric(right[i])) {
+            return isNumeric(left[i]) ? -1 : 1;
+        }
+        return left[i] < right[i] ? -1 : 1;
+    }
+    return Math.sign(left.length - right.length);
+}
+
+/**
+ * Compares two semantic versions. A prerelease sorts before its release; build metadata is ignored.
+ * @param {string} a - First version
+ * @param {string} b - Second version
+ * @returns {number} Negative if a is lower, positive if a is higher, 0 if they are equal
+ * @throws {Error} If either version is invalid
+ */
+function compareVersions(a, b) {
+    const [left, right] = [a, b].map(version => {
+        const parsed = parseVersion(version);
+        if (!parsed) {
+            throw new Error(`Invalid semantic version: ${version}`);
+        }
+        return parsed;
+    });
+
+    const difference = (left.major - right.major) || (left.minor - right.minor) || (left.patch - right.patch);
+    if (difference !== 0) {
+        return Math.sign(difference);
+    }
+    if (left.prerelease === right.prerelease) {
+        return 0;
+    }
+    if (!left.prerelease || !right.prerelease) {
+        return left.prerelease ? -1 : 1;
+    }
+    return comparePrereleases(left.prerelease, right.prerelease);
+}
+
+/**
+ * Describes the bump from one version to another
+ * @param {string} from - Deployed version
+ * @param {string} to - Local version
+ * @returns {string} major, minor, patch, prerelease, none (the same version) or downgrade
+ */
+function getVersionBump(from, to) {
+    const comparison = compareVersions(to, from);
+    if (comparison === 0) {
+        return 'none';
+    }
+    if (comparison < 0) {
+        return 'downgrade';
+    }
+
+    const [before, after] = [parseVersion(from), parseVersion(to)];
+    if (after.major > before.major) {
+        return 'major';
+    }
+    if (after.minor > before.minor) {
+        return 'minor';
+    }
+    return after.patch > before.patch ? 'patch' : 'prerelease';
+}
+
+/**
+ * Gets the next version for a bump
+ * @param {string} version - Current version
+ * @param {string} level - major, minor or patch
+ * @returns {string} Next version; a prerelease is released at the same level
+ * @throws {Error} If the version is invalid
+ */
+function incrementVersion(version, level) {
+    const parsed = parseVersion(version);
+    if (!parsed) {
+        throw new Error(`Invalid semantic version: ${version}`);
+    }
+
+    if (level === 'major') {
+        return `${parsed.prerelease && parsed.minor === 0 && parsed.patch === 0 ? parsed.major : parsed.major + 1}.0.0`;
+    }
+    if (level === 'minor') {
+        return `${parsed.major}.${parsed.prerelease && parsed.patch === 0 ? parsed.minor : parsed.minor + 1}.0`;
+    }
+    return `${parsed.major}.${parsed.minor}.${parsed.prerelease ? parsed.patch : parsed.patch + 1}`;
+}
+
+/**
+ * Replaces string literals, and optionally number literals, in JavaScript source with placeholders.
+ * Whitespace is collapsed too, so re-indenting a rule counts as the smallest kind of change.
+ */
+function maskLiterals(source, maskNumbers) {
+    const withoutStrings = String(source || '')
+        .replace(/'(?:[^'\\\n]|\\.)*'|"(?:[^"\\\n]|\\.)*"|`(?:[^`\\]|\\.)*`/g, '""')
+        .replace(/\s+/g, ' ');
+    return maskNumbers ? withoutStrings.replace(/\b\d+(?:\.\d+)?(?:e[+-]?\d+)?\b/gi, '0') : withoutStrings;
+}
+
+/**
+ * Replaces message texts, and optionally numbers, in a declarative definition with placeholders
+ */
+function maskDefinition(value, maskNumbers, key) {
+    if (Array.isArray(value)) {
+        return value.map(item => maskDefinition(item, maskNumbers));
+    }
+    if (value && typeof value === 'object') {
+        const masked = {};
+        Object.keys(value).forEach(name => {
+            masked[name] = maskDefinition(value[name], maskNumbers, name);
+        });
+        return masked;
+    }
+    if (key === 'message' && typeof value === 'string') {
+        return '';
+    }
+    return maskNumbers && typeof value === 'number' ? 0 : value;
+}
+
+/**
+ * Works out what kind of change turned one value into another
+ * @param {*} before - Deployed value
+ * @param {*} after - Local value
+ * @param {Function} mask - Masks (value, maskNumbers) messages, and numbers when asked
+ * @returns {string|null} message, threshold or structure; null if they are the same
+ */
+function classifyChange(before, after, mask) {
+    if (stableStringify(before) === stableStringify(after)) {
+        return null;
+    }
+    if (stableStringify(mask(before, false)) === stableStringify(mask(after, false))) {
+        return 'message';
+    }
+    if (stableStringify(mask(before, true)) === stableStringify(mask(after, true))) {
+        return 'threshold';
+    }
+    return 'structure';
+}
+
+/**
+ * Lists what changed between a deployed rule and the local one, and the bump that suggests
+ * @param {Object} localDoc - Design document built from the local validator
+ * @param {Object} existingDoc - Deployed design document
+ * @returns {Object} Suggestion with level (major|minor|patch, or null if nothing changed) and
+ *   changes, each with a kind (message|threshold|structure) and a description
+ */
+function suggestVersionBump(localDoc, existingDoc) {
+    const changes = [];
+    const addChange = (kind, description) => {
+        if (kind) {
+            changes.push({ kind: kind, description: description });
+        }
+    };
+
+    // Declarative rules are compared through their definition, hand-written ones through their source
+    if (localDoc.rule_definition || existingDoc.rule_definition) {
+        const kind = classifyChange(existingDoc.rule_definition, localDoc.rule_definition, maskDefinition);
+        addChange(kind, `rule_definition: ${kind} changed`);
+    } else {
+        const kind = classifyChange(existingDoc.validate_doc_update, localDoc.validate_doc_update, maskLiterals);
+        addChange(kind, `validate_doc_update: ${kind === 'message' ? 'message text' : kind === 'threshold' ? 'numbers' : 'logic'} changed`);
+    }
+
+    const localMetadata = localDoc.rule_metadata || {};
+    const existingMetadata = existingDoc.rule_metadata || {};
+    STRUCTURAL_METADATA_FIELDS
+        .filter(field => stableStringify(localMetadata[field]) !== stableStringify(existingMetadata[field]))
+        .forEach(field => addChange('structure', `rule_metadata.${field} changed`));
+    THRESHOLD_METADATA_FIELDS
+        .filter(field => stableStringify(localMetadata[field]) !== stableStringify(existingMetadata[field]))
+        .forEach(field => addChange('threshold', `rule_metadata.${field} changed`));
+
+    const localParameters = localMetadata.parameters || {};
+    const existingParameters = existingMetadata.parameters || {};
+    [...new Set([...Object.keys(localParameters), ...Object.keys(existingParameters)])].sort().forEach(name => {
+        const before = existingParameters[name];
+        const after = localParameters[name];
+        if (!before || !after) {
+            addChange('structure', `parameter ${name} ${after ? 'added' : 'removed'}`);
+        } else if (before.type !== after.type) {
+            addChange('structure', `parameter ${name} changed type from ${before.type} to ${after.type}`);
+        } else if (['default', 'min', 'max'].some(key => stableStringify(before[key]) !== stableStringify(after[key]))) {
+            addChange('threshold', `parameter ${name} default or bounds changed`);
+        }
+    });
+
+    const levels = changes.map(change => BUMP_LEVELS.indexOf(CHANGE_BUMPS[change.kind]));
+    return {
+        level: levels.length > 0 ? BUMP_LEVELS[Math.max(...levels)] : null,
+        changes: changes
+    };
+}
+
+/**
+ * Checks that a rule whose logic changed has a higher version and new change notes
+ * @param {Object} localDoc - Design document built from the local validator, with the parameter
+ *   values and version the deployed one was built with, so only changes to the rule itself count
+ * @param {Object} existingDoc - Deployed design document
+ * @param {string} localVersion - Version being deployed
+ * @returns {Object} Result with required (the logic changed), bump, suggested level, next_version,
+ *   changes, errors (the load must stop) and warnings
+ */
+function checkVersionBump(localDoc, existingDoc, localVersion) {
+    const result = { required: false, bump: null, suggested: null, next_version: null, changes: [], errors: [], warnings: [] };
+
+    result.required = RULE_FIELDS.some(field => stableStringify(localDoc[field]) !== stableStringify(existingDoc[field]));
+    if (!result.required) {
+        return result;
+    }
+
+    const existingMetadata = existingDoc.rule_metadata || {};
+    const deployedVersion = existingMetadata.version || '0.0.0';
+    const suggestion = suggestVersionBump(localDoc, existingDoc);
+    result.suggested = suggestion.level || 'patch';
+    result.changes = suggestion.changes;
+    result.next_version = parseVersion(deployedVersion) ? incrementVersion(deployedVersion, result.suggested) : null;
+
+    if (!parseVersion(localVersion) || !parseVersion(deployedVersion)) {
+        result.errors.push(`Cannot compare version ${localVersion} with the deployed ${deployedVersion}; both must be semantic versions`);
+        return result;
+    }
+
+    result.bump = getVersionBump(deployedVersion, localVersion);
+    const reasons = result.changes.map(change => change.description).join('; ');
+    if (result.bump === 'none') {
+        result.errors.push(`Logic changed but the version is still ${localVersion} - bump it to ${result.next_version} (${result.suggested}: ${reasons})`);
+    } else if (result.bump === 'downgrade') {
+        result.errors.push(`Logic changed but version ${localVersion} is lower than the deployed ${deployedVersion} - use ${result.next_version} or later`);
+    } else if (BUMP_LEVELS.indexOf(result.bump) < BUMP_LEVELS.indexOf(result.suggested)) {
+        result.warnings.push(`${result.bump} bump ${deployedVersion} → ${localVersion} is smaller than the suggested ${result.suggested} (${reasons})`);
+    }
+
+    const localNotes = ((localDoc.rule_metadata || {}).change_notes || '').trim();
+    if (!localNotes || localNotes === (existingMetadata.change_notes || '').trim()) {
+        result.errors.push(`change_notes are the same as in ${deployedVersion} - describe what changed in ${localVersion}`);
+    }
+    return result;
+}
+
+/**
+ * Checks a validator against the deployed version of its rule before the loader replaces it.
+ * The local rule is rebuilt with the parameter values the deployed one overrode and with its
+ * version, so environment settings and the version number itself do not count as logic changes.
+ * Only active rules replacing a deployed, active rule are checked; drafts may change freely.
+ * @param {string} ruleId - Rule identifier
+ * @param {Object} validatorModule - Validator module
+ * @param {Object} deployment - Deployment from getDeploymentAction
+ * @param {Object|null} existingDoc - Deployed design document, or null if there is none
+ * @returns {Object} Result of checkVersionBump; required is false when the rule is not checked
+ */
+function checkRuleVersion(ruleId, validatorModule, deployment, existingDoc) {
+    const metadata = validatorModule.metadata || {};
+    const notChecked = { required: false, bump: null, suggested: null, next_version: null, changes: [], errors: [], warnings: [] };
+
+    if (!existingDoc || !existingDoc.rule_metadata || deployment.action !== 'deploy' ||
+        (metadata.status || 'active') !== 'active' || existingDoc.validate_doc_update === compileInactiveRule(ruleId)) {
+        return notChecked;
+    }
+
+    // Values the deployed rule was given in place of the defaults it declared at the time
+    const existingMetadata = existingDoc.rule_metadata;
+    const deployedDefaults = existingMetadata.parameters || {};
+    const overrides = {};
+    Object.keys(existingDoc.rule_parameters || {})
+        .filter(name => (metadata.parameters || {})[name])
+        .filter(name => !deployedDefaults[name] || stableStringify(deployedDefaults[name].default) !== stableStringify(existingDoc.rule_parameters[name]))
+        .forEach(name => {
+            overrides[name] = existingDoc.rule_parameters[name];
+        });
+
+    const comparableModule = { ...validatorModule, metadata: { ...metadata, version: existingMetadata.version } };
+    let localDoc;
+    try {
+        localDoc = buildDesignDocument(ruleId, comparableModule, deployment, overrides);
+    } catch (error) {
+        // The old overrides no longer fit the parameter definitions, which is itself a change
+        localDoc = buildDesignDocument(ruleId, comparableModule, deployment);
+    }
+    localDoc.rule_metadata = { ...metadata };
+
+    return checkVersionBump(localDoc, existingDoc, metadata.version);
+}
+
+return {
+    BUMP_LEVELS,
+    CHANGE_BUMPS,
+    parseVersion,
+    compareVersions,
+    getVersionBump,
+    incrementVersion,
+    suggestVersionBump,
+    checkVersionBump,
+    checkRuleVersion
+};
+
+}));
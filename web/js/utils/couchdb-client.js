@@ -1,45 +1,140 @@
 /**
  * CouchDB Client Utility
  * Direct HTTP API communication with CouchDB
- * Supports authentication and CORS
+ * Supports authentication and CORS. The auth option selects how requests are authenticated:
+ * - basic: username and password on every request
+ * - session: login() exchanges the password for CouchDB's AuthSession cookie; the password is not kept
+ * - jwt: a bearer token from an identity provider CouchDB trusts, refused once it has expired
+ * - proxy: no credentials; a trusted proxy in front of CouchDB identifies the user
  */
 
 class CouchDBClient {
     constructor(config = {}) {
         // Default configuration
         this.config = {
+            url: config.url || null,
             host: config.host || 'localhost',
             port: config.port || 5984,
             protocol: config.protocol || 'http',
-            username: config.username || 'admin',
-            password: config.password || 'password',
+            username: config.username || null,
+            password: config.password || null,
             database: config.database || 'rules_db',
             timeout: config.timeout || 10000,
+            auth: config.auth || 'basic',
+            token: config.token || null,
+            sandboxUrl: config.sandboxUrl || null,
             ...config
         };
         
-        // Build base URL
-        this.baseUrl = `${this.config.protocol}://${this.config.host}:${this.config.port}`;
+        // Build base URL; a configured url, which may include a path behind a proxy, takes precedence
+        this.baseUrl = this.config.url ? this.config.url.replace(/\/$/, '') : `${this.config.protocol}://${this.config.host}:${this.config.port}`;
         this.dbUrl = `${this.baseUrl}/${this.config.database}`;
+        this.historyUrl = `${this.dbUrl}${RuleHistory.HISTORY_DB_SUFFIX}`;
+        this.proposalsUrl = `${this.dbUrl}${RuleReview.PROPOSALS_DB_SUFFIX}`;
+        this.auditUrl = `${this.dbUrl}${RuleAudit.AUDIT_DB_SUFFIX}`;
         
         // Create auth header
-        this.auth = btoa(`${this.config.username}:${this.config.password}`);
+        this.applyAuthConfig();
         
         // Connection status
         this.connected = false;
         this.lastError = null;
+        this.session = null;
+    }
+    
+    /**
+     * Build the Basic credentials for basic authentication. Other methods never keep a password.
+     */
+    applyAuthConfig() {
+        if (this.config.auth !== 'basic') {
+            this.config.password = null;
+        }
+        // No credentials are assumed when none are configured
+        this.auth = this.config.auth === 'basic' && this.config.username
+            ? btoa(`${this.config.username}:${this.config.password || ''}`)
+            : null;
     }
     
     /**
      * Get default headers for API requests
      */
     getHeaders(additionalHeaders = {}) {
-        return {
+        const headers = {
             'Content-Type': 'application/json',
-            'Authorization': `Basic ${this.auth}`,
-            'Accept': 'application/json',
-            ...additionalHeaders
+            'Accept': 'application/json'
         };
+        if (this.auth) {
+            headers['Authorization'] = `Basic ${this.auth}`;
+        } else if (this.config.auth === 'jwt' && this.config.token) {
+            headers['Authorization'] = `Bearer ${this.config.token}`;
+        }
+        return { ...headers, ...additionalHeaders };
+    }
+    
+    /**
+     * Get when the JWT expires, from its exp claim
+     * @returns {Date|null} Expiry time, or null without a token or exp claim
+     */
+    getTokenExpiry() {
+        try {
+            const payload = JSON.parse(atob(this.config.token.split('.')[1].replace(/-/g, '+').replace(/_/g, '/')));
+            return typeof payload.exp === 'number' ? new Date(payload.exp * 1000) : null;
+        } catch (error) {
+            return null;
+        }
+    }
+    
+    /**
+     * Use a new JWT, for example after the identity provider refreshed it
+     */
+    setToken(token) {
+        this.config.token = token;
+        this.lastError = null;
+    }
+    
+    /**
+     * Report that the session or token is no longer accepted, so the page can ask the user to log in again
+     */
+    handleExpiredSession(reason) {
+        this.session = null;
+        this.connected = false;
+        window.dispatchEvent(new CustomEvent('couchdb-session-expired', { detail: { reason: reason } }));
+    }
+    
+    /**
+     * Log in with CouchDB cookie authentication. The password is sent once and not stored;
+     * the browser keeps CouchDB's HttpOnly AuthSession cookie.
+     * @returns {Object} The user's name and roles
+     */
+    async login(username, password) {
+        const result = await this.makeRequest(`${this.baseUrl}/_session`, {
+            method: 'POST',
+            body: JSON.stringify({ name: username, password: password })
+        });
+        this.session = { name: result.name, roles: result.roles || [] };
+        this.config.username = result.name;
+        return this.session;
+    }
+    
+    /**
+     * End the CouchDB session
+     */
+    async logout() {
+        try {
+            await this.makeRequest(`${this.baseUrl}/_session`, { method: 'DELETE' });
+        } finally {
+            this.session = null;
+        }
+    }
+    
+    /**
+     * Get the user CouchDB sees for the current credentials
+     * @returns {Object|null} userCtx (name, roles), or null if not logged in
+     */
+    async getSession() {
+        const result = await this.makeRequest(`${this.baseUrl}/_session`);
+        this.session = result.userCtx && result.userCtx.name ? result.userCtx : null;
+        return this.session;
     }
     
     /**
@@ -50,17 +145,35 @@ class CouchDBClient {
         const timeoutId = setTimeout(() => controller.abort(), this.config.timeout);
         
         try {
+            if (this.config.auth === 'jwt') {
+                const expiry = this.getTokenExpiry();
+                if (expiry && expiry.getTime() <= Date.now()) {
+                    const expiredError = new Error(`Access token expired at ${expiry.toLocaleString()}`);
+                    expiredError.status = 401;
+                    this.handleExpiredSession(expiredError.message);
+                    throw expiredError;
+                }
+            }
+            
             const response = await fetch(url, {
+                ...options,
                 headers: this.getHeaders(options.headers),
-                signal: controller.signal,
-                ...options
+                credentials: this.config.auth === 'session' || this.config.auth === 'proxy' ? 'include' : 'same-origin',
+                signal: controller.signal
             });
             
             clearTimeout(timeoutId);
             
+            if (response.status === 401 && this.config.auth !== 'basic' && !url.endsWith('/_session')) {
+                this.handleExpiredSession('Your session has expired');
+            }
+            
             if (!response.ok) {
                 const errorData = await response.json().catch(() => ({}));
-                throw new Error(errorData.reason || `HTTP ${response.status}: ${response.statusText}`);
+                const requestError = new Error(errorData.reason || `HTTP ${response.status}: ${response.statusText}`);
+                requestError.status = response.status;
+                requestError.error = errorData.error;
+                throw requestError;
             }
             
             return await response.json();
@@ -104,6 +217,47 @@ class CouchDBClient {
         }
     }
     
+    /**
+     * Get the rule set loaded into the current database, if any
+     */
+    async getRuleSetInfo() {
+        try {
+            const ruleSet = await this.makeRequest(`${this.dbUrl}/_local/rule_set`);
+            return { success: true, data: ruleSet };
+        } catch (error) {
+            if (error.status === 404) {
+                return { success: true, data: null };
+            }
+            return { success: false, error: error.message };
+        }
+    }
+
+    /**
+     * List rule sets loaded on the server, one per database
+     */
+    async listRuleSets() {
+        try {
+            const databases = await this.makeRequest(`${this.baseUrl}/_all_dbs`);
+            const ruleSets = [];
+
+            for (const database of databases.filter(name => !name.startsWith('_'))) {
+                try {
+                    const ruleSet = await this.makeRequest(`${this.baseUrl}/${encodeURIComponent(database)}/_local/rule_set`);
+                    ruleSets.push({ ...ruleSet, database: database });
+                } catch (error) {
+                    // Databases without a rule set descriptor are not program databases
+                    if (error.status !== 404) {
+                        throw error;
+                    }
+                }
+            }
+
+            return { success: true, data: ruleSets };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+
     /**
      * Create database if it doesn't exist
      */
@@ -131,6 +285,8 @@ class CouchDBClient {
                 rev: row.doc._rev,
                 name: row.doc._id.replace('_design/', ''),
                 metadata: row.doc.metadata || row.doc.rule_metadata || {},
+                definition: row.doc.rule_definition || null,
+                parameterValues: row.doc.rule_parameters || null,
                 validationFunction: row.doc.validate_doc_update,
                 doc: row.doc
             }));
@@ -156,6 +312,8 @@ class CouchDBClient {
                     rev: doc._rev,
                     name: doc._id.replace('_design/', ''),
                     metadata: doc.rule_metadata || {},
+                    definition: doc.rule_definition || null,
+                    parameterValues: doc.rule_parameters || null,
                     validationFunction: doc.validate_doc_update,
                     doc: doc
                 }
@@ -167,8 +325,9 @@ class CouchDBClient {
     
     /**
      * Create a new design document (validation rule)
+     * Declarative rules also pass their definition, which is stored as rule_definition
      */
-    async createDesignDocument(name, validationFunction, metadata) {
+    async createDesignDocument(name, validationFunction, metadata, definition = null) {
         try {
             const designId = `_design/${name}`;
             const doc = {
@@ -187,12 +346,21 @@ class CouchDBClient {
                 }
             };
             
+            if (definition) {
+                doc.rule_definition = definition;
+            }
+            
             const result = await this.makeRequest(this.dbUrl, {
                 method: 'POST',
                 body: JSON.stringify(doc)
             });
             
-            return { success: true, data: result };
+            return {
+                success: true,
+                data: result,
+                ...await this.recordPublishedVersion({ ...doc, _rev: result.rev }),
+                ...await this.recordAudit({ action: 'create', doc: doc, oldRev: null, newRev: result.rev })
+            };
         } catch (error) {
             return { success: false, error: error.message };
         }
@@ -201,7 +369,7 @@ class CouchDBClient {
     /**
      * Update an existing design document
      */
-    async updateDesignDocument(name, validationFunction, metadata, rev) {
+    async updateDesignDocument(name, validationFunction, metadata, rev, definition = null, parameters = null) {
         try {
             const designId = `_design/${name}`;
             const doc = {
@@ -214,62 +382,598 @@ class CouchDBClient {
                 }
             };
             
+            if (definition) {
+                doc.rule_definition = definition;
+            }
+            
+            if (parameters) {
+                doc.rule_parameters = parameters;
+            }
+            
             const result = await this.makeRequest(`${this.dbUrl}/${designId}`, {
                 method: 'PUT',
                 body: JSON.stringify(doc)
             });
             
-            return { success: true, data: result };
+            return {
+                success: true,
+                data: result,
+                ...await this.recordPublishedVersion({ ...doc, _rev: result.rev }),
+                ...await this.recordAudit({ action: 'update', doc: doc, oldRev: rev, newRev: result.rev })
+            };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+    
+    /**
+     * Get a rule's version history, oldest first
+     * Rules loaded before history was kept, or into a database without a history database, have none.
+     */
+    async getRuleHistory(name) {
+        try {
+            const ruleId = name.replace('_design/', '');
+            const startkey = encodeURIComponent(JSON.stringify(`${ruleId}:`));
+            const endkey = encodeURIComponent(JSON.stringify(`${ruleId}:\ufff0`));
+            const result = await this.makeRequest(`${this.historyUrl}/_all_docs?include_docs=true&startkey=${startkey}&endkey=${endkey}`);
+            
+            return { success: true, data: result.rows.map(row => row.doc) };
+        } catch (error) {
+            if (error.status === 404) {
+                return { success: true, data: [] };
+            }
+            return { success: false, error: error.message };
+        }
+    }
+    
+    /**
+     * Record a design document that was just written in its rule's version history
+     * Creates the history database on first use, which needs database admin rights.
+     * @param {Object} designDoc - Design document as written, with its new _rev
+     * @param {Object} [options] - action (publish|rollback) and rolledBackFrom
+     * @returns {Object} The recorded entry
+     */
+    async recordRuleVersion(designDoc, options = {}) {
+        const history = await this.getRuleHistory(designDoc._id);
+        if (!history.success) {
+            throw new Error(history.error);
+        }
+        
+        if (history.data.length === 0) {
+            try {
+                await this.makeRequest(this.historyUrl, { method: 'PUT' });
+            } catch (error) {
+                // 412: the history database already exists
+                if (error.status !== 412) {
+                    throw error;
+                }
+            }
+        }
+        
+        const previous = history.data[history.data.length - 1] || null;
+        const entry = RuleHistory.createHistoryEntry(designDoc, previous, {
+            ...options,
+            publishedBy: (this.session && this.session.name) || this.config.username
+        });
+        await this.makeRequest(`${this.historyUrl}/${encodeURIComponent(entry._id)}`, {
+            method: 'PUT',
+            body: JSON.stringify(entry)
+        });
+        return entry;
+    }
+    
+    /**
+     * Record a saved rule in its history without failing the save
+     * @returns {Object} The recorded entry as historyEntry, or historyError if it could not be recorded
+     */
+    async recordPublishedVersion(designDoc) {
+        try {
+            return { historyEntry: await this.recordRuleVersion(designDoc) };
+        } catch (error) {
+            return { historyError: `Saved, but the version history could not be updated: ${error.message}` };
+        }
+    }
+    
+    /**
+     * Roll a rule back to one of its history entries and record the rollback
+     * @param {string} name - Rule name
+     * @param {number} sequence - History entry to restore
+     */
+    async rollbackRule(name, sequence) {
+        try {
+            const history = await this.getRuleHistory(name);
+            if (!history.success) {
+                return history;
+            }
+            
+            const entry = history.data.find(candidate => candidate.sequence === sequence);
+            if (!entry) {
+                return { success: false, error: `No history entry ${sequence} for ${name}` };
+            }
+            
+            let currentDoc = null;
+            try {
+                currentDoc = await this.makeRequest(`${this.dbUrl}/_design/${encodeURIComponent(entry.rule_id)}`);
+            } catch (error) {
+                if (error.status !== 404) {
+                    throw error;
+                }
+            }
+            
+            const doc = RuleHistory.planRollback(entry, currentDoc);
+            const result = await this.makeRequest(`${this.dbUrl}/${doc._id}`, {
+                method: 'PUT',
+                body: JSON.stringify(doc)
+            });
+            
+            const audit = await this.recordAudit({
+                action: currentDoc ? 'update' : 'create',
+                doc: doc,
+                oldRev: currentDoc ? currentDoc._rev : null,
+                newRev: result.rev
+            }, `Rolled back to history entry ${sequence}`);
+            try {
+                const recorded = await this.recordRuleVersion({ ...doc, _rev: result.rev }, { action: 'rollback', rolledBackFrom: sequence });
+                return { success: true, data: result, historyEntry: recorded, ...audit };
+            } catch (error) {
+                return { success: true, data: result, historyError: `Rolled back, but the version history could not be updated: ${error.message}`, ...audit };
+            }
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+    
+    /**
+     * Record a change to a rule in the audit log without failing the change
+     * The audit database and its append-only check are set up by the loader, which needs
+     * database admin rights, so the web interface does not create it.
+     * @param {Object} change - action (create|update|delete), doc, oldRev and newRev
+     * @param {string} [detail] - What else is known about the change
+     * @returns {Object} The recorded entry as auditEntry, or auditError if it could not be recorded
+     */
+    async recordAudit(change, detail = null) {
+        try {
+            const entry = RuleAudit.createAuditEntry({ ...change, database: this.config.database }, {
+                actor: (await this.getCurrentUser()) || this.config.username,
+                tool: 'web',
+                detail: detail
+            });
+            // The shared module hashes synchronously, which only Node can; the browser hashes here
+            const source = RuleHistory.getRuleSource(change.doc);
+            entry.source_hash = source ? await sha256(source) : null;
+            await this.makeRequest(`${this.auditUrl}/${encodeURIComponent(entry._id)}`, {
+                method: 'PUT',
+                body: JSON.stringify(entry)
+            });
+            return { auditEntry: entry };
+        } catch (error) {
+            const reason = error.status === 404
+                ? `${RuleAudit.getAuditDatabaseName(this.config.database)} does not exist yet - load the rules once to create it`
+                : error.message;
+            return { auditError: `Saved, but the change could not be recorded in the audit log: ${reason}` };
+        }
+    }
+    
+    /**
+     * Get the audit log, newest first
+     * @param {Object} [filters] - ruleId, actor, action, tool, since and until (see RuleAudit.filterAuditEntries)
+     */
+    async getAuditLog(filters = {}) {
+        try {
+            const result = await this.makeRequest(`${this.auditUrl}/_all_docs?include_docs=true&descending=true`);
+            const entries = result.rows.map(row => row.doc).filter(doc => doc && doc.type === 'rule_audit');
+            
+            return { success: true, data: RuleAudit.filterAuditEntries(entries, filters) };
+        } catch (error) {
+            if (error.status === 404) {
+                return { success: true, data: [] };
+            }
+            return { success: false, error: error.message };
+        }
+    }
+    
+    /**
+     * Get the name of the logged-in user, which proposals and reviews are recorded under
+     */
+    async getCurrentUser() {
+        if (!this.session) {
+            await this.getSession();
+        }
+        return (this.session && this.session.name) || null;
+    }
+    
+    /**
+     * Get proposed rule changes, oldest first within each rule
+     * @param {string} [name] - Only get this rule's proposals
+     */
+    async getProposals(name = null) {
+        try {
+            let query = '';
+            if (name) {
+                const ruleId = name.replace('_design/', '');
+                query = `&startkey=${encodeURIComponent(JSON.stringify(`${ruleId}:`))}&endkey=${encodeURIComponent(JSON.stringify(`${ruleId}:\ufff0`))}`;
+            }
+            const result = await this.makeRequest(`${this.proposalsUrl}/_all_docs?include_docs=true${query}`);
+            
+            return { success: true, data: result.rows.map(row => row.doc).filter(doc => doc && doc.type === 'rule_proposal') };
+        } catch (error) {
+            if (error.status === 404) {
+                return { success: true, data: [] };
+            }
+            return { success: false, error: error.message };
+        }
+    }
+    
+    /**
+     * Write a proposal; the proposals database refuses writes that break the review workflow
+     */
+    async saveProposal(proposal) {
+        try {
+            const result = await this.makeRequest(`${this.proposalsUrl}/${encodeURIComponent(proposal._id)}`, {
+                method: 'PUT',
+                body: JSON.stringify(proposal)
+            });
+            return { ...proposal, _rev: result.rev };
+        } catch (error) {
+            if (error.status === 404) {
+                throw new Error(`The proposals database ${RuleReview.getProposalDatabaseName(this.config.database)} does not exist yet - load the rules once to create it`);
+            }
+            throw error;
+        }
+    }
+    
+    /**
+     * Propose a change to a declarative rule for review instead of saving it
+     * @param {string} name - Rule name
+     * @param {Object} changes - rule_definition, rule_parameters, version and change_notes
+     */
+    async proposeRuleChange(name, changes) {
+        try {
+            const current = await this.getDesignDocument(name);
+            if (!current.success) {
+                return current;
+            }
+            
+            const proposals = await this.getProposals(name);
+            if (!proposals.success) {
+                return proposals;
+            }
+            
+            const proposal = RuleReview.createProposal(current.data.doc, changes, {
+                proposedBy: await this.getCurrentUser(),
+                previous: proposals.data[proposals.data.length - 1] || null
+            });
+            return { success: true, data: await this.saveProposal(proposal) };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+    
+    /**
+     * Approve or reject a pending proposal. An approved proposal is published straight away.
+     * @param {string} proposalId - Proposal document ID
+     * @param {string} decision - approve or reject
+     * @param {string} [comment] - Review comments; required to reject
+     */
+    async reviewProposal(proposalId, decision, comment) {
+        try {
+            const proposal = await this.makeRequest(`${this.proposalsUrl}/${encodeURIComponent(proposalId)}`);
+            const reviewed = await this.saveProposal(
+                RuleReview.reviewProposal(proposal, decision, await this.getCurrentUser(), comment)
+            );
+            
+            if (decision !== 'approve') {
+                return { success: true, data: reviewed };
+            }
+            
+            const published = await this.publishProposal(reviewed._id);
+            return published.success ? published : { ...published, error: `Approved, but not published: ${published.error}` };
+        } catch (error) {
+            return { success: false, error: error.message };
+        }
+    }
+    
+    /**
+     * Publish an approved proposal: compile it into the live rule, record it in the version
+     * history and the audit log and mark the proposal published
+     * @param {string} proposalId - Proposal document ID
+     */
+    async publishProposal(proposalId) {
+        try {
+            const proposal = await this.makeRequest(`${this.proposalsUrl}/${encodeURIComponent(proposalId)}`);
+            const currentDoc = await this.makeRequest(`${this.dbUrl}/_design/${encodeURIComponent(proposal.rule_id)}`);
+            const doc = RuleReview.planPublish(proposal, currentDoc);
+            // Published rules carry the same content hash as loaded ones, so the loader sees them as unchanged
+            doc.content_hash = await sha256(RuleDeployment.serializeRuleContent(doc));
+            if (!doc.content_hash) {
+                throw new Error('Publishing needs the browser\'s Web Crypto API to record the content hash - open the web interface over https or on localhost');
+            }
+            
+            const result = await this.makeRequest(`${this.dbUrl}/${doc._id}`, {
+                method: 'PUT',
+                body: JSON.stringify(doc)
+            });
+            
+            const published = await this.saveProposal({
+                ...proposal,
+                status: 'published',
+                published_rev: result.rev,
+                published_at: new Date().toISOString()
+            });
+            return {
+                success: true,
+                data: published,
+                ...await this.recordPublishedVersion({ ...doc, _rev: result.rev }),
+                ...await this.recordAudit(
+                    { action: 'update', doc: doc, oldRev: proposal.base_rev, newRev: result.rev },
+                    `Published ${proposal._id}, approved by ${proposal.reviewed_by}`
+                )
+            };
         } catch (error) {
             return { success: false, error: error.message };
         }
     }
     
     /**
-     * Delete a design document
+     * Delete a design document and record the deletion in the audit log
      */
     async deleteDesignDocument(name, rev) {
         try {
             const designId = name.startsWith('_design/') ? name : `_design/${name}`;
+            // Read the rule first so the audit entry records the source that was removed
+            const doc = await this.makeRequest(`${this.dbUrl}/${designId}?rev=${rev}`);
             const result = await this.makeRequest(`${this.dbUrl}/${designId}?rev=${rev}`, {
                 method: 'DELETE'
             });
             
-            return { success: true, data: result };
+            return { success: true, data: result, ...await this.recordAudit({ action: 'delete', doc: doc, oldRev: rev, newRev: result.rev }) };
         } catch (error) {
             return { success: false, error: error.message };
         }
     }
     
     /**
-     * Test a document against validation rules
+     * Test a document against the deployed rules in CouchDB itself, without saving it
+     * The document is written to a scratch database holding copies of the rules database's design
+     * documents and security object, which is deleted afterwards, so nothing is left behind in
+     * the rules database. A stored version is written before the rules are copied, so it is not
+     * validated itself. CouchDB stops at the first rule that rejects the document and does not say
+     * which one it was; the document is also evaluated locally to name that rule and list every
+     * violation. Creating the scratch database needs server admin rights.
+     * @param {Object} document - Document to test
+     * @param {Object} [options] - oldDoc, the stored version, to test the document as an update
+     * @returns {Object} valid, CouchDB's error, rejectedBy (rule_id, rule_name, rule_version; null if
+     *   no local rule gives CouchDB's message) and the local evaluation as report
      */
-    async testDocument(document) {
+    async testDocument(document, options = {}) {
+        const oldDoc = options.oldDoc || null;
+        const scratchUrl = `${this.baseUrl}/${this.config.database}_rule_test_${Date.now()}_${Math.random().toString(36).slice(2, 8)}`;
+        
         try {
-            const result = await this.makeRequest(this.dbUrl, {
-                method: 'POST',
-                body: JSON.stringify(document)
-            });
-            
-            return { 
-                success: true, 
-                valid: true,
-                data: result,
-                message: 'Document is valid'
-            };
+            await this.makeRequest(scratchUrl, { method: 'PUT' });
         } catch (error) {
-            // Check if it's a validation error
-            if (error.message.includes('forbidden')) {
+            const reason = error.status === 401 || error.status === 403
+                ? 'testing in CouchDB needs server admin rights to create a scratch database'
+                : error.message;
+            return { success: false, error: `Could not create a scratch database: ${reason}` };
+        }
+        
+        try {
+            const doc = { ...document };
+            delete doc._rev;
+            if (oldDoc) {
+                const stored = { ...oldDoc };
+                delete stored._rev;
+                stored._id = stored._id || doc._id || `test_${Date.now()}`;
+                doc._id = stored._id;
+                doc._rev = (await this.makeRequest(`${scratchUrl}/${encodeURIComponent(stored._id)}`, {
+                    method: 'PUT',
+                    body: JSON.stringify(stored)
+                })).rev;
+            }
+            
+            const security = await this.makeRequest(`${this.dbUrl}/_security`);
+            await this.makeRequest(`${scratchUrl}/_security`, { method: 'PUT', body: JSON.stringify(security) });
+            
+            const designDocs = await this.makeRequest(`${this.dbUrl}/_design_docs?include_docs=true`);
+            for (const row of designDocs.rows) {
+                const designDoc = { ...row.doc };
+                delete designDoc._rev;
+                await this.makeRequest(`${scratchUrl}/${designDoc._id}`, { method: 'PUT', body: JSON.stringify(designDoc) });
+            }
+            
+            // CouchDB runs the rules as the connected user
+            const session = await this.makeRequest(`${this.baseUrl}/_session`).catch(() => ({}));
+            const userCtx = session.userCtx || { db: null, name: null, roles: [] };
+            
+            try {
+                await this.makeRequest(doc._id ? `${scratchUrl}/${encodeURIComponent(doc._id)}` : scratchUrl, {
+                    method: doc._id ? 'PUT' : 'POST',
+                    body: JSON.stringify(doc)
+                });
+                return { success: true, valid: true, error: null, rejectedBy: null, report: null, userCtx: userCtx, message: 'Document is valid' };
+            } catch (error) {
+                if (error.error !== 'forbidden' && error.error !== 'unauthorized') {
+                    throw error;
+                }
+                
+                // Evaluate locally as the same user to find the rule that gave CouchDB's message
+                const evaluation = await this.evaluateDocument(document, { oldDoc: oldDoc, userCtx: userCtx });
+                const report = evaluation.success ? evaluation.data : null;
+                const violation = report ? report.violations.find(candidate => candidate.message === error.message) : null;
+                
                 return {
                     success: true,
                     valid: false,
                     error: error.message,
+                    rejectedBy: violation ? { rule_id: violation.rule_id, rule_name: violation.rule_name, rule_version: violation.rule_version } : null,
+                    report: report,
+                    userCtx: userCtx,
                     message: 'Document failed validation'
                 };
             }
-            
+        } catch (error) {
             return { success: false, error: error.message };
+        } finally {
+            await this.makeRequest(scratchUrl, { method: 'DELETE' }).catch(error => {
+                console.error(`Could not delete scratch database ${scratchUrl}:`, error);
+            });
+        }
+    }
+    
+    /**
+     * Evaluate a document against the deployed rules in the rule sandbox (couch-rules serve), which runs
+     * each design document's source the way CouchDB does - with only CouchDB's globals, oldDoc, userCtx
+     * and the database's security object - without writing anything. The sandbox reads the rules with
+     * its own credentials, so none are sent to it.
+     * @param {Object} document - Document to evaluate
+     * @param {Object} [options] - oldDoc, the stored version, to evaluate the document as an update;
+     *   userCtx, the simulated user; rule, to evaluate only that rule
+     * @returns {Object} The sandbox's report, with rejected_by naming the rule CouchDB would stop at
+     */
+    async evaluateInSandbox(document, options = {}) {
+        if (!this.config.sandboxUrl) {
+            return { success: false, error: 'No rule sandbox is configured - start one with couch-rules serve and set sandboxUrl' };
+        }
+        
+        try {
+            const response = await fetch(`${this.config.sandboxUrl.replace(/\/$/, '')}/evaluate`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    database: this.config.database,
+                    document: document,
+                    oldDoc: options.oldDoc || null,
+                    userCtx: options.userCtx || null,
+                    rule: options.rule || null
+                })
+            });
+            const body = await response.json();
+            if (!response.ok) {
+                return { success: false, error: body.reason || `Rule sandbox answered HTTP ${response.status}` };
+            }
+            return { success: true, data: body };
+        } catch (error) {
+            return { success: false, error: `Could not reach the rule sandbox at ${this.config.sandboxUrl}: ${error.message}` };
+        }
+    }
+    
+    /**
+     * Evaluate a document against every active rule without writing it
+     * Produces the same report structure as utils/rule-engine.js
+     * @param {Object} document - Document to evaluate
+     * @param {Object} [context] - Stored version (oldDoc) to evaluate the document as an update, and simulated
+     *   userCtx and secObj (defaults to a server admin)
+     */
+    async evaluateDocument(document, context = {}) {
+        const rulesResult = await this.getDesignDocuments();
+        if (!rulesResult.success) {
+            return { success: false, error: rulesResult.error };
+        }
+        
+        return { success: true, data: this.evaluateAgainstRules(rulesResult.data, document, context) };
+    }
+    
+    /**
+     * Evaluate many documents against every active rule, fetching the rules once
+     * @param {Object[]} documents - Documents to evaluate
+     * @param {Object} [context] - Simulated userCtx and secObj, used for every document
+     * @returns {Object} A report per document, and the rules as matrix columns in priority order
+     */
+    async evaluateDocuments(documents, context = {}) {
+        const rulesResult = await this.getDesignDocuments();
+        if (!rulesResult.success) {
+            return { success: false, error: rulesResult.error };
         }
+        
+        const rules = rulesResult.data.filter(rule => rule.validationFunction);
+        return {
+            success: true,
+            data: {
+                reports: documents.map(document => this.evaluateAgainstRules(rules, document, context)),
+                rules: RuleEvaluation.sortRulesByPriority(rules).map(rule => RuleBatch.describeRule(rule.name, rule.metadata || {}))
+            }
+        };
+    }
+    
+    /**
+     * Evaluate a batch of documents against the deployed rules in the rule sandbox
+     * @param {Object[]} documents - Documents to evaluate
+     * @param {Object} [options] - userCtx, the simulated user
+     * @returns {Object} The sandbox's document × rule matrix
+     */
+    async evaluateBatchInSandbox(documents, options = {}) {
+        if (!this.config.sandboxUrl) {
+            return { success: false, error: 'No rule sandbox is configured - start one with couch-rules serve and set sandboxUrl' };
+        }
+        
+        try {
+            const response = await fetch(`${this.config.sandboxUrl.replace(/\/$/, '')}/evaluate-batch`, {
+                method: 'POST',
+                headers: { 'Content-Type': 'application/json' },
+                body: JSON.stringify({
+                    database: this.config.database,
+                    documents: documents,
+                    userCtx: options.userCtx || null
+                })
+            });
+            const body = await response.json();
+            if (!response.ok) {
+                return { success: false, error: body.reason || `Rule sandbox answered HTTP ${response.status}` };
+            }
+            return { success: true, data: body };
+        } catch (error) {
+            return { success: false, error: `Could not reach the rule sandbox at ${this.config.sandboxUrl}: ${error.message}` };
+        }
+    }
+    
+    /**
+     * Evaluate a document against rules from getDesignDocuments, skipping and ordering them as
+     * utils/rule-engine.js does (see RuleEvaluation in web/js/shared/rule-evaluation.js)
+     * @returns {Object} Report with the same structure as utils/rule-engine.js
+     */
+    evaluateAgainstRules(rules, document, context = {}) {
+        const oldDoc = context.oldDoc || null;
+        const userCtx = context.userCtx || { db: null, name: null, roles: ['_admin'] };
+        const secObj = context.secObj || {};
+        const effectiveDate = RuleEvaluation.getEffectiveDate(document, oldDoc);
+        
+        const report = {
+            valid: true,
+            document_id: document && document._id ? document._id : null,
+            update: Boolean(oldDoc),
+            user: userCtx.name || null,
+            effective_date: effectiveDate,
+            evaluated: [],
+            skipped: [],
+            violations: [],
+            evaluated_at: new Date().toISOString()
+        };
+        
+        RuleEvaluation.sortRulesByPriority(rules).forEach(rule => {
+            if (!rule.validationFunction) return;
+            
+            const metadata = rule.metadata || {};
+            const reason = RuleEvaluation.getSkipReason(metadata, document, oldDoc, effectiveDate);
+            if (reason) {
+                report.skipped.push({ rule_id: rule.name, reason: reason });
+                return;
+            }
+            
+            report.evaluated.push(rule.name);
+            
+            try {
+                const validationFunction = new Function(`return (${rule.validationFunction});`)();
+                // Deployed functions already include the effective period, scope and role checks
+                validationFunction(document, oldDoc, userCtx, secObj);
+            } catch (error) {
+                report.violations.push(RuleEvaluation.buildViolation(rule.name, metadata, error));
+            }
+        });
+        
+        report.valid = report.violations.length === 0;
+        
+        return report;
     }
     
     /**
@@ -325,9 +1029,12 @@ class CouchDBClient {
      */
     updateConfig(newConfig) {
         this.config = { ...this.config, ...newConfig };
-        this.baseUrl = `${this.config.protocol}://${this.config.host}:${this.config.port}`;
+        this.baseUrl = this.config.url ? this.config.url.replace(/\/$/, '') : `${this.config.protocol}://${this.config.host}:${this.config.port}`;
         this.dbUrl = `${this.baseUrl}/${this.config.database}`;
-        this.auth = btoa(`${this.config.username}:${this.config.password}`);
+        this.historyUrl = `${this.dbUrl}${RuleHistory.HISTORY_DB_SUFFIX}`;
+        this.proposalsUrl = `${this.dbUrl}${RuleReview.PROPOSALS_DB_SUFFIX}`;
+        this.auditUrl = `${this.dbUrl}${RuleAudit.AUDIT_DB_SUFFIX}`;
+        this.applyAuthConfig();
         this.connected = false;
         this.lastError = null;
     }
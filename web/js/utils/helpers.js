@@ -442,12 +442,96 @@ const DataFormat = {
             author: metadata.author || 'Unknown',
             tags: Array.isArray(metadata.tags) ? metadata.tags : [],
             status: metadata.status || 'active',
+            priority: Number.isInteger(metadata.priority) ? metadata.priority : 100,
+            ruleType: metadata.rule_type || 'validation',
+            appliesTo: metadata.applies_to || null,
+            parameters: metadata.parameters || {},
+            effectiveFrom: metadata.effective_from || null,
+            effectiveUntil: metadata.effective_until || null,
+            scheduleState: this.getScheduleState(metadata),
             created: DateUtils.format(metadata.created_date),
             modified: DateUtils.relative(metadata.modified_date),
             changeNotes: metadata.change_notes || 'No change notes'
         };
     },
     
+    /**
+     * Describe the documents a rule applies to (its applies_to scope)
+     */
+    describeAppliesTo(appliesTo) {
+        if (!appliesTo) {
+            return 'All documents';
+        }
+        
+        const parts = [];
+        if (appliesTo.type !== undefined) {
+            parts.push(`type ${[].concat(appliesTo.type).join(' or ')}`);
+        }
+        if (appliesTo.fields && appliesTo.fields.length > 0) {
+            parts.push(`with ${appliesTo.fields.join(', ')}`);
+        }
+        if (appliesTo.selector) {
+            parts.push(`matching ${JSON.stringify(appliesTo.selector)}`);
+        }
+        
+        const deletions = {
+            allow: 'deletions allowed',
+            deny: 'deletions refused',
+            validate: 'deletions validated'
+        };
+        parts.push(deletions[appliesTo.deletions || 'allow']);
+        
+        return `${parts.length > 1 ? '' : 'All documents; '}${parts.join('; ')}`;
+    },
+    
+    /**
+     * Place a rule's effective period relative to a date: upcoming, current or expired.
+     * effective_from is inclusive and effective_until exclusive, as in utils/rule-schedule.js
+     */
+    getScheduleState(metadata, date = new Date()) {
+        const time = new Date(date).getTime();
+        if (metadata && metadata.effective_from && time < Date.parse(metadata.effective_from)) {
+            return 'upcoming';
+        }
+        if (metadata && metadata.effective_until && time >= Date.parse(metadata.effective_until)) {
+            return 'expired';
+        }
+        return 'current';
+    },
+    
+    /**
+     * Describe a rule's effective period
+     */
+    describeSchedule(effectiveFrom, effectiveUntil) {
+        if (!effectiveFrom && !effectiveUntil) {
+            return 'Always in effect';
+        }
+        if (!effectiveUntil) {
+            return `From ${effectiveFrom}`;
+        }
+        return effectiveFrom ? `From ${effectiveFrom} until ${effectiveUntil}` : `Until ${effectiveUntil}`;
+    },
+    
+    /**
+     * List a rule's declared parameters with the values deployed for them
+     */
+    describeParameters(parameters, deployedValues) {
+        return Object.keys(parameters || {}).map(name => {
+            const parameter = parameters[name] || {};
+            const deployed = deployedValues && Object.prototype.hasOwnProperty.call(deployedValues, name)
+                ? deployedValues[name]
+                : parameter.default;
+            return {
+                name: name,
+                type: parameter.type || 'unknown',
+                defaultValue: JSON.stringify(parameter.default),
+                value: JSON.stringify(deployed),
+                overridden: JSON.stringify(deployed) !== JSON.stringify(parameter.default),
+                description: parameter.description || ''
+            };
+        });
+    },
+    
     /**
      * Format validation function for display
      */
@@ -500,3 +584,16 @@ function generateId(prefix = 'id') {
 function deepClone(obj) {
     return JSON.parse(JSON.stringify(obj));
 }
+
+/**
+ * SHA-256 of a text, hex encoded, as Node's crypto module computes it
+ * SubtleCrypto is only available on https:// and localhost pages; elsewhere this returns null.
+ */
+async function sha256(text) {
+    if (!window.crypto || !window.crypto.subtle) {
+        return null;
+    }
+
+    const digest = await window.crypto.subtle.digest('SHA-256', new TextEncoder().encode(text));
+    return Array.from(new Uint8Array(digest)).map(byte => byte.toString(16).padStart(2, '0')).join('');
+}